@@ -42,6 +42,66 @@ if %ERRORLEVEL% NEQ 0 (
 )
 echo.
 
+REM Media Service
+echo Testing Media Service...
+cd ..\media-service
+call npm test
+if %ERRORLEVEL% NEQ 0 (
+  set /a FAILED+=1
+  echo Media Service tests failed
+) else (
+  echo Media Service tests passed
+)
+echo.
+
+REM Messaging Service
+echo Testing Messaging Service...
+cd ..\messaging-service
+call npm test
+if %ERRORLEVEL% NEQ 0 (
+  set /a FAILED+=1
+  echo Messaging Service tests failed
+) else (
+  echo Messaging Service tests passed
+)
+echo.
+
+REM Notification Service
+echo Testing Notification Service...
+cd ..\notification-service
+call npm test
+if %ERRORLEVEL% NEQ 0 (
+  set /a FAILED+=1
+  echo Notification Service tests failed
+) else (
+  echo Notification Service tests passed
+)
+echo.
+
+REM Shared package
+echo Testing Shared Package...
+cd ..\shared
+call npm test
+if %ERRORLEVEL% NEQ 0 (
+  set /a FAILED+=1
+  echo Shared Package tests failed
+) else (
+  echo Shared Package tests passed
+)
+echo.
+
+REM API Gateway
+echo Testing API Gateway...
+cd ..\api-gateway
+call npm test
+if %ERRORLEVEL% NEQ 0 (
+  set /a FAILED+=1
+  echo API Gateway tests failed
+) else (
+  echo API Gateway tests passed
+)
+echo.
+
 REM Summary
 echo ===========================================
 if !FAILED! EQU 0 (
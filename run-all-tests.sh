@@ -42,6 +42,66 @@ else
 fi
 echo ""
 
+# Media Service
+echo "🖼️ Testing Media Service..."
+cd ../media-service
+npm test
+if [ $? -ne 0 ]; then
+  FAILED=$((FAILED+1))
+  echo "❌ Media Service tests failed"
+else
+  echo "✅ Media Service tests passed"
+fi
+echo ""
+
+# Messaging Service
+echo "💬 Testing Messaging Service..."
+cd ../messaging-service
+npm test
+if [ $? -ne 0 ]; then
+  FAILED=$((FAILED+1))
+  echo "❌ Messaging Service tests failed"
+else
+  echo "✅ Messaging Service tests passed"
+fi
+echo ""
+
+# Notification Service
+echo "🔔 Testing Notification Service..."
+cd ../notification-service
+npm test
+if [ $? -ne 0 ]; then
+  FAILED=$((FAILED+1))
+  echo "❌ Notification Service tests failed"
+else
+  echo "✅ Notification Service tests passed"
+fi
+echo ""
+
+# Shared package
+echo "🧩 Testing Shared Package..."
+cd ../shared
+npm test
+if [ $? -ne 0 ]; then
+  FAILED=$((FAILED+1))
+  echo "❌ Shared Package tests failed"
+else
+  echo "✅ Shared Package tests passed"
+fi
+echo ""
+
+# API Gateway
+echo "🚪 Testing API Gateway..."
+cd ../api-gateway
+npm test
+if [ $? -ne 0 ]; then
+  FAILED=$((FAILED+1))
+  echo "❌ API Gateway tests failed"
+else
+  echo "✅ API Gateway tests passed"
+fi
+echo ""
+
 # Summary
 echo "==========================================="
 if [ $FAILED -eq 0 ]; then
@@ -3,6 +3,7 @@ import { createProxyMiddleware } from "http-proxy-middleware";
 import dotenv from "dotenv";
 import cors from "cors";
 import rateLimit from "express-rate-limit";
+import { parseTargets, createStickyRouter } from "./sticky.js";
 
 dotenv.config();
 
@@ -17,6 +18,8 @@ const globalLimiter = rateLimit({
   message: { message: 'Too many requests, please try again later.' },
   standardHeaders: true,
   legacyHeaders: false,
+  // Image loads come from <img> tags, a feed page can hold dozens
+  skip: (req) => req.path.startsWith('/media/files/'),
 });
 
 app.use('/api', globalLimiter);
@@ -32,7 +35,10 @@ app.get("/api/health/all", async (req, res) => {
     gateway: "healthy",
     auth: "unknown",
     user: "unknown",
-    post: "unknown"
+    post: "unknown",
+    media: "unknown",
+    messaging: "unknown",
+    notification: "unknown"
   };
 
   try {
@@ -50,6 +56,21 @@ app.get("/api/health/all", async (req, res) => {
     services.post = postHealth.ok ? "healthy" : "unhealthy";
   } catch { services.post = "down"; }
 
+  try {
+    const mediaHealth = await fetch(`${process.env.MEDIA_SERVICE_URL}/health`);
+    services.media = mediaHealth.ok ? "healthy" : "unhealthy";
+  } catch { services.media = "down"; }
+
+  try {
+    const messagingHealth = await fetch(`${process.env.MESSAGING_SERVICE_URL}/health`);
+    services.messaging = messagingHealth.ok ? "healthy" : "unhealthy";
+  } catch { services.messaging = "down"; }
+
+  try {
+    const notificationHealth = await fetch(`${process.env.NOTIFICATION_SERVICE_URL}/health`);
+    services.notification = notificationHealth.ok ? "healthy" : "unhealthy";
+  } catch { services.notification = "down"; }
+
   const allHealthy = Object.values(services).every(s => s === "healthy");
   res.status(allHealthy ? 200 : 503).json({ services, overall: allHealthy ? "healthy" : "degraded" });
 });
@@ -85,7 +106,11 @@ app.use('/api/auth', createProxyMiddleware({
   logLevel: 'debug'
 }));
 
-// User service routes
+// User service routes. The batch profile lookup is for other services only.
+app.use('/api/users/batch', (req, res) => {
+  res.status(404).json({ message: 'Not found' });
+});
+
 app.use('/api/users', createProxyMiddleware({
   ...proxyOptions,
   target: process.env.USER_SERVICE_URL,
@@ -99,6 +124,63 @@ app.use('/api/posts', createProxyMiddleware({
   logLevel: 'debug'
 }));
 
+// Media service routes
+app.use('/api/media', createProxyMiddleware({
+  ...proxyOptions,
+  target: process.env.MEDIA_SERVICE_URL,
+  logLevel: 'debug'
+}));
+
+// Messaging service routes
+app.use('/api/messages', createProxyMiddleware({
+  ...proxyOptions,
+  target: process.env.MESSAGING_SERVICE_URL,
+  logLevel: 'debug'
+}));
+
+// Notification service routes
+app.use('/api/notifications', createProxyMiddleware({
+  ...proxyOptions,
+  target: process.env.NOTIFICATION_SERVICE_URL,
+  logLevel: 'debug'
+}));
+
+// Realtime routes. Each service's Socket.io endpoint is exposed under its own
+// path (e.g. /socket.io/posts/ -> post-service's /socket.io/), including
+// WebSocket upgrades. *_SOCKET_URLS lists a service's instances.
+const realtimeServices = [
+  { name: "posts", targets: parseTargets(process.env.POST_SOCKET_URLS || process.env.POST_SERVICE_URL) },
+  { name: "messages", targets: parseTargets(process.env.MESSAGING_SOCKET_URLS || process.env.MESSAGING_SERVICE_URL) },
+  { name: "notifications", targets: parseTargets(process.env.NOTIFICATION_SOCKET_URLS || process.env.NOTIFICATION_SERVICE_URL) }
+].filter(service => service.targets.length > 0);
+
+const realtimeProxies = realtimeServices.map(({ name, targets }) => {
+  const sticky = createStickyRouter(name, targets);
+  const prefix = `/socket.io/${name}`;
+
+  return createProxyMiddleware({
+    target: targets[0],
+    changeOrigin: true,
+    ws: true,
+    pathFilter: (path) => path === prefix || path.startsWith(`${prefix}/`),
+    pathRewrite: (path) => path.replace(prefix, '/socket.io'),
+    router: (req) => {
+      const { target, cookie } = sticky.route(req);
+      req.stickyCookie = cookie;
+      return target;
+    },
+    on: {
+      proxyRes: (proxyRes, req) => {
+        if (!req.stickyCookie) return;
+        const cookies = proxyRes.headers['set-cookie'] || [];
+        proxyRes.headers['set-cookie'] = [...cookies, req.stickyCookie];
+      }
+    }
+  });
+});
+
+realtimeProxies.forEach(proxy => app.use(proxy));
+
 // 404 handler - must be last
 app.use((req, res) => {
   res.status(404).json({ 
@@ -108,10 +190,22 @@ app.use((req, res) => {
 });
 
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🌐 API Gateway running on port ${PORT}`);
   console.log(`📍 Routes:`);
   console.log(`   - /api/auth/* → ${process.env.AUTH_SERVICE_URL}`);
   console.log(`   - /api/users/* → ${process.env.USER_SERVICE_URL}`);
   console.log(`   - /api/posts/* → ${process.env.POST_SERVICE_URL}`);
+  console.log(`   - /api/media/* → ${process.env.MEDIA_SERVICE_URL}`);
+  console.log(`   - /api/messages/* → ${process.env.MESSAGING_SERVICE_URL}`);
+  console.log(`   - /api/notifications/* → ${process.env.NOTIFICATION_SERVICE_URL}`);
+  realtimeServices.forEach(({ name, targets }) => {
+    console.log(`   - /socket.io/${name}/ → ${targets.join(", ")} (sticky)`);
+  });
+});
+
+// Hand WebSocket upgrades to the realtime proxies up front, rather than
+// waiting for each to see its first HTTP request
+server.on('upgrade', (req, socket, head) => {
+  realtimeProxies.forEach(proxy => proxy.upgrade(req, socket, head));
 });
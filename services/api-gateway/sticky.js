@@ -0,0 +1,46 @@
+import crypto from "crypto";
+
+// Socket.io sessions live in one backend instance. Long-polling sends many
+// requests per session, so each must reach the instance that holds it: the
+// first request picks an instance (round robin) and a cookie pins the
+// browser to it. WebSocket upgrades carry the same cookie.
+
+const COOKIE_MAX_AGE = 24 * 60 * 60;
+
+// "http://a:3003, http://b:3003" -> ["http://a:3003", "http://b:3003"]
+export const parseTargets = (value) => (value || "")
+  .split(",")
+  .map(target => target.trim())
+  .filter(Boolean);
+
+const targetId = (target) => crypto.createHash("sha256").update(target).digest("hex").slice(0, 12);
+
+export const readCookie = (header, name) => {
+  for (const part of (header || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return value.join("=");
+  }
+  return null;
+};
+
+// Pick a target for each request of one service, by cookie when pinned
+export const createStickyRouter = (name, targets) => {
+  const cookieName = `io_${name}`;
+  const ids = new Map(targets.map(target => [targetId(target), target]));
+  let next = 0;
+
+  return {
+    cookieName,
+    // Returns the target and, for new sessions, the cookie to pin it
+    route(req) {
+      const pinned = ids.get(readCookie(req.headers.cookie, cookieName));
+      if (pinned) return { target: pinned, cookie: null };
+
+      const target = targets[next++ % targets.length];
+      return {
+        target,
+        cookie: `${cookieName}=${targetId(target)}; Path=/socket.io; Max-Age=${COOKIE_MAX_AGE}; HttpOnly; SameSite=Lax`
+      };
+    }
+  };
+};
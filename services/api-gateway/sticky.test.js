@@ -0,0 +1,91 @@
+import { parseTargets, readCookie, createStickyRouter } from './sticky.js';
+
+const A = 'http://post-a:3003';
+const B = 'http://post-b:3003';
+const C = 'http://post-c:3003';
+
+const request = (cookie) => ({ headers: cookie ? { cookie } : {} });
+// The name=value part of a Set-Cookie header, as the browser sends it back
+const sentBack = (setCookie) => setCookie.split(';')[0];
+
+describe('Sticky sessions - parsing', () => {
+  test('should split a comma separated target list and drop blanks', () => {
+    expect(parseTargets(` ${A}, ${B},, `)).toEqual([A, B]);
+  });
+
+  test('should return no targets for a missing list', () => {
+    expect(parseTargets(undefined)).toEqual([]);
+    expect(parseTargets('')).toEqual([]);
+  });
+
+  test('should read a cookie from the header', () => {
+    expect(readCookie('theme=dark; io_posts=abc123; lang=en', 'io_posts')).toBe('abc123');
+  });
+
+  test('should keep "=" inside cookie values', () => {
+    expect(readCookie('io_posts=a=b', 'io_posts')).toBe('a=b');
+  });
+
+  test('should return null for a missing cookie or header', () => {
+    expect(readCookie('theme=dark', 'io_posts')).toBeNull();
+    expect(readCookie(undefined, 'io_posts')).toBeNull();
+  });
+});
+
+describe('Sticky sessions - routing', () => {
+  test('should hand out targets round robin to new sessions', () => {
+    const router = createStickyRouter('posts', [A, B, C]);
+    const targets = Array.from({ length: 4 }, () => router.route(request()).target);
+    expect(targets).toEqual([A, B, C, A]);
+  });
+
+  test('should pin new sessions with a cookie scoped to socket.io', () => {
+    const router = createStickyRouter('posts', [A, B]);
+    const { cookie } = router.route(request());
+    expect(router.cookieName).toBe('io_posts');
+    expect(cookie).toMatch(/^io_posts=[0-9a-f]{12}; Path=\/socket\.io; Max-Age=86400; HttpOnly; SameSite=Lax$/);
+  });
+
+  test('should keep pinned sessions on their target without a new cookie', () => {
+    const router = createStickyRouter('posts', [A, B]);
+    router.route(request());
+    const { target, cookie } = router.route(request());
+    expect(target).toBe(B);
+
+    for (let i = 0; i < 3; i++) {
+      expect(router.route(request(`theme=dark; ${sentBack(cookie)}`))).toEqual({ target: B, cookie: null });
+    }
+  });
+
+  test('should not advance the round robin for pinned sessions', () => {
+    const router = createStickyRouter('posts', [A, B]);
+    const { cookie } = router.route(request());
+    router.route(request(sentBack(cookie)));
+    expect(router.route(request()).target).toBe(B);
+  });
+
+  test('should give the same target the same cookie across routers', () => {
+    const { cookie } = createStickyRouter('posts', [A, B]).route(request());
+    expect(createStickyRouter('posts', [C, A]).route(request(sentBack(cookie))).target).toBe(A);
+  });
+
+  test('should re-pin sessions with an unknown or stale cookie', () => {
+    const before = createStickyRouter('posts', [A, B]);
+    const { cookie: staleCookie } = before.route(request());
+
+    // Instance A was removed after the cookie was set
+    const router = createStickyRouter('posts', [B, C]);
+    for (const cookie of [sentBack(staleCookie), 'io_posts=unknown', 'io_posts=']) {
+      const routed = router.route(request(cookie));
+      expect([B, C]).toContain(routed.target);
+      expect(routed.cookie).not.toBeNull();
+    }
+  });
+
+  test('should ignore cookies pinned for other services', () => {
+    const { cookie } = createStickyRouter('messages', [A, B]).route(request());
+    const routed = createStickyRouter('posts', [B, A]).route(request(sentBack(cookie)));
+    expect(routed.target).toBe(B);
+    expect(routed.cookie).toMatch(/^io_posts=/);
+  });
+});
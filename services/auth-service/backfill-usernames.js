@@ -0,0 +1,55 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { recordEvent } from "./outbox.js";
+import { usernameBase, usernameKey } from "./usernames.js";
+
+// Usage: npm run backfill-usernames
+// Gives accounts from before usernames one made from their name (anaLopez,
+// then anaLopez2, ...), replicated to user-service like any other change.
+// Their first change afterwards isn't held up by the cooldown. Safe to
+// re-run: only accounts without a username are touched.
+
+dotenv.config();
+
+let updated = 0;
+
+// The first free username for a base, trying base, base2, base3, ...
+const freeUsername = async (users, base) => {
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? base : `${base}${n}`;
+    if (!(await users.findOne({ usernameKey: usernameKey(candidate) }, { projection: { _id: 1 } }))) {
+      return candidate;
+    }
+  }
+};
+
+try {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/auth-service');
+
+  const users = mongoose.connection.collection("users");
+  const cursor = users.find({ usernameKey: { $exists: false } }).project({ firstName: 1, lastName: 1 });
+  for await (const user of cursor) {
+    const username = await freeUsername(users, usernameBase(user.firstName, user.lastName));
+    try {
+      const next = await users.findOneAndUpdate(
+        { _id: user._id, usernameKey: { $exists: false } },
+        { $set: { username, usernameKey: usernameKey(username) }, $inc: { version: 1 } },
+        { returnDocument: "after" }
+      );
+      if (!next) continue;
+      await recordEvent("user.updated", next._id, next.version, { changes: { username } }, null);
+      updated++;
+    } catch (error) {
+      // Someone registered the name meanwhile; a re-run picks another
+      if (error.code !== 11000) throw error;
+      console.log(`⚠️ ${username} was taken meanwhile, skipping ${user._id}`);
+    }
+  }
+
+  console.log(`🏷️ Gave usernames to ${updated} accounts`);
+} catch (error) {
+  console.error("❌ Username backfill failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,108 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Access tokens are signed with RS256. Key pairs live in MongoDB so every
+// auth-service instance signs with the same key, and the public halves are
+// published at /.well-known/jwks.json for other services to verify against.
+// Rotation adds a new active key; the previous one stays published until
+// every token it signed has expired.
+
+export const ALGORITHM = "RS256";
+const RETIRE_AFTER_MS = 24 * 60 * 60 * 1000;
+const RELOAD_INTERVAL_MS = 60 * 1000;
+const UNKNOWN_KID_RELOAD_MS = 5 * 1000;
+
+const signingKeySchema = new mongoose.Schema({
+  kid: { type: String, required: true, unique: true },
+  publicKey: { type: String, required: true },
+  privateKey: { type: String, required: true },
+  status: { type: String, enum: ["active", "retiring", "retired"], default: "active" },
+  createdAt: { type: Date, default: Date.now },
+  rotatedAt: { type: Date, default: null }
+});
+
+// At most one active key across all instances
+signingKeySchema.index({ status: 1 }, { unique: true, partialFilterExpression: { status: "active" } });
+
+export const SigningKey = mongoose.model("SigningKey", signingKeySchema);
+
+let activeKey = null;
+let publicKeys = new Map();
+let jwks = { keys: [] };
+let loadedAt = 0;
+
+const generateKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: "spki", format: "pem" },
+    privateKeyEncoding: { type: "pkcs8", format: "pem" }
+  });
+  return { kid: crypto.randomUUID(), publicKey, privateKey };
+};
+
+const toJwk = (key) => ({
+  ...crypto.createPublicKey(key.publicKey).export({ format: "jwk" }),
+  kid: key.kid,
+  alg: ALGORITHM,
+  use: "sig"
+});
+
+const findPublishedKeys = () => SigningKey.find({ status: { $in: ["active", "retiring"] } });
+
+// Load published keys, creating the first key pair if there is none
+export const loadKeys = async () => {
+  await SigningKey.updateMany(
+    { status: "retiring", rotatedAt: { $lt: new Date(Date.now() - RETIRE_AFTER_MS) } },
+    { status: "retired" }
+  );
+
+  let keys = await findPublishedKeys();
+  if (!keys.some(key => key.status === "active")) {
+    try {
+      await SigningKey.create(generateKey());
+    } catch (err) {
+      // Another instance created it first
+      if (err.code !== 11000) throw err;
+    }
+    keys = await findPublishedKeys();
+  }
+
+  activeKey = keys.find(key => key.status === "active");
+  publicKeys = new Map(keys.map(key => [key.kid, crypto.createPublicKey(key.publicKey)]));
+  jwks = { keys: keys.map(toJwk) };
+  loadedAt = Date.now();
+};
+
+const ensureLoaded = async () => {
+  if (!activeKey || Date.now() - loadedAt > RELOAD_INTERVAL_MS) {
+    await loadKeys();
+  }
+};
+
+export const getSigningKey = async () => {
+  await ensureLoaded();
+  return activeKey;
+};
+
+// Public key for a kid; reloads once in case another instance just rotated
+export const getPublicKey = async (kid) => {
+  await ensureLoaded();
+  if (!publicKeys.has(kid) && Date.now() - loadedAt > UNKNOWN_KID_RELOAD_MS) {
+    await loadKeys();
+  }
+  return publicKeys.get(kid) || null;
+};
+
+export const getJwks = async () => {
+  await ensureLoaded();
+  return jwks;
+};
+
+// Make a new key active and keep the previous one published for verification
+export const rotateKeys = async () => {
+  const next = generateKey();
+  await SigningKey.updateOne({ status: "active" }, { status: "retiring", rotatedAt: new Date() });
+  await SigningKey.create(next);
+  await loadKeys();
+  return next.kid;
+};
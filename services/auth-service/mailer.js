@@ -0,0 +1,86 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+// Outbound mail goes through a transport: any object with
+// `send({ to, subject, text, html })`. MAIL_TRANSPORT picks one:
+//   smtp    - nodemailer over SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - one JSON file per message in MAIL_DIR, for local runs and tests
+//   console - log the message (default)
+
+export const smtpTransport = ({ host, port, user, pass, from }) => {
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure: port === 465,
+    auth: user ? { user, pass } : undefined
+  });
+  return {
+    send: (message) => transporter.sendMail({ from, ...message })
+  };
+};
+
+export const fileTransport = ({ dir, from }) => ({
+  send: async (message) => {
+    await fs.mkdir(dir, { recursive: true });
+    const file = path.join(dir, `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@.]/g, "_")}.json`);
+    await fs.writeFile(file, JSON.stringify({ from, ...message, sentAt: new Date() }, null, 2));
+    return file;
+  }
+});
+
+export const consoleTransport = ({ from }) => ({
+  send: async (message) => {
+    console.log(`📧 Mail from ${from} to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+});
+
+export const createTransport = (env = process.env) => {
+  const from = env.MAIL_FROM || "Social Media Mini <no-reply@localhost>";
+  switch (env.MAIL_TRANSPORT) {
+    case "smtp":
+      return smtpTransport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || 587,
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from
+      });
+    case "file":
+      return fileTransport({ dir: env.MAIL_DIR || "mail-outbox", from });
+    default:
+      return consoleTransport({ from });
+  }
+};
+
+let transport = createTransport();
+
+// Swap the transport, e.g. for tests
+export const setTransport = (next) => {
+  transport = next;
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const appUrl = (pathname, token) =>
+  `${process.env.APP_URL || "http://localhost:5173"}${pathname}?token=${encodeURIComponent(token)}`;
+
+export const sendPasswordReset = (user, token) => {
+  const link = appUrl("/reset-password", token);
+  return transport.send({
+    to: user.email,
+    subject: "Reset your password",
+    text: `Hi ${user.firstName},\n\nReset your password here: ${link}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p><a href="${link}">Reset your password</a></p><p>The link expires in 1 hour. If you didn't ask for this, you can ignore this email.</p>`
+  });
+};
+
+export const sendEmailVerification = (user, token) => {
+  const link = appUrl("/verify-email", token);
+  return transport.send({
+    to: user.email,
+    subject: "Confirm your email address",
+    text: `Hi ${user.firstName},\n\nConfirm your email address here: ${link}\n\nThe link expires in 24 hours.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p><a href="${link}">Confirm your email address</a></p><p>The link expires in 24 hours.</p>`
+  });
+};
@@ -0,0 +1,64 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import {
+  createTransport,
+  fileTransport,
+  setTransport,
+  sendPasswordReset,
+  sendEmailVerification
+} from './mailer.js';
+
+const user = { email: 'john@example.com', firstName: '<John>' };
+
+// Transport that keeps messages in memory
+const memoryTransport = () => {
+  const sent = [];
+  return { sent, send: async (message) => { sent.push(message); } };
+};
+
+describe('Mailer - transports', () => {
+  test('should write one file per message with the file transport', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+    const transport = fileTransport({ dir, from: 'test@localhost' });
+
+    const file = await transport.send({ to: user.email, subject: 'Hello', text: 'Hi' });
+
+    const message = JSON.parse(await fs.readFile(file, 'utf8'));
+    expect(message).toMatchObject({ from: 'test@localhost', to: user.email, subject: 'Hello' });
+    await fs.rm(dir, { recursive: true });
+  });
+
+  test('should pick the transport from MAIL_TRANSPORT', () => {
+    expect(createTransport({ MAIL_TRANSPORT: 'smtp', SMTP_HOST: 'localhost' }).send).toBeInstanceOf(Function);
+    expect(createTransport({ MAIL_TRANSPORT: 'file' }).send).toBeInstanceOf(Function);
+    expect(createTransport({}).send).toBeInstanceOf(Function);
+  });
+});
+
+describe('Mailer - messages', () => {
+  beforeAll(() => {
+    process.env.APP_URL = 'https://social.example';
+  });
+
+  test('should link to the reset page with the token', async () => {
+    const transport = memoryTransport();
+    setTransport(transport);
+
+    await sendPasswordReset(user, 'abc+/=');
+
+    expect(transport.sent).toHaveLength(1);
+    expect(transport.sent[0].to).toBe(user.email);
+    expect(transport.sent[0].text).toContain('https://social.example/reset-password?token=abc%2B%2F%3D');
+  });
+
+  test('should link to the verification page and escape html', async () => {
+    const transport = memoryTransport();
+    setTransport(transport);
+
+    await sendEmailVerification(user, 'xyz');
+
+    expect(transport.sent[0].html).toContain('https://social.example/verify-email?token=xyz');
+    expect(transport.sent[0].html).not.toContain('<John>');
+  });
+});
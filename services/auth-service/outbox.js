@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+
+// Transactional outbox. Changes to replicated user fields write an event
+// in the same transaction as the change; a relay then publishes pending
+// events to the `user-events` Redis stream, where user-service consumes
+// them. Delivery is at-least-once, so consumers must be idempotent.
+
+export const USER_EVENTS_STREAM = "user-events";
+const RELAY_INTERVAL_MS = 1000;
+const RELAY_BATCH_SIZE = 100;
+const LOCK_MS = 30 * 1000;
+const PUBLISHED_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const outboxEventSchema = new mongoose.Schema({
+  type: { type: String, required: true },
+  aggregateId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  version: { type: Number, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  createdAt: { type: Date, default: Date.now },
+  publishedAt: { type: Date, default: null },
+  lockedUntil: { type: Date, default: null },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String }
+});
+
+outboxEventSchema.index({ publishedAt: 1, createdAt: 1 });
+// Published events are kept for a week for debugging, then purged
+outboxEventSchema.index({ publishedAt: 1 }, { expireAfterSeconds: PUBLISHED_RETENTION_SECONDS });
+
+export const OutboxEvent = mongoose.model("OutboxEvent", outboxEventSchema);
+
+// Record an event inside the caller's transaction (session may be null)
+export const recordEvent = (type, aggregateId, version, payload, session) =>
+  OutboxEvent.create([{ type, aggregateId, version, payload }], { session });
+
+let transactionsSupported = true;
+
+const isTransactionUnsupported = (err) =>
+  err.code === 20 || /Transaction numbers are only allowed/.test(err.message);
+
+// Run fn(session) in a transaction. Standalone MongoDB (the default local
+// setup) has no transactions, so there we run fn(null) instead; the relay
+// and the reconcile command cover the small window that opens.
+export const runInTransaction = async (fn) => {
+  if (!transactionsSupported) return fn(null);
+
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await fn(session);
+    });
+    return result;
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err;
+    transactionsSupported = false;
+    console.log("⚠️ Auth Service - MongoDB transactions unavailable, writing outbox events without them");
+    return fn(null);
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Claim the oldest pending event so that only one relay publishes it
+const claimNextEvent = () => {
+  const now = new Date();
+  return OutboxEvent.findOneAndUpdate(
+    { publishedAt: null, $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] },
+    { lockedUntil: new Date(now.getTime() + LOCK_MS), $inc: { attempts: 1 } },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+export const publishEvent = (redisClient, event) =>
+  redisClient.xAdd(USER_EVENTS_STREAM, "*", {
+    id: event._id.toString(),
+    type: event.type,
+    aggregateId: event.aggregateId.toString(),
+    version: String(event.version),
+    payload: JSON.stringify(event.payload),
+    createdAt: event.createdAt.toISOString()
+  });
+
+// Publish pending events in order; returns how many were published
+export const relayPendingEvents = async (redisClient) => {
+  let published = 0;
+  while (published < RELAY_BATCH_SIZE) {
+    const event = await claimNextEvent();
+    if (!event) break;
+
+    try {
+      await publishEvent(redisClient, event);
+      await OutboxEvent.updateOne({ _id: event._id }, { publishedAt: new Date(), lockedUntil: null });
+      published++;
+    } catch (err) {
+      // Unlock so the same event is retried first and order is kept
+      await OutboxEvent.updateOne({ _id: event._id }, { lastError: err.message, lockedUntil: null });
+      throw err;
+    }
+  }
+  return published;
+};
+
+export const startOutboxRelay = (getRedisClient) => {
+  let running = false;
+  return setInterval(async () => {
+    const redisClient = getRedisClient();
+    if (running || !redisClient?.isOpen || mongoose.connection.readyState !== 1) return;
+
+    running = true;
+    try {
+      const published = await relayPendingEvents(redisClient);
+      if (published > 0) console.log(`📤 Published ${published} user events`);
+    } catch (err) {
+      console.error("Outbox relay error:", err.message);
+    } finally {
+      running = false;
+    }
+  }, RELAY_INTERVAL_MS);
+};
@@ -0,0 +1,20 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { rotateKeys } from "./keys.js";
+
+// Usage: npm run rotate-keys
+// Running instances pick the new key up within a minute; tokens signed with
+// the previous key stay valid until they expire.
+
+dotenv.config();
+
+try {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/auth-service');
+  const kid = await rotateKeys();
+  console.log(`🔑 Rotated signing key, new kid: ${kid}`);
+} catch (error) {
+  console.error("❌ Key rotation failed:", error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -4,15 +4,44 @@ import cors from "cors";
 import mongoose from "mongoose";
 import rateLimit from "express-rate-limit";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
-import axios from "axios";
+import { createClient } from "redis";
+import {
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+  isSessionActive,
+  SessionError
+} from "./sessions.js";
+import { loadKeys, getJwks } from "./keys.js";
+import {
+  issueToken,
+  consumeToken,
+  peekToken,
+  recordFailedAttempt,
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION,
+  LOGIN_CHALLENGE
+} from "./tokens.js";
+import { sendPasswordReset, sendEmailVerification } from "./mailer.js";
+import { generateSecret, verifyTotp, otpauthUri } from "./totp.js";
+import { runInTransaction, recordEvent, startOutboxRelay } from "./outbox.js";
+import {
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  findRecoveryCode
+} from "./two-factor.js";
+import { usernameError, usernameKey, nextUsernameChange } from "./usernames.js";
 
 dotenv.config();
 
 const app = express();
 app.set('trust proxy', 1);
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
+app.use(express.json({ limit: '100kb' }));
+app.use(express.urlencoded({ limit: '100kb', extended: true }));
 app.use(cors());
 
 // Rate limiting
@@ -22,12 +51,35 @@ const authLimiter = rateLimit({
   message: { message: 'Too many authentication attempts, please try again later.' }
 });
 
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  message: { message: 'Too many refresh attempts, please try again later.' }
+});
+
 // User Schema
 const userSchema = new mongoose.Schema({
   firstName: { type: String, required: true },
   lastName: { type: String, required: true },
   email: { type: String, required: true, unique: true },
+  // Unique ignoring case (see usernames.js). Accounts from before usernames
+  // get one from `npm run backfill-usernames`.
+  username: { type: String },
+  usernameKey: { type: String, unique: true, sparse: true },
+  usernameChangedAt: { type: Date, default: null },
   password: { type: String, required: true },
+  emailVerified: { type: Boolean, default: false },
+  emailVerifiedAt: { type: Date, default: null },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, default: null },
+    pendingSecret: { type: String, default: null },
+    lastUsedStep: { type: Number, default: 0 },
+    recoveryCodes: [{ hash: String, usedAt: { type: Date, default: null } }],
+    enabledAt: { type: Date, default: null }
+  },
+  // Bumped on every change replicated to user-service
+  version: { type: Number, default: 1 },
   bio: { type: String, default: "" },
   profilePic: { type: String, default: "" },
   createdAt: { type: Date, default: Date.now }
@@ -35,11 +87,25 @@ const userSchema = new mongoose.Schema({
 
 const User = mongoose.model("User", userSchema);
 
+// Redis client (outbox relay)
+let redisClient = null;
+const connectRedis = async () => {
+  try {
+    redisClient = createClient({ url: process.env.REDIS_URL });
+    await redisClient.connect();
+    console.log("✅ Auth Service - Redis Connected");
+  } catch (error) {
+    console.log("⚠️ Auth Service - Redis connection failed:", error.message);
+  }
+};
+
 // Connect to MongoDB
 const connectDB = async () => {
   try {
     await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/auth-service');
     console.log("✅ Auth Service - MongoDB Connected");
+    await loadKeys();
+    console.log("🔑 Auth Service - Signing keys loaded");
   } catch (error) {
     console.error("❌ Auth Service - MongoDB Connection Error:", error);
     process.exit(1);
@@ -47,51 +113,195 @@ const connectDB = async () => {
 };
 
 connectDB();
+connectRedis();
+startOutboxRelay(() => redisClient);
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_CHANGE_COOLDOWN_MS = (parseInt(process.env.USERNAME_CHANGE_COOLDOWN_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+// Duplicate key errors on the username index
+const isUsernameTaken = (err) => err.code === 11000 && Boolean(err.keyPattern?.usernameKey);
+
+// Email a fresh verification link; failures are logged, not surfaced
+const sendVerification = async (user) => {
+  try {
+    const token = await issueToken(user._id, EMAIL_VERIFICATION);
+    await sendEmailVerification(user, token);
+  } catch (mailError) {
+    console.error('Failed to send verification email:', mailError.message);
+  }
+};
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || "Social Media Mini";
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+// Start a session and send the login response
+const completeLogin = async (req, res, user) => {
+  const { token, refreshToken } = await createSession(user._id, {
+    userAgent: req.get("user-agent"),
+    ip: req.ip
+  });
+
+  return res.json({
+    token,
+    refreshToken,
+    user: { 
+      id: user._id, 
+      firstName: user.firstName, 
+      lastName: user.lastName, 
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified
+    },
+  });
+};
+
+// Check a TOTP or recovery code and mark it used. Each TOTP time step and
+// each recovery code is accepted once.
+const useSecondFactor = async (user, code) => {
+  if (!code || !user.twoFactor?.enabled) return false;
+  const value = String(code).trim();
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), value);
+  if (step !== null) {
+    const result = await User.updateOne(
+      { _id: user._id, "twoFactor.lastUsedStep": { $lt: step } },
+      { "twoFactor.lastUsedStep": step }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  const index = findRecoveryCode(user.twoFactor.recoveryCodes, value);
+  if (index !== -1) {
+    const result = await User.updateOne(
+      { _id: user._id, [`twoFactor.recoveryCodes.${index}.usedAt`]: null },
+      { [`twoFactor.recoveryCodes.${index}.usedAt`]: new Date() }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  return false;
+};
+
+// Fields replicated to user-service; never the password
+const replicaFields = (user) => ({
+  _id: user._id.toString(),
+  firstName: user.firstName,
+  lastName: user.lastName,
+  username: user.username,
+  email: user.email,
+  createdAt: user.createdAt
+});
+
+// Every user.updated event carries all of the fields auth-service owns, so
+// applying the newest version brings the copy fully up to date even if an
+// older event was skipped
+const ownedFields = (user) => ({
+  email: user.email,
+  username: user.username
+});
+
+// Internal endpoints are only for other services
+const requireInternalToken = (req, res, next) => {
+  const expected = process.env.INTERNAL_API_TOKEN;
+  if (!expected || req.get("x-internal-token") !== expected) {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  next();
+};
+
+// Auth middleware
+const protect = async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
+  if (!token) {
+    return res.status(401).json({ message: "No token provided" });
+  }
+
+  try {
+    req.auth = await verifyAccessToken(token);
+    next();
+  } catch (err) {
+    if (err instanceof SessionError) {
+      return res.status(401).json({ message: err.message });
+    }
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+};
 
 // Health check
 app.get("/health", (req, res) => {
   res.json({ status: "healthy", service: "auth-service" });
 });
 
+// Public signing keys for local token verification
+app.get("/.well-known/jwks.json", async (req, res) => {
+  try {
+    res.set("Cache-Control", "public, max-age=300");
+    res.json(await getJwks());
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// SESSION STATUS (for other services' revocation checks)
+app.get("/sessions/:sessionId/status", async (req, res) => {
+  try {
+    res.json({ active: await isSessionActive(req.params.sessionId) });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
 // REGISTER
 app.post("/register", authLimiter, async (req, res) => {
   try {
-    const { firstName, lastName, email, password } = req.body;
+    const { firstName, lastName, username, email, password } = req.body;
 
-    if (!firstName || !lastName || !email || !password) {
+    if (!firstName || !lastName || !username || !email || !password) {
       return res.status(400).json({ message: "All fields are required" });
     }
 
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ message: "Invalid email format" });
+    }
+
+    const invalidUsername = usernameError(username);
+    if (invalidUsername) {
+      return res.status(400).json({ message: invalidUsername });
+    }
+
     const userExists = await User.findOne({ email });
     if (userExists) {
       return res.status(400).json({ message: "User already exists" });
     }
 
+    if (await User.exists({ usernameKey: usernameKey(username) })) {
+      return res.status(400).json({ message: "Username already taken" });
+    }
+
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    const user = await User.create({
-      firstName,
-      lastName,
-      email,
-      password: hashedPassword,
+    // The user and its replication event commit together
+    const user = await runInTransaction(async (session) => {
+      const [created] = await User.create([{
+        firstName,
+        lastName,
+        username,
+        usernameKey: usernameKey(username),
+        email,
+        password: hashedPassword,
+      }], { session });
+      await recordEvent("user.created", created._id, created.version, { user: replicaFields(created) }, session);
+      return created;
     });
 
-    // Sync user to user-service
-    try {
-      await axios.post(`${process.env.USER_SERVICE_URL || 'http://user-service:3002'}/sync-user`, {
-        _id: user._id.toString(),
-        firstName: user.firstName,
-        lastName: user.lastName,
-        email: user.email,
-        password: hashedPassword,
-        createdAt: user.createdAt
-      });
-    } catch (syncError) {
-      console.error('Failed to sync user to user-service:', syncError.message);
-    }
+    await sendVerification(user);
 
     return res.status(201).json({ message: "User registered successfully", userId: user._id });
   } catch (err) {
+    if (isUsernameTaken(err)) {
+      return res.status(400).json({ message: "Username already taken" });
+    }
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
@@ -111,25 +321,496 @@ app.post("/login", authLimiter, async (req, res) => {
       return res.status(401).json({ message: "Invalid credentials" });
     }
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, {
-      expiresIn: "7d",
+    // With 2FA on, the password only earns a short-lived challenge
+    if (user.twoFactor?.enabled) {
+      const challengeToken = await issueToken(user._id, LOGIN_CHALLENGE);
+      return res.json({ twoFactorRequired: true, challengeToken });
+    }
+
+    return completeLogin(req, res, user);
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// LOGIN STEP TWO - exchange a challenge token and a TOTP or recovery code
+app.post("/2fa/verify", authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    if (!challengeToken || !code) {
+      return res.status(400).json({ message: "Challenge token and code are required" });
+    }
+
+    const userId = await peekToken(challengeToken, LOGIN_CHALLENGE);
+    const user = userId && await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({ message: "Login expired, please sign in again", challengeExpired: true });
+    }
+
+    if (!(await useSecondFactor(user, code))) {
+      await recordFailedAttempt(challengeToken, LOGIN_CHALLENGE, MAX_CHALLENGE_ATTEMPTS);
+      return res.status(401).json({ message: "Invalid code" });
+    }
+
+    if (!(await consumeToken(challengeToken, LOGIN_CHALLENGE))) {
+      return res.status(401).json({ message: "Login expired, please sign in again", challengeExpired: true });
+    }
+
+    return completeLogin(req, res, user);
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// 2FA STATUS
+app.get("/2fa/status", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    res.json({
+      enabled: Boolean(user.twoFactor?.enabled),
+      recoveryCodesRemaining: user.twoFactor?.enabled
+        ? user.twoFactor.recoveryCodes.filter(c => !c.usedAt).length
+        : 0
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// 2FA SETUP - create a secret to scan; it only takes effect once enabled
+app.post("/2fa/setup", protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save();
+
+    res.json({
+      secret,
+      otpauthUri: otpauthUri({ secret, account: user.email, issuer: TWO_FACTOR_ISSUER })
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// 2FA ENABLE - confirm the pending secret with a code from the app
+app.post("/2fa/enable", authLimiter, protect, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.auth.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ message: "Start two-factor setup first" });
+    }
+
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), String(code).trim());
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid code" });
+    }
+
+    const { codes, stored } = generateRecoveryCodes();
+    user.twoFactor = {
+      enabled: true,
+      secret: user.twoFactor.pendingSecret,
+      pendingSecret: null,
+      lastUsedStep: step,
+      recoveryCodes: stored,
+      enabledAt: new Date()
+    };
+    await user.save();
+
+    res.json({ message: "Two-factor authentication enabled", recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// 2FA DISABLE - requires the password and a current code
+app.post("/2fa/disable", authLimiter, protect, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+    const user = await User.findById(req.auth.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ message: "Invalid password" });
+    }
+
+    if (!(await useSecondFactor(user, code))) {
+      return res.status(401).json({ message: "Invalid code" });
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      twoFactor: { enabled: false, secret: null, pendingSecret: null, lastUsedStep: 0, recoveryCodes: [], enabledAt: null }
+    });
+
+    res.json({ message: "Two-factor authentication disabled" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// 2FA RECOVERY CODES - replace all recovery codes
+app.post("/2fa/recovery-codes", authLimiter, protect, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.auth.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!(await useSecondFactor(user, code))) {
+      return res.status(401).json({ message: "Invalid code" });
+    }
+
+    const { codes, stored } = generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { "twoFactor.recoveryCodes": stored });
+
+    res.json({ recoveryCodes: codes });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// FORGOT PASSWORD - email a reset link. The response is the same whether
+// or not the email is registered.
+app.post("/forgot-password", authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await issueToken(user._id, PASSWORD_RESET);
+      try {
+        await sendPasswordReset(user, token);
+      } catch (mailError) {
+        console.error('Failed to send password reset email:', mailError.message);
+      }
+    }
+
+    res.json({ message: "If that email is registered, a reset link has been sent" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// RESET PASSWORD - set a new password and end every existing session
+app.post("/reset-password", authLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: "Token and password are required" });
+    }
+
+    const userId = await consumeToken(token, PASSWORD_RESET);
+    if (!userId) {
+      return res.status(400).json({ message: "Invalid or expired token" });
+    }
+
+    // Following the emailed link also proves ownership of the address
+    const hashedPassword = await bcrypt.hash(password, 10);
+    await User.updateOne({ _id: userId }, {
+      password: hashedPassword,
+      emailVerified: true,
+      emailVerifiedAt: new Date()
     });
+    await revokeAllSessions(userId, "password_reset");
+
+    res.json({ message: "Password has been reset" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// VERIFY EMAIL
+app.post("/verify-email", authLimiter, async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: "Token is required" });
+    }
+
+    const userId = await consumeToken(token, EMAIL_VERIFICATION);
+    if (!userId) {
+      return res.status(400).json({ message: "Invalid or expired token" });
+    }
 
-    return res.json({
-      token,
-      user: { 
-        id: user._id, 
-        firstName: user.firstName, 
-        lastName: user.lastName, 
-        email: user.email 
-      },
+    await User.updateOne({ _id: userId }, { emailVerified: true, emailVerifiedAt: new Date() });
+
+    res.json({ message: "Email verified" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// RESEND VERIFICATION EMAIL
+app.post("/resend-verification", authLimiter, protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.auth.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email already verified" });
+    }
+
+    await sendVerification(user);
+
+    res.json({ message: "Verification email sent" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// CHANGE EMAIL - needs the password; the new address must be verified again
+app.put("/account/email", authLimiter, protect, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: "Email and password are required" });
+    }
+
+    if (!EMAIL_REGEX.test(email)) {
+      return res.status(400).json({ message: "Invalid email format" });
+    }
+
+    const user = await User.findById(req.auth.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ message: "Invalid password" });
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({ message: "That is already your email" });
+    }
+
+    if (await User.exists({ email })) {
+      return res.status(400).json({ message: "Email already in use" });
+    }
+
+    const updated = await runInTransaction(async (session) => {
+      const next = await User.findByIdAndUpdate(
+        user._id,
+        { email, emailVerified: false, emailVerifiedAt: null, $inc: { version: 1 } },
+        { new: true, session }
+      );
+      await recordEvent("user.updated", next._id, next.version, { user: ownedFields(next) }, session);
+      return next;
     });
+
+    await sendVerification(updated);
+
+    res.json({ message: "Email updated. Check your inbox to confirm it.", email: updated.email });
   } catch (err) {
+    if (err.code === 11000) {
+      return res.status(400).json({ message: "Email already in use" });
+    }
     res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
-// VERIFY TOKEN (for other services)
+// DELETE ACCOUNT - needs the password, and a code when 2FA is on
+app.delete("/account", authLimiter, protect, async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    const user = await User.findById(req.auth.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!password || !(await bcrypt.compare(password, user.password))) {
+      return res.status(401).json({ message: "Invalid password" });
+    }
+
+    if (user.twoFactor?.enabled && !(await useSecondFactor(user, code))) {
+      return res.status(401).json({ message: "Invalid code" });
+    }
+
+    await runInTransaction(async (session) => {
+      await User.deleteOne({ _id: user._id }, { session });
+      await recordEvent("user.deleted", user._id, user.version + 1, { userId: user._id.toString() }, session);
+    });
+    await revokeAllSessions(user._id, "account_deleted");
+
+    res.json({ message: "Account deleted" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// LIST USERS (internal, for user-service reconciliation) - keyset pages by _id
+app.get("/internal/users", requireInternalToken, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 500, 1), 1000);
+    const filter = {};
+    if (req.query.after) {
+      if (!mongoose.isValidObjectId(req.query.after)) {
+        return res.status(400).json({ message: "Invalid cursor" });
+      }
+      filter._id = { $gt: req.query.after };
+    }
+
+    const users = await User.find(filter).sort({ _id: 1 }).limit(limit);
+
+    res.json({
+      users: users.map(user => ({ ...replicaFields(user), version: user.version })),
+      nextAfter: users.length === limit ? users[users.length - 1]._id : null
+    });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// CHANGE USERNAME (internal, for user-service's PUT /me). Usernames can
+// change once per USERNAME_CHANGE_COOLDOWN_DAYS.
+app.put("/internal/users/:userId/username", requireInternalToken, async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    const invalidUsername = usernameError(username);
+    if (invalidUsername) {
+      return res.status(400).json({ message: invalidUsername });
+    }
+
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (username === user.username) {
+      return res.status(400).json({ message: "That is already your username" });
+    }
+
+    const nextChangeAt = nextUsernameChange(user.usernameChangedAt, USERNAME_CHANGE_COOLDOWN_MS);
+    if (nextChangeAt) {
+      return res.status(429).json({ message: "You changed your username too recently", nextChangeAt });
+    }
+
+    const key = usernameKey(username);
+    if (key !== user.usernameKey && await User.exists({ usernameKey: key })) {
+      return res.status(409).json({ message: "Username already taken" });
+    }
+
+    const updated = await runInTransaction(async (session) => {
+      const next = await User.findByIdAndUpdate(
+        user._id,
+        { username, usernameKey: key, usernameChangedAt: new Date(), $inc: { version: 1 } },
+        { new: true, session }
+      );
+      await recordEvent("user.updated", next._id, next.version, { user: ownedFields(next) }, session);
+      return next;
+    });
+
+    res.json({ ...ownedFields(updated), usernameChangedAt: updated.usernameChangedAt, version: updated.version });
+  } catch (err) {
+    if (isUsernameTaken(err)) {
+      return res.status(409).json({ message: "Username already taken" });
+    }
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// REFRESH - exchange a refresh token for a new token pair
+app.post("/refresh", refreshLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const { token, refreshToken: nextRefreshToken } = await rotateRefreshToken(refreshToken);
+    res.json({ token, refreshToken: nextRefreshToken });
+  } catch (err) {
+    if (err instanceof SessionError) {
+      return res.status(401).json({ message: err.message });
+    }
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// LOGOUT - revoke the session a refresh token belongs to
+app.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const session = await findSessionByRefreshToken(refreshToken);
+    if (session) {
+      await revokeSession(session._id);
+    }
+
+    res.json({ message: "Logged out" });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// LOGOUT ALL - revoke every session of the current user
+app.post("/logout-all", protect, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.auth.id);
+    res.json({ message: "Logged out of all sessions", revoked });
+  } catch (err) {
+    res.status(500).json({ message: "Server error", error: err.message });
+  }
+});
+
+// VERIFY TOKEN (for services that don't verify locally). Never returns the
+// password or two-factor secrets.
 app.post("/verify", async (req, res) => {
   try {
     const { token } = req.body;
@@ -138,8 +819,8 @@ app.post("/verify", async (req, res) => {
       return res.status(401).json({ message: "No token provided" });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select("-password");
+    const decoded = await verifyAccessToken(token);
+    const user = await User.findById(decoded.id).select("-password -twoFactor");
     
     if (!user) {
       return res.status(401).json({ message: "Invalid token" });
@@ -147,7 +828,10 @@ app.post("/verify", async (req, res) => {
 
     res.json({ user });
   } catch (err) {
-    res.status(401).json({ message: "Invalid token", error: err.message });
+    if (err instanceof SessionError) {
+      return res.status(401).json({ message: err.message });
+    }
+    res.status(500).json({ message: "Server error", error: err.message });
   }
 });
 
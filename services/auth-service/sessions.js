@@ -0,0 +1,158 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import jwt from "jsonwebtoken";
+import { ALGORITHM, getSigningKey, getPublicKey } from "./keys.js";
+
+// Access tokens are short-lived JWTs that carry their session id (`sid`).
+// Refresh tokens are opaque, single-use and only stored as SHA-256 hashes;
+// every refresh rotates them. Presenting a refresh token that was already
+// used means it has been copied, so the whole session is revoked.
+
+export const ACCESS_TOKEN_TTL = "15m";
+export const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  userAgent: { type: String, default: "" },
+  ip: { type: String, default: "" },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String }
+});
+
+const refreshTokenSchema = new mongoose.Schema({
+  session: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+});
+
+// Let MongoDB purge expired refresh tokens
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
+export const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+// Raised for any token or session that must be answered with a 401
+export class SessionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "SessionError";
+  }
+}
+
+export const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = async (userId, sessionId) => {
+  const key = await getSigningKey();
+  return jwt.sign({ id: userId, sid: sessionId }, key.privateKey, {
+    algorithm: ALGORITHM,
+    keyid: key.kid,
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+};
+
+const issueRefreshToken = async (sessionId) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  await RefreshToken.create({
+    session: sessionId,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  });
+  return token;
+};
+
+// Start a session and issue its first token pair
+export const createSession = async (userId, { userAgent = "", ip = "" } = {}) => {
+  const session = await Session.create({ user: userId, userAgent, ip });
+  return {
+    token: await signAccessToken(userId, session._id),
+    refreshToken: await issueRefreshToken(session._id),
+    sessionId: session._id
+  };
+};
+
+export const revokeSession = (sessionId, reason = "logout") =>
+  Session.updateOne({ _id: sessionId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+
+// Revoke every active session of a user; returns how many were revoked
+export const revokeAllSessions = async (userId, reason = "logout_all") => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+// Exchange a refresh token for a new token pair
+export const rotateRefreshToken = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!stored || stored.expiresAt < new Date()) {
+    throw new SessionError("Invalid refresh token");
+  }
+
+  const session = await Session.findById(stored.session);
+  if (!session || session.revokedAt) {
+    throw new SessionError("Session revoked");
+  }
+
+  // Claim the token atomically so two refreshes can't both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, usedAt: null },
+    { usedAt: new Date() }
+  );
+  if (!claimed) {
+    await revokeSession(session._id, "refresh_token_reuse");
+    throw new SessionError("Refresh token reuse detected");
+  }
+
+  session.lastUsedAt = new Date();
+  await session.save();
+
+  return {
+    token: await signAccessToken(session.user, session._id),
+    refreshToken: await issueRefreshToken(session._id),
+    userId: session.user
+  };
+};
+
+// Session that a refresh token belongs to, if any
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  return stored ? Session.findById(stored.session) : null;
+};
+
+// Whether a session can still be used, for services verifying tokens locally
+export const isSessionActive = async (sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  const session = await Session.findById(sessionId).select("revokedAt");
+  return Boolean(session && !session.revokedAt);
+};
+
+// Verify an access token's signature, expiry and session
+export const verifyAccessToken = async (token) => {
+  const kid = jwt.decode(token, { complete: true })?.header?.kid;
+  const key = kid && await getPublicKey(kid);
+  if (!key) {
+    throw new SessionError("Invalid token");
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, key, { algorithms: [ALGORITHM] });
+  } catch {
+    throw new SessionError("Invalid token");
+  }
+
+  if (!decoded.sid) {
+    throw new SessionError("Invalid token");
+  }
+
+  const session = await Session.findById(decoded.sid);
+  if (!session || session.revokedAt) {
+    throw new SessionError("Session revoked");
+  }
+
+  return decoded;
+};
@@ -0,0 +1,143 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+import jwt from 'jsonwebtoken';
+
+process.env.NODE_ENV = 'test';
+
+const { SigningKey, getJwks, rotateKeys, loadKeys } = await import('./keys.js');
+const {
+  Session,
+  createSession,
+  rotateRefreshToken,
+  findSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+  SessionError
+} = await import('./sessions.js');
+
+let mongoServer;
+const userId = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    await collections[key].deleteMany({});
+  }
+  await loadKeys();
+});
+
+describe('Auth Service - Sessions', () => {
+  test('should issue a short-lived access token bound to a session', async () => {
+    const { token, refreshToken, sessionId } = await createSession(userId);
+
+    const { header, payload: decoded } = jwt.decode(token, { complete: true });
+    expect(header.alg).toBe('RS256');
+    expect(decoded.id).toBe(userId.toString());
+    expect(decoded.sid).toBe(sessionId.toString());
+    expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    expect(refreshToken).toBeTruthy();
+  });
+
+  test('should rotate refresh tokens', async () => {
+    const first = await createSession(userId);
+    const second = await rotateRefreshToken(first.refreshToken);
+
+    expect(second.refreshToken).not.toBe(first.refreshToken);
+    await expect(verifyAccessToken(second.token)).resolves.toMatchObject({ id: userId.toString() });
+
+    const third = await rotateRefreshToken(second.refreshToken);
+    expect(third.token).toBeTruthy();
+  });
+
+  test('should revoke the session when a used refresh token is replayed', async () => {
+    const { refreshToken, sessionId } = await createSession(userId);
+    const rotated = await rotateRefreshToken(refreshToken);
+
+    await expect(rotateRefreshToken(refreshToken)).rejects.toThrow('Refresh token reuse detected');
+
+    const session = await Session.findById(sessionId);
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+    await expect(rotateRefreshToken(rotated.refreshToken)).rejects.toThrow(SessionError);
+    await expect(verifyAccessToken(rotated.token)).rejects.toThrow('Session revoked');
+  });
+
+  test('should reject unknown refresh tokens', async () => {
+    await expect(rotateRefreshToken('not-a-token')).rejects.toThrow('Invalid refresh token');
+  });
+
+  test('should reject access tokens after logout', async () => {
+    const { token, refreshToken } = await createSession(userId);
+
+    const session = await findSessionByRefreshToken(refreshToken);
+    await revokeSession(session._id);
+
+    await expect(verifyAccessToken(token)).rejects.toThrow('Session revoked');
+    await expect(rotateRefreshToken(refreshToken)).rejects.toThrow('Session revoked');
+  });
+
+  test('should revoke every session on logout-all', async () => {
+    const laptop = await createSession(userId);
+    const phone = await createSession(userId);
+    const otherUser = await createSession(new mongoose.Types.ObjectId());
+
+    const revoked = await revokeAllSessions(userId);
+
+    expect(revoked).toBe(2);
+    await expect(verifyAccessToken(laptop.token)).rejects.toThrow(SessionError);
+    await expect(verifyAccessToken(phone.token)).rejects.toThrow(SessionError);
+    await expect(verifyAccessToken(otherUser.token)).resolves.toBeTruthy();
+  });
+
+  test('should reject legacy tokens signed with the shared secret', async () => {
+    const legacy = jwt.sign({ id: userId }, 'testsecret', { expiresIn: '7d' });
+    await expect(verifyAccessToken(legacy)).rejects.toThrow('Invalid token');
+  });
+});
+
+describe('Auth Service - Signing keys', () => {
+  test('should publish the active key in the JWKS', async () => {
+    const { token } = await createSession(userId);
+    const { header } = jwt.decode(token, { complete: true });
+
+    const { keys } = await getJwks();
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).toMatchObject({ kid: header.kid, kty: 'RSA', alg: 'RS256', use: 'sig' });
+    expect(keys[0].d).toBeUndefined();
+  });
+
+  test('should keep verifying tokens signed before a rotation', async () => {
+    const before = await createSession(userId);
+    const newKid = await rotateKeys();
+    const after = await createSession(userId);
+
+    expect(jwt.decode(after.token, { complete: true }).header.kid).toBe(newKid);
+    await expect(verifyAccessToken(before.token)).resolves.toBeTruthy();
+    await expect(verifyAccessToken(after.token)).resolves.toBeTruthy();
+
+    const { keys } = await getJwks();
+    expect(keys.map(key => key.kid)).toContain(newKid);
+    expect(keys).toHaveLength(2);
+  });
+
+  test('should stop publishing retired keys', async () => {
+    const { token } = await createSession(userId);
+    await rotateKeys();
+    await SigningKey.updateMany({ status: 'retiring' }, { rotatedAt: new Date(Date.now() - 2 * 24 * 60 * 60 * 1000) });
+    await loadKeys();
+
+    const { keys } = await getJwks();
+    expect(keys).toHaveLength(1);
+    await expect(verifyAccessToken(token)).rejects.toThrow('Invalid token');
+  });
+});
@@ -0,0 +1,78 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { hashToken } from "./sessions.js";
+
+// Single-use account tokens: links sent by email (password reset, email
+// verification) and the challenge between the two steps of a 2FA login.
+// Only the SHA-256 hash is stored; issuing a new token for a purpose
+// invalidates the user's earlier ones.
+
+export const PASSWORD_RESET = "password_reset";
+export const EMAIL_VERIFICATION = "email_verification";
+export const LOGIN_CHALLENGE = "login_challenge";
+
+export const TOKEN_TTL_MS = {
+  [PASSWORD_RESET]: 60 * 60 * 1000,
+  [EMAIL_VERIFICATION]: 24 * 60 * 60 * 1000,
+  [LOGIN_CHALLENGE]: 5 * 60 * 1000
+};
+
+const accountTokenSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, required: true },
+  purpose: { type: String, enum: [PASSWORD_RESET, EMAIL_VERIFICATION, LOGIN_CHALLENGE], required: true },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  failedAttempts: { type: Number, default: 0 }
+});
+
+accountTokenSchema.index({ user: 1, purpose: 1 });
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AccountToken = mongoose.model("AccountToken", accountTokenSchema);
+
+// Create a token for a purpose and return the raw value to hand out
+export const issueToken = async (userId, purpose) => {
+  await AccountToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  await AccountToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+  });
+  return token;
+};
+
+const validToken = (token, purpose) => ({
+  tokenHash: hashToken(token),
+  purpose,
+  usedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+// Mark a token used and return its user id, or null if it is unknown,
+// expired or already used
+export const consumeToken = async (token, purpose) => {
+  const stored = await AccountToken.findOneAndUpdate(validToken(token, purpose), { usedAt: new Date() });
+  return stored ? stored.user : null;
+};
+
+// User id of a valid token without using it up, or null
+export const peekToken = async (token, purpose) => {
+  const stored = await AccountToken.findOne(validToken(token, purpose));
+  return stored ? stored.user : null;
+};
+
+// Count a wrong answer against a token; burns it after maxAttempts
+export const recordFailedAttempt = async (token, purpose, maxAttempts) => {
+  const stored = await AccountToken.findOneAndUpdate(
+    validToken(token, purpose),
+    { $inc: { failedAttempts: 1 } },
+    { new: true }
+  );
+  if (stored && stored.failedAttempts >= maxAttempts) {
+    await AccountToken.updateOne({ _id: stored._id }, { usedAt: new Date() });
+  }
+};
@@ -0,0 +1,69 @@
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+process.env.NODE_ENV = 'test';
+
+const {
+  AccountToken,
+  issueToken,
+  consumeToken,
+  PASSWORD_RESET,
+  EMAIL_VERIFICATION
+} = await import('./tokens.js');
+
+let mongoServer;
+const userId = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const collections = mongoose.connection.collections;
+  for (const key in collections) {
+    await collections[key].deleteMany({});
+  }
+});
+
+describe('Auth Service - Account tokens', () => {
+  test('should store only a hash of the token', async () => {
+    const token = await issueToken(userId, PASSWORD_RESET);
+
+    const stored = await AccountToken.findOne({ user: userId });
+    expect(stored.tokenHash).not.toBe(token);
+    expect(stored.tokenHash).toHaveLength(64);
+  });
+
+  test('should be single-use', async () => {
+    const token = await issueToken(userId, PASSWORD_RESET);
+
+    expect((await consumeToken(token, PASSWORD_RESET)).toString()).toBe(userId.toString());
+    expect(await consumeToken(token, PASSWORD_RESET)).toBeNull();
+  });
+
+  test('should not accept a token for another purpose', async () => {
+    const token = await issueToken(userId, EMAIL_VERIFICATION);
+    expect(await consumeToken(token, PASSWORD_RESET)).toBeNull();
+  });
+
+  test('should reject expired tokens', async () => {
+    const token = await issueToken(userId, PASSWORD_RESET);
+    await AccountToken.updateOne({ user: userId }, { expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await consumeToken(token, PASSWORD_RESET)).toBeNull();
+  });
+
+  test('should invalidate earlier tokens when a new one is issued', async () => {
+    const first = await issueToken(userId, PASSWORD_RESET);
+    const second = await issueToken(userId, PASSWORD_RESET);
+
+    expect(await consumeToken(first, PASSWORD_RESET)).toBeNull();
+    expect(await consumeToken(second, PASSWORD_RESET)).not.toBeNull();
+  });
+});
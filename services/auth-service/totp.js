@@ -0,0 +1,78 @@
+import crypto from "crypto";
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30s steps)
+// with the RFC 4648 base32 encoding authenticator apps expect.
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, "").replace(/\s/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 character");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// RFC 4226 HOTP value for a counter
+export const hotp = (secret, counter, digits = DIGITS) => {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+  return code.toString().padStart(digits, "0");
+};
+
+export const timeStep = (timeMs = Date.now()) => Math.floor(timeMs / 1000 / STEP_SECONDS);
+
+export const totp = (secret, timeMs = Date.now(), digits = DIGITS) => hotp(secret, timeStep(timeMs), digits);
+
+// Time step the code matches within ±window steps (to allow for clock
+// drift), or null. Callers reject steps at or before the last one used.
+export const verifyTotp = (secret, code, { timeMs = Date.now(), window = 1 } = {}) => {
+  if (!/^\d{6}$/.test(code)) return null;
+  const current = timeStep(timeMs);
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = Buffer.from(hotp(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(code))) return step;
+  }
+  return null;
+};
+
+export const otpauthUri = ({ secret, account, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({ secret, issuer, algorithm: "SHA1", digits: DIGITS, period: STEP_SECONDS });
+  return `otpauth://totp/${label}?${params}`;
+};
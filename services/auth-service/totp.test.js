@@ -0,0 +1,64 @@
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  totp,
+  verifyTotp,
+  otpauthUri
+} from './totp.js';
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP - base32', () => {
+  test('should encode RFC 4648 test vectors', () => {
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    expect(base32Encode(Buffer.from('f'))).toBe('MY');
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+  });
+
+  test('should round-trip random secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toHaveLength(32);
+    expect(base32Encode(base32Decode(secret))).toBe(secret);
+  });
+
+  test('should reject invalid characters', () => {
+    expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('TOTP - codes', () => {
+  test.each([
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130']
+  ])('should match the RFC 6238 vector at %i', (seconds, expected) => {
+    expect(totp(RFC_SECRET, seconds * 1000, 8)).toBe(expected);
+  });
+
+  test('should accept codes from the adjacent step only', () => {
+    const now = 1700000000000;
+    const previous = totp(RFC_SECRET, now - 30000);
+    const stale = totp(RFC_SECRET, now - 90000);
+
+    expect(verifyTotp(RFC_SECRET, totp(RFC_SECRET, now), { timeMs: now })).toBe(Math.floor(now / 30000));
+    expect(verifyTotp(RFC_SECRET, previous, { timeMs: now })).toBe(Math.floor(now / 30000) - 1);
+    expect(verifyTotp(RFC_SECRET, stale, { timeMs: now })).toBeNull();
+  });
+
+  test('should reject malformed codes', () => {
+    expect(verifyTotp(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+  });
+
+  test('should build an otpauth URI', () => {
+    const uri = otpauthUri({ secret: RFC_SECRET, account: 'john@example.com', issuer: 'Social Media Mini' });
+    expect(uri).toMatch(/^otpauth:\/\/totp\/Social%20Media%20Mini%3Ajohn%40example\.com\?/);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+    expect(uri).toContain('issuer=Social+Media+Mini');
+  });
+});
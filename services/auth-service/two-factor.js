@@ -0,0 +1,56 @@
+import crypto from "crypto";
+import { base32Encode } from "./totp.js";
+
+// TOTP secrets are encrypted at rest with AES-256-GCM under a key derived
+// from TWO_FACTOR_ENCRYPTION_KEY. Recovery codes are shown once and only
+// their SHA-256 hashes are stored.
+
+export const RECOVERY_CODE_COUNT = 10;
+
+const encryptionKey = () => {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error("TWO_FACTOR_ENCRYPTION_KEY is not set");
+  }
+  return crypto.createHash("sha256").update(secret).digest();
+};
+
+// Encrypted form is "iv.tag.ciphertext", each base64url
+export const encryptSecret = (plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString("base64url")).join(".");
+};
+
+export const decryptSecret = (encrypted) => {
+  const [iv, tag, ciphertext] = encrypted.split(".").map(part => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString("utf8");
+};
+
+export const normalizeRecoveryCode = (code) => code.toUpperCase().replace(/[^A-Z2-7]/g, "");
+
+export const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+// Fresh recovery codes formatted as XXXXX-XXXXX, plus what to store
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+  return {
+    codes,
+    stored: codes.map(code => ({ hash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+// Index of the unused recovery code matching `code`, or -1
+export const findRecoveryCode = (recoveryCodes, code) => {
+  const hash = Buffer.from(hashRecoveryCode(code));
+  return recoveryCodes.findIndex(stored =>
+    !stored.usedAt && crypto.timingSafeEqual(Buffer.from(stored.hash), hash)
+  );
+};
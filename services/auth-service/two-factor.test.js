@@ -0,0 +1,61 @@
+import {
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  findRecoveryCode,
+  RECOVERY_CODE_COUNT
+} from './two-factor.js';
+
+process.env.TWO_FACTOR_ENCRYPTION_KEY = 'testkey';
+
+describe('Two-factor - secret encryption', () => {
+  test('should round-trip a secret', () => {
+    const encrypted = encryptSecret('GEZDGNBVGY3TQOJQ');
+    expect(encrypted).not.toContain('GEZDGNBVGY3TQOJQ');
+    expect(decryptSecret(encrypted)).toBe('GEZDGNBVGY3TQOJQ');
+  });
+
+  test('should use a fresh IV every time', () => {
+    expect(encryptSecret('same')).not.toBe(encryptSecret('same'));
+  });
+
+  test('should reject tampered ciphertext', () => {
+    const [iv, tag, ciphertext] = encryptSecret('GEZDGNBVGY3TQOJQ').split('.');
+    const flipped = Buffer.from(ciphertext, 'base64url');
+    flipped[0] ^= 1;
+    expect(() => decryptSecret([iv, tag, flipped.toString('base64url')].join('.'))).toThrow();
+  });
+
+  test('should fail without a key', () => {
+    const key = process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    delete process.env.TWO_FACTOR_ENCRYPTION_KEY;
+    expect(() => encryptSecret('secret')).toThrow('TWO_FACTOR_ENCRYPTION_KEY is not set');
+    process.env.TWO_FACTOR_ENCRYPTION_KEY = key;
+  });
+});
+
+describe('Two-factor - recovery codes', () => {
+  test('should generate unique formatted codes and store only hashes', () => {
+    const { codes, stored } = generateRecoveryCodes();
+
+    expect(codes).toHaveLength(RECOVERY_CODE_COUNT);
+    expect(new Set(codes).size).toBe(RECOVERY_CODE_COUNT);
+    codes.forEach(code => expect(code).toMatch(/^[A-Z2-7]{5}-[A-Z2-7]{5}$/));
+    expect(stored.map(s => s.hash)).not.toContain(codes[0]);
+  });
+
+  test('should match codes regardless of case and dashes', () => {
+    const { codes, stored } = generateRecoveryCodes();
+
+    expect(findRecoveryCode(stored, codes[3])).toBe(3);
+    expect(findRecoveryCode(stored, codes[3].toLowerCase().replace('-', ''))).toBe(3);
+    expect(findRecoveryCode(stored, 'AAAAA-AAAAA')).toBe(-1);
+  });
+
+  test('should skip used codes', () => {
+    const { codes, stored } = generateRecoveryCodes();
+    stored[0].usedAt = new Date();
+
+    expect(findRecoveryCode(stored, codes[0])).toBe(-1);
+  });
+});
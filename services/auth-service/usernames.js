@@ -0,0 +1,42 @@
+// Usernames are unique ignoring case. `username` keeps the case the user
+// chose for display; `usernameKey`, its lowercase form, carries the unique
+// index and is what lookups use.
+
+export const MIN_USERNAME_LENGTH = 3;
+export const MAX_USERNAME_LENGTH = 30;
+
+const USERNAME_PATTERN = new RegExp(`^[a-zA-Z0-9_]{${MIN_USERNAME_LENGTH},${MAX_USERNAME_LENGTH}}$`);
+
+// Names that would read as the site speaking, or clash with app routes
+const RESERVED_USERNAMES = new Set(["admin", "administrator", "api", "me", "moderator", "root", "support", "system"]);
+
+export const usernameKey = (username) => username.toLowerCase();
+
+// Why `username` can't be used, or null if it can
+export const usernameError = (username) => {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) {
+    return `Usernames are ${MIN_USERNAME_LENGTH}-${MAX_USERNAME_LENGTH} letters, digits or underscores`;
+  }
+  if (/^\d+$/.test(username)) return "Usernames need at least one letter or underscore";
+  if (RESERVED_USERNAMES.has(usernameKey(username))) return "That username is reserved";
+  return null;
+};
+
+// When a user who last changed their username at `changedAt` may change it
+// again, or null if they may now
+export const nextUsernameChange = (changedAt, cooldownMs, now = Date.now()) => {
+  if (!changedAt) return null;
+  const next = new Date(changedAt).getTime() + cooldownMs;
+  return next > now ? new Date(next) : null;
+};
+
+// A valid username made from a user's name, for accounts from before
+// usernames; the caller appends digits until it is free
+export const usernameBase = (firstName, lastName) => {
+  const base = `${firstName || ""}${lastName || ""}`
+    .normalize("NFKD")
+    .replace(/[^a-zA-Z0-9_]/g, "")
+    .toLowerCase()
+    .slice(0, MAX_USERNAME_LENGTH - 6);
+  return usernameError(base) ? `user_${base}`.slice(0, MAX_USERNAME_LENGTH - 6) : base;
+};
@@ -0,0 +1,54 @@
+import { usernameError, usernameKey, nextUsernameChange, usernameBase } from './usernames.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Usernames - validation', () => {
+  test('should accept letters, digits and underscores', () => {
+    expect(usernameError('Ana_Lopez99')).toBeNull();
+    expect(usernameError('abc')).toBeNull();
+  });
+
+  test('should reject bad lengths and characters', () => {
+    expect(usernameError('ab')).toMatch(/3-30/);
+    expect(usernameError('a'.repeat(31))).toMatch(/3-30/);
+    expect(usernameError('ana.lopez')).toMatch(/3-30/);
+    expect(usernameError('añá')).toMatch(/3-30/);
+    expect(usernameError(undefined)).toMatch(/3-30/);
+  });
+
+  test('should reject digits only and reserved names in any case', () => {
+    expect(usernameError('12345')).toMatch(/letter/);
+    expect(usernameError('Admin')).toMatch(/reserved/);
+  });
+
+  test('should compare usernames ignoring case', () => {
+    expect(usernameKey('Ana_Lopez')).toBe(usernameKey('ANA_lopez'));
+  });
+});
+
+describe('Usernames - change cooldown', () => {
+  const now = Date.parse('2026-03-01T00:00:00Z');
+
+  test('should allow a first change', () => {
+    expect(nextUsernameChange(null, 30 * DAY, now)).toBeNull();
+  });
+
+  test('should wait out the cooldown after a change', () => {
+    const changedAt = new Date(now - 10 * DAY);
+    expect(nextUsernameChange(changedAt, 30 * DAY, now)).toEqual(new Date(now + 20 * DAY));
+    expect(nextUsernameChange(changedAt, 10 * DAY, now)).toBeNull();
+  });
+});
+
+describe('Usernames - defaults for older accounts', () => {
+  test('should build a valid base from the name', () => {
+    expect(usernameBase('Zoë', "O'Brien")).toBe('zoeobrien');
+    expect(usernameError(usernameBase('Zoë', "O'Brien"))).toBeNull();
+  });
+
+  test('should fall back when the name gives too little', () => {
+    expect(usernameBase('李', '')).toBe('user_');
+    expect(usernameBase('Jo', '')).toBe('user_jo');
+    expect(usernameBase('Admin', '')).toBe('user_admin');
+  });
+});
@@ -0,0 +1,88 @@
+import sharp from "sharp";
+
+// Uploaded images are identified by their leading bytes, never by the
+// client's Content-Type or file name. Accepted images are re-encoded, which
+// applies and then drops EXIF data (camera details, GPS position).
+
+export const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+export const THUMBNAIL_SIZE = 320;
+// Guards against decompression bombs: small files that decode to huge images
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+export class MediaError extends Error {}
+
+const ascii = (buffer, start, end) => buffer.subarray(start, end).toString("latin1");
+
+const FORMATS = [
+  {
+    ext: "jpg",
+    contentType: "image/jpeg",
+    sharpFormat: "jpeg",
+    matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff
+  },
+  {
+    ext: "png",
+    contentType: "image/png",
+    sharpFormat: "png",
+    matches: (b) => ascii(b, 0, 8) === "\x89PNG\r\n\x1a\n"
+  },
+  {
+    ext: "gif",
+    contentType: "image/gif",
+    sharpFormat: "gif",
+    matches: (b) => ["GIF87a", "GIF89a"].includes(ascii(b, 0, 6))
+  },
+  {
+    ext: "webp",
+    contentType: "image/webp",
+    sharpFormat: "webp",
+    matches: (b) => ascii(b, 0, 4) === "RIFF" && ascii(b, 8, 12) === "WEBP"
+  }
+];
+
+export const CONTENT_TYPES = Object.fromEntries(FORMATS.map(f => [f.ext, f.contentType]));
+
+// The accepted format a buffer starts with, or null
+export const detectFormat = (buffer) =>
+  buffer.length >= 12 ? FORMATS.find(format => format.matches(buffer)) || null : null;
+
+// Validate an upload and produce the stored original and a WebP thumbnail
+export const processImage = async (buffer) => {
+  const format = detectFormat(buffer);
+  if (!format) {
+    throw new MediaError("Unsupported file type. Upload a JPEG, PNG, GIF or WebP image");
+  }
+
+  // Animated GIFs keep every frame; other formats are re-encoded upright
+  const animated = format.ext === "gif";
+  const load = () => sharp(buffer, { animated, limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+  try {
+    const { data: original, info } = await load()
+      .toFormat(format.sharpFormat)
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+
+    return {
+      ext: format.ext,
+      contentType: format.contentType,
+      original,
+      thumbnail,
+      width: info.width,
+      height: info.pageHeight || info.height
+    };
+  } catch (err) {
+    throw new MediaError(`Image could not be processed: ${err.message}`);
+  }
+};
+
+// Decode a `data:image/...;base64,` URL into its bytes, or null
+export const decodeDataUrl = (value) => {
+  const match = /^data:[\w/+.-]+;base64,(.*)$/s.exec(value);
+  return match ? Buffer.from(match[1], "base64") : null;
+};
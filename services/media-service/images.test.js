@@ -0,0 +1,62 @@
+import sharp from 'sharp';
+import { detectFormat, processImage, decodeDataUrl, MediaError, THUMBNAIL_SIZE } from './images.js';
+
+const makeImage = (format, width = 800, height = 600) =>
+  sharp({ create: { width, height, channels: 3, background: '#4267B2' } }).toFormat(format).toBuffer();
+
+describe('Images - format detection', () => {
+  test.each(['jpeg', 'png', 'gif', 'webp'])('should recognise %s by its magic bytes', async (format) => {
+    const detected = detectFormat(await makeImage(format, 10, 10));
+    expect(detected.sharpFormat).toBe(format);
+  });
+
+  test('should reject files that only claim to be images', () => {
+    expect(detectFormat(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>'))).toBeNull();
+    expect(detectFormat(Buffer.from('<html><script>alert(1)</script></html>'))).toBeNull();
+    expect(detectFormat(Buffer.from([0xff, 0xd8]))).toBeNull();
+  });
+});
+
+describe('Images - processing', () => {
+  test('should keep the format and size and make a WebP thumbnail', async () => {
+    const image = await processImage(await makeImage('png'));
+
+    expect(image).toMatchObject({ ext: 'png', contentType: 'image/png', width: 800, height: 600 });
+    const thumbnail = await sharp(image.thumbnail).metadata();
+    expect(thumbnail.format).toBe('webp');
+    expect(Math.max(thumbnail.width, thumbnail.height)).toBe(THUMBNAIL_SIZE);
+  });
+
+  test('should not enlarge small images for the thumbnail', async () => {
+    const image = await processImage(await makeImage('jpeg', 100, 50));
+
+    const thumbnail = await sharp(image.thumbnail).metadata();
+    expect([thumbnail.width, thumbnail.height]).toEqual([100, 50]);
+  });
+
+  test('should strip EXIF metadata', async () => {
+    const withExif = await sharp(await makeImage('jpeg', 20, 20))
+      .withMetadata({ exif: { IFD0: { Copyright: 'secret' } } })
+      .toBuffer();
+    expect((await sharp(withExif).metadata()).exif).toBeDefined();
+
+    const image = await processImage(withExif);
+
+    expect((await sharp(image.original).metadata()).exif).toBeUndefined();
+  });
+
+  test('should reject unsupported and corrupt files', async () => {
+    await expect(processImage(Buffer.from('not an image at all'))).rejects.toThrow(MediaError);
+
+    const truncated = (await makeImage('png')).subarray(0, 40);
+    await expect(processImage(truncated)).rejects.toThrow(MediaError);
+  });
+});
+
+describe('Images - data URLs', () => {
+  test('should decode base64 data URLs', () => {
+    const bytes = Buffer.from('hello');
+    expect(decodeDataUrl(`data:image/png;base64,${bytes.toString('base64')}`)).toEqual(bytes);
+    expect(decodeDataUrl('https://example.com/a.png')).toBeNull();
+  });
+});
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+import { processImage } from "./images.js";
+
+// One document per stored image. Files live in the storage backend under
+// `<id>/original.<ext>` and `<id>/thumb.webp`; their URLs go through this
+// service, so they stay the same whichever backend holds the bytes.
+
+const mediaSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  ext: { type: String, required: true },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  width: { type: Number },
+  height: { type: Number },
+  source: { type: String, enum: ["upload", "migration"], default: "upload" }
+}, { timestamps: true });
+
+export const Media = mongoose.model("Media", mediaSchema);
+
+export const THUMBNAIL_NAME = "thumb.webp";
+export const originalName = (ext) => `original.${ext}`;
+
+const publicUrl = (id, name) => `${process.env.MEDIA_PUBLIC_URL || "/api/media"}/files/${id}/${name}`;
+
+export const toResponse = (media) => ({
+  id: media._id,
+  url: publicUrl(media._id, originalName(media.ext)),
+  thumbnailUrl: publicUrl(media._id, THUMBNAIL_NAME),
+  contentType: media.contentType,
+  size: media.size,
+  width: media.width,
+  height: media.height
+});
+
+// Validate, process and store an image; throws MediaError if it is rejected
+export const storeImage = async (storage, buffer, owner, source = "upload") => {
+  const image = await processImage(buffer);
+  const media = new Media({
+    owner,
+    ext: image.ext,
+    contentType: image.contentType,
+    size: image.original.length,
+    width: image.width,
+    height: image.height,
+    source
+  });
+
+  await storage.put(`${media._id}/${originalName(image.ext)}`, image.original, image.contentType);
+  await storage.put(`${media._id}/${THUMBNAIL_NAME}`, image.thumbnail, "image/webp");
+  await media.save();
+  return media;
+};
@@ -0,0 +1,90 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { createClient } from "redis";
+import { createStorage } from "./storage.js";
+import { decodeDataUrl, MediaError } from "./images.js";
+import { storeImage, toResponse } from "./media.js";
+
+// Usage: npm run migrate-data-urls
+// Moves base64 data URLs out of post-service (`posts.image`) and
+// user-service (`users.profilePic`) into media storage and replaces them
+// with media URLs. Safe to re-run: only values still starting with `data:`
+// are touched. Images that can't be decoded are reported and left as is.
+// Needs POST_MONGO_URI and USER_MONGO_URI; REDIS_URL (optional) is used to
+// drop cached posts and profiles afterwards.
+
+dotenv.config();
+
+const DATA_URL = /^data:/;
+
+const counts = { migrated: 0, failed: 0 };
+
+// Store each data URL in `field` and swap in the URL from pickUrl(media)
+const migrateCollection = async (collection, field, ownerOf, pickUrl, storage) => {
+  const migratedIds = [];
+  const cursor = collection.find({ [field]: DATA_URL }).project({ [field]: 1, user: 1 });
+
+  for await (const doc of cursor) {
+    const label = `${collection.collectionName} ${doc._id}`;
+    const buffer = decodeDataUrl(doc[field]);
+    if (!buffer) {
+      console.log(`⚠️ ${label}: not a base64 data URL, skipped`);
+      counts.failed++;
+      continue;
+    }
+
+    try {
+      const media = await storeImage(storage, buffer, ownerOf(doc), "migration");
+      // Only replace the value we read, in case it was edited meanwhile
+      await collection.updateOne({ _id: doc._id, [field]: doc[field] }, { $set: { [field]: pickUrl(toResponse(media)) } });
+      migratedIds.push(doc._id);
+      counts.migrated++;
+    } catch (error) {
+      if (!(error instanceof MediaError)) throw error;
+      console.log(`⚠️ ${label}: ${error.message}`);
+      counts.failed++;
+    }
+  }
+  return migratedIds;
+};
+
+const clearCaches = async (userIds) => {
+  if (!process.env.REDIS_URL) return;
+  const redisClient = createClient({ url: process.env.REDIS_URL });
+  try {
+    await redisClient.connect();
+    const feedKeys = await redisClient.keys("posts:*");
+    const keys = [...feedKeys, ...userIds.flatMap(id => [`user:${id}`, `profile:${id}`])];
+    if (keys.length > 0) await redisClient.del(keys);
+  } catch (error) {
+    console.log("⚠️ Cache clear failed, cached posts and profiles expire on their own:", error.message);
+  } finally {
+    if (redisClient.isOpen) await redisClient.quit();
+  }
+};
+
+const connections = [];
+
+try {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/media-service');
+  const postDb = mongoose.createConnection(process.env.POST_MONGO_URI || 'mongodb://localhost:27017/post-service');
+  const userDb = mongoose.createConnection(process.env.USER_MONGO_URI || 'mongodb://localhost:27017/user-service');
+  connections.push(postDb, userDb);
+  await Promise.all(connections.map(connection => connection.asPromise()));
+
+  const storage = createStorage();
+
+  await migrateCollection(postDb.collection("posts"), "image", doc => doc.user, media => media.url, storage);
+  // Profile pictures are only shown small, so they point at the thumbnail
+  const userIds = await migrateCollection(userDb.collection("users"), "profilePic", doc => doc._id, media => media.thumbnailUrl, storage);
+
+  await clearCaches(userIds);
+
+  console.log(`🖼️ Migrated ${counts.migrated} data URLs, ${counts.failed} could not be migrated`);
+} catch (error) {
+  console.error("❌ Data URL migration failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await Promise.all(connections.map(connection => connection.close()));
+  await mongoose.disconnect();
+}
@@ -0,0 +1,133 @@
+import express from "express";
+import dotenv from "dotenv";
+import cors from "cors";
+import mongoose from "mongoose";
+import multer from "multer";
+import rateLimit from "express-rate-limit";
+import { verifyToken, AuthError } from "@social-media-mini/shared/jwt";
+import { createStorage } from "./storage.js";
+import { MAX_UPLOAD_BYTES, CONTENT_TYPES, MediaError } from "./images.js";
+import { storeImage, toResponse, THUMBNAIL_NAME } from "./media.js";
+
+dotenv.config();
+
+const app = express();
+app.set('trust proxy', 1);
+app.use(cors());
+
+const storage = createStorage();
+
+// Uploads are held in memory: they are small and sharp needs the whole file
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Rate limiting
+const uploadLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 50,
+  message: { message: 'Too many uploads, please try again later.' }
+});
+
+// MongoDB connection
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/media-service');
+    console.log("✅ Media Service - MongoDB Connected");
+  } catch (error) {
+    console.error("❌ Media Service - MongoDB Connection Error:", error);
+    process.exit(1);
+  }
+};
+
+connectDB();
+
+// Auth middleware
+const protect = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(" ")[1];
+    if (!token) {
+      return res.status(401).json({ message: "No token provided" });
+    }
+
+    // Verify token locally against auth-service's signing keys
+    const payload = await verifyToken(token);
+    req.user = { _id: payload.id };
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Parse a single `file` field, turning multer's errors into 4xx responses
+const singleFile = (req, res, next) => {
+  upload.single("file")(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      if (err.code === "LIMIT_FILE_SIZE") {
+        return res.status(413).json({ message: `Image must be smaller than ${MAX_UPLOAD_BYTES / 1024 / 1024}MB` });
+      }
+      return res.status(400).json({ message: err.message });
+    }
+    next(err);
+  });
+};
+
+// Health check
+app.get("/health", (req, res) => {
+  res.json({ status: "healthy", service: "media-service" });
+});
+
+// Upload an image (multipart field `file`)
+app.post("/upload", protect, uploadLimiter, singleFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: "No file uploaded" });
+    }
+
+    const media = await storeImage(storage, req.file.buffer, req.user._id);
+    res.status(201).json(toResponse(media));
+  } catch (error) {
+    if (error instanceof MediaError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Serve a stored file. Files never change once written, so they can be
+// cached forever.
+app.get("/files/:mediaId/:name", async (req, res) => {
+  try {
+    const { mediaId, name } = req.params;
+    const ext = name === THUMBNAIL_NAME ? "webp" : /^original\.([a-z]+)$/.exec(name)?.[1];
+    if (!mongoose.isValidObjectId(mediaId) || !CONTENT_TYPES[ext]) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    const body = await storage.get(`${mediaId}/${name}`);
+    if (!body) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    res.set({
+      "Content-Type": CONTENT_TYPES[ext],
+      "Cache-Control": "public, max-age=31536000, immutable",
+      "X-Content-Type-Options": "nosniff"
+    });
+    body.on("error", (err) => {
+      console.error("Media stream error:", err.message);
+      res.destroy(err);
+    });
+    body.pipe(res);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+const PORT = process.env.PORT || 3004;
+app.listen(PORT, () => console.log(`🖼️ Media Service running on port ${PORT}`));
@@ -0,0 +1,92 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} from "@aws-sdk/client-s3";
+
+// Files go through a storage backend: any object with
+// `put(key, buffer, contentType)`, `get(key)` (a readable stream, or null
+// if missing) and `remove(key)`. MEDIA_STORAGE picks one:
+//   local - files under MEDIA_DIR (default)
+//   s3    - an S3-compatible bucket (AWS S3, MinIO) via S3_BUCKET,
+//           S3_ENDPOINT, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY
+// Keys look like `<mediaId>/original.jpg`.
+
+const KEY_PATTERN = /^[a-f0-9]{24}\/[a-z]+\.[a-z]+$/;
+
+const checkKey = (key) => {
+  if (!KEY_PATTERN.test(key)) throw new Error(`Invalid media key: ${key}`);
+  return key;
+};
+
+export const localStorage = ({ dir }) => {
+  const filePath = (key) => path.join(dir, checkKey(key));
+
+  return {
+    put: async (key, buffer) => {
+      const file = filePath(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      await fsp.writeFile(file, buffer);
+    },
+    get: async (key) => {
+      const file = filePath(key);
+      try {
+        await fsp.access(file);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(file);
+    },
+    remove: (key) => fsp.rm(filePath(key), { force: true })
+  };
+};
+
+export const s3Storage = ({ bucket, endpoint, region, accessKeyId, secretAccessKey }) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    // MinIO and most self-hosted stores only support path-style URLs
+    forcePathStyle: Boolean(endpoint),
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined
+  });
+
+  return {
+    put: (key, buffer, contentType) => client.send(new PutObjectCommand({
+      Bucket: bucket,
+      Key: checkKey(key),
+      Body: buffer,
+      ContentType: contentType
+    })),
+    get: async (key) => {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: checkKey(key) }));
+        return Body;
+      } catch (err) {
+        if (err.name === "NoSuchKey") return null;
+        throw err;
+      }
+    },
+    remove: (key) => client.send(new DeleteObjectCommand({ Bucket: bucket, Key: checkKey(key) }))
+  };
+};
+
+export const createStorage = (env = process.env) => {
+  switch (env.MEDIA_STORAGE || "local") {
+    case "local":
+      return localStorage({ dir: env.MEDIA_DIR || "uploads" });
+    case "s3":
+      return s3Storage({
+        bucket: env.S3_BUCKET,
+        endpoint: env.S3_ENDPOINT,
+        region: env.S3_REGION || "us-east-1",
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY
+      });
+    default:
+      throw new Error(`Unknown MEDIA_STORAGE: ${env.MEDIA_STORAGE}`);
+  }
+};
@@ -0,0 +1,51 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createStorage, localStorage } from './storage.js';
+
+const KEY = '0123456789abcdef01234567/original.png';
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+describe('Storage - local backend', () => {
+  let dir;
+  let storage;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-'));
+    storage = localStorage({ dir });
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true });
+  });
+
+  test('should store, read and remove a file', async () => {
+    await storage.put(KEY, Buffer.from('image bytes'), 'image/png');
+    expect((await readStream(await storage.get(KEY))).toString()).toBe('image bytes');
+
+    await storage.remove(KEY);
+    expect(await storage.get(KEY)).toBeNull();
+  });
+
+  test('should return null for missing files', async () => {
+    expect(await storage.get(KEY)).toBeNull();
+  });
+
+  test('should refuse keys outside the media layout', async () => {
+    await expect(storage.get('../../etc/passwd')).rejects.toThrow('Invalid media key');
+    await expect(storage.put('0123456789abcdef01234567/../x.png', Buffer.from('x'))).rejects.toThrow('Invalid media key');
+  });
+});
+
+describe('Storage - backend selection', () => {
+  test('should pick the backend from MEDIA_STORAGE', () => {
+    expect(createStorage({}).put).toBeInstanceOf(Function);
+    expect(createStorage({ MEDIA_STORAGE: 's3', S3_BUCKET: 'media', S3_ENDPOINT: 'http://localhost:9000' }).put).toBeInstanceOf(Function);
+    expect(() => createStorage({ MEDIA_STORAGE: 'ftp' })).toThrow('Unknown MEDIA_STORAGE');
+  });
+});
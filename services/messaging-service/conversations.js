@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+import { Conversation } from "./models.js";
+import { fetchProfiles } from "@social-media-mini/shared/hydrate";
+
+// Sockets join `user:<id>` on connect, plus `conversation:<id>` for every
+// conversation they are a member of. Messages, read receipts and typing
+// indicators go to conversation rooms; unread totals go to user rooms.
+
+export const MAX_GROUP_MEMBERS = 50;
+
+export const userRoom = (userId) => `user:${userId}`;
+export const conversationRoom = (conversationId) => `conversation:${conversationId}`;
+
+export const directKey = (a, b) => [String(a), String(b)].sort().join(":");
+
+export const findMember = (conversation, userId) =>
+  conversation.members.find(member => String(member.user) === String(userId));
+
+export const memberIds = (conversation) => conversation.members.map(member => String(member.user));
+
+// Requested participant ids, de-duplicated and without the requester, or
+// null if any of them is not a valid id
+export const parseParticipants = (ids, selfId) => {
+  if (!Array.isArray(ids)) return null;
+  const unique = [...new Set(ids.map(String))].filter(id => id !== String(selfId));
+  return unique.every(id => mongoose.isValidObjectId(id)) ? unique : null;
+};
+
+// A conversation as one member sees it: members embedded as profiles with
+// their read positions (for read receipts) and the viewer's unread count
+export const toView = (conversation, viewerId, profiles) => {
+  const plain = typeof conversation.toObject === "function" ? conversation.toObject() : conversation;
+  return {
+    _id: plain._id,
+    type: plain.type,
+    name: plain.name,
+    createdBy: plain.createdBy,
+    lastMessage: plain.lastMessage?._id ? plain.lastMessage : null,
+    lastMessageAt: plain.lastMessageAt,
+    createdAt: plain.createdAt,
+    unreadCount: findMember(plain, viewerId)?.unreadCount || 0,
+    members: plain.members.map(member => ({
+      user: profiles.get(String(member.user)) || { _id: member.user },
+      lastReadAt: member.lastReadAt
+    }))
+  };
+};
+
+export const toViews = async (conversations, viewerId, redisClient) => {
+  const ids = new Set(conversations.flatMap(memberIds));
+  const profiles = await fetchProfiles(ids, redisClient);
+  return conversations.map(conversation => toView(conversation, viewerId, profiles));
+};
+
+// Sum of a user's unread counts across all their conversations
+export const unreadTotal = async (userId) => {
+  const id = new mongoose.Types.ObjectId(String(userId));
+  const [result] = await Conversation.aggregate([
+    { $match: { "members.user": id } },
+    { $unwind: "$members" },
+    { $match: { "members.user": id } },
+    { $group: { _id: null, total: { $sum: "$members.unreadCount" } } }
+  ]);
+  return result?.total || 0;
+};
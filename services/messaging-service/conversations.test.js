@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { directKey, parseParticipants, toView, findMember } from './conversations.js';
+
+const alice = new mongoose.Types.ObjectId().toString();
+const bob = new mongoose.Types.ObjectId().toString();
+const carol = new mongoose.Types.ObjectId().toString();
+
+describe('Conversations - participants', () => {
+  test('should give both users of a pair the same direct key', () => {
+    expect(directKey(alice, bob)).toBe(directKey(bob, alice));
+    expect(directKey(alice, bob)).not.toBe(directKey(alice, carol));
+  });
+
+  test('should de-duplicate participants and drop the requester', () => {
+    expect(parseParticipants([bob, bob, alice, carol], alice)).toEqual([bob, carol]);
+  });
+
+  test('should reject invalid participant lists', () => {
+    expect(parseParticipants('not-an-array', alice)).toBeNull();
+    expect(parseParticipants([bob, 'nope'], alice)).toBeNull();
+  });
+});
+
+describe('Conversations - views', () => {
+  const readAt = new Date('2025-01-01T10:00:00Z');
+  const conversation = {
+    _id: new mongoose.Types.ObjectId(),
+    type: 'group',
+    name: 'Weekend',
+    createdBy: alice,
+    lastMessage: {},
+    members: [
+      { user: alice, lastReadAt: readAt, unreadCount: 0 },
+      { user: bob, lastReadAt: null, unreadCount: 3 }
+    ]
+  };
+  const profiles = new Map([[alice, { _id: alice, firstName: 'Alice' }]]);
+
+  test('should show the viewer their own unread count', () => {
+    expect(toView(conversation, bob, profiles).unreadCount).toBe(3);
+    expect(toView(conversation, alice, profiles).unreadCount).toBe(0);
+  });
+
+  test('should embed member profiles with read positions', () => {
+    const view = toView(conversation, alice, profiles);
+
+    expect(view.members).toEqual([
+      { user: { _id: alice, firstName: 'Alice' }, lastReadAt: readAt },
+      { user: { _id: bob }, lastReadAt: null }
+    ]);
+    expect(view.lastMessage).toBeNull();
+  });
+
+  test('should find members by id', () => {
+    expect(findMember(conversation, new mongoose.Types.ObjectId(bob)).unreadCount).toBe(3);
+    expect(findMember(conversation, carol)).toBeUndefined();
+  });
+});
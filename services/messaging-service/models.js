@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+
+// A conversation keeps each member's read position and unread count, so
+// listing conversations and unread totals never has to scan messages.
+
+const memberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, required: true },
+  lastReadAt: { type: Date, default: null },
+  unreadCount: { type: Number, default: 0 },
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const conversationSchema = new mongoose.Schema({
+  type: { type: String, enum: ["direct", "group"], required: true },
+  // Sorted member ids of a direct conversation, so each pair has only one
+  directKey: { type: String },
+  name: { type: String, trim: true, maxlength: 100 },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, required: true },
+  members: { type: [memberSchema], required: true },
+  lastMessage: {
+    _id: mongoose.Schema.Types.ObjectId,
+    user: mongoose.Schema.Types.ObjectId,
+    text: String,
+    createdAt: Date
+  },
+  lastMessageAt: { type: Date, default: Date.now }
+}, { timestamps: true });
+
+conversationSchema.index({ directKey: 1 }, { unique: true, partialFilterExpression: { directKey: { $type: "string" } } });
+conversationSchema.index({ "members.user": 1, lastMessageAt: -1 });
+
+const messageSchema = new mongoose.Schema({
+  conversation: { type: mongoose.Schema.Types.ObjectId, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, required: true },
+  text: { type: String, required: true, maxlength: 2000 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+
+export const Conversation = mongoose.model("Conversation", conversationSchema);
+export const Message = mongoose.model("Message", messageSchema);
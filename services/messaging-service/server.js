@@ -0,0 +1,414 @@
+import express from "express";
+import dotenv from "dotenv";
+import cors from "cors";
+import mongoose from "mongoose";
+import { createClient } from "redis";
+import rateLimit from "express-rate-limit";
+import { Server } from "socket.io";
+import { createAdapter } from "@socket.io/redis-adapter";
+import { createServer } from "http";
+import {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  olderThan,
+  toPage,
+  NEWEST_FIRST
+} from "@social-media-mini/shared/pagination";
+import { hydrate, hydrateOne, fetchProfiles } from "@social-media-mini/shared/hydrate";
+import { verifyToken, AuthError } from "@social-media-mini/shared/jwt";
+import { Conversation, Message } from "./models.js";
+import {
+  MAX_GROUP_MEMBERS,
+  userRoom,
+  conversationRoom,
+  directKey,
+  findMember,
+  memberIds,
+  parseParticipants,
+  toViews,
+  unreadTotal
+} from "./conversations.js";
+
+dotenv.config();
+
+const app = express();
+const httpServer = createServer(app);
+const io = new Server(httpServer, {
+  cors: {
+    // Browsers send the access token in the handshake, so only our own frontends may connect
+    origin: (process.env.SOCKET_CORS_ORIGINS || "http://localhost,http://localhost:5173").split(","),
+    methods: ["GET", "POST"]
+  }
+});
+
+app.set('trust proxy', 1);
+app.use(express.json({ limit: '100kb' }));
+app.use(cors());
+
+// Rate limiters
+const messageLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: { message: 'Too many messages sent, please slow down.' }
+});
+
+const conversationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 30,
+  message: { message: 'Too many conversations started, please try again later.' }
+});
+
+// Redis client
+let redisClient = null;
+const connectRedis = async () => {
+  try {
+    redisClient = createClient({ url: process.env.REDIS_URL });
+    await redisClient.connect();
+    console.log("✅ Messaging Service - Redis Connected");
+
+    // Share socket rooms between messaging-service instances
+    const pubClient = redisClient.duplicate();
+    const subClient = redisClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+    console.log("✅ Messaging Service - Socket.io Redis adapter ready");
+  } catch (error) {
+    console.log("⚠️ Messaging Service - Redis connection failed:", error.message);
+  }
+};
+
+// MongoDB connection
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/messaging-service');
+    console.log("✅ Messaging Service - MongoDB Connected");
+  } catch (error) {
+    console.error("❌ Messaging Service - MongoDB Connection Error:", error);
+    process.exit(1);
+  }
+};
+
+// Only connect to DB and Redis if not in test mode
+if (process.env.NODE_ENV !== 'test') {
+  connectDB();
+  connectRedis();
+}
+
+// Socket.io authentication: clients pass their access token as `auth.token`
+io.use(async (socket, next) => {
+  try {
+    const payload = await verifyToken(socket.handshake.auth?.token);
+    socket.data.userId = payload.id;
+    next();
+  } catch (error) {
+    next(new Error(error instanceof AuthError ? "Unauthorized" : "Server error"));
+  }
+});
+
+// Socket.io connection handling
+io.on('connection', async (socket) => {
+  const { userId } = socket.data;
+
+  // Typing indicators are relayed, never stored
+  socket.on('typing', ({ conversationId, typing } = {}) => {
+    const room = conversationRoom(conversationId);
+    if (!socket.rooms.has(room)) return;
+    socket.to(room).emit('typing', { conversationId, userId, typing: Boolean(typing) });
+  });
+
+  try {
+    socket.join(userRoom(userId));
+    const conversations = await Conversation.find({ "members.user": userId }).select("_id");
+    socket.join(conversations.map(c => conversationRoom(c._id)));
+  } catch (error) {
+    console.error('Socket room join error:', error.message);
+    socket.disconnect(true);
+  }
+});
+
+// Push each member's new unread total to their own sockets
+const emitUnreadTotals = async (userIds) => {
+  await Promise.all(userIds.map(async (userId) => {
+    io.to(userRoom(userId)).emit('unread:updated', { total: await unreadTotal(userId) });
+  }));
+};
+
+// Auth middleware
+const protect = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(" ")[1];
+    if (!token) {
+      return res.status(401).json({ message: "No token provided" });
+    }
+
+    // Verify token locally against auth-service's signing keys
+    const payload = await verifyToken(token);
+    req.user = { _id: payload.id };
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Load a conversation the current user belongs to into req.conversation
+const loadConversation = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.conversationId)) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    const conversation = await Conversation.findOne({ _id: req.params.conversationId, "members.user": req.user._id });
+    if (!conversation) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+
+    req.conversation = conversation;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Health check
+app.get("/health", (req, res) => {
+  res.json({ status: "healthy", service: "messaging-service" });
+});
+
+// List my conversations, most recent activity first
+app.get("/conversations", protect, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+
+    // Cursors hold (lastMessageAt, _id) here
+    const filter = { "members.user": req.user._id };
+    if (cursor) {
+      filter.$or = [
+        { lastMessageAt: { $lt: cursor.createdAt } },
+        { lastMessageAt: cursor.createdAt, _id: { $lt: cursor.id } }
+      ];
+    }
+
+    const conversations = await Conversation.find(filter)
+      .sort({ lastMessageAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = conversations.length > limit;
+    const page = hasMore ? conversations.slice(0, limit) : conversations;
+    const last = page[page.length - 1];
+
+    res.json({
+      conversations: await toViews(page, req.user._id, redisClient),
+      nextCursor: hasMore ? encodeCursor({ createdAt: last.lastMessageAt, _id: last._id }) : null
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Start a conversation. One participant and no name opens (or reuses) a
+// direct conversation; anything else creates a group.
+app.post("/conversations", protect, conversationLimiter, async (req, res) => {
+  try {
+    const { participantIds, name } = req.body;
+    const participants = parseParticipants(participantIds, req.user._id);
+
+    if (!participants || participants.length === 0) {
+      return res.status(400).json({ message: "participantIds must list at least one other user" });
+    }
+
+    const isGroup = participants.length > 1 || Boolean(name?.trim());
+    if (isGroup && !name?.trim()) {
+      return res.status(400).json({ message: "Group conversations need a name" });
+    }
+    if (participants.length + 1 > MAX_GROUP_MEMBERS) {
+      return res.status(400).json({ message: `Conversations can have at most ${MAX_GROUP_MEMBERS} members` });
+    }
+
+    const profiles = await fetchProfiles(new Set(participants), redisClient);
+    if (profiles.size !== participants.length) {
+      return res.status(400).json({ message: "User not found" });
+    }
+
+    const members = [req.user._id, ...participants].map(user => ({ user }));
+    let conversation;
+    let created = false;
+
+    if (isGroup) {
+      conversation = await Conversation.create({ type: "group", name: name.trim(), createdBy: req.user._id, members });
+      created = true;
+    } else {
+      const key = directKey(req.user._id, participants[0]);
+      conversation = await Conversation.findOne({ directKey: key });
+      if (!conversation) {
+        try {
+          conversation = await Conversation.create({ type: "direct", directKey: key, createdBy: req.user._id, members });
+          created = true;
+        } catch (error) {
+          // Both users opened the conversation at the same time
+          if (error.code !== 11000) throw error;
+          conversation = await Conversation.findOne({ directKey: key });
+        }
+      }
+    }
+
+    if (created) {
+      // Put members' connected sockets in the new room
+      const ids = memberIds(conversation);
+      io.in(ids.map(userRoom)).socketsJoin(conversationRoom(conversation._id));
+      for (const id of ids) {
+        const [view] = await toViews([conversation], id, redisClient);
+        io.to(userRoom(id)).emit('conversation:created', view);
+      }
+    }
+
+    const [view] = await toViews([conversation], req.user._id, redisClient);
+    res.status(created ? 201 : 200).json(view);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Total unread messages across my conversations
+app.get("/unread", protect, async (req, res) => {
+  try {
+    res.json({ total: await unreadTotal(req.user._id) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get one conversation
+app.get("/conversations/:conversationId", protect, loadConversation, async (req, res) => {
+  try {
+    const [view] = await toViews([req.conversation], req.user._id, redisClient);
+    res.json(view);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Message history, newest first
+app.get("/conversations/:conversationId/messages", protect, loadConversation, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit, 30);
+    const cursor = decodeCursor(req.query.cursor);
+
+    const messages = await Message.find({ conversation: req.conversation._id, ...olderThan(cursor) })
+      .sort(NEWEST_FIRST)
+      .limit(limit + 1);
+
+    const page = toPage(messages, limit);
+    res.json({ messages: await hydrate(page.items, redisClient), nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Send a message
+app.post("/conversations/:conversationId/messages", protect, messageLimiter, loadConversation, async (req, res) => {
+  try {
+    if (typeof req.body.text !== "string") {
+      return res.status(400).json({ message: "Message text is required" });
+    }
+    const text = req.body.text.trim();
+    if (!text) {
+      return res.status(400).json({ message: "Message text is required" });
+    }
+    if (text.length > 2000) {
+      return res.status(400).json({ message: "Messages can be at most 2000 characters" });
+    }
+
+    const message = await Message.create({ conversation: req.conversation._id, user: req.user._id, text });
+
+    // Everyone else gets one more unread message; the sender has read up to here
+    await Conversation.updateOne(
+      { _id: req.conversation._id },
+      {
+        $set: {
+          lastMessage: { _id: message._id, user: message.user, text: message.text, createdAt: message.createdAt },
+          lastMessageAt: message.createdAt,
+          "members.$[sender].lastReadAt": message.createdAt,
+          "members.$[sender].unreadCount": 0
+        },
+        $inc: { "members.$[other].unreadCount": 1 }
+      },
+      { arrayFilters: [{ "sender.user": req.user._id }, { "other.user": { $ne: req.user._id } }] }
+    );
+
+    const hydrated = await hydrateOne(message, redisClient);
+    io.to(conversationRoom(req.conversation._id)).emit('message:created', hydrated);
+    await emitUnreadTotals(memberIds(req.conversation).filter(id => id !== String(req.user._id)));
+
+    res.status(201).json(hydrated);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Mark the conversation read up to now; other members see the receipt
+app.post("/conversations/:conversationId/read", protect, loadConversation, async (req, res) => {
+  try {
+    const lastReadAt = new Date();
+    await Conversation.updateOne(
+      { _id: req.conversation._id, "members.user": req.user._id },
+      { $set: { "members.$.lastReadAt": lastReadAt, "members.$.unreadCount": 0 } }
+    );
+
+    io.to(conversationRoom(req.conversation._id)).emit('message:read', {
+      conversationId: req.conversation._id,
+      userId: req.user._id,
+      lastReadAt
+    });
+    if (findMember(req.conversation, req.user._id).unreadCount > 0) {
+      await emitUnreadTotals([String(req.user._id)]);
+    }
+
+    res.json({ lastReadAt });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Leave a group conversation
+app.post("/conversations/:conversationId/leave", protect, loadConversation, async (req, res) => {
+  try {
+    if (req.conversation.type !== "group") {
+      return res.status(400).json({ message: "Only group conversations can be left" });
+    }
+
+    await Conversation.updateOne({ _id: req.conversation._id }, { $pull: { members: { user: req.user._id } } });
+    await Conversation.deleteOne({ _id: req.conversation._id, members: { $size: 0 } });
+
+    const room = conversationRoom(req.conversation._id);
+    io.in(userRoom(req.user._id)).socketsLeave(room);
+    io.to(room).emit('conversation:left', { conversationId: req.conversation._id, userId: req.user._id });
+    if (findMember(req.conversation, req.user._id).unreadCount > 0) {
+      await emitUnreadTotals([String(req.user._id)]);
+    }
+
+    res.json({ message: "Left conversation" });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+const PORT = process.env.PORT || 3005;
+
+// Only start server if not in test mode
+if (process.env.NODE_ENV !== 'test') {
+  httpServer.listen(PORT, () => console.log(`💬 Messaging Service running on port ${PORT}`));
+}
+
+export default app;
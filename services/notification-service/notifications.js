@@ -0,0 +1,235 @@
+import mongoose from "mongoose";
+import { fetchProfiles } from "@social-media-mini/shared/hydrate";
+
+// Notifications are built from the `domain-events` stream. Similar
+// activity is grouped into one unread notification per recipient and
+// `groupKey` ("Ana and 4 others liked your post"); once it has been read,
+// the next event starts a new one. Events are delivered at least once, so
+// adding an actor who is already in the group changes nothing but the time.
+
+// "like" is what reactions were called before there were several kinds
+export const NOTIFICATION_TYPES = ["like", "reaction", "comment", "reply", "follow", "mention"];
+// Actors kept per notification, most recent first; the rest are only counted
+export const MAX_STORED_ACTORS = 20;
+// Profiles embedded in API responses
+const SHOWN_ACTORS = 3;
+const PREVIEW_LENGTH = 140;
+const RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+export const userRoom = (userId) => `user:${userId}`;
+
+const notificationSchema = new mongoose.Schema({
+  recipient: { type: mongoose.Schema.Types.ObjectId, required: true },
+  type: { type: String, enum: NOTIFICATION_TYPES, required: true },
+  groupKey: { type: String, required: true },
+  post: { type: mongoose.Schema.Types.ObjectId, default: null },
+  postAuthor: { type: mongoose.Schema.Types.ObjectId, default: null },
+  comment: { type: mongoose.Schema.Types.ObjectId, default: null },
+  actors: [{ type: mongoose.Schema.Types.ObjectId }],
+  actorCount: { type: Number, default: 0 },
+  text: { type: String, default: null },
+  read: { type: Boolean, default: false },
+  readAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+notificationSchema.index({ recipient: 1, updatedAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+// At most one unread notification per group
+notificationSchema.index(
+  { recipient: 1, groupKey: 1 },
+  { unique: true, partialFilterExpression: { read: false } }
+);
+notificationSchema.index({ updatedAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+export const Notification = mongoose.model("Notification", notificationSchema);
+
+const preview = (text) => (text ? String(text).slice(0, PREVIEW_LENGTH) : null);
+
+// What an event means for whom: a list of { action, recipient, ... } where
+// action is "add" (record the actor) or "remove" (take them back out, as
+// when a like is withdrawn). Nobody is notified about their own activity.
+export const notificationsForEvent = ({ type, payload }) => {
+  const p = payload || {};
+  const changes = [];
+  const add = (recipient, fields) => changes.push({ action: "add", recipient, actor: p.actor, ...fields });
+  const remove = (recipient, fields) => changes.push({ action: "remove", recipient, actor: p.actor, ...fields });
+
+  switch (type) {
+    case "post.liked":
+      add(p.postAuthor, { type: "like", groupKey: `like:${p.postId}`, post: p.postId, postAuthor: p.postAuthor });
+      break;
+    case "post.unliked":
+      remove(p.postAuthor, { groupKey: `like:${p.postId}` });
+      break;
+    case "post.reacted":
+      add(p.postAuthor, { type: "reaction", groupKey: `reaction:${p.postId}`, post: p.postId, postAuthor: p.postAuthor });
+      break;
+    case "post.unreacted":
+      remove(p.postAuthor, { groupKey: `reaction:${p.postId}` });
+      break;
+    case "comment.reacted":
+      add(p.commentAuthor, {
+        type: "reaction",
+        groupKey: `reaction:${p.commentId}`,
+        post: p.postId,
+        postAuthor: p.postAuthor,
+        comment: p.commentId
+      });
+      break;
+    case "comment.unreacted":
+      remove(p.commentAuthor, { groupKey: `reaction:${p.commentId}` });
+      break;
+    case "comment.created":
+      add(p.postAuthor, {
+        type: "comment",
+        groupKey: `comment:${p.postId}`,
+        post: p.postId,
+        postAuthor: p.postAuthor,
+        comment: p.commentId,
+        text: preview(p.text)
+      });
+      break;
+    case "reply.created":
+      add(p.commentAuthor, {
+        type: "reply",
+        groupKey: `reply:${p.commentId}`,
+        post: p.postId,
+        postAuthor: p.postAuthor,
+        comment: p.commentId,
+        text: preview(p.text)
+      });
+      break;
+    case "user.followed":
+      add(p.userId, { type: "follow", groupKey: "follow" });
+      break;
+    case "user.unfollowed":
+      remove(p.userId, { groupKey: "follow" });
+      break;
+    case "user.mentioned":
+      // One notification per place mentioned in, never grouped
+      add(p.userId, {
+        type: "mention",
+        groupKey: `mention:${p.commentId || p.postId}`,
+        post: p.postId,
+        postAuthor: p.postAuthor,
+        comment: p.commentId || null,
+        text: preview(p.text)
+      });
+      break;
+  }
+
+  return changes.filter(change =>
+    change.recipient && change.actor && String(change.recipient) !== String(change.actor));
+};
+
+const toObjectId = (id) => (id ? new mongoose.Types.ObjectId(String(id)) : null);
+
+// Add the actor to the recipient's unread notification for the group,
+// creating it if needed. Returns the updated notification.
+export const addToNotification = async (change, retried = false) => {
+  const actor = toObjectId(change.actor);
+  const actors = { $ifNull: ["$actors", []] };
+  const now = new Date();
+
+  try {
+    return await Notification.findOneAndUpdate(
+      { recipient: toObjectId(change.recipient), groupKey: change.groupKey, read: false },
+      [{
+        // Every expression here sees the document as it was before the update
+        $set: {
+          type: change.type,
+          post: toObjectId(change.post),
+          postAuthor: toObjectId(change.postAuthor),
+          comment: toObjectId(change.comment),
+          text: { $literal: change.text ?? null },
+          actors: {
+            $slice: [
+              { $concatArrays: [[actor], { $filter: { input: actors, cond: { $ne: ["$$this", actor] } } }] },
+              MAX_STORED_ACTORS
+            ]
+          },
+          actorCount: {
+            $cond: [{ $in: [actor, actors] }, "$actorCount", { $add: [{ $ifNull: ["$actorCount", 0] }, 1] }]
+          },
+          createdAt: { $ifNull: ["$createdAt", now] },
+          updatedAt: now
+        }
+      }],
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Two events created the same group at once; the retry finds it
+    if (error.code !== 11000 || retried) throw error;
+    return addToNotification(change, true);
+  }
+};
+
+// Take the actor back out of an unread notification. Returns the updated
+// notification, { deleted } if no actors are left, or null if nothing changed.
+export const removeFromNotification = async (change) => {
+  const actor = toObjectId(change.actor);
+  const notification = await Notification.findOneAndUpdate(
+    { recipient: toObjectId(change.recipient), groupKey: change.groupKey, read: false, actors: actor },
+    { $pull: { actors: actor }, $inc: { actorCount: -1 } },
+    { new: true }
+  );
+  if (!notification) return null;
+
+  if (notification.actors.length === 0) {
+    await Notification.deleteOne({ _id: notification._id, actors: { $size: 0 } });
+    return { deleted: notification._id };
+  }
+  return notification;
+};
+
+const VERBS = {
+  like: "liked your post",
+  reaction: "reacted to your post",
+  comment: "commented on your post",
+  reply: "replied to your comment",
+  follow: "started following you",
+  mention: "mentioned you"
+};
+
+const displayName = (profile) =>
+  profile?.firstName ? `${profile.firstName} ${profile.lastName || ""}`.trim() : "Someone";
+
+// "Ana", "Ana and Ben", "Ana and 4 others"
+export const summarize = (notification, profiles) => {
+  const [first, second] = notification.actors.map(id => displayName(profiles.get(String(id))));
+  const count = Math.max(notification.actorCount, notification.actors.length);
+  let who = first || "Someone";
+  if (count === 2 && second) who = `${first} and ${second}`;
+  else if (count > 2) who = `${first} and ${count - 1} others`;
+  const verb = notification.type === "reaction" && notification.comment ? "reacted to your comment" : VERBS[notification.type];
+  return `${who} ${verb}`;
+};
+
+export const toView = (notification, profiles) => {
+  const plain = typeof notification.toObject === "function" ? notification.toObject() : notification;
+  return {
+    _id: plain._id,
+    type: plain.type,
+    post: plain.post,
+    postAuthor: plain.postAuthor,
+    comment: plain.comment,
+    text: plain.text,
+    read: plain.read,
+    actorCount: plain.actorCount,
+    actors: plain.actors.slice(0, SHOWN_ACTORS).map(id => profiles.get(String(id)) || { _id: id }),
+    summary: summarize(plain, profiles),
+    createdAt: plain.createdAt,
+    updatedAt: plain.updatedAt
+  };
+};
+
+export const toViews = async (notifications, redisClient) => {
+  // Views only embed the most recent actors, so only they need profiles
+  const ids = new Set(notifications.flatMap(n => n.actors.slice(0, SHOWN_ACTORS).map(String)));
+  const profiles = await fetchProfiles(ids, redisClient);
+  return notifications.map(notification => toView(notification, profiles));
+};
+
+export const unreadCount = (userId) => Notification.countDocuments({ recipient: userId, read: false });
@@ -0,0 +1,100 @@
+import mongoose from 'mongoose';
+import { notificationsForEvent, summarize, toView } from './notifications.js';
+
+const ana = new mongoose.Types.ObjectId().toString();
+const ben = new mongoose.Types.ObjectId().toString();
+const cem = new mongoose.Types.ObjectId().toString();
+const postId = new mongoose.Types.ObjectId().toString();
+const commentId = new mongoose.Types.ObjectId().toString();
+
+describe('Notifications - domain events', () => {
+  test('should notify the post author about likes, grouped by post', () => {
+    const [change] = notificationsForEvent({ type: 'post.liked', payload: { postId, postAuthor: ana, actor: ben } });
+
+    expect(change).toMatchObject({ action: 'add', recipient: ana, actor: ben, type: 'like', groupKey: `like:${postId}` });
+  });
+
+  test('should take a withdrawn like back out of the group', () => {
+    const [change] = notificationsForEvent({ type: 'post.unliked', payload: { postId, postAuthor: ana, actor: ben } });
+
+    expect(change).toMatchObject({ action: 'remove', recipient: ana, actor: ben, groupKey: `like:${postId}` });
+  });
+
+  test('should group reactions by post or comment', () => {
+    const [onPost] = notificationsForEvent({ type: 'post.reacted', payload: { postId, postAuthor: ana, actor: ben, reaction: 'love' } });
+    const [onComment] = notificationsForEvent({
+      type: 'comment.reacted',
+      payload: { postId, postAuthor: cem, commentId, commentAuthor: ana, actor: ben, reaction: 'wow' }
+    });
+    const [withdrawn] = notificationsForEvent({
+      type: 'comment.unreacted',
+      payload: { postId, postAuthor: cem, commentId, commentAuthor: ana, actor: ben }
+    });
+
+    expect(onPost).toMatchObject({ action: 'add', recipient: ana, type: 'reaction', groupKey: `reaction:${postId}` });
+    expect(onComment).toMatchObject({ action: 'add', recipient: ana, type: 'reaction', groupKey: `reaction:${commentId}`, comment: commentId });
+    expect(withdrawn).toMatchObject({ action: 'remove', recipient: ana, groupKey: `reaction:${commentId}` });
+  });
+
+  test('should notify the comment author about replies, grouped by comment', () => {
+    const [change] = notificationsForEvent({
+      type: 'reply.created',
+      payload: { postId, postAuthor: cem, commentId, commentAuthor: ana, actor: ben, text: 'Agreed!' }
+    });
+
+    expect(change).toMatchObject({ recipient: ana, type: 'reply', groupKey: `reply:${commentId}`, text: 'Agreed!' });
+  });
+
+  test('should not notify users about their own activity', () => {
+    expect(notificationsForEvent({ type: 'post.liked', payload: { postId, postAuthor: ana, actor: ana } })).toEqual([]);
+    expect(notificationsForEvent({ type: 'user.followed', payload: { userId: ben, actor: ben } })).toEqual([]);
+  });
+
+  test('should ignore unknown events', () => {
+    expect(notificationsForEvent({ type: 'post.archived', payload: { postId, actor: ben } })).toEqual([]);
+  });
+
+  test('should trim comment previews', () => {
+    const [change] = notificationsForEvent({
+      type: 'comment.created',
+      payload: { postId, postAuthor: ana, commentId, actor: ben, text: 'x'.repeat(500) }
+    });
+
+    expect(change.text).toHaveLength(140);
+  });
+});
+
+describe('Notifications - views', () => {
+  const profiles = new Map([
+    [ana, { _id: ana, firstName: 'Ana', lastName: 'Silva' }],
+    [ben, { _id: ben, firstName: 'Ben', lastName: 'Okafor' }]
+  ]);
+
+  test('should name one or two actors', () => {
+    expect(summarize({ type: 'follow', actors: [ana], actorCount: 1 }, profiles)).toBe('Ana Silva started following you');
+    expect(summarize({ type: 'like', actors: [ana, ben], actorCount: 2 }, profiles)).toBe('Ana Silva and Ben Okafor liked your post');
+  });
+
+  test('should say what was reacted to', () => {
+    expect(summarize({ type: 'reaction', actors: [ana], actorCount: 1 }, profiles)).toBe('Ana Silva reacted to your post');
+    expect(summarize({ type: 'reaction', comment: commentId, actors: [ana], actorCount: 1 }, profiles)).toBe('Ana Silva reacted to your comment');
+  });
+
+  test('should count the rest of a larger group', () => {
+    expect(summarize({ type: 'like', actors: [ben, ana, cem], actorCount: 5 }, profiles)).toBe('Ben Okafor and 4 others liked your post');
+  });
+
+  test('should embed profiles for the most recent actors', () => {
+    const view = toView({
+      _id: new mongoose.Types.ObjectId(),
+      type: 'comment',
+      post: postId,
+      actors: [cem, ana, ben, ana],
+      actorCount: 4,
+      read: false
+    }, profiles);
+
+    expect(view.actors).toEqual([{ _id: cem }, profiles.get(ana), profiles.get(ben)]);
+    expect(view.summary).toBe('Someone and 3 others commented on your post');
+  });
+});
@@ -0,0 +1,249 @@
+import express from "express";
+import dotenv from "dotenv";
+import cors from "cors";
+import mongoose from "mongoose";
+import { createClient } from "redis";
+import { Server } from "socket.io";
+import { createAdapter } from "@socket.io/redis-adapter";
+import { createServer } from "http";
+import { InvalidCursorError, encodeCursor, decodeCursor, parseLimit } from "@social-media-mini/shared/pagination";
+import { verifyToken, AuthError } from "@social-media-mini/shared/jwt";
+import { createStreamConsumer } from "@social-media-mini/shared/stream-consumer";
+import { DOMAIN_EVENTS_STREAM } from "@social-media-mini/shared/events";
+import {
+  Notification,
+  userRoom,
+  notificationsForEvent,
+  addToNotification,
+  removeFromNotification,
+  toViews,
+  unreadCount
+} from "./notifications.js";
+
+dotenv.config();
+
+const app = express();
+const httpServer = createServer(app);
+const io = new Server(httpServer, {
+  cors: {
+    // Browsers send the access token in the handshake, so only our own frontends may connect
+    origin: (process.env.SOCKET_CORS_ORIGINS || "http://localhost,http://localhost:5173").split(","),
+    methods: ["GET", "POST"]
+  }
+});
+
+app.set('trust proxy', 1);
+app.use(express.json({ limit: '100kb' }));
+app.use(cors());
+
+// Redis client
+let redisClient = null;
+const connectRedis = async () => {
+  try {
+    redisClient = createClient({ url: process.env.REDIS_URL });
+    await redisClient.connect();
+    console.log("✅ Notification Service - Redis Connected");
+
+    // Share socket rooms between notification-service instances
+    const pubClient = redisClient.duplicate();
+    const subClient = redisClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+    console.log("✅ Notification Service - Socket.io Redis adapter ready");
+    await startDomainEventsConsumer();
+  } catch (error) {
+    console.log("⚠️ Notification Service - Redis connection failed:", error.message);
+  }
+};
+
+// MongoDB connection
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/notification-service');
+    console.log("✅ Notification Service - MongoDB Connected");
+  } catch (error) {
+    console.error("❌ Notification Service - MongoDB Connection Error:", error);
+    process.exit(1);
+  }
+};
+
+// Only connect to DB and Redis if not in test mode
+if (process.env.NODE_ENV !== 'test') {
+  connectDB();
+  connectRedis();
+}
+
+const emitUnreadCount = async (userId) => {
+  io.to(userRoom(userId)).emit('notifications:unread', { count: await unreadCount(userId) });
+};
+
+// Store the notifications an event causes and push them to their recipients
+const handleDomainEvent = async (entry) => {
+  const changes = notificationsForEvent({ type: entry.type, payload: JSON.parse(entry.payload || "{}") });
+
+  for (const change of changes) {
+    const recipient = String(change.recipient);
+    if (change.action === "add") {
+      const notification = await addToNotification(change);
+      const [view] = await toViews([notification], redisClient);
+      io.to(userRoom(recipient)).emit('notification:updated', view);
+    } else {
+      const result = await removeFromNotification(change);
+      if (!result) continue;
+      if (result.deleted) {
+        io.to(userRoom(recipient)).emit('notification:removed', { _id: result.deleted });
+      } else {
+        const [view] = await toViews([result], redisClient);
+        io.to(userRoom(recipient)).emit('notification:updated', view);
+      }
+    }
+    await emitUnreadCount(recipient);
+  }
+};
+
+const startDomainEventsConsumer = async () => {
+  const consumer = createStreamConsumer({
+    redisClient,
+    stream: DOMAIN_EVENTS_STREAM,
+    group: "notification-service",
+    handler: handleDomainEvent
+  });
+  await consumer.start();
+  console.log("✅ Notification Service - Consuming domain-events");
+};
+
+// Socket.io authentication: clients pass their access token as `auth.token`
+io.use(async (socket, next) => {
+  try {
+    const payload = await verifyToken(socket.handshake.auth?.token);
+    socket.data.userId = payload.id;
+    next();
+  } catch (error) {
+    next(new Error(error instanceof AuthError ? "Unauthorized" : "Server error"));
+  }
+});
+
+// Each socket only hears about its own user's notifications
+io.on('connection', (socket) => {
+  socket.join(userRoom(socket.data.userId));
+});
+
+// Auth middleware
+const protect = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(" ")[1];
+    if (!token) {
+      return res.status(401).json({ message: "No token provided" });
+    }
+
+    // Verify token locally against auth-service's signing keys
+    const payload = await verifyToken(token);
+    req.user = { _id: payload.id };
+    next();
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Health check
+app.get("/health", (req, res) => {
+  res.json({ status: "healthy", service: "notification-service" });
+});
+
+// My notifications, most recent activity first
+app.get("/", protect, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+
+    // Cursors hold (updatedAt, _id) here
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === "true") filter.read = false;
+    if (cursor) {
+      filter.$or = [
+        { updatedAt: { $lt: cursor.createdAt } },
+        { updatedAt: cursor.createdAt, _id: { $lt: cursor.id } }
+      ];
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ updatedAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const hasMore = notifications.length > limit;
+    const page = hasMore ? notifications.slice(0, limit) : notifications;
+    const last = page[page.length - 1];
+
+    res.json({
+      notifications: await toViews(page, redisClient),
+      nextCursor: hasMore ? encodeCursor({ createdAt: last.updatedAt, _id: last._id }) : null
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Number of unread notifications
+app.get("/unread", protect, async (req, res) => {
+  try {
+    res.json({ count: await unreadCount(req.user._id) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Mark all notifications read
+app.post("/read-all", protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, read: false },
+      { read: true, readAt: new Date() }
+    );
+    await emitUnreadCount(req.user._id);
+
+    res.json({ message: "All notifications marked read", updated: result.modifiedCount });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Mark one notification read
+app.post("/:notificationId/read", protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.notificationId)) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    const notification = await Notification.findOne({ _id: req.params.notificationId, recipient: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    if (!notification.read) {
+      notification.read = true;
+      notification.readAt = new Date();
+      await notification.save();
+      await emitUnreadCount(req.user._id);
+    }
+
+    const [view] = await toViews([notification], redisClient);
+    res.json(view);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+const PORT = process.env.PORT || 3006;
+
+// Only start server if not in test mode
+if (process.env.NODE_ENV !== 'test') {
+  httpServer.listen(PORT, () => console.log(`🔔 Notification Service running on port ${PORT}`));
+}
+
+export default app;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+import { reactionCountsField } from "./reactions.js";
+
+// Comments live in their own collection rather than inside the post, so
+// commenting never rewrites the post and long threads can't grow it past
+// Mongo's document size limit. A reply is a comment with a `parent`, and
+// replies can be replied to in turn; `ancestors` is the path of ids from the
+// top-level comment down, so a whole thread can be found or deleted with one
+// query. Posts keep `commentCount` (comments and replies at any depth) and
+// comments `replyCount` (direct replies), both only ever changed with $inc.
+
+const commentSchema = new mongoose.Schema({
+  post: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // The comment this replies to; null for comments on the post itself
+  parent: { type: mongoose.Schema.Types.ObjectId, default: null },
+  ancestors: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  // 0 for comments on the post, 1 for replies to them, and so on
+  depth: { type: Number, default: 0 },
+  user: { type: mongoose.Schema.Types.ObjectId, required: true },
+  text: { type: String, required: true },
+  // Users mentioned in the text (see mentions.js)
+  mentions: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  reactionCounts: reactionCountsField,
+  replyCount: { type: Number, default: 0 },
+  // Set when the text is edited; earlier versions are kept as revisions
+  editedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Pages of a post's comments, or of one comment's replies
+commentSchema.index({ post: 1, parent: 1, createdAt: -1, _id: -1 });
+// Everything below a comment
+commentSchema.index({ ancestors: 1 });
+
+export const Comment = mongoose.model("Comment", commentSchema);
+
+// A comment of the post, at any depth, or null
+export const findComment = async (postId, commentId) => {
+  if (!mongoose.isValidObjectId(commentId)) return null;
+  return Comment.findOne({ _id: commentId, post: postId });
+};
+
+// Where a reply to `target` goes: under it, or next to it when `target` is
+// already as deep as threads go (`maxDepth` levels, top-level comments
+// being the first)
+export const replyPosition = (target, maxDepth) => {
+  if (target.depth + 1 < maxDepth) {
+    return { parent: target._id, ancestors: [...target.ancestors, target._id], depth: target.depth + 1 };
+  }
+  return { parent: target.parent, ancestors: [...target.ancestors], depth: target.depth };
+};
@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+import { replyPosition } from './comments.js';
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('Comments - reply position', () => {
+  test('should put a reply to a top-level comment under it', () => {
+    const comment = { _id: id(), parent: null, ancestors: [], depth: 0 };
+    expect(replyPosition(comment, 5)).toEqual({ parent: comment._id, ancestors: [comment._id], depth: 1 });
+  });
+
+  test('should extend the thread path for nested replies', () => {
+    const root = id();
+    const reply = { _id: id(), parent: root, ancestors: [root], depth: 1 };
+    expect(replyPosition(reply, 5)).toEqual({ parent: reply._id, ancestors: [root, reply._id], depth: 2 });
+  });
+
+  test('should put a reply next to one at the deepest level', () => {
+    const root = id();
+    const middle = id();
+    const deepest = { _id: id(), parent: middle, ancestors: [root, middle], depth: 2 };
+    expect(replyPosition(deepest, 3)).toEqual({ parent: middle, ancestors: [root, middle], depth: 2 });
+  });
+});
@@ -0,0 +1,59 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { Client } from "@elastic/elasticsearch";
+import { hydrate } from "@social-media-mini/shared/hydrate";
+import { POSTS_INDEX, ensurePostsIndex, postDocument } from "./search.js";
+
+// Usage: npm run index-posts
+// Copies every post into the Elasticsearch `posts` index, for posts written
+// before search existed or while Elasticsearch was down. Safe to re-run:
+// posts are indexed by id, so existing documents are overwritten. Mentions
+// are indexed as current usernames, looked up in User Service
+// (USER_SERVICE_URL).
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const esClient = new Client({ node: process.env.ELASTICSEARCH_URL || 'http://localhost:9200' });
+
+let indexed = 0;
+let failed = 0;
+
+const flush = async (batch) => {
+  const operations = (await hydrate(batch)).flatMap(post => [
+    { index: { _index: POSTS_INDEX, _id: post._id.toString() } },
+    postDocument(post, post.mentions)
+  ]);
+  const result = await esClient.bulk({ operations });
+  for (const item of result.items) {
+    if (item.index.error) failed++;
+    else indexed++;
+  }
+};
+
+try {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/post-service');
+  await ensurePostsIndex(esClient);
+
+  const posts = mongoose.connection.collection("posts");
+  const cursor = posts.find({}).project({ user: 1, text: 1, tags: 1, mentions: 1, createdAt: 1 });
+  let batch = [];
+  for await (const post of cursor) {
+    batch.push(post);
+    if (batch.length === BATCH_SIZE) {
+      await flush(batch);
+      batch = [];
+    }
+  }
+  if (batch.length > 0) await flush(batch);
+
+  console.log(`🔍 Indexed ${indexed} posts${failed ? `, ${failed} failed` : ""}`);
+  if (failed) process.exitCode = 1;
+} catch (error) {
+  console.error("❌ Post indexing failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+  await esClient.close();
+}
@@ -0,0 +1,90 @@
+// @mentions in post and comment text. Clients write a mention as a plain
+// `@username`. When text is saved the handles are looked up in user-service
+// and stored as `<@userId>`, so a mention names an account rather than a
+// handle that can change; handles that match no one stay plain text. The
+// ids are also stored on the post or comment, and responses embed their
+// current profiles (see the shared hydrate.js) to show the mentions with.
+// Text saved before used `@[Display Name](userId)`, which is still read,
+// and accepted from clients, as a mention of that user.
+
+export const MAX_MENTIONS = 20;
+const MAX_NAME_LENGTH = 100;
+
+export class InvalidTextError extends Error {
+  constructor() {
+    super("Text must be a string");
+    this.name = "InvalidTextError";
+  }
+}
+
+const STORED = `<@([0-9a-fA-F]{24})>|@\\[([^\\]\\n]{1,${MAX_NAME_LENGTH}})\\]\\(([0-9a-fA-F]{24})\\)`;
+// Not in the middle of a word, so email addresses aren't mentions
+const HANDLE = "(?<![\\w@])@([a-zA-Z0-9_]{3,30})(?!\\w)";
+
+const STORED_PATTERN = new RegExp(STORED, "g");
+const MENTION_PATTERN = new RegExp(`${STORED}|${HANDLE}`, "g");
+
+const storedId = (match) => (match[1] || match[3]).toLowerCase();
+
+// Mentioned user ids in stored `text`, each once, in order of first mention
+export const extractMentions = (text) => {
+  const ids = new Set();
+  for (const match of (text || "").matchAll(STORED_PATTERN)) {
+    ids.add(storedId(match));
+    if (ids.size === MAX_MENTIONS) break;
+  }
+  return [...ids];
+};
+
+// Stored `text` with mentions written as the current `@username` of
+// `users` (profiles, as embedded in responses), for previews, notifications
+// and search
+export const plainText = (text, users = []) => {
+  const usernames = new Map(users.map(user => [String(user._id), user.username]));
+  return (text || "").replace(STORED_PATTERN, (markup, id, name, legacyId) => {
+    const username = usernames.get((id || legacyId).toLowerCase());
+    if (username) return `@${username}`;
+    return name ? `@${name}` : "@unknown";
+  });
+};
+
+// Resolve the mentions in `text` as written by a client. `lookup.byIds`
+// (ids -> Map of id -> profile) checks markup and `lookup.byUsernames`
+// (lowercase usernames -> Map of lowercase username -> profile) finds
+// handles. Returns the text to store, the ids of the users it mentions and
+// their profiles. Unknown mentions, and any past MAX_MENTIONS, are left as
+// plain text. Throws InvalidTextError if `text` isn't a string.
+export const resolveMentions = async (text, lookup) => {
+  if (typeof text !== "string") throw new InvalidTextError();
+
+  const matches = [...text.matchAll(MENTION_PATTERN)];
+  if (matches.length === 0) return { text, mentions: [], users: [] };
+
+  const ids = [...new Set(matches.filter(m => !m[4]).map(storedId))];
+  const handles = [...new Set(matches.filter(m => m[4]).map(m => m[4].toLowerCase()))];
+  const [byId, byUsername] = await Promise.all([
+    ids.length > 0 ? lookup.byIds(ids) : new Map(),
+    handles.length > 0 ? lookup.byUsernames(handles) : new Map()
+  ]);
+
+  const users = new Map();
+  const resolved = text.replace(MENTION_PATTERN, (markup, id, name, legacyId, handle) => {
+    const user = handle ? byUsername.get(handle.toLowerCase()) : byId.get((id || legacyId).toLowerCase());
+    const userId = user && String(user._id);
+    if (userId && (users.has(userId) || users.size < MAX_MENTIONS)) {
+      users.set(userId, user);
+      return `<@${userId}>`;
+    }
+    if (handle) return markup;
+    return name ? `@${name}` : "@unknown";
+  });
+
+  return { text: resolved, mentions: [...users.keys()], users: [...users.values()] };
+};
+
+// Ids in `mentions` that weren't in `previous`, so edits only notify the
+// users they add
+export const addedMentions = (mentions, previous = []) => {
+  const before = new Set(previous.map(String));
+  return mentions.filter(id => !before.has(String(id)));
+};
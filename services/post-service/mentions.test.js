@@ -0,0 +1,100 @@
+import { jest } from '@jest/globals';
+import {
+  InvalidTextError,
+  extractMentions,
+  plainText,
+  resolveMentions,
+  addedMentions,
+  MAX_MENTIONS
+} from './mentions.js';
+
+const ANA = '65f0c0ffee0000000000000a';
+const BEN = '65f0c0ffee0000000000000b';
+
+const ana = { _id: ANA, username: 'ana_l' };
+const ben = { _id: BEN, username: 'Ben' };
+
+// Lookups that know `users`, as resolveMentions takes them
+const lookupOf = (users) => ({
+  byIds: jest.fn(async (ids) => new Map(users.filter(u => ids.includes(u._id)).map(u => [u._id, u]))),
+  byUsernames: jest.fn(async (names) => new Map(users
+    .filter(u => names.includes(u.username.toLowerCase()))
+    .map(u => [u.username.toLowerCase(), u])))
+});
+
+describe('Mentions - parsing', () => {
+  test('should find mentioned ids once each, in both stored forms', () => {
+    const text = `Hi <@${ANA}> and @[Ben](${BEN}), right <@${ANA.toUpperCase()}>?`;
+    expect(extractMentions(text)).toEqual([ANA, BEN]);
+  });
+
+  test('should ignore handles and broken markup', () => {
+    expect(extractMentions('mail me @ana or @[Ana](nope) or <@ana>')).toEqual([]);
+    expect(extractMentions(undefined)).toEqual([]);
+  });
+
+  test('should cap the number of mentions', () => {
+    const text = Array.from({ length: 30 }, (_, i) => `<@${String(i).padStart(24, '0')}>`).join(' ');
+    expect(extractMentions(text)).toHaveLength(MAX_MENTIONS);
+  });
+
+  test('should write mentions as current usernames', () => {
+    expect(plainText(`Thanks <@${ANA}> and @[Ben Old](${BEN})!`, [ana, ben])).toBe('Thanks @ana_l and @Ben!');
+  });
+
+  test('should fall back to the stored name, if any, for unknown users', () => {
+    expect(plainText(`Thanks <@${ANA}> and @[Ben Old](${BEN})!`)).toBe('Thanks @unknown and @Ben Old!');
+  });
+});
+
+describe('Mentions - resolving', () => {
+  test('should store handles of known users as their ids', async () => {
+    const lookup = lookupOf([ana, ben]);
+    const resolved = await resolveMentions('@ANA_L meet @ben, not @ghost or me@ben.com', lookup);
+
+    expect(lookup.byUsernames).toHaveBeenCalledWith(['ana_l', 'ben', 'ghost']);
+    expect(lookup.byIds).not.toHaveBeenCalled();
+    expect(resolved).toEqual({
+      text: `<@${ANA}> meet <@${BEN}>, not @ghost or me@ben.com`,
+      mentions: [ANA, BEN],
+      users: [ana, ben]
+    });
+  });
+
+  test('should keep markup of known users as ids and make unknown ones plain', async () => {
+    const lookup = lookupOf([ana]);
+    const resolved = await resolveMentions(`@[Ana](${ANA}) meet @[Ghost](${BEN}) and @ana_l`, lookup);
+
+    expect(lookup.byIds).toHaveBeenCalledWith([ANA, BEN]);
+    expect(resolved).toEqual({ text: `<@${ANA}> meet @Ghost and <@${ANA}>`, mentions: [ANA], users: [ana] });
+  });
+
+  test('should leave mentions past the cap as plain text', async () => {
+    const users = Array.from({ length: MAX_MENTIONS + 1 }, (_, i) => ({ _id: String(i).padStart(24, '0'), username: `user${i}` }));
+    const resolved = await resolveMentions(users.map(u => `@${u.username}`).join(' '), lookupOf(users));
+
+    expect(resolved.mentions).toHaveLength(MAX_MENTIONS);
+    expect(resolved.text.endsWith(` @user${MAX_MENTIONS}`)).toBe(true);
+  });
+
+  test('should not look anything up without mentions', async () => {
+    const lookup = lookupOf([]);
+    expect(await resolveMentions('no one here', lookup)).toEqual({ text: 'no one here', mentions: [], users: [] });
+    expect(lookup.byIds).not.toHaveBeenCalled();
+    expect(lookup.byUsernames).not.toHaveBeenCalled();
+  });
+
+  test('should reject text that is not a string', async () => {
+    const lookup = lookupOf([]);
+    for (const text of [undefined, null, 42, [`<@${ANA}>`], { $gt: '' }]) {
+      await expect(resolveMentions(text, lookup)).rejects.toThrow(InvalidTextError);
+    }
+    expect(lookup.byIds).not.toHaveBeenCalled();
+    expect(lookup.byUsernames).not.toHaveBeenCalled();
+  });
+
+  test('should only report mentions an edit added', () => {
+    expect(addedMentions([ANA, BEN], [ANA])).toEqual([BEN]);
+    expect(addedMentions([ANA])).toEqual([ANA]);
+  });
+});
@@ -0,0 +1,110 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { createClient } from "redis";
+import { Comment } from "./comments.js";
+
+// Usage: npm run migrate-comments
+// Moves comments and replies embedded in posts into the comments
+// collection, keeping their ids so existing comment reactions still point
+// at them, then sets the post's `commentCount` and drops `comments`. Replies
+// moved before threads went deeper than one level get their `ancestors` and
+// `depth`. Safe to re-run: comments that were already moved are left as
+// they are. REDIS_URL (optional) is used to drop cached feeds afterwards.
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const counts = { posts: 0, comments: 0 };
+
+const upsert = (doc) => ({
+  updateOne: {
+    filter: { _id: doc._id },
+    update: { $setOnInsert: doc },
+    upsert: true
+  }
+});
+
+const migratePost = async (posts, post) => {
+  const operations = [];
+  for (const comment of post.comments || []) {
+    const replies = comment.replies || [];
+    operations.push(upsert({
+      _id: comment._id,
+      post: post._id,
+      parent: null,
+      user: comment.user,
+      text: comment.text,
+      ...(comment.reactionCounts ? { reactionCounts: comment.reactionCounts } : {}),
+      replyCount: replies.length,
+      createdAt: comment.createdAt || post.createdAt || new Date()
+    }));
+    for (const reply of replies) {
+      operations.push(upsert({
+        _id: reply._id,
+        post: post._id,
+        parent: comment._id,
+        ancestors: [comment._id],
+        depth: 1,
+        user: reply.user,
+        text: reply.text,
+        createdAt: reply.createdAt || comment.createdAt || new Date()
+      }));
+    }
+  }
+
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    const result = await Comment.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+    counts.comments += result.upsertedCount;
+  }
+
+  await posts.updateOne(
+    { _id: post._id },
+    { $set: { commentCount: await Comment.countDocuments({ post: post._id }) }, $unset: { comments: "" } }
+  );
+  counts.posts++;
+};
+
+const clearCaches = async () => {
+  if (!process.env.REDIS_URL) return;
+  const redisClient = createClient({ url: process.env.REDIS_URL });
+  try {
+    await redisClient.connect();
+    const keys = await redisClient.keys("posts:*");
+    if (keys.length > 0) await redisClient.del(keys);
+  } catch (error) {
+    console.log("⚠️ Cache clear failed, cached feeds expire on their own:", error.message);
+  } finally {
+    if (redisClient.isOpen) await redisClient.quit();
+  }
+};
+
+try {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/post-service');
+  await Comment.init();
+
+  const posts = mongoose.connection.collection("posts");
+  const cursor = posts.find({ comments: { $exists: true } }).project({ comments: 1, createdAt: 1 });
+  for await (const post of cursor) {
+    await migratePost(posts, post);
+  }
+
+  // Replies from when they could only answer top-level comments
+  await Comment.updateMany(
+    { parent: { $ne: null }, depth: { $exists: false } },
+    [{ $set: { ancestors: ["$parent"], depth: 1 } }]
+  );
+  await Comment.updateMany({ parent: null, depth: { $exists: false } }, { $set: { ancestors: [], depth: 0 } });
+
+  // Posts that never had a comment
+  await posts.updateMany({ commentCount: { $exists: false } }, { $set: { commentCount: 0 } });
+
+  await clearCaches();
+
+  console.log(`💬 Moved ${counts.comments} comments and replies out of ${counts.posts} posts`);
+} catch (error) {
+  console.error("❌ Comments migration failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,83 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { createClient } from "redis";
+import { Reaction, REACTION_TYPES } from "./reactions.js";
+
+// Usage: npm run migrate-likes
+// Turns the `likes` array of posts from before reactions into "like"
+// reactions, recounts the post's reactions and drops `likes`. Safe to
+// re-run: existing reactions are kept as they are, so a user who has
+// reacted since keeps that reaction. REDIS_URL (optional) is used to drop
+// cached feeds afterwards.
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+const counts = { posts: 0, reactions: 0 };
+
+// Reaction counts of one post, from the reactions themselves
+const countReactions = async (postId) => {
+  const byType = await Reaction.aggregate([
+    { $match: { post: postId, comment: null } },
+    { $group: { _id: "$type", count: { $sum: 1 } } }
+  ]);
+  const reactionCounts = Object.fromEntries(REACTION_TYPES.map(type => [type, 0]));
+  byType.forEach(({ _id, count }) => { reactionCounts[_id] = count; });
+  return reactionCounts;
+};
+
+const migratePost = async (posts, post) => {
+  const operations = post.likes.map(user => ({
+    updateOne: {
+      filter: { post: post._id, comment: null, user },
+      update: { $setOnInsert: { type: "like", createdAt: post.createdAt || new Date() } },
+      upsert: true
+    }
+  }));
+
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    const result = await Reaction.bulkWrite(operations.slice(i, i + BATCH_SIZE), { ordered: false });
+    counts.reactions += result.upsertedCount;
+  }
+
+  await posts.updateOne(
+    { _id: post._id },
+    { $set: { reactionCounts: await countReactions(post._id) }, $unset: { likes: "" } }
+  );
+  counts.posts++;
+};
+
+const clearCaches = async () => {
+  if (!process.env.REDIS_URL) return;
+  const redisClient = createClient({ url: process.env.REDIS_URL });
+  try {
+    await redisClient.connect();
+    const keys = await redisClient.keys("posts:*");
+    if (keys.length > 0) await redisClient.del(keys);
+  } catch (error) {
+    console.log("⚠️ Cache clear failed, cached feeds expire on their own:", error.message);
+  } finally {
+    if (redisClient.isOpen) await redisClient.quit();
+  }
+};
+
+try {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/post-service');
+  await Reaction.init();
+
+  const posts = mongoose.connection.collection("posts");
+  const cursor = posts.find({ likes: { $exists: true } }).project({ likes: 1, createdAt: 1 });
+  for await (const post of cursor) {
+    await migratePost(posts, post);
+  }
+
+  await clearCaches();
+
+  console.log(`👍 Migrated likes of ${counts.posts} posts into ${counts.reactions} reactions`);
+} catch (error) {
+  console.error("❌ Likes migration failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,40 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { extractTags } from "./tags.js";
+
+// Usage: npm run migrate-tags
+// Sets `tags` on posts written before hashtags were parsed, so they show up
+// on tag pages. Trending only counts posts as they are written, so these
+// aren't counted there. Safe to re-run: only posts without `tags` are
+// touched.
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+let updated = 0;
+
+try {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/post-service');
+
+  const posts = mongoose.connection.collection("posts");
+  const cursor = posts.find({ tags: { $exists: false } }).project({ text: 1 });
+  let operations = [];
+  for await (const post of cursor) {
+    operations.push({ updateOne: { filter: { _id: post._id }, update: { $set: { tags: extractTags(post.text) } } } });
+    if (operations.length === BATCH_SIZE) {
+      updated += (await posts.bulkWrite(operations, { ordered: false })).modifiedCount;
+      operations = [];
+    }
+  }
+  if (operations.length > 0) {
+    updated += (await posts.bulkWrite(operations, { ordered: false })).modifiedCount;
+  }
+
+  console.log(`#️⃣ Tagged ${updated} posts`);
+} catch (error) {
+  console.error("❌ Tags migration failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,69 @@
+import { plainText } from "./mentions.js";
+
+// Link previews for shared posts. Chat apps fetch a shared link without
+// running JavaScript, so nginx sends their crawlers to a page with Open
+// Graph tags instead of the app (see the frontend's nginx.conf). Anyone else
+// who lands on it is sent on to the post.
+
+export const SITE_NAME = "Social Media Mini";
+const DESCRIPTION_LENGTH = 200;
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ({
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;"
+})[c]);
+
+// Post text on one line, cut to `max` characters. `mentions` are the
+// profiles of the users it mentions.
+export const summarize = (text, mentions = [], max = DESCRIPTION_LENGTH) => {
+  const line = plainText(text, mentions).replace(/\s+/g, " ").trim();
+  return line.length > max ? `${line.slice(0, max - 1).trimEnd()}…` : line;
+};
+
+// The post's image as an absolute URL, or its YouTube video's thumbnail
+export const previewImage = (post, appUrl) => {
+  if (post.image) return new URL(post.image, appUrl).href;
+  const videoId = post.youtubeUrl?.match(/\/embed\/([a-zA-Z0-9_-]{11})/)?.[1];
+  return videoId ? `https://img.youtube.com/vi/${videoId}/hqdefault.jpg` : null;
+};
+
+export const postUrl = (postId, appUrl) => new URL(`/post/${postId}`, appUrl).href;
+
+// HTML page with the link preview of a post by `author` (a compact profile)
+export const renderPostPreview = ({ post, author, appUrl }) => {
+  const name = [author?.firstName, author?.lastName].filter(Boolean).join(" ") || "Someone";
+  const url = postUrl(post._id, appUrl);
+  const image = previewImage(post, appUrl);
+  const tags = {
+    "og:type": "article",
+    "og:site_name": SITE_NAME,
+    "og:title": `${name} on ${SITE_NAME}`,
+    "og:description": summarize(post.text, post.mentions),
+    "og:url": url,
+    ...(image ? { "og:image": image } : {}),
+    "twitter:card": image ? "summary_large_image" : "summary"
+  };
+
+  const meta = Object.entries(tags)
+    .map(([property, content]) => `    <meta property="${property}" content="${escapeHtml(content)}" />`)
+    .join("\n");
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(tags["og:title"])}</title>
+    <meta name="description" content="${escapeHtml(tags["og:description"])}" />
+${meta}
+    <link rel="canonical" href="${escapeHtml(url)}" />
+    <meta http-equiv="refresh" content="0; url=${escapeHtml(url)}" />
+  </head>
+  <body>
+    <p><a href="${escapeHtml(url)}">${escapeHtml(tags["og:title"])}</a></p>
+  </body>
+</html>
+`;
+};
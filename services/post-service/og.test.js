@@ -0,0 +1,56 @@
+import { summarize, previewImage, renderPostPreview } from './og.js';
+
+const appUrl = 'https://social.example';
+
+describe('Link previews - text', () => {
+  test('should put post text on one line', () => {
+    expect(summarize('  Hello\n\nworld  ')).toBe('Hello world');
+  });
+
+  test('should show mentions as current usernames', () => {
+    const ana = { _id: '65f0c0ffee0000000000000a', username: 'ana' };
+    expect(summarize('Hi <@65f0c0ffee0000000000000a>', [ana])).toBe('Hi @ana');
+    expect(summarize('Hi @[Ana Lopez](65f0c0ffee0000000000000b)')).toBe('Hi @Ana Lopez');
+  });
+
+  test('should cut long text with an ellipsis', () => {
+    const summary = summarize('a'.repeat(300), [], 20);
+    expect(summary).toHaveLength(20);
+    expect(summary.endsWith('…')).toBe(true);
+  });
+});
+
+describe('Link previews - images', () => {
+  test('should make uploaded image URLs absolute', () => {
+    expect(previewImage({ image: '/api/media/files/a.jpg' }, appUrl)).toBe('https://social.example/api/media/files/a.jpg');
+    expect(previewImage({ image: 'https://cdn.example/a.jpg' }, appUrl)).toBe('https://cdn.example/a.jpg');
+  });
+
+  test('should use the thumbnail of a YouTube video', () => {
+    expect(previewImage({ youtubeUrl: 'https://www.youtube.com/embed/dQw4w9WgXcQ' }, appUrl))
+      .toBe('https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg');
+  });
+
+  test('should have no image for text posts', () => {
+    expect(previewImage({ text: 'hi' }, appUrl)).toBeNull();
+  });
+});
+
+describe('Link previews - page', () => {
+  const post = { _id: 'abc123', text: 'Look <script>alert(1)</script> "here"' };
+
+  test('should describe the post and link to it', () => {
+    const html = renderPostPreview({ post, author: { firstName: 'Ana', lastName: 'Lee' }, appUrl });
+    expect(html).toContain('<meta property="og:title" content="Ana Lee on Social Media Mini" />');
+    expect(html).toContain('<meta property="og:url" content="https://social.example/post/abc123" />');
+    expect(html).toContain('<meta property="twitter:card" content="summary" />');
+    expect(html).not.toContain('og:image');
+  });
+
+  test('should escape post text', () => {
+    const html = renderPostPreview({ post, author: null, appUrl });
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('Look &lt;script&gt;alert(1)&lt;/script&gt; &quot;here&quot;');
+    expect(html).toContain('Someone on Social Media Mini');
+  });
+});
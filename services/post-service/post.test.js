@@ -70,6 +70,9 @@ const setupApp = async () => {
     try {
       const { text, image, youtubeUrl } = req.body;
       if (!text) return res.status(400).json({ message: "Text is required" });
+      if (typeof image === 'string' && image.trim().toLowerCase().startsWith('data:')) {
+        return res.status(400).json({ message: "Upload images through /api/media/upload and send the returned URL" });
+      }
 
       let validatedYoutubeUrl = null;
       if (youtubeUrl) {
@@ -258,6 +261,19 @@ describe('Post Service - POST /', () => {
     expect(response.body).toHaveProperty('image', 'https://example.com/image.jpg');
   });
 
+  it('should reject base64 data URL images', async () => {
+    const response = await request(app)
+      .post('/')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        text: 'Post with inline image',
+        image: 'data:image/png;base64,iVBORw0KGgo='
+      })
+      .expect(400);
+
+    expect(response.body.message).toContain('/api/media/upload');
+  });
+
   it('should create post with YouTube URL', async () => {
     const response = await request(app)
       .post('/')
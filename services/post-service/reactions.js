@@ -0,0 +1,85 @@
+import mongoose from "mongoose";
+
+// Typed reactions on posts and comments, one per user per target. Each
+// reaction is a document of its own, so "who reacted" can be paged through;
+// the post or comment keeps running counts per type for feeds.
+
+export const REACTION_TYPES = ["like", "love", "laugh", "wow", "sad", "angry"];
+
+const countsSchema = new mongoose.Schema(
+  Object.fromEntries(REACTION_TYPES.map(type => [type, { type: Number, default: 0 }])),
+  { _id: false }
+);
+
+// Embedded in posts and comments as `reactionCounts`
+export const reactionCountsField = { type: countsSchema, default: () => ({}) };
+
+const reactionSchema = new mongoose.Schema({
+  post: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // null for reactions to the post itself
+  comment: { type: mongoose.Schema.Types.ObjectId, default: null },
+  user: { type: mongoose.Schema.Types.ObjectId, required: true },
+  type: { type: String, enum: REACTION_TYPES, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+reactionSchema.index({ post: 1, comment: 1, user: 1 }, { unique: true });
+reactionSchema.index({ post: 1, comment: 1, createdAt: -1, _id: -1 });
+reactionSchema.index({ post: 1, comment: 1, type: 1, createdAt: -1, _id: -1 });
+reactionSchema.index({ user: 1, post: 1 });
+reactionSchema.index({ user: 1, comment: 1 });
+
+export const Reaction = mongoose.model("Reaction", reactionSchema);
+
+export const isReactionType = (type) => REACTION_TYPES.includes(type);
+
+const target = ({ post, comment, user }) => ({ post, comment: comment || null, user });
+
+// React, or change an earlier reaction. Returns the previous type (null if
+// there was none).
+export const setReaction = async ({ post, comment, user, type }) => {
+  try {
+    const previous = await Reaction.findOneAndUpdate(
+      target({ post, comment, user }),
+      { $set: { type }, $setOnInsert: { createdAt: new Date() } },
+      { upsert: true, new: false }
+    );
+    return previous?.type || null;
+  } catch (error) {
+    // Two first reactions raced; the other one created the document
+    if (error.code !== 11000) throw error;
+    const previous = await Reaction.findOneAndUpdate(target({ post, comment, user }), { $set: { type } });
+    return previous?.type || null;
+  }
+};
+
+// Take a reaction back. Returns its type, or null if there was none.
+export const removeReaction = async ({ post, comment, user }) => {
+  const previous = await Reaction.findOneAndDelete(target({ post, comment, user }));
+  return previous?.type || null;
+};
+
+// $inc for the counts under `path` when a reaction goes from one type to
+// another; null when nothing changes
+export const countUpdate = (path, previousType, type) => {
+  if (previousType === type) return null;
+  const inc = {};
+  if (previousType) inc[`${path}.${previousType}`] = -1;
+  if (type) inc[`${path}.${type}`] = 1;
+  return { $inc: inc };
+};
+
+export const totalReactions = (counts) =>
+  REACTION_TYPES.reduce((total, type) => total + (counts?.[type] || 0), 0);
+
+// Add `myReaction` to posts, or with kind "comment" to comments, for the
+// viewing user
+export const withViewerReactions = async (items, userId, kind = "post") => {
+  if (items.length === 0) return items;
+  const ids = items.map(item => item._id);
+  const filter = kind === "comment" ? { comment: { $in: ids } } : { post: { $in: ids }, comment: null };
+  const reactions = await Reaction.find({ user: userId, ...filter }).select("post comment type").lean();
+  const mine = new Map(reactions.map(r => [String(kind === "comment" ? r.comment : r.post), r.type]));
+
+  return items.map(item => ({ ...item, myReaction: mine.get(String(item._id)) || null }));
+};
@@ -0,0 +1,36 @@
+import { countUpdate, totalReactions, isReactionType, REACTION_TYPES } from './reactions.js';
+
+describe('Reactions - types', () => {
+  test('should accept the known reaction types only', () => {
+    REACTION_TYPES.forEach(type => expect(isReactionType(type)).toBe(true));
+    expect(isReactionType('dislike')).toBe(false);
+    expect(isReactionType(undefined)).toBe(false);
+    expect(isReactionType(['like'])).toBe(false);
+  });
+});
+
+describe('Reactions - counts', () => {
+  test('should count a new reaction', () => {
+    expect(countUpdate('reactionCounts', null, 'love')).toEqual({ $inc: { 'reactionCounts.love': 1 } });
+  });
+
+  test('should move a changed reaction between types', () => {
+    expect(countUpdate('reactionCounts', 'like', 'wow')).toEqual({
+      $inc: { 'reactionCounts.like': -1, 'reactionCounts.wow': 1 }
+    });
+  });
+
+  test('should uncount a removed reaction', () => {
+    expect(countUpdate('reactionCounts', 'sad', null)).toEqual({ $inc: { 'reactionCounts.sad': -1 } });
+  });
+
+  test('should change nothing when the reaction stays the same', () => {
+    expect(countUpdate('reactionCounts', 'like', 'like')).toBeNull();
+    expect(countUpdate('reactionCounts', null, null)).toBeNull();
+  });
+
+  test('should add up all types', () => {
+    expect(totalReactions({ like: 3, love: 1, angry: 2 })).toBe(6);
+    expect(totalReactions(undefined)).toBe(0);
+  });
+});
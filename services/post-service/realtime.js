@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// Sockets authenticate with the same access token as HTTP requests and
+// only receive events for what they are looking at:
+// - `user:<id>`    joined on connect; new posts for the user's home feed
+// - `author:<id>`  new posts by one author (profile pages, and large
+//                  accounts followed from the home feed, see fanOutPost)
+// - `feed:global`  every new post
+// - `post:<id>`    likes, comments, edits and deletion of one post
+// Clients pick feeds, authors and posts with `subscribe`/`unsubscribe`
+// and re-subscribe after reconnecting, since rooms don't survive that.
+// Then they `resume` from the last sequence id they saw (see replay.js).
+
+export const GLOBAL_FEED_ROOM = "feed:global";
+// Posts one socket can watch at a time
+export const MAX_WATCHED_POSTS = 200;
+
+export const userRoom = (userId) => `user:${userId}`;
+export const authorRoom = (userId) => `author:${userId}`;
+export const postRoom = (postId) => `post:${postId}`;
+
+const validIds = (ids) => (Array.isArray(ids) ? ids : [ids])
+  .map(String)
+  .filter(id => mongoose.isValidObjectId(id));
+
+// Rooms for a `subscribe` request: { feed: "home" | "global" },
+// { author: userId } or { posts: [postId, ...] }. Home feed rooms depend on
+// who the user follows, so they are looked up with followedLargeAccounts.
+export const roomsFor = async (target, { followedLargeAccounts }) => {
+  if (!target || typeof target !== "object") return [];
+
+  if (target.feed === "global") return [GLOBAL_FEED_ROOM];
+  // The user's own room covers everyone whose posts are fanned out on write
+  if (target.feed === "home") return (await followedLargeAccounts()).map(authorRoom);
+  if (target.author) return validIds(target.author).slice(0, 1).map(authorRoom);
+  if (target.posts) return validIds(target.posts).slice(0, MAX_WATCHED_POSTS).map(postRoom);
+  return [];
+};
+
+// Audience of a new post: the author, followers whose timelines it was
+// pushed to, anyone watching the author, and the global feed
+export const newPostRooms = (authorId, recipientIds) => [
+  ...new Set([authorId, ...recipientIds].map(id => userRoom(id))),
+  authorRoom(authorId),
+  GLOBAL_FEED_ROOM
+];
+
+// Rooms an event is logged under for replay. User rooms are left out: a new
+// post can go to thousands of them, and whose home feed it belongs in can
+// be worked out from its author room when replaying (see replayFor).
+export const replayRooms = (rooms) => rooms.filter(room => !room.startsWith("user:"));
+
+// The logged events a socket would have received in `joinedRooms`. Home feed
+// sockets also get new posts by `followedIds` (the user included), which
+// reached them through their user room.
+export const replayFor = (events, joinedRooms, followedIds = []) => {
+  const rooms = new Set([...joinedRooms, ...followedIds.map(id => authorRoom(id))]);
+  return events.filter(event => event.rooms.some(room => rooms.has(room)));
+};
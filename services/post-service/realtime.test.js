@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+import { roomsFor, newPostRooms, replayRooms, replayFor, GLOBAL_FEED_ROOM, MAX_WATCHED_POSTS } from './realtime.js';
+
+const ana = new mongoose.Types.ObjectId().toString();
+const ben = new mongoose.Types.ObjectId().toString();
+const noLargeAccounts = { followedLargeAccounts: async () => [] };
+
+describe('Realtime rooms - subscriptions', () => {
+  test('should map feeds to their rooms', async () => {
+    expect(await roomsFor({ feed: 'global' }, noLargeAccounts)).toEqual([GLOBAL_FEED_ROOM]);
+    expect(await roomsFor({ feed: 'home' }, { followedLargeAccounts: async () => [ana] })).toEqual([`author:${ana}`]);
+  });
+
+  test('should map authors and posts to their rooms', async () => {
+    expect(await roomsFor({ author: ana }, noLargeAccounts)).toEqual([`author:${ana}`]);
+    expect(await roomsFor({ posts: [ana, ben] }, noLargeAccounts)).toEqual([`post:${ana}`, `post:${ben}`]);
+  });
+
+  test('should ignore invalid ids and unknown targets', async () => {
+    expect(await roomsFor({ posts: ['nope', ana] }, noLargeAccounts)).toEqual([`post:${ana}`]);
+    expect(await roomsFor({ author: 'user:123' }, noLargeAccounts)).toEqual([]);
+    expect(await roomsFor({ feed: 'secret' }, noLargeAccounts)).toEqual([]);
+    expect(await roomsFor('feed:global', noLargeAccounts)).toEqual([]);
+  });
+
+  test('should cap the posts watched in one request', async () => {
+    const ids = Array.from({ length: MAX_WATCHED_POSTS + 10 }, () => new mongoose.Types.ObjectId().toString());
+    expect(await roomsFor({ posts: ids }, noLargeAccounts)).toHaveLength(MAX_WATCHED_POSTS);
+  });
+});
+
+describe('Realtime rooms - new posts', () => {
+  test('should reach the author, their followers, profile viewers and the global feed', () => {
+    expect(newPostRooms(ana, [ana, ben])).toEqual([`user:${ana}`, `user:${ben}`, `author:${ana}`, GLOBAL_FEED_ROOM]);
+  });
+});
+
+describe('Realtime rooms - replay', () => {
+  const newPost = { event: 'post:created', rooms: replayRooms(newPostRooms(ana, [ana, ben])) };
+  const like = { event: 'post:liked', rooms: ['post:p1'] };
+
+  test('should not log user rooms', () => {
+    expect(newPost.rooms).toEqual([`author:${ana}`, GLOBAL_FEED_ROOM]);
+  });
+
+  test('should replay what the socket is subscribed to', () => {
+    expect(replayFor([newPost, like], new Set(['post:p1']))).toEqual([like]);
+    expect(replayFor([newPost, like], new Set([GLOBAL_FEED_ROOM]))).toEqual([newPost]);
+    expect(replayFor([newPost, like], new Set([`user:${ben}`]))).toEqual([]);
+  });
+
+  test('should replay new posts by followed authors to home feeds', () => {
+    expect(replayFor([newPost, like], new Set([`user:${ben}`]), [ben, ana])).toEqual([newPost]);
+  });
+});
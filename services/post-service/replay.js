@@ -0,0 +1,96 @@
+// Realtime events are also appended to a capped Redis stream, so a socket
+// that was disconnected for a while can catch up on what it missed. Stream
+// ids ("<ms>-<n>") double as the events' sequence ids: every instance
+// appends to the same stream, so they only ever increase.
+
+export const REPLAY_STREAM = "post-realtime";
+// Events kept for replay
+const REPLAY_LOG_LENGTH = 10000;
+// Beyond this many missed events, refetching is cheaper than replaying
+export const MAX_REPLAY_EVENTS = 500;
+
+const SEQ_PATTERN = /^\d+-\d+$/;
+
+export const isSeq = (value) => typeof value === "string" && SEQ_PATTERN.test(value);
+
+// Order two sequence ids like Redis does
+export const compareSeq = (a, b) => {
+  const [aMs, aN] = a.split("-").map(Number);
+  const [bMs, bN] = b.split("-").map(Number);
+  return aMs - bMs || aN - bN;
+};
+
+// Log an event sent to `rooms`. Returns its sequence id, or null if it
+// could not be logged (and so can't be replayed).
+export const appendEvent = async (redisClient, rooms, event, payload) => {
+  if (!redisClient?.isOpen) return null;
+  try {
+    return await redisClient.xAdd(REPLAY_STREAM, "*", {
+      event,
+      rooms: JSON.stringify(rooms),
+      payload: JSON.stringify(payload)
+    }, {
+      TRIM: { strategy: "MAXLEN", strategyModifier: "~", threshold: REPLAY_LOG_LENGTH }
+    });
+  } catch (err) {
+    console.error(`Failed to log ${event} for replay:`, err.message);
+    return null;
+  }
+};
+
+// XINFO STREAM as an object. node-redis drops the fields added in Redis 7,
+// such as max-deleted-entry-id, so the raw reply is parsed here.
+const streamInfo = async (redisClient) => {
+  try {
+    const reply = await redisClient.sendCommand(["XINFO", "STREAM", REPLAY_STREAM]);
+    const info = {};
+    for (let i = 0; i < reply.length; i += 2) info[reply[i]] = reply[i + 1];
+    return info;
+  } catch (err) {
+    if (/no such key/i.test(err.message)) return null;
+    throw err;
+  }
+};
+
+// Sequence id of the latest event, for clients to resume from later.
+// "0-0" before the first event; null without Redis.
+export const currentSeq = async (redisClient) => {
+  if (!redisClient?.isOpen) return null;
+  try {
+    return (await streamInfo(redisClient))?.["last-generated-id"] || "0-0";
+  } catch (err) {
+    console.error("Failed to read replay log:", err.message);
+    return null;
+  }
+};
+
+// Events logged after `since`, oldest first, or null if they can't all be
+// replayed: some were trimmed from the log, there are too many, or the log
+// was lost. Callers fall back to a full refetch then.
+export const eventsSince = async (redisClient, since) => {
+  if (!redisClient?.isOpen || !isSeq(since)) return null;
+
+  const info = await streamInfo(redisClient);
+  if (!info) return since === "0-0" ? [] : null;
+  if (compareSeq(since, info["last-generated-id"]) > 0) return null;
+
+  // Redis 7 reports the newest trimmed id; older servers only tell us where
+  // the log starts, which can only rule out a gap if `since` is still in it.
+  const trimmedUpTo = info["max-deleted-entry-id"];
+  const firstId = info["first-entry"]?.[0];
+  if (trimmedUpTo !== undefined) {
+    if (compareSeq(trimmedUpTo, since) > 0) return null;
+  } else if (firstId && compareSeq(firstId, since) > 0) {
+    return null;
+  }
+
+  const entries = await redisClient.xRange(REPLAY_STREAM, `(${since}`, "+", { COUNT: MAX_REPLAY_EVENTS + 1 });
+  if (entries.length > MAX_REPLAY_EVENTS) return null;
+
+  return entries.map(({ id, message }) => ({
+    seq: id,
+    event: message.event,
+    rooms: JSON.parse(message.rooms),
+    payload: JSON.parse(message.payload)
+  }));
+};
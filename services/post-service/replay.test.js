@@ -0,0 +1,111 @@
+import { appendEvent, currentSeq, eventsSince, compareSeq, MAX_REPLAY_EVENTS } from './replay.js';
+
+// In-memory stand-in for the replay stream, trimmed to `maxLength` entries
+const streamRedis = ({ maxLength = Infinity, redis7 = true } = {}) => {
+  let entries = [];
+  let lastId = '0-0';
+  let maxDeletedId = '0-0';
+  let ms = 1000;
+
+  return {
+    isOpen: true,
+    xAdd: async (key, id, message) => {
+      lastId = `${ms++}-0`;
+      entries.push({ id: lastId, message });
+      while (entries.length > maxLength) maxDeletedId = entries.shift().id;
+      return lastId;
+    },
+    xRange: async (key, start, end, { COUNT }) => {
+      const after = start.slice(1);
+      return entries.filter(entry => compareSeq(entry.id, after) > 0).slice(0, COUNT);
+    },
+    sendCommand: async () => {
+      if (lastId === '0-0') throw new Error('ERR no such key');
+      const reply = [
+        'length', entries.length,
+        'last-generated-id', lastId,
+        'first-entry', entries[0] ? [entries[0].id, []] : null
+      ];
+      return redis7 ? [...reply, 'max-deleted-entry-id', maxDeletedId] : reply;
+    }
+  };
+};
+
+describe('Replay log - sequence ids', () => {
+  test('should order ids like Redis', () => {
+    expect(compareSeq('1000-1', '1000-0')).toBeGreaterThan(0);
+    expect(compareSeq('999-5', '1000-0')).toBeLessThan(0);
+    expect(compareSeq('1000-0', '1000-0')).toBe(0);
+  });
+
+  test('should hand out increasing ids and report the latest', async () => {
+    const redis = streamRedis();
+    expect(await currentSeq(redis)).toBe('0-0');
+    const first = await appendEvent(redis, ['feed:global'], 'post:created', { _id: 'p1' });
+    const second = await appendEvent(redis, ['post:p1'], 'post:deleted', { postId: 'p1' });
+    expect(compareSeq(second, first)).toBeGreaterThan(0);
+    expect(await currentSeq(redis)).toBe(second);
+  });
+
+  test('should not log without Redis', async () => {
+    expect(await appendEvent(null, ['feed:global'], 'post:created', {})).toBeNull();
+    expect(await currentSeq({ isOpen: false })).toBeNull();
+  });
+});
+
+describe('Replay log - catching up', () => {
+  test('should return the events after the given id, oldest first', async () => {
+    const redis = streamRedis();
+    const since = await appendEvent(redis, ['post:p1'], 'post:liked', { postId: 'p1', likeCount: 1 });
+    await appendEvent(redis, ['post:p1'], 'comment:added', { postId: 'p1' });
+    await appendEvent(redis, ['post:p2'], 'post:deleted', { postId: 'p2' });
+
+    const events = await eventsSince(redis, since);
+    expect(events.map(e => e.event)).toEqual(['comment:added', 'post:deleted']);
+    expect(events[1]).toMatchObject({ rooms: ['post:p2'], payload: { postId: 'p2' } });
+  });
+
+  test('should replay everything from before the first event', async () => {
+    const redis = streamRedis();
+    expect(await eventsSince(redis, '0-0')).toEqual([]);
+    await appendEvent(redis, ['feed:global'], 'post:created', { _id: 'p1' });
+    expect(await eventsSince(redis, '0-0')).toHaveLength(1);
+  });
+
+  test('should give up when missed events were trimmed', async () => {
+    const redis = streamRedis({ maxLength: 2 });
+    const since = await appendEvent(redis, ['post:p1'], 'post:liked', {});
+    await appendEvent(redis, ['post:p1'], 'post:liked', {});
+    expect(await eventsSince(redis, since)).toHaveLength(1);
+
+    await appendEvent(redis, ['post:p1'], 'post:liked', {});
+    await appendEvent(redis, ['post:p1'], 'post:liked', {});
+    expect(await eventsSince(redis, since)).toBeNull();
+  });
+
+  test('should detect trimming without max-deleted-entry-id', async () => {
+    const redis = streamRedis({ maxLength: 2, redis7: false });
+    const since = await appendEvent(redis, ['post:p1'], 'post:liked', {});
+    await appendEvent(redis, ['post:p1'], 'post:liked', {});
+    expect(await eventsSince(redis, since)).toHaveLength(1);
+    await appendEvent(redis, ['post:p1'], 'post:liked', {});
+    expect(await eventsSince(redis, since)).toBeNull();
+  });
+
+  test('should give up when too much was missed', async () => {
+    const redis = streamRedis();
+    for (let i = 0; i <= MAX_REPLAY_EVENTS; i++) {
+      await appendEvent(redis, ['feed:global'], 'post:created', { _id: `p${i}` });
+    }
+    expect(await eventsSince(redis, '0-0')).toBeNull();
+  });
+
+  test('should give up on ids the log never handed out', async () => {
+    const redis = streamRedis();
+    await appendEvent(redis, ['feed:global'], 'post:created', {});
+    expect(await eventsSince(redis, '99999-0')).toBeNull();
+    expect(await eventsSince(redis, 'latest')).toBeNull();
+    expect(await eventsSince(redis, undefined)).toBeNull();
+    expect(await eventsSince(streamRedis(), '1000-0')).toBeNull();
+  });
+});
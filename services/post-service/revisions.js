@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+
+// Earlier versions of edited posts and comments. Editing keeps the current
+// version on the post or comment itself, marked with `editedAt`, and adds
+// the one it replaced here, so anyone who can see the post can see what it
+// used to say.
+
+export const POST_FIELDS = ["text", "image", "youtubeUrl"];
+export const COMMENT_FIELDS = ["text"];
+
+const revisionSchema = new mongoose.Schema({
+  post: { type: mongoose.Schema.Types.ObjectId, required: true },
+  // null for versions of the post itself
+  comment: { type: mongoose.Schema.Types.ObjectId, default: null },
+  text: { type: String },
+  image: { type: String },
+  youtubeUrl: { type: String },
+  // When this version was written; createdAt is when it was replaced
+  writtenAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+revisionSchema.index({ post: 1, comment: 1, createdAt: -1, _id: -1 });
+
+export const Revision = mongoose.model("Revision", revisionSchema);
+
+// The version of a post or comment as it is now
+export const snapshot = (doc, fields) => ({
+  ...Object.fromEntries(fields.map(field => [field, doc[field] ?? null])),
+  writtenAt: doc.editedAt || doc.createdAt
+});
+
+// Whether anything visible changed between two snapshots; a missing image
+// and an empty one are the same
+export const isEdited = (before, after, fields) =>
+  fields.some(field => (before[field] || "") !== (after[field] || ""));
+
+// Keep `version`, a snapshot, as a revision of the post or comment
+export const recordRevision = ({ post, comment }, version) =>
+  Revision.create({ post, comment: comment || null, ...version });
@@ -0,0 +1,34 @@
+import { snapshot, isEdited, POST_FIELDS, COMMENT_FIELDS } from './revisions.js';
+
+describe('Revisions - snapshots', () => {
+  test('should keep the edited fields and when the version was written', () => {
+    const createdAt = new Date('2026-01-01');
+    expect(snapshot({ text: 'hi', image: 'a.png', createdAt, likes: 3 }, POST_FIELDS)).toEqual({
+      text: 'hi',
+      image: 'a.png',
+      youtubeUrl: null,
+      writtenAt: createdAt
+    });
+  });
+
+  test('should date an edited version by its edit', () => {
+    const editedAt = new Date('2026-02-01');
+    expect(snapshot({ text: 'hi', createdAt: new Date('2026-01-01'), editedAt }, COMMENT_FIELDS))
+      .toEqual({ text: 'hi', writtenAt: editedAt });
+  });
+});
+
+describe('Revisions - edits', () => {
+  test('should notice changed text', () => {
+    expect(isEdited({ text: 'a' }, { text: 'b' }, COMMENT_FIELDS)).toBe(true);
+  });
+
+  test('should not count saving the same version as an edit', () => {
+    expect(isEdited({ text: 'a', image: 'x.png' }, { text: 'a', image: 'x.png' }, POST_FIELDS)).toBe(false);
+  });
+
+  test('should treat missing and empty media as the same', () => {
+    expect(isEdited({ text: 'a', youtubeUrl: null }, { text: 'a', youtubeUrl: '', image: undefined }, POST_FIELDS)).toBe(false);
+    expect(isEdited({ text: 'a', image: null }, { text: 'a', image: 'x.png' }, POST_FIELDS)).toBe(true);
+  });
+});
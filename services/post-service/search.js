@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+import { InvalidCursorError } from "@social-media-mini/shared/pagination";
+import { plainText } from "./mentions.js";
+import { extractTags } from "./tags.js";
+
+// Full-text post search. Posts are copied into the Elasticsearch `posts`
+// index as they are created, edited and deleted; indexing is best effort, so
+// a failure is logged and the post is still saved. When Elasticsearch is
+// down, search falls back to a MongoDB text index, like user search.
+//
+// Results come best match first, a page at a time, with an offset
+// cursor, and each post carries `highlight`: the parts of its text that
+// matched, as [{ text, match }] runs.
+
+export const POSTS_INDEX = "posts";
+
+export const POSTS_MAPPINGS = {
+  properties: {
+    text: { type: "text" },
+    tags: { type: "keyword" },
+    author: { type: "keyword" },
+    createdAt: { type: "date" }
+  }
+};
+
+// Marks around matches in Elasticsearch highlights, which cover the whole
+// text; private-use characters, so nothing a user typed can look like one
+const MATCH_START = "\uE000";
+const MATCH_END = "\uE001";
+
+export class InvalidSearchError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "InvalidSearchError";
+  }
+}
+
+export const encodeSearchCursor = (offset) => Buffer.from(JSON.stringify({ o: offset })).toString("base64url");
+
+export const decodeSearchCursor = (cursor) => {
+  if (!cursor) return 0;
+  try {
+    const { o } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isInteger(o) || o < 0) throw new Error();
+    return o;
+  } catch {
+    throw new InvalidCursorError();
+  }
+};
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new InvalidSearchError(`Invalid ${name} date`);
+  return date;
+};
+
+// Search filters from a query string: `q`, `author` (a user id) and
+// `since`/`until` (dates, inclusive; a bare day covers all of it)
+export const parseSearch = (query) => {
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  const author = query.author || null;
+  if (author && !mongoose.isValidObjectId(author)) throw new InvalidSearchError("Invalid author");
+
+  const since = parseDate(query.since, "since");
+  let until = parseDate(query.until, "until");
+  if (until && /^\d{4}-\d{2}-\d{2}$/.test(query.until)) {
+    until = new Date(until.getTime() + 24 * 60 * 60 * 1000 - 1);
+  }
+
+  return { q, author, since, until };
+};
+
+// The Elasticsearch document for a post; mentions are indexed as the
+// current usernames of `mentions`, the profiles of the users they mention
+export const postDocument = (post, mentions = []) => ({
+  text: plainText(post.text, mentions),
+  tags: post.tags || [],
+  author: String(post.user?._id || post.user),
+  createdAt: post.createdAt
+});
+
+export const ensurePostsIndex = async (esClient) => {
+  if (await esClient.indices.exists({ index: POSTS_INDEX })) return;
+  await esClient.indices.create({ index: POSTS_INDEX, mappings: POSTS_MAPPINGS });
+  console.log(`✅ Created Elasticsearch index: ${POSTS_INDEX}`);
+};
+
+export const indexPost = async (esClient, post, mentions) => {
+  if (!esClient) return;
+  try {
+    await esClient.index({ index: POSTS_INDEX, id: post._id.toString(), document: postDocument(post, mentions) });
+  } catch (esError) {
+    console.error("Elasticsearch indexing error:", esError.message);
+  }
+};
+
+export const unindexPost = async (esClient, postId) => {
+  if (!esClient) return;
+  try {
+    await esClient.delete({ index: POSTS_INDEX, id: postId.toString() });
+  } catch (esError) {
+    if (esError.meta?.statusCode !== 404) {
+      console.error("Elasticsearch delete error:", esError.message);
+    }
+  }
+};
+
+const dateRange = (since, until) => (since || until
+  ? { ...(since ? { gte: since } : {}), ...(until ? { lte: until } : {}) }
+  : null);
+
+// Elasticsearch search request for a page of results. Hashtags in `q` also
+// match the post's tags exactly.
+export const searchRequest = ({ q, author, since, until }, offset, size) => {
+  const filter = [];
+  if (author) filter.push({ term: { author: String(author) } });
+  const range = dateRange(since, until);
+  if (range) filter.push({ range: { createdAt: range } });
+
+  const tags = extractTags(q);
+  return {
+    index: POSTS_INDEX,
+    query: {
+      bool: {
+        should: [
+          { match: { text: { query: q, operator: "and", fuzziness: "AUTO" } } },
+          { match_phrase: { text: { query: q, boost: 3 } } },
+          ...(tags.length > 0 ? [{ terms: { tags, boost: 2 } }] : [])
+        ],
+        minimum_should_match: 1,
+        filter
+      }
+    },
+    sort: ["_score", { createdAt: "desc" }],
+    highlight: {
+      fields: { text: { number_of_fragments: 0 } },
+      pre_tags: [MATCH_START],
+      post_tags: [MATCH_END]
+    },
+    from: offset,
+    size
+  };
+};
+
+// MongoDB filter for the same search, on the posts text index
+export const fallbackFilter = ({ q, author, since, until }) => {
+  const filter = { $text: { $search: q } };
+  if (author) filter.user = author;
+  const range = dateRange(since, until);
+  if (range) filter.createdAt = Object.fromEntries(Object.entries(range).map(([op, date]) => [`$${op}`, date]));
+  return filter;
+};
+
+// An Elasticsearch highlight as [{ text, match }] runs
+export const highlightRuns = (highlighted) => {
+  const runs = [];
+  for (const [i, part] of highlighted.split(new RegExp(`[${MATCH_START}${MATCH_END}]`)).entries()) {
+    if (part) runs.push({ text: part, match: i % 2 === 1 });
+  }
+  return runs;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Highlight runs for the fallback: every word of `q` found in `text`,
+// ignoring case
+export const highlightWords = (text, q) => {
+  const words = q.split(/\s+/).map(word => word.replace(/^#/, "")).filter(Boolean).map(escapeRegExp);
+  if (words.length === 0) return [{ text, match: false }];
+
+  const pattern = new RegExp(`(${words.join("|")})`, "giu");
+  return text.split(pattern)
+    .map((part, i) => ({ text: part, match: i % 2 === 1 }))
+    .filter(run => run.text);
+};
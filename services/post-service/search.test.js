@@ -0,0 +1,131 @@
+import { jest } from '@jest/globals';
+import { InvalidCursorError } from '@social-media-mini/shared/pagination';
+import {
+  InvalidSearchError,
+  parseSearch,
+  encodeSearchCursor,
+  decodeSearchCursor,
+  postDocument,
+  indexPost,
+  unindexPost,
+  searchRequest,
+  fallbackFilter,
+  highlightRuns,
+  highlightWords
+} from './search.js';
+
+const USER_ID = '64b7f0c2a1b2c3d4e5f60718';
+
+describe('Search - filters', () => {
+  test('should parse the query and filters', () => {
+    const search = parseSearch({ q: '  coffee  ', author: USER_ID, since: '2026-03-01', until: '2026-03-02' });
+    expect(search.q).toBe('coffee');
+    expect(search.author).toBe(USER_ID);
+    expect(search.since).toEqual(new Date('2026-03-01T00:00:00Z'));
+    // A bare day includes all of it
+    expect(search.until).toEqual(new Date('2026-03-02T23:59:59.999Z'));
+  });
+
+  test('should reject a bad author or date', () => {
+    expect(() => parseSearch({ q: 'x', author: 'nope' })).toThrow(InvalidSearchError);
+    expect(() => parseSearch({ q: 'x', since: 'yesterday' })).toThrow(/since/);
+  });
+
+  test('should round-trip cursors and reject bad ones', () => {
+    expect(decodeSearchCursor(undefined)).toBe(0);
+    expect(decodeSearchCursor(encodeSearchCursor(40))).toBe(40);
+    expect(() => decodeSearchCursor('garbage')).toThrow(InvalidCursorError);
+    expect(() => decodeSearchCursor(encodeSearchCursor(-1))).toThrow(InvalidCursorError);
+  });
+});
+
+describe('Search - queries', () => {
+  test('should filter by author and dates', () => {
+    const since = new Date('2026-03-01');
+    const request = searchRequest({ q: 'coffee', author: USER_ID, since, until: null }, 20, 11);
+    expect(request.query.bool.filter).toEqual([
+      { term: { author: USER_ID } },
+      { range: { createdAt: { gte: since } } }
+    ]);
+    expect(request.from).toBe(20);
+    expect(request.size).toBe(11);
+  });
+
+  test('should match hashtags in the query against tags', () => {
+    const { should } = searchRequest({ q: 'morning #Coffee' }, 0, 10).query.bool;
+    expect(should).toContainEqual({ terms: { tags: ['coffee'], boost: 2 } });
+    expect(searchRequest({ q: 'coffee' }, 0, 10).query.bool.should).toHaveLength(2);
+  });
+
+  test('should build the same filters for the MongoDB fallback', () => {
+    const until = new Date('2026-03-02');
+    expect(fallbackFilter({ q: 'coffee', author: USER_ID, since: null, until })).toEqual({
+      $text: { $search: 'coffee' },
+      user: USER_ID,
+      createdAt: { $lte: until }
+    });
+  });
+});
+
+describe('Search - highlighting', () => {
+  test('should split Elasticsearch highlights into runs', () => {
+    expect(highlightRuns('Morning \uE000coffee\uE001 and \uE000cake\uE001')).toEqual([
+      { text: 'Morning ', match: false },
+      { text: 'coffee', match: true },
+      { text: ' and ', match: false },
+      { text: 'cake', match: true }
+    ]);
+  });
+
+  test('should highlight query words in the fallback', () => {
+    expect(highlightWords('Coffee with #coffee lovers', '#coffee lovers')).toEqual([
+      { text: 'Coffee', match: true },
+      { text: ' with #', match: false },
+      { text: 'coffee', match: true },
+      { text: ' ', match: false },
+      { text: 'lovers', match: true }
+    ]);
+    expect(highlightWords('c++ tips', 'c++')).toEqual([
+      { text: 'c++', match: true },
+      { text: ' tips', match: false }
+    ]);
+  });
+});
+
+describe('Search - indexing', () => {
+  const post = {
+    _id: { toString: () => 'post1' },
+    user: USER_ID,
+    text: 'Thanks @[Ana](64b7f0c2a1b2c3d4e5f60719) #coffee',
+    tags: ['coffee'],
+    createdAt: new Date('2026-03-01')
+  };
+
+  test('should index mentions as the names they show', () => {
+    expect(postDocument({ ...post, text: 'Thanks <@64b7f0c2a1b2c3d4e5f60719> #coffee' }, [
+      { _id: '64b7f0c2a1b2c3d4e5f60719', username: 'ana_l' }
+    ]).text).toBe('Thanks @ana_l #coffee');
+    expect(postDocument(post)).toEqual({
+      text: 'Thanks @Ana #coffee',
+      tags: ['coffee'],
+      author: USER_ID,
+      createdAt: post.createdAt
+    });
+  });
+
+  test('should keep going when Elasticsearch fails', async () => {
+    const esClient = {
+      index: jest.fn().mockRejectedValue(new Error('down')),
+      delete: jest.fn().mockRejectedValue(Object.assign(new Error('gone'), { meta: { statusCode: 404 } }))
+    };
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(indexPost(esClient, post)).resolves.toBeUndefined();
+    await expect(unindexPost(esClient, 'post1')).resolves.toBeUndefined();
+    await expect(indexPost(null, post)).resolves.toBeUndefined();
+    expect(esClient.index).toHaveBeenCalledWith(expect.objectContaining({ index: 'posts', id: 'post1' }));
+    // Deleting a post that was never indexed isn't worth a log line
+    expect(error).toHaveBeenCalledTimes(1);
+    error.mockRestore();
+  });
+});
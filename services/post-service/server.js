@@ -7,6 +7,72 @@ import { createClient } from "redis";
 import rateLimit from "express-rate-limit";
 import { Server } from "socket.io";
 import { createServer } from "http";
+import { createAdapter } from "@socket.io/redis-adapter";
+import { Client } from "@elastic/elasticsearch";
+import {
+  InvalidCursorError,
+  decodeCursor,
+  parseLimit,
+  olderThan,
+  isOlderThan,
+  toPage,
+  NEWEST_FIRST
+} from "@social-media-mini/shared/pagination";
+import { hydrate, hydrateOne, fetchProfiles, fetchProfilesByUsername } from "@social-media-mini/shared/hydrate";
+import { TIMELINE_MAX_SIZE, timelineKey, addToTimelines, readTimelinePosts } from "./timeline.js";
+import { verifyToken, AuthError } from "@social-media-mini/shared/jwt";
+import { publishDomainEvent } from "@social-media-mini/shared/events";
+import {
+  MAX_WATCHED_POSTS,
+  userRoom,
+  postRoom,
+  roomsFor,
+  newPostRooms,
+  replayRooms,
+  replayFor
+} from "./realtime.js";
+import { appendEvent, currentSeq, eventsSince } from "./replay.js";
+import {
+  Reaction,
+  reactionCountsField,
+  isReactionType,
+  setReaction,
+  removeReaction,
+  countUpdate,
+  withViewerReactions
+} from "./reactions.js";
+import { Comment, findComment, replyPosition } from "./comments.js";
+import {
+  Revision,
+  POST_FIELDS,
+  COMMENT_FIELDS,
+  snapshot,
+  isEdited,
+  recordRevision
+} from "./revisions.js";
+import { renderPostPreview } from "./og.js";
+import {
+  TRENDING_WINDOWS,
+  DEFAULT_TRENDING_WINDOW,
+  normalizeTag,
+  extractTags,
+  recordTagUse,
+  trendingTags
+} from "./tags.js";
+import { InvalidTextError, resolveMentions, addedMentions, plainText, extractMentions } from "./mentions.js";
+import {
+  InvalidSearchError,
+  parseSearch,
+  encodeSearchCursor,
+  decodeSearchCursor,
+  ensurePostsIndex,
+  indexPost,
+  unindexPost,
+  searchRequest,
+  fallbackFilter,
+  highlightRuns,
+  highlightWords
+} from "./search.js";
 
 dotenv.config();
 
@@ -14,14 +80,15 @@ const app = express();
 const httpServer = createServer(app);
 const io = new Server(httpServer, {
   cors: {
-    origin: "*",
-    methods: ["GET", "POST", "PUT", "DELETE"]
+    // Browsers send the access token in the handshake, so only our own frontends may connect
+    origin: (process.env.SOCKET_CORS_ORIGINS || "http://localhost,http://localhost:5173").split(","),
+    methods: ["GET", "POST"]
   }
 });
 
 app.set('trust proxy', 1);
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
+app.use(express.json({ limit: '100kb' }));
+app.use(express.urlencoded({ limit: '100kb', extended: true }));
 app.use(cors());
 
 // Rate limiters
@@ -37,36 +104,50 @@ const commentLimiter = rateLimit({
   message: { message: 'Too many comments posted, please try again later.' }
 });
 
-const likeLimiter = rateLimit({
+const reactionLimiter = rateLimit({
   windowMs: 60 * 60 * 1000,
   max: 100,
-  message: { message: 'Too many like actions, please try again later.' }
+  message: { message: 'Too many reactions, please try again later.' }
 });
 
-// Post Schema
-const commentSchema = new mongoose.Schema({
-  user: { type: mongoose.Schema.Types.ObjectId, required: true },
-  text: { type: String, required: true },
-  createdAt: { type: Date, default: Date.now },
-  replies: [{
-    user: { type: mongoose.Schema.Types.ObjectId, required: true },
-    text: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now }
-  }]
+const searchLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: { message: 'Too many search requests, please slow down.' }
 });
 
+// Post Schema
 const postSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "User" },
   text: { type: String, required: true },
   image: { type: String },
   youtubeUrl: { type: String },
-  likes: [{ type: mongoose.Schema.Types.ObjectId }],
-  comments: [commentSchema],
+  // Hashtags in the text, normalized (see tags.js)
+  tags: { type: [String], default: [] },
+  // Users mentioned in the text (see mentions.js)
+  mentions: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+  reactionCounts: reactionCountsField,
+  commentCount: { type: Number, default: 0 },
+  // Set when the post is edited; earlier versions are kept as revisions
+  editedAt: { type: Date, default: null },
   createdAt: { type: Date, default: Date.now }
 });
 
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ user: 1, createdAt: -1, _id: -1 });
+postSchema.index({ tags: 1, createdAt: -1, _id: -1 });
+// Search fallback for when Elasticsearch is down
+postSchema.index({ text: "text", tags: "text" });
+
 const Post = mongoose.model("Post", postSchema);
 
+// Where the frontend is served, for links to posts
+const APP_URL = process.env.APP_URL || "http://localhost:5173";
+
+// How many levels deep comment threads go, top-level comments included; at
+// least two, so there is always somewhere for a reply to go
+const MAX_COMMENT_DEPTH = Math.max(parseInt(process.env.MAX_COMMENT_DEPTH) || 5, 2);
+
 // Helper function to extract YouTube video ID
 const extractYouTubeId = (url) => {
   if (!url) return null;
@@ -89,11 +170,34 @@ const connectRedis = async () => {
     redisClient = createClient({ url: process.env.REDIS_URL });
     await redisClient.connect();
     console.log("✅ Post Service - Redis Connected");
+
+    // Share socket rooms between post-service instances
+    const pubClient = redisClient.duplicate();
+    const subClient = redisClient.duplicate();
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+    io.adapter(createAdapter(pubClient, subClient));
+    console.log("✅ Post Service - Socket.io Redis adapter ready");
   } catch (error) {
     console.log("⚠️ Post Service - Redis connection failed:", error.message);
   }
 };
 
+// Elasticsearch client, for post search (see search.js)
+let esClient = null;
+const connectElasticsearch = async () => {
+  try {
+    const client = new Client({
+      node: process.env.ELASTICSEARCH_URL || 'http://localhost:9200'
+    });
+    await client.ping();
+    await ensurePostsIndex(client);
+    esClient = client;
+    console.log("✅ Post Service - Elasticsearch Connected");
+  } catch (error) {
+    console.log("⚠️ Post Service - Elasticsearch connection failed:", error.message);
+  }
+};
+
 // MongoDB connection
 const connectDB = async () => {
   try {
@@ -109,17 +213,90 @@ const connectDB = async () => {
 if (process.env.NODE_ENV !== 'test') {
   connectDB();
   connectRedis();
+  connectElasticsearch();
 }
 
+// Socket.io authentication: clients pass their access token as `auth.token`
+io.use(async (socket, next) => {
+  try {
+    const payload = await verifyToken(socket.handshake.auth?.token);
+    socket.data.userId = payload.id;
+    next();
+  } catch (error) {
+    next(new Error(error instanceof AuthError ? "Unauthorized" : "Server error"));
+  }
+});
+
 // Socket.io connection handling
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
-  
-  socket.on('disconnect', () => {
-    console.log('Client disconnected:', socket.id);
+  const { userId } = socket.data;
+  socket.join(userRoom(userId));
+
+  const resolveRooms = (target) => roomsFor(target, {
+    followedLargeAccounts: () => fetchFollowingIds(userId, FANOUT_FOLLOWER_THRESHOLD + 1)
+  });
+
+  socket.on('subscribe', async (target, ack) => {
+    try {
+      const rooms = await resolveRooms(target);
+
+      // Past the cap, stop watching the posts subscribed to longest ago
+      const watched = [...socket.rooms].filter(room => room.startsWith('post:'));
+      const added = rooms.filter(room => room.startsWith('post:') && !socket.rooms.has(room));
+      const excess = watched.length + added.length - MAX_WATCHED_POSTS;
+      if (excess > 0) watched.slice(0, excess).forEach(room => socket.leave(room));
+
+      socket.join(rooms);
+      if (target?.feed === 'home') socket.data.homeFeed = true;
+      // Where to resume from if this socket has to reconnect
+      if (typeof ack === 'function') ack({ ok: true, seq: await currentSeq(redisClient) });
+    } catch (error) {
+      console.log('Socket subscribe error:', error.message);
+      if (typeof ack === 'function') ack({ ok: false, message: 'Subscription failed' });
+    }
+  });
+
+  socket.on('unsubscribe', async (target) => {
+    try {
+      const rooms = await resolveRooms(target);
+      rooms.forEach(room => socket.leave(room));
+      if (target?.feed === 'home') socket.data.homeFeed = false;
+    } catch (error) {
+      console.log('Socket unsubscribe error:', error.message);
+    }
+  });
+
+  // Catch up after reconnecting: replay what the socket's subscriptions
+  // missed since `since`, or have the client refetch if that isn't possible
+  socket.on('resume', async ({ since } = {}, ack) => {
+    try {
+      const events = await eventsSince(redisClient, since);
+      if (!events) {
+        socket.emit('resync:required', { seq: await currentSeq(redisClient) });
+      } else {
+        const followedIds = socket.data.homeFeed && events.some(e => e.event === 'post:created')
+          ? [userId, ...await fetchFollowingIds(userId)]
+          : [];
+        replayFor(events, socket.rooms, followedIds)
+          .forEach(({ seq, event, payload }) => socket.emit(event, payload, { seq }));
+      }
+      if (typeof ack === 'function') ack({ ok: true, replayed: !!events });
+    } catch (error) {
+      console.log('Socket resume error:', error.message);
+      socket.emit('resync:required', { seq: null });
+      if (typeof ack === 'function') ack({ ok: false, message: 'Resume failed' });
+    }
   });
 });
 
+// Send a realtime event to `rooms`, tagged with its sequence id and logged
+// for sockets that reconnect later
+const broadcast = async (rooms, event, payload) => {
+  const targets = [].concat(rooms);
+  const seq = await appendEvent(redisClient, replayRooms(targets), event, payload);
+  io.to(targets).emit(event, payload, { seq });
+};
+
 // Auth middleware
 const protect = async (req, res, next) => {
   try {
@@ -128,11 +305,42 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ message: "No token provided" });
     }
 
-    const response = await axios.post(`${process.env.AUTH_SERVICE_URL}/verify`, { token });
-    req.user = response.data.user;
+    // Verify token locally against auth-service's signing keys
+    const payload = await verifyToken(token);
+    req.user = { _id: payload.id };
     next();
   } catch (error) {
-    res.status(401).json({ message: "Unauthorized" });
+    if (error instanceof AuthError) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Images are uploaded to media-service; posts only store their URLs
+const DATA_URL_MESSAGE = "Upload images through /api/media/upload and send the returned URL";
+const isDataUrl = (value) => typeof value === "string" && value.trim().toLowerCase().startsWith("data:");
+
+// Text to store with its mentions looked up in user-service; throws
+// InvalidTextError unless it's a string
+const resolveText = (text) => resolveMentions(text, {
+  byIds: (ids) => fetchProfiles(ids, redisClient),
+  byUsernames: fetchProfilesByUsername
+});
+
+// Tell each newly mentioned user, through notification-service. `commentId`
+// is the comment or reply mentioning them, if it isn't the post; `text` is
+// its plainText.
+const notifyMentions = async (userIds, { post, commentId = null, actor, text }) => {
+  for (const userId of userIds) {
+    await publishDomainEvent(redisClient, "user.mentioned", {
+      userId,
+      postId: post._id,
+      postAuthor: post.user,
+      commentId,
+      actor,
+      text
+    });
   }
 };
 
@@ -148,6 +356,64 @@ const clearCache = async (pattern) => {
   }
 };
 
+// Authors with more followers than this are skipped on write and merged in
+// on read instead (see timeline.js)
+const FANOUT_FOLLOWER_THRESHOLD = parseInt(process.env.FANOUT_FOLLOWER_THRESHOLD) || 5000;
+
+// user-service's follower id lists are internal endpoints
+const internalHeaders = () => ({ "x-internal-token": process.env.INTERNAL_API_TOKEN });
+
+// Ids of accounts a user follows; minFollowers limits it to large accounts
+const fetchFollowingIds = async (userId, minFollowers) => {
+  const response = await axios.get(`${process.env.USER_SERVICE_URL}/${userId}/following/ids`, {
+    params: minFollowers ? { minFollowers } : {},
+    headers: internalHeaders()
+  });
+  return response.data.ids;
+};
+
+// Push a new post into the author's and followers' timelines. Returns the
+// followers it was pushed to (none for large accounts), who also get the
+// post in realtime.
+const fanOutPost = async (post, author) => {
+  const recipients = [post.user.toString()];
+  try {
+    if ((author?.followersCount || 0) <= FANOUT_FOLLOWER_THRESHOLD) {
+      const response = await axios.get(`${process.env.USER_SERVICE_URL}/${post.user}/followers/ids`, {
+        headers: internalHeaders()
+      });
+      recipients.push(...response.data.ids);
+    }
+    if (redisClient?.isOpen) await addToTimelines(redisClient, recipients, post);
+  } catch (err) {
+    console.log('Timeline fan-out error:', err.message);
+  }
+  return recipients;
+};
+
+// Fan a new post out and push it to connected followers. Runs after the
+// author has had their response, so errors are only logged.
+const deliverNewPost = async (post) => {
+  try {
+    const postWithUser = await hydrateOne(post, redisClient);
+    const recipients = await fanOutPost(post, postWithUser.user);
+    await broadcast(newPostRooms(post.user.toString(), recipients), 'post:created', postWithUser);
+  } catch (err) {
+    console.log('New post delivery error:', err.message);
+  }
+};
+
+// The posts a user's timeline is built from: the newest by the accounts they
+// follow and their own
+const loadTimelinePosts = async (userId) => {
+  const followingIds = await fetchFollowingIds(userId);
+  return Post.find({ user: { $in: [...followingIds, userId] } })
+    .sort({ createdAt: -1 })
+    .limit(TIMELINE_MAX_SIZE)
+    .select('_id createdAt')
+    .lean();
+};
+
 // Health check
 app.get("/health", (req, res) => {
   res.json({ status: "healthy", service: "post-service" });
@@ -156,7 +422,11 @@ app.get("/health", (req, res) => {
 // Create post
 app.post("/", protect, postLimiter, async (req, res) => {
   try {
-    const { text, image, youtubeUrl } = req.body;
+    const { image, youtubeUrl } = req.body;
+
+    if (isDataUrl(image)) {
+      return res.status(400).json({ message: DATA_URL_MESSAGE });
+    }
 
     // Validate YouTube URL if provided
     let validatedYoutubeUrl = null;
@@ -167,78 +437,252 @@ app.post("/", protect, postLimiter, async (req, res) => {
       }
     }
 
+    const { text, mentions, users } = await resolveText(req.body.text);
     const post = await Post.create({
       user: req.user._id,
       text,
       image,
       youtubeUrl: validatedYoutubeUrl,
+      tags: extractTags(text),
+      mentions,
     });
 
     await clearCache('posts:*');
-    
-    // Populate user data for socket emission
-    const postWithUser = post.toObject();
-    try {
-      const userResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${req.user._id}`);
-      postWithUser.user = userResponse.data;
-    } catch {
-      postWithUser.user = { _id: req.user._id };
-    }
-    
-    // Emit socket event for new post with populated user
-    io.emit('post:created', postWithUser);
-    
+    await indexPost(esClient, post, users);
+    await recordTagUse(redisClient, post._id, post.tags);
+    await notifyMentions(mentions, { post, actor: req.user._id, text: plainText(text, users) });
+
     res.status(201).json(post);
+
+    // Followers' timelines and sockets don't hold up the author
+    deliverNewPost(post);
   } catch (error) {
+    if (error instanceof InvalidTextError) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
-// Get all posts (Feed)
+// Home timeline: posts from followed accounts plus the user's own
 app.get("/", protect, async (req, res) => {
   try {
-    // Check cache
-    const cacheKey = `posts:feed:${req.user._id}`;
+    const userId = req.user._id.toString();
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    let posts = null;
+
     if (redisClient?.isOpen) {
+      try {
+        const [timeline, largeAccountIds] = await Promise.all([
+          readTimelinePosts(redisClient, userId, cursor, limit, {
+            loadPosts: () => loadTimelinePosts(userId),
+            findPosts: async (ids) => (await Post.find({ _id: { $in: ids } })).filter(p => isOlderThan(p, cursor))
+          }),
+          fetchFollowingIds(userId, FANOUT_FOLLOWER_THRESHOLD + 1)
+        ]);
+
+        if (!timeline.exhausted) {
+          // Large accounts are not fanned out on write, so merge their posts in here
+          const largeAccountPosts = largeAccountIds.length > 0
+            ? await Post.find({ user: { $in: largeAccountIds }, ...olderThan(cursor) }).sort(NEWEST_FIRST).limit(limit + 1)
+            : [];
+
+          const merged = new Map();
+          [...timeline.posts, ...largeAccountPosts].forEach(p => merged.set(p._id.toString(), p));
+          posts = [...merged.values()]
+            .sort((a, b) => b.createdAt - a.createdAt || (b._id.toString() > a._id.toString() ? 1 : -1))
+            .slice(0, limit + 1);
+        }
+      } catch (err) {
+        console.log('Timeline read error, falling back to fan-out-on-read:', err.message);
+      }
+    }
+
+    // Fan-out-on-read when Redis is unavailable or the page is past the timeline cap
+    if (!posts) {
+      let followingIds = [];
+      try {
+        followingIds = await fetchFollowingIds(userId);
+      } catch (err) {
+        console.log('Failed to fetch following list:', err.message);
+      }
+      posts = await Post.find({ user: { $in: [...followingIds, userId] }, ...olderThan(cursor) })
+        .sort(NEWEST_FIRST)
+        .limit(limit + 1);
+    }
+
+    const page = toPage(posts, limit);
+    const hydrated = await hydrate(page.items, redisClient);
+    res.json({ posts: await withViewerReactions(hydrated, req.user._id), nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Global feed: every post in the system
+app.get("/global", protect, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+
+    // Only the first page is cached
+    const cacheKey = `posts:feed:global:${limit}`;
+    if (!cursor && redisClient?.isOpen) {
       const cached = await redisClient.get(cacheKey);
-      if (cached) return res.json(JSON.parse(cached));
+      if (cached) {
+        const result = JSON.parse(cached);
+        return res.json({ ...result, posts: await withViewerReactions(result.posts, req.user._id) });
+      }
     }
 
-    const posts = await Post.find().sort({ createdAt: -1 });
+    const posts = await Post.find(olderThan(cursor)).sort(NEWEST_FIRST).limit(limit + 1);
+    const page = toPage(posts, limit);
+    const result = { posts: await hydrate(page.items, redisClient), nextCursor: page.nextCursor };
+
+    // Cache result; viewers' own reactions are added per request
+    if (!cursor && redisClient?.isOpen) {
+      await redisClient.setEx(cacheKey, 300, JSON.stringify(result));
+    }
 
-    // Fetch user details for each post and comment
-    const postsWithUsers = await Promise.all(posts.map(async (post) => {
+    res.json({ ...result, posts: await withViewerReactions(result.posts, req.user._id) });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Trending tags over the last hour, day or week (`window`: 1h, 24h or 7d)
+app.get("/tags/trending", protect, async (req, res) => {
+  try {
+    const window = req.query.window || DEFAULT_TRENDING_WINDOW;
+    if (!TRENDING_WINDOWS[window]) {
+      return res.status(400).json({ message: "Invalid window" });
+    }
+    const limit = Math.min(parseLimit(req.query.limit), 50);
+
+    res.json({ window, tags: await trendingTags(redisClient, window, limit) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Posts with a tag, newest first
+app.get("/tags/:tag", protect, async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    if (!tag) return res.status(400).json({ message: "Invalid tag" });
+
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    const posts = await Post.find({ tags: tag, ...olderThan(cursor) })
+      .sort(NEWEST_FIRST)
+      .limit(limit + 1);
+    const page = toPage(posts, limit);
+
+    const postsWithUsers = await hydrate(page.items, redisClient);
+    res.json({ tag, posts: await withViewerReactions(postsWithUsers, req.user._id), nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Search posts by text and hashtags, best match first. Optional filters:
+// `author` (user id), `since` and `until` (dates)
+app.get("/search", protect, searchLimiter, async (req, res) => {
+  try {
+    const search = parseSearch(req.query);
+    const limit = parseLimit(req.query.limit);
+    const offset = decodeSearchCursor(req.query.cursor);
+
+    if (!search.q) {
+      return res.json({ posts: [], nextCursor: null });
+    }
+
+    // A page of results; `highlights` maps post ids to their highlight runs.
+    // Both backends fetch one extra result to tell whether there are more.
+    const toSearchPage = async (posts, highlights, hasMore) => {
+      const hydrated = await hydrate(posts, redisClient);
+      const withReactions = await withViewerReactions(hydrated, req.user._id);
+      return {
+        posts: withReactions.map(post => ({
+          ...post,
+          highlight: highlights.get(post._id.toString()) || highlightWords(plainText(post.text, post.mentions), search.q)
+        })),
+        nextCursor: hasMore ? encodeSearchCursor(offset + limit) : null
+      };
+    };
+
+    // Try Elasticsearch first
+    if (esClient) {
       try {
-        const postObj = post.toObject();
-        
-        // Fetch post author
-        const userResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${post.user}`);
-        postObj.user = userResponse.data;
-        
-        // Fetch comment authors
-        if (postObj.comments && postObj.comments.length > 0) {
-          postObj.comments = await Promise.all(postObj.comments.map(async (comment) => {
-            try {
-              const commentUserResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${comment.user}`);
-              return { ...comment, user: commentUserResponse.data };
-            } catch {
-              return comment;
-            }
-          }));
-        }
-        
-        return postObj;
-      } catch {
-        return { ...post.toObject(), user: null };
+        const result = await esClient.search(searchRequest(search, offset, limit + 1));
+        const hits = result.hits.hits.slice(0, limit);
+        const postIds = hits.map(hit => hit._id);
+        const posts = await Post.find({ _id: { $in: postIds } });
+
+        // Keep Elasticsearch's order; posts deleted since they were indexed
+        // drop out, so the page can be short even with more to come
+        const sortedPosts = postIds.map(id => posts.find(p => p._id.toString() === id)).filter(Boolean);
+        const highlights = new Map(hits
+          .filter(hit => hit.highlight?.text)
+          .map(hit => [hit._id, highlightRuns(hit.highlight.text[0])]));
+        return res.json(await toSearchPage(sortedPosts, highlights, result.hits.hits.length > limit));
+      } catch (esError) {
+        console.error("❌ Elasticsearch search error:", esError.message);
+        console.log("⚠️ Falling back to MongoDB search");
       }
-    }));
+    }
 
-    // Cache result
-    if (redisClient?.isOpen) {
-      await redisClient.setEx(cacheKey, 300, JSON.stringify(postsWithUsers));
+    // Fallback to the MongoDB text index
+    const posts = await Post.find(fallbackFilter(search))
+      .sort({ score: { $meta: "textScore" }, createdAt: -1 })
+      .skip(offset)
+      .limit(limit + 1);
+    res.json(await toSearchPage(posts.slice(0, limit), new Map(), posts.length > limit));
+  } catch (error) {
+    if (error instanceof InvalidCursorError || error instanceof InvalidSearchError) {
+      return res.status(400).json({ message: error.message });
     }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get a single post
+app.get("/:postId", protect, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.postId)) {
+      return res.status(404).json({ message: "Post not found" });
+    }
+    const post = await Post.findById(req.params.postId);
+    if (!post) return res.status(404).json({ message: "Post not found" });
 
-    res.json(postsWithUsers);
+    const [postWithUser] = await withViewerReactions([await hydrateOne(post, redisClient)], req.user._id);
+    res.json(postWithUser);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Link preview of a post for chat apps (no login: crawlers have none)
+app.get("/:postId/preview", async (req, res) => {
+  try {
+    const post = mongoose.isValidObjectId(req.params.postId) && await Post.findById(req.params.postId);
+    if (!post) return res.status(404).type("html").send("<!doctype html><title>Post not found</title>");
+
+    const hydrated = await hydrateOne(post, redisClient);
+    res
+      .set("Cache-Control", "public, max-age=300")
+      .type("html")
+      .send(renderPostPreview({ post: hydrated, author: hydrated.user, appUrl: APP_URL }));
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
@@ -259,10 +703,19 @@ app.delete("/:postId", protect, async (req, res) => {
     }
 
     await Post.findByIdAndDelete(req.params.postId);
+    await Comment.deleteMany({ post: post._id });
+    await Reaction.deleteMany({ post: post._id });
+    await Revision.deleteMany({ post: post._id });
+    await unindexPost(esClient, post._id);
     await clearCache('posts:*');
 
+    // Followers' timelines drop the id lazily when the post can't be loaded
+    if (redisClient?.isOpen) {
+      await redisClient.zRem(timelineKey(post.user), req.params.postId).catch(() => {});
+    }
+
     // Emit Socket.io event
-    io.emit('post:deleted', { postId: req.params.postId });
+    await broadcast(postRoom(req.params.postId), 'post:deleted', { postId: req.params.postId });
 
     res.json({ message: "Post deleted successfully" });
   } catch (error) {
@@ -285,6 +738,10 @@ app.put("/:postId", protect, async (req, res) => {
       return res.status(403).json({ message: "Not authorized to update this post" });
     }
 
+    if (isDataUrl(image)) {
+      return res.status(400).json({ message: DATA_URL_MESSAGE });
+    }
+
     // Validate YouTube URL if provided
     let validatedYoutubeUrl = null;
     if (youtubeUrl && youtubeUrl.trim()) {
@@ -295,51 +752,48 @@ app.put("/:postId", protect, async (req, res) => {
     }
 
     // Update fields
-    if (text !== undefined) post.text = text;
+    const previous = snapshot(post, POST_FIELDS);
+    const previousMentions = [...post.mentions];
+    if (text !== undefined) {
+      const resolved = await resolveText(text);
+      post.text = resolved.text;
+      post.mentions = resolved.mentions;
+    }
     if (image !== undefined) post.image = image;
     if (youtubeUrl !== undefined) post.youtubeUrl = validatedYoutubeUrl;
 
+    // Keep the version this replaces, unless nothing actually changed
+    const edited = isEdited(previous, post, POST_FIELDS);
+    if (edited) post.editedAt = new Date();
+
+    // Tags added by the edit count towards trending like new ones, once
+    // per post (see tags.js)
+    post.tags = extractTags(post.text);
+
     await post.save();
-    await clearCache('posts:*');
+    if (edited) await recordRevision({ post: post._id }, previous);
 
-    // Populate user info for post, comments, and replies
-    const updatedPost = post.toObject();
-    try {
-      const userResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${post.user}`);
-      updatedPost.user = userResponse.data;
-    } catch {
-      updatedPost.user = { _id: post.user };
-    }
-
-    // Populate user info for comments and replies
-    if (updatedPost.comments && updatedPost.comments.length > 0) {
-      for (const comment of updatedPost.comments) {
-        try {
-          const commentUserResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${comment.user}`);
-          comment.user = commentUserResponse.data;
-        } catch {
-          comment.user = { _id: comment.user };
-        }
+    // Populate user info
+    const updatedPost = await hydrateOne(post, redisClient);
 
-        // Populate reply users
-        if (comment.replies && comment.replies.length > 0) {
-          for (const reply of comment.replies) {
-            try {
-              const replyUserResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${reply.user}`);
-              reply.user = replyUserResponse.data;
-            } catch {
-              reply.user = { _id: reply.user };
-            }
-          }
-        }
-      }
-    }
+    await indexPost(esClient, post, updatedPost.mentions);
+    await recordTagUse(redisClient, post._id, post.tags);
+    await notifyMentions(addedMentions(post.mentions, previousMentions), {
+      post,
+      actor: req.user._id,
+      text: plainText(post.text, updatedPost.mentions)
+    });
+    await clearCache('posts:*');
 
     // Emit Socket.io event
-    io.emit('post:updated', updatedPost);
+    await broadcast(postRoom(post._id), 'post:updated', updatedPost);
 
-    res.json(updatedPost);
+    const [withReactions] = await withViewerReactions([updatedPost], req.user._id);
+    res.json(withReactions);
   } catch (error) {
+    if (error instanceof InvalidTextError) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
@@ -347,51 +801,97 @@ app.put("/:postId", protect, async (req, res) => {
 // Get user posts
 app.get("/user/:userId", protect, async (req, res) => {
   try {
-    const posts = await Post.find({ user: req.params.userId }).sort({ createdAt: -1 });
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    const posts = await Post.find({ user: req.params.userId, ...olderThan(cursor) })
+      .sort(NEWEST_FIRST)
+      .limit(limit + 1);
+    const page = toPage(posts, limit);
     
-    // Populate post user and comment users
-    const postsWithUsers = await Promise.all(posts.map(async (post) => {
-      const postObj = post.toObject();
-      
-      // Populate post user
-      try {
-        const postUserResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${postObj.user}`);
-        postObj.user = postUserResponse.data;
-      } catch {
-        postObj.user = { _id: postObj.user };
-      }
-      
-      // Populate comment users
-      if (postObj.comments && postObj.comments.length > 0) {
-        postObj.comments = await Promise.all(postObj.comments.map(async (comment) => {
-          try {
-            const commentUserResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${comment.user}`);
-            const commentWithUser = { ...comment, user: commentUserResponse.data };
-            
-            // Populate reply users
-            if (comment.replies && comment.replies.length > 0) {
-              commentWithUser.replies = await Promise.all(comment.replies.map(async (reply) => {
-                try {
-                  const replyUserResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${reply.user}`);
-                  return { ...reply, user: replyUserResponse.data };
-                } catch {
-                  return reply;
-                }
-              }));
-            }
-            
-            return commentWithUser;
-          } catch {
-            return comment;
-          }
-        }));
-      }
-      
-      return postObj;
-    }));
+    // Populate post users
+    const postsWithUsers = await hydrate(page.items, redisClient);
     
-    res.json(postsWithUsers);
+    res.json({ posts: await withViewerReactions(postsWithUsers, req.user._id), nextCursor: page.nextCursor });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get comments, newest first
+app.get("/:postId/comments", protect, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    const post = await Post.findById(req.params.postId);
+    if (!post) return res.status(404).json({ message: "Post not found" });
+
+    const comments = await Comment.find({ post: post._id, parent: null, ...olderThan(cursor) })
+      .sort(NEWEST_FIRST)
+      .limit(limit + 1);
+    const page = toPage(comments, limit);
+
+    const commentsWithUsers = await hydrate(page.items, redisClient);
+    res.json({
+      comments: await withViewerReactions(commentsWithUsers, req.user._id, "comment"),
+      commentCount: post.commentCount,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get one comment with the post and the thread above it, for permalinks
+app.get("/:postId/comments/:commentId", protect, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId);
+    if (!post) return res.status(404).json({ message: "Post not found" });
+
+    const comment = await findComment(post._id, req.params.commentId);
+    if (!comment) return res.status(404).json({ message: "Comment not found" });
+
+    const ancestors = await Comment.find({ _id: { $in: comment.ancestors } }).sort({ depth: 1 });
+    const thread = await withViewerReactions(await hydrate([...ancestors, comment], redisClient), req.user._id, "comment");
+    const [postWithUser] = await withViewerReactions([await hydrateOne(post, redisClient)], req.user._id);
+
+    res.json({ post: postWithUser, comment: thread.pop(), ancestors: thread });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get replies to a comment, newest first
+app.get("/:postId/comments/:commentId/replies", protect, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+    const post = await Post.findById(req.params.postId);
+    if (!post) return res.status(404).json({ message: "Post not found" });
+
+    const comment = await findComment(post._id, req.params.commentId);
+    if (!comment) return res.status(404).json({ message: "Comment not found" });
+
+    const replies = await Comment.find({ post: post._id, parent: comment._id, ...olderThan(cursor) })
+      .sort(NEWEST_FIRST)
+      .limit(limit + 1);
+    const page = toPage(replies, limit);
+
+    const repliesWithUsers = await hydrate(page.items, redisClient);
+    res.json({
+      replies: await withViewerReactions(repliesWithUsers, req.user._id, "comment"),
+      replyCount: comment.replyCount,
+      nextCursor: page.nextCursor
+    });
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
@@ -399,75 +899,132 @@ app.get("/user/:userId", protect, async (req, res) => {
 // Add comment
 app.post("/:postId/comments", protect, commentLimiter, async (req, res) => {
   try {
-    const { text } = req.body;
     const post = await Post.findById(req.params.postId);
     
     if (!post) return res.status(404).json({ message: "Post not found" });
 
-    post.comments.push({ user: req.user._id, text });
-    await post.save();
+    const { text, mentions, users } = await resolveText(req.body.text);
+    const comment = await Comment.create({ post: post._id, user: req.user._id, text, mentions });
+    const updated = await Post.findByIdAndUpdate(post._id, { $inc: { commentCount: 1 } }, { new: true });
     await clearCache('posts:*');
 
-    const newComment = post.comments[post.comments.length - 1].toObject();
-    
     // Populate user info for the new comment
-    try {
-      const userResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${req.user._id}`);
-      newComment.user = userResponse.data;
-    } catch {
-      newComment.user = { _id: req.user._id };
-    }
+    const newComment = await hydrateOne(comment, redisClient);
 
     // Emit socket event for new comment
-    io.emit('comment:added', { postId: post._id, comment: newComment });
+    await broadcast(postRoom(post._id), 'comment:added', {
+      postId: post._id,
+      comment: newComment,
+      commentCount: updated?.commentCount ?? 0
+    });
+    await publishDomainEvent(redisClient, "comment.created", {
+      postId: post._id,
+      postAuthor: post.user,
+      commentId: newComment._id,
+      actor: req.user._id,
+      text: plainText(text, users)
+    });
+    await notifyMentions(mentions, { post, commentId: newComment._id, actor: req.user._id, text: plainText(text, users) });
 
-    res.status(201).json(newComment);
+    res.status(201).json({ ...newComment, myReaction: null });
   } catch (error) {
+    if (error instanceof InvalidTextError) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
-// Add reply to comment
+// Add reply to a comment or reply. Past MAX_COMMENT_DEPTH it goes next to
+// the reply it answers, so `parent` in the response may differ from :commentId.
 app.post("/:postId/comments/:commentId/replies", protect, commentLimiter, async (req, res) => {
   try {
-    const { text } = req.body;
     const post = await Post.findById(req.params.postId);
     
     if (!post) return res.status(404).json({ message: "Post not found" });
 
-    const comment = post.comments.id(req.params.commentId);
+    const comment = await findComment(post._id, req.params.commentId);
     if (!comment) return res.status(404).json({ message: "Comment not found" });
 
-    comment.replies.push({ user: req.user._id, text });
-    await post.save();
+    const { text, mentions, users } = await resolveText(req.body.text);
+    const position = replyPosition(comment, MAX_COMMENT_DEPTH);
+    const reply = await Comment.create({ post: post._id, ...position, user: req.user._id, text, mentions });
+    const [updatedPost, updatedParent] = await Promise.all([
+      Post.findByIdAndUpdate(post._id, { $inc: { commentCount: 1 } }, { new: true }),
+      Comment.findByIdAndUpdate(position.parent, { $inc: { replyCount: 1 } }, { new: true })
+    ]);
     await clearCache('posts:*');
 
-    const newReply = comment.replies[comment.replies.length - 1].toObject();
-    
     // Populate user info for the new reply
-    try {
-      const userResponse = await axios.get(`${process.env.USER_SERVICE_URL}/${req.user._id}`);
-      newReply.user = userResponse.data;
-    } catch {
-      newReply.user = { _id: req.user._id };
-    }
+    const newReply = await hydrateOne(reply, redisClient);
 
     // Emit socket event for new reply
-    io.emit('reply:added', { postId: post._id, commentId: req.params.commentId, reply: newReply });
+    await broadcast(postRoom(post._id), 'reply:added', {
+      postId: post._id,
+      commentId: position.parent,
+      reply: newReply,
+      commentCount: updatedPost?.commentCount ?? 0,
+      replyCount: updatedParent?.replyCount ?? 0
+    });
+    await publishDomainEvent(redisClient, "reply.created", {
+      postId: post._id,
+      postAuthor: post.user,
+      commentId: comment._id,
+      commentAuthor: comment.user,
+      replyId: newReply._id,
+      actor: req.user._id,
+      text: plainText(text, users)
+    });
+    await notifyMentions(mentions, { post, commentId: newReply._id, actor: req.user._id, text: plainText(text, users) });
 
-    res.status(201).json(newReply);
+    res.status(201).json({ ...newReply, myReaction: null });
   } catch (error) {
+    if (error instanceof InvalidTextError) {
+      return res.status(400).json({ message: error.message });
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
-// Delete comment
+// Delete a comment or reply together with every reply below it, and tell
+// everyone watching the post
+const deleteComment = async (post, comment) => {
+  const below = await Comment.find({ ancestors: comment._id }).select("_id");
+  const ids = [comment._id, ...below.map(reply => reply._id)];
+  const { deletedCount } = await Comment.deleteMany({ _id: { $in: ids } });
+  // Someone else deleted it first
+  if (!deletedCount) return;
+
+  await Reaction.deleteMany({ post: post._id, comment: { $in: ids } });
+  await Revision.deleteMany({ post: post._id, comment: { $in: ids } });
+  const [updatedPost, updatedParent] = await Promise.all([
+    Post.findByIdAndUpdate(post._id, { $inc: { commentCount: -deletedCount } }, { new: true }),
+    comment.parent && Comment.findByIdAndUpdate(comment.parent, { $inc: { replyCount: -1 } }, { new: true })
+  ]);
+  await clearCache('posts:*');
+
+  // Emit Socket.io event
+  const commentCount = updatedPost?.commentCount ?? 0;
+  if (comment.parent) {
+    await broadcast(postRoom(post._id), 'reply:deleted', {
+      postId: post._id,
+      commentId: comment.parent,
+      replyId: comment._id,
+      commentCount,
+      replyCount: updatedParent?.replyCount ?? 0
+    });
+  } else {
+    await broadcast(postRoom(post._id), 'comment:deleted', { postId: post._id, commentId: comment._id, commentCount });
+  }
+};
+
+// Delete comment or reply, along with its replies
 app.delete("/:postId/comments/:commentId", protect, async (req, res) => {
   try {
     const post = await Post.findById(req.params.postId);
     if (!post) return res.status(404).json({ message: "Post not found" });
 
-    const comment = post.comments.id(req.params.commentId);
+    const comment = await findComment(post._id, req.params.commentId);
     if (!comment) return res.status(404).json({ message: "Comment not found" });
 
     // Check if user owns the comment
@@ -475,12 +1032,7 @@ app.delete("/:postId/comments/:commentId", protect, async (req, res) => {
       return res.status(403).json({ message: "Not authorized to delete this comment" });
     }
 
-    comment.deleteOne();
-    await post.save();
-    await clearCache('posts:*');
-
-    // Emit Socket.io event
-    io.emit('comment:deleted', { postId: req.params.postId, commentId: req.params.commentId });
+    await deleteComment(post, comment);
 
     res.json({ message: "Comment deleted" });
   } catch (error) {
@@ -494,23 +1046,17 @@ app.delete("/:postId/comments/:commentId/replies/:replyId", protect, async (req,
     const post = await Post.findById(req.params.postId);
     if (!post) return res.status(404).json({ message: "Post not found" });
 
-    const comment = post.comments.id(req.params.commentId);
-    if (!comment) return res.status(404).json({ message: "Comment not found" });
-
-    const reply = comment.replies.id(req.params.replyId);
-    if (!reply) return res.status(404).json({ message: "Reply not found" });
+    const reply = await findComment(post._id, req.params.replyId);
+    if (!reply || String(reply.parent) !== req.params.commentId) {
+      return res.status(404).json({ message: "Reply not found" });
+    }
 
     // Check if user owns the reply
     if (reply.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({ message: "Not authorized to delete this reply" });
     }
 
-    reply.deleteOne();
-    await post.save();
-    await clearCache('posts:*');
-
-    // Emit Socket.io event
-    io.emit('reply:deleted', { postId: req.params.postId, commentId: req.params.commentId, replyId: req.params.replyId });
+    await deleteComment(post, reply);
 
     res.json({ message: "Reply deleted" });
   } catch (error) {
@@ -518,43 +1064,253 @@ app.delete("/:postId/comments/:commentId/replies/:replyId", protect, async (req,
   }
 });
 
-// Like post
-app.put("/:postId/like", protect, likeLimiter, async (req, res) => {
+// Edit a comment or reply's text
+const updateComment = async (req, res) => {
   try {
+    const { text } = req.body;
+    if (typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ message: "Comment text is required" });
+    }
+
     const post = await Post.findById(req.params.postId);
     if (!post) return res.status(404).json({ message: "Post not found" });
 
-    if (post.likes.includes(req.user._id)) {
-      return res.status(400).json({ message: "Post already liked" });
+    const comment = await findComment(post._id, req.params.replyId || req.params.commentId);
+    if (!comment || (req.params.replyId && String(comment.parent) !== req.params.commentId)) {
+      return res.status(404).json({ message: "Comment not found" });
     }
 
-    post.likes.push(req.user._id);
-    await post.save();
+    // Check if user owns the comment
+    if (comment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ message: "Not authorized to edit this comment" });
+    }
+
+    // Keep the version this replaces, unless nothing actually changed
+    const previous = snapshot(comment, COMMENT_FIELDS);
+    const previousMentions = [...comment.mentions];
+    const resolved = await resolveText(text);
+    comment.text = resolved.text;
+    comment.mentions = resolved.mentions;
+    if (isEdited(previous, comment, COMMENT_FIELDS)) {
+      comment.editedAt = new Date();
+      await comment.save();
+      await recordRevision({ post: post._id, comment: comment._id }, previous);
+      await notifyMentions(addedMentions(comment.mentions, previousMentions), {
+        post,
+        commentId: comment._id,
+        actor: req.user._id,
+        text: plainText(comment.text, resolved.users)
+      });
+
+      // Emit Socket.io event
+      await broadcast(postRoom(post._id), 'comment:updated', {
+        postId: post._id,
+        commentId: comment._id,
+        parentId: comment.parent,
+        text: comment.text,
+        mentions: resolved.users,
+        editedAt: comment.editedAt
+      });
+    }
+
+    const [updatedComment] = await withViewerReactions([await hydrateOne(comment, redisClient)], req.user._id, "comment");
+    res.json(updatedComment);
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+app.put("/:postId/comments/:commentId", protect, updateComment);
+app.put("/:postId/comments/:commentId/replies/:replyId", protect, updateComment);
+
+// The post, and the comment for comment routes, a request is about
+const findTarget = async (req) => {
+  const post = await Post.findById(req.params.postId);
+  if (!post) return { error: "Post not found" };
+  if (!req.params.commentId) return { post, comment: null };
+
+  const comment = await findComment(post._id, req.params.commentId);
+  if (!comment) return { error: "Comment not found" };
+  return { post, comment };
+};
+
+// Set the user's reaction to `type`, or remove it when `type` is null, and
+// tell everyone watching the post. Returns the new counts and reaction.
+const react = async ({ post, comment }, userId, type) => {
+  const key = { post: post._id, comment: comment?._id, user: userId };
+  const previousType = type ? await setReaction({ ...key, type }) : await removeReaction(key);
+
+  let reactionCounts = (comment || post).reactionCounts.toObject();
+  const update = countUpdate("reactionCounts", previousType, type);
+  if (update) {
+    const updated = await (comment ? Comment : Post).findByIdAndUpdate((comment || post)._id, update, { new: true });
+    if (updated) reactionCounts = updated.reactionCounts.toObject();
     await clearCache('posts:*');
 
-    // Emit socket event for like
-    io.emit('post:liked', { postId: post._id, likes: post.likes });
+    await broadcast(postRoom(post._id), 'reaction:changed', {
+      postId: post._id,
+      commentId: comment?._id || null,
+      userId,
+      type,
+      previousType,
+      reactionCounts
+    });
+  }
+
+  // Only reacting and taking it back notify; switching types doesn't
+  if (!previousType !== !type) {
+    const payload = comment
+      ? { postId: post._id, postAuthor: post.user, commentId: comment._id, commentAuthor: comment.user, actor: userId }
+      : { postId: post._id, postAuthor: post.user, actor: userId };
+    const event = `${comment ? "comment" : "post"}.${type ? "reacted" : "unreacted"}`;
+    await publishDomainEvent(redisClient, event, type ? { ...payload, reaction: type } : payload);
+  }
+
+  return { postId: post._id, commentId: comment?._id || null, myReaction: type, reactionCounts };
+};
+
+const putReaction = async (req, res) => {
+  try {
+    const { type } = req.body;
+    if (!isReactionType(type)) {
+      return res.status(400).json({ message: "Invalid reaction type" });
+    }
 
-    res.json({ message: "Post liked", likes: post.likes.length });
+    const target = await findTarget(req);
+    if (target.error) return res.status(404).json({ message: target.error });
+
+    res.json(await react(target, req.user._id, type));
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
-});
+};
 
-// Unlike post
-app.put("/:postId/unlike", protect, likeLimiter, async (req, res) => {
+const deleteReaction = async (req, res) => {
   try {
-    const post = await Post.findById(req.params.postId);
-    if (!post) return res.status(404).json({ message: "Post not found" });
+    const target = await findTarget(req);
+    if (target.error) return res.status(404).json({ message: target.error });
 
-    post.likes = post.likes.filter(id => id.toString() !== req.user._id.toString());
-    await post.save();
-    await clearCache('posts:*');
+    res.json(await react(target, req.user._id, null));
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// Who reacted, most recent first; `type` narrows it to one reaction
+const listReactions = async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type !== undefined && !isReactionType(type)) {
+      return res.status(400).json({ message: "Invalid reaction type" });
+    }
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+
+    const target = await findTarget(req);
+    if (target.error) return res.status(404).json({ message: target.error });
+
+    const reactions = await Reaction.find({
+      post: target.post._id,
+      comment: target.comment?._id || null,
+      ...(type ? { type } : {}),
+      ...olderThan(cursor)
+    })
+      .sort(NEWEST_FIRST)
+      .limit(limit + 1);
+    const page = toPage(reactions, limit);
+
+    res.json({
+      reactions: await hydrate(page.items.map(r => ({ _id: r._id, user: r.user, type: r.type, createdAt: r.createdAt })), redisClient),
+      reactionCounts: (target.comment || target.post).reactionCounts,
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+// React to a post or comment ({ type }), replacing any earlier reaction
+app.put("/:postId/reactions", protect, reactionLimiter, putReaction);
+app.put("/:postId/comments/:commentId/reactions", protect, reactionLimiter, putReaction);
+
+// Remove my reaction
+app.delete("/:postId/reactions", protect, reactionLimiter, deleteReaction);
+app.delete("/:postId/comments/:commentId/reactions", protect, reactionLimiter, deleteReaction);
 
-    // Emit socket event for unlike
-    io.emit('post:unliked', { postId: post._id, likes: post.likes });
+// List reactions
+app.get("/:postId/reactions", protect, listReactions);
+app.get("/:postId/comments/:commentId/reactions", protect, listReactions);
+
+// Edit history of a post or comment: the current version, then the ones it
+// replaced, most recent first
+const listHistory = async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const cursor = decodeCursor(req.query.cursor);
+
+    const target = await findTarget(req);
+    if (target.error) return res.status(404).json({ message: target.error });
+
+    const fields = target.comment ? COMMENT_FIELDS : POST_FIELDS;
+    const revisions = await Revision.find({
+      post: target.post._id,
+      comment: target.comment?._id || null,
+      ...olderThan(cursor)
+    })
+      .sort(NEWEST_FIRST)
+      .limit(limit + 1);
+    const page = toPage(revisions, limit);
+    const current = snapshot(target.comment || target.post, fields);
+
+    // Profiles of the users any of these versions mention
+    const mentioned = new Set([current, ...page.items].flatMap(version => extractMentions(version.text)));
+    const profiles = await fetchProfiles([...mentioned], redisClient);
+
+    res.json({
+      current,
+      revisions: page.items.map(revision => ({
+        _id: revision._id,
+        ...Object.fromEntries(fields.map(field => [field, revision[field] ?? null])),
+        writtenAt: revision.writtenAt,
+        replacedAt: revision.createdAt
+      })),
+      mentions: [...profiles.values()],
+      nextCursor: page.nextCursor
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+};
+
+app.get("/:postId/history", protect, listHistory);
+app.get("/:postId/comments/:commentId/history", protect, listHistory);
+
+// Like/unlike post, kept for older clients: a "like" reaction
+app.put("/:postId/like", protect, reactionLimiter, async (req, res) => {
+  try {
+    const target = await findTarget(req);
+    if (target.error) return res.status(404).json({ message: target.error });
+
+    const result = await react(target, req.user._id, "like");
+    res.json({ message: "Post liked", likes: result.reactionCounts.like });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+app.put("/:postId/unlike", protect, reactionLimiter, async (req, res) => {
+  try {
+    const target = await findTarget(req);
+    if (target.error) return res.status(404).json({ message: target.error });
 
-    res.json({ message: "Post unliked", likes: post.likes.length });
+    const result = await react(target, req.user._id, null);
+    res.json({ message: "Post unliked", likes: result.reactionCounts.like });
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
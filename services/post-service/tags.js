@@ -0,0 +1,114 @@
+// Hashtags in post text. Tags are stored on the post normalized (NFKC,
+// lowercase), so #Cats, #cats and #ＣＡＴＳ are one tag.
+//
+// Trending tags are counted in Redis sorted sets, one per time bucket and
+// window size (`trending:<window>:<bucket>`), each tag scoring the number of
+// new posts using it. A window's trending tags are the union of its last
+// buckets, the oldest one weighted by how much of it is still inside the
+// window, so the window slides instead of jumping a bucket at a time. A
+// post counts once per tag: `trending:counted:<postId>` holds the tags it was
+// counted for, so a tag an edit removes and another adds back isn't counted
+// again.
+
+export const MAX_TAG_LENGTH = 50;
+export const MAX_TAGS_PER_POST = 20;
+
+// A # not inside a word, URL fragment or HTML entity, then letters, digits
+// and underscores
+const TAG_PATTERN = /(?<![\p{L}\p{N}_&/#])#([\p{L}\p{M}\p{N}_]+)/gu;
+
+const MINUTE = 60;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+export const TRENDING_WINDOWS = {
+  "1h": { bucket: 5 * MINUTE, buckets: 12 },
+  "24h": { bucket: HOUR, buckets: 24 },
+  "7d": { bucket: DAY, buckets: 7 }
+};
+export const DEFAULT_TRENDING_WINDOW = "24h";
+
+// The stored form of a tag, or null if it isn't one. Tags need more than
+// digits, so "#1" in "we're #1" isn't a tag.
+export const normalizeTag = (tag) => {
+  if (typeof tag !== "string") return null;
+  const normalized = tag.normalize("NFKC").toLowerCase().replace(/^#/, "");
+  if (!normalized || normalized.length > MAX_TAG_LENGTH) return null;
+  if (!/^[\p{L}\p{M}\p{N}_]+$/u.test(normalized) || /^\p{N}+$/u.test(normalized)) return null;
+  return normalized;
+};
+
+// Normalized tags in `text`, each once, in order of first use
+export const extractTags = (text) => {
+  const tags = new Set();
+  for (const [, tag] of (text || "").matchAll(TAG_PATTERN)) {
+    const normalized = normalizeTag(tag);
+    if (normalized) tags.add(normalized);
+    if (tags.size === MAX_TAGS_PER_POST) break;
+  }
+  return [...tags];
+};
+
+const bucketKey = (window, index) => `trending:${window}:${index}`;
+const countedKey = (postId) => `trending:counted:${postId}`;
+// A bucket outlives its window by two buckets; so does a post's counted set
+const bucketTtl = ({ bucket, buckets }) => bucket * (buckets + 2);
+const COUNTED_TTL = Math.max(...Object.values(TRENDING_WINDOWS).map(bucketTtl));
+
+// Keys and weights of the buckets making up `window` at `now` (ms), newest
+// first
+export const windowBuckets = (window, now = Date.now()) => {
+  const { bucket, buckets } = TRENDING_WINDOWS[window];
+  const seconds = now / 1000;
+  const current = Math.floor(seconds / bucket);
+  // How far into the current bucket we are; that much of the oldest one has
+  // slid out of the window
+  const elapsed = (seconds - current * bucket) / bucket;
+
+  const keys = [];
+  const weights = [];
+  for (let i = 0; i < buckets; i++) {
+    keys.push(bucketKey(window, current - i));
+    weights.push(1);
+  }
+  keys.push(bucketKey(window, current - buckets));
+  weights.push(1 - elapsed);
+  return { keys, weights };
+};
+
+// Count a post's tags towards trending in every window, skipping the ones it
+// was already counted for
+export const recordTagUse = async (redisClient, postId, tags, now = Date.now()) => {
+  if (!redisClient?.isOpen || tags.length === 0) return;
+  try {
+    const claim = redisClient.multi();
+    tags.forEach(tag => claim.sAdd(countedKey(postId), tag));
+    claim.expire(countedKey(postId), COUNTED_TTL);
+    const added = await claim.exec();
+    const newTags = tags.filter((tag, i) => added[i] === 1);
+    if (newTags.length === 0) return;
+
+    const multi = redisClient.multi();
+    for (const [window, size] of Object.entries(TRENDING_WINDOWS)) {
+      const [key] = windowBuckets(window, now).keys;
+      newTags.forEach(tag => multi.zIncrBy(key, 1, tag));
+      multi.expire(key, bucketTtl(size));
+    }
+    await multi.exec();
+  } catch (err) {
+    console.log('Trending tags update error:', err.message);
+  }
+};
+
+// Most used tags in `window`, as [{ tag, count }], most used first. Counts
+// are rounded, since the oldest bucket only partly counts.
+export const trendingTags = async (redisClient, window, limit, now = Date.now()) => {
+  if (!redisClient?.isOpen) return [];
+  const { keys, weights } = windowBuckets(window, now);
+  const scored = await redisClient.zUnionWithScores(keys, { WEIGHTS: weights, AGGREGATE: "SUM" });
+  return scored
+    .filter(({ score }) => score >= 0.5)
+    .sort((a, b) => b.score - a.score || a.value.localeCompare(b.value))
+    .slice(0, limit)
+    .map(({ value, score }) => ({ tag: value, count: Math.round(score) }));
+};
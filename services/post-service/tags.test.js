@@ -0,0 +1,111 @@
+import { jest } from '@jest/globals';
+import {
+  extractTags,
+  normalizeTag,
+  windowBuckets,
+  recordTagUse,
+  trendingTags,
+  MAX_TAGS_PER_POST
+} from './tags.js';
+
+describe('Tags - parsing', () => {
+  test('should find tags and normalize them', () => {
+    expect(extractTags('Morning #Coffee and #coffee, then #ＣＯＦＦＥＥ!')).toEqual(['coffee']);
+    expect(extractTags('#café_2 #日本 #snake_case')).toEqual(['café_2', '日本', 'snake_case']);
+  });
+
+  test('should skip things that only look like tags', () => {
+    expect(extractTags('we are #1, see http://x.com/#top or a#b &#39;')).toEqual([]);
+  });
+
+  test('should cap the number of tags per post', () => {
+    const text = Array.from({ length: 30 }, (_, i) => `#tag${i}`).join(' ');
+    expect(extractTags(text)).toHaveLength(MAX_TAGS_PER_POST);
+  });
+
+  test('should normalize tags from URLs', () => {
+    expect(normalizeTag('#Cats')).toBe('cats');
+    expect(normalizeTag('123')).toBeNull();
+    expect(normalizeTag('no-dashes')).toBeNull();
+    expect(normalizeTag('a'.repeat(51))).toBeNull();
+    expect(normalizeTag(undefined)).toBeNull();
+  });
+});
+
+describe('Tags - trending windows', () => {
+  // 10:30 UTC, halfway through an hour bucket
+  const now = Date.UTC(2026, 0, 1, 10, 30);
+  const hour = Math.floor(now / 1000 / 3600);
+
+  test('should cover the window with whole buckets and part of the oldest', () => {
+    const { keys, weights } = windowBuckets('24h', now);
+    expect(keys).toHaveLength(25);
+    expect(keys[0]).toBe(`trending:24h:${hour}`);
+    expect(keys[24]).toBe(`trending:24h:${hour - 24}`);
+    expect(weights.slice(0, 24).every(w => w === 1)).toBe(true);
+    expect(weights[24]).toBeCloseTo(0.5);
+  });
+
+  // Redis stand-in recording the counts made, with the sets of counted tags
+  const countingRedis = () => {
+    const sets = new Map();
+    const calls = [];
+    const multi = () => {
+      const steps = [];
+      const queued = {
+        sAdd: (key, member) => {
+          steps.push(() => {
+            if (!sets.has(key)) sets.set(key, new Set());
+            return sets.get(key).has(member) ? 0 : (sets.get(key).add(member), 1);
+          });
+          return queued;
+        },
+        zIncrBy: (...args) => { steps.push(() => calls.push(['zIncrBy', ...args])); return queued; },
+        expire: () => { steps.push(() => 1); return queued; },
+        exec: async () => steps.map(step => step())
+      };
+      return queued;
+    };
+    return { isOpen: true, multi, calls };
+  };
+
+  test('should count tags in the current bucket of every window', async () => {
+    const redisClient = countingRedis();
+    await recordTagUse(redisClient, 'p1', ['cats'], now);
+
+    expect(redisClient.calls).toContainEqual(['zIncrBy', `trending:24h:${hour}`, 1, 'cats']);
+    expect(redisClient.calls).toHaveLength(3);
+  });
+
+  test('should count a tag once per post, even if an edit adds it back', async () => {
+    const redisClient = countingRedis();
+    await recordTagUse(redisClient, 'p1', ['cats', 'dogs'], now);
+    await recordTagUse(redisClient, 'p1', ['cats', 'birds'], now);
+    await recordTagUse(redisClient, 'p2', ['cats'], now);
+
+    const counted = redisClient.calls.filter(([, key]) => key === `trending:24h:${hour}`).map(([, , , tag]) => tag);
+    expect(counted).toEqual(['cats', 'dogs', 'birds', 'cats']);
+  });
+
+  test('should rank tags by weighted count', async () => {
+    const redisClient = {
+      isOpen: true,
+      zUnionWithScores: jest.fn().mockResolvedValue([
+        { value: 'dogs', score: 2 },
+        { value: 'cats', score: 4.5 },
+        { value: 'old', score: 0.25 },
+        { value: 'birds', score: 2 }
+      ])
+    };
+    expect(await trendingTags(redisClient, '24h', 3, now)).toEqual([
+      { tag: 'cats', count: 5 },
+      { tag: 'birds', count: 2 },
+      { tag: 'dogs', count: 2 }
+    ]);
+    expect(redisClient.zUnionWithScores.mock.calls[0][1].WEIGHTS).toHaveLength(25);
+  });
+
+  test('should have nothing trending without Redis', async () => {
+    expect(await trendingTags(null, '24h', 10, now)).toEqual([]);
+  });
+});
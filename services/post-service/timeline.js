@@ -0,0 +1,93 @@
+// Home timelines are Redis sorted sets of post ids scored by createdAt,
+// filled by fan-out-on-write and built from the follow graph on first read.
+// They keep the newest TIMELINE_MAX_SIZE posts; once older ones have been
+// left out, `timeline:<id>:capped` is set and pages past the end have to
+// come from Mongo.
+
+export const TIMELINE_MAX_SIZE = 800;
+export const TIMELINE_TTL = 7 * 24 * 60 * 60;
+
+export const timelineKey = (userId) => `timeline:${userId}`;
+const cappedKey = (userId) => `timeline:${userId}:capped`;
+
+// Marks built timelines, so an empty one isn't rebuilt on every read
+const SENTINEL = { score: 0, value: "-" };
+
+// Only touch timelines that are already materialized, so a partially
+// filled timeline is never mistaken for a complete one. The sentinel sorts
+// first, so it's the first thing trimmed; marking the timeline capped then
+// only sends its last page to Mongo sooner.
+const ADD_TO_TIMELINE_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  redis.call('ZADD', KEYS[1], ARGV[1], ARGV[2])
+  if redis.call('ZREMRANGEBYRANK', KEYS[1], 0, -(tonumber(ARGV[3]) + 1)) > 0 then
+    redis.call('SET', KEYS[2], '1', 'EX', ARGV[4])
+  end
+end
+return 1`;
+
+// Push a post into the timelines of `userIds` that are materialized
+export const addToTimelines = async (redisClient, userIds, post) => {
+  const score = new Date(post.createdAt).getTime().toString();
+  await Promise.all(userIds.map(id => redisClient.eval(ADD_TO_TIMELINE_SCRIPT, {
+    keys: [timelineKey(id), cappedKey(id)],
+    arguments: [score, post._id.toString(), TIMELINE_MAX_SIZE.toString(), TIMELINE_TTL.toString()]
+  })));
+};
+
+// Materialize a timeline from `posts`, the newest TIMELINE_MAX_SIZE posts
+// it should hold (fan-out-on-read)
+export const storeTimeline = async (redisClient, userId, posts) => {
+  const key = timelineKey(userId);
+  const multi = redisClient.multi()
+    .del(key)
+    .zAdd(key, [SENTINEL, ...posts.map(p => ({ score: p.createdAt.getTime(), value: p._id.toString() }))])
+    .expire(key, TIMELINE_TTL);
+  if (posts.length >= TIMELINE_MAX_SIZE) {
+    multi.set(cappedKey(userId), "1", { EX: TIMELINE_TTL });
+  } else {
+    multi.del(cappedKey(userId));
+  }
+  await multi.exec();
+};
+
+// Post ids from a user's timeline, newest first, starting at the cursor;
+// `loadPosts()` gives the posts to build it from if it isn't materialized.
+// The score bound is inclusive so posts sharing the cursor's millisecond are
+// re-read; callers drop them with isOlderThan. `exhausted` means the page
+// ran past the end of a capped timeline.
+export const readTimeline = async (redisClient, userId, cursor, count, loadPosts) => {
+  const key = timelineKey(userId);
+  if (!(await redisClient.exists(key))) {
+    await storeTimeline(redisClient, userId, await loadPosts());
+  }
+
+  const ids = await redisClient.zRange(key, cursor ? cursor.createdAt.getTime() : "+inf", "(0", {
+    BY: "SCORE",
+    REV: true,
+    LIMIT: { offset: 0, count }
+  });
+  await redisClient.expire(key, TIMELINE_TTL);
+  await redisClient.expire(cappedKey(userId), TIMELINE_TTL);
+
+  const exhausted = ids.length < count && (await redisClient.exists(cappedKey(userId))) === 1;
+  return { ids, exhausted };
+};
+
+// More than `limit` posts from a user's timeline past the cursor, or all it
+// has left. Ids of deleted posts stay in followers' timelines, so the read
+// is widened until enough of the ids scanned still load with
+// `findPosts(ids)`, which also drops those not past the cursor. `exhausted`
+// means it ran past the end of a capped timeline.
+export const readTimelinePosts = async (redisClient, userId, cursor, limit, { loadPosts, findPosts }) => {
+  // Over-fetch a little: ids sharing the cursor's millisecond are re-read
+  let count = limit + 20;
+  for (;;) {
+    const timeline = await readTimeline(redisClient, userId, cursor, count, loadPosts);
+    const posts = await findPosts(timeline.ids);
+    if (timeline.exhausted || posts.length > limit || timeline.ids.length < count) {
+      return { posts, exhausted: timeline.exhausted };
+    }
+    count *= 2;
+  }
+};
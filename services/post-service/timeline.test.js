@@ -0,0 +1,139 @@
+import { TIMELINE_MAX_SIZE, timelineKey, addToTimelines, readTimeline, readTimelinePosts } from './timeline.js';
+
+// In-memory stand-in for the sorted set commands timelines use; `eval` runs
+// the fan-out script's steps
+const timelineRedis = () => {
+  const sets = new Map();
+  const strings = new Map();
+  const ranked = (key) => [...sets.get(key).entries()]
+    .map(([value, score]) => ({ value, score }))
+    .sort((a, b) => a.score - b.score || (a.value < b.value ? -1 : 1));
+  const bound = (value) => (value === '+inf' ? Infinity : Number(String(value).replace('(', '')));
+
+  const redis = {
+    sets,
+    exists: async (key) => (sets.has(key) || strings.has(key) ? 1 : 0),
+    expire: async () => 1,
+    zCard: async (key) => sets.get(key)?.size || 0,
+    zRange: async (key, max, min, { LIMIT }) => ranked(key)
+      .reverse()
+      .filter(({ score }) => score <= bound(max) && (String(min).startsWith('(') ? score > bound(min) : score >= bound(min)))
+      .slice(LIMIT.offset, LIMIT.offset + LIMIT.count)
+      .map(({ value }) => value),
+    eval: async (script, { keys: [key, cappedKey], arguments: [score, id, max] }) => {
+      if (!sets.has(key)) return 1;
+      sets.get(key).set(id, Number(score));
+      const excess = ranked(key).slice(0, Math.max(sets.get(key).size - Number(max), 0));
+      excess.forEach(({ value }) => sets.get(key).delete(value));
+      if (excess.length > 0) strings.set(cappedKey, '1');
+      return 1;
+    },
+    multi: () => {
+      const steps = [];
+      const multi = {
+        del: (key) => { steps.push(() => { sets.delete(key); strings.delete(key); }); return multi; },
+        zAdd: (key, members) => {
+          steps.push(() => sets.set(key, new Map(members.map(({ score, value }) => [value, score]))));
+          return multi;
+        },
+        expire: () => multi,
+        set: (key, value) => { steps.push(() => strings.set(key, value)); return multi; },
+        exec: async () => steps.forEach(step => step())
+      };
+      return multi;
+    }
+  };
+  return redis;
+};
+
+const START = Date.UTC(2026, 0, 1);
+const post = (n) => ({ _id: `p${n}`, createdAt: new Date(START + n * 1000) });
+// Posts 1..count, newest first, as the timeline is built from them
+const posts = (count) => Array.from({ length: count }, (_, i) => post(count - i));
+
+// Page through a timeline the way the home feed does, until it runs out or
+// is exhausted
+const pageThrough = async (redis, pageSize) => {
+  const seen = [];
+  let cursor = null;
+  for (;;) {
+    const { ids, exhausted } = await readTimeline(redis, 'u1', cursor, pageSize, async () => []);
+    const fresh = ids.filter(id => !seen.includes(id));
+    seen.push(...fresh);
+    if (exhausted || fresh.length === 0) return { seen, exhausted };
+    const last = Number(fresh.at(-1).slice(1));
+    cursor = { createdAt: new Date(START + last * 1000) };
+  }
+};
+
+describe('Timelines', () => {
+  test('should build a timeline on first read and page through it', async () => {
+    const redis = timelineRedis();
+    const first = await readTimeline(redis, 'u1', null, 3, async () => posts(5));
+    expect(first).toEqual({ ids: ['p5', 'p4', 'p3'], exhausted: false });
+
+    // All of it fits, so its end is the end of the feed
+    expect(await pageThrough(redis, 3)).toEqual({ seen: ['p5', 'p4', 'p3', 'p2', 'p1'], exhausted: false });
+  });
+
+  test('should mark an empty timeline as built', async () => {
+    const redis = timelineRedis();
+    expect(await readTimeline(redis, 'u1', null, 3, async () => [])).toEqual({ ids: [], exhausted: false });
+    expect(redis.sets.has(timelineKey('u1'))).toBe(true);
+  });
+
+  test('should only fan out into built timelines', async () => {
+    const redis = timelineRedis();
+    await addToTimelines(redis, ['u1'], post(1));
+    expect(redis.sets.has(timelineKey('u1'))).toBe(false);
+
+    await readTimeline(redis, 'u2', null, 1, async () => posts(2));
+    await addToTimelines(redis, ['u1', 'u2'], post(3));
+    expect((await readTimeline(redis, 'u2', null, 5, async () => [])).ids).toEqual(['p3', 'p2', 'p1']);
+  });
+
+  test('should send pages past the cap of a full timeline to Mongo after fan-out', async () => {
+    const redis = timelineRedis();
+    await readTimeline(redis, 'u1', null, 1, async () => posts(TIMELINE_MAX_SIZE));
+
+    // New posts push the sentinel and the oldest posts out
+    for (let n = TIMELINE_MAX_SIZE + 1; n <= TIMELINE_MAX_SIZE + 5; n++) {
+      await addToTimelines(redis, ['u1'], post(n));
+    }
+    expect(await redis.zCard(timelineKey('u1'))).toBe(TIMELINE_MAX_SIZE);
+
+    const { seen, exhausted } = await pageThrough(redis, 50);
+    expect(seen).toHaveLength(TIMELINE_MAX_SIZE);
+    expect(exhausted).toBe(true);
+  });
+
+  test('should notice a timeline that filled up through fan-out', async () => {
+    const redis = timelineRedis();
+    await readTimeline(redis, 'u1', null, 1, async () => posts(300));
+    for (let n = 301; n <= TIMELINE_MAX_SIZE + 100; n++) {
+      await addToTimelines(redis, ['u1'], post(n));
+    }
+
+    const { seen, exhausted } = await pageThrough(redis, 50);
+    expect(seen[0]).toBe(`p${TIMELINE_MAX_SIZE + 100}`);
+    expect(exhausted).toBe(true);
+  });
+
+  test('should read past deleted posts to fill a page', async () => {
+    const redis = timelineRedis();
+    const deleted = new Set(Array.from({ length: 30 }, (_, i) => `p${100 - i}`));
+    const findPosts = async (ids) => ids.filter(id => !deleted.has(id));
+
+    const { posts: page, exhausted } = await readTimelinePosts(redis, 'u1', null, 5, { loadPosts: async () => posts(100), findPosts });
+    expect(page.slice(0, 6)).toEqual(['p70', 'p69', 'p68', 'p67', 'p66', 'p65']);
+    expect(exhausted).toBe(false);
+  });
+
+  test('should return what is left when the timeline runs out', async () => {
+    const redis = timelineRedis();
+    const findPosts = async (ids) => ids.filter(id => id !== 'p2');
+
+    const { posts: page } = await readTimelinePosts(redis, 'u1', null, 5, { loadPosts: async () => posts(3), findPosts });
+    expect(page).toEqual(['p3', 'p1']);
+  });
+});
@@ -0,0 +1,23 @@
+// Domain events for other services (notification-service) go to the
+// `domain-events` Redis stream. Unlike user replication they are best
+// effort: publishing never fails the request that caused the event, and
+// events raised while Redis is down are dropped.
+
+export const DOMAIN_EVENTS_STREAM = "domain-events";
+// Approximate cap on the stream; consumers keep up far sooner than this
+const MAX_STREAM_LENGTH = 100000;
+
+export const publishDomainEvent = async (redisClient, type, payload) => {
+  if (!redisClient?.isOpen) return;
+  try {
+    await redisClient.xAdd(DOMAIN_EVENTS_STREAM, "*", {
+      type,
+      payload: JSON.stringify(payload),
+      createdAt: new Date().toISOString()
+    }, {
+      TRIM: { strategy: "MAXLEN", strategyModifier: "~", threshold: MAX_STREAM_LENGTH }
+    });
+  } catch (err) {
+    console.error(`Failed to publish ${type}:`, err.message);
+  }
+};
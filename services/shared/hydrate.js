@@ -0,0 +1,115 @@
+import axios from "axios";
+
+// Posts, comments and replies store their author, and the users their text
+// mentions, as user ids. Responses embed compact public profiles, looked up
+// with a batch call to user-service per response (per 500 users) and cached
+// in Redis. user-service deletes `profile:<id>` whenever that user's profile
+// changes.
+
+const PROFILE_TTL = 600;
+// user-service's MAX_BATCH_SIZE; longer lists are looked up in chunks
+const BATCH_LOOKUP_SIZE = 500;
+
+const profileKey = (userId) => `profile:${userId}`;
+
+// `POST /batch` is internal to user-service
+const internalHeaders = () => ({ "x-internal-token": process.env.INTERNAL_API_TOKEN });
+
+const chunk = (values) => {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += BATCH_LOOKUP_SIZE) {
+    chunks.push(values.slice(i, i + BATCH_LOOKUP_SIZE));
+  }
+  return chunks;
+};
+
+const toPlain = (doc) => (typeof doc?.toObject === "function" ? doc.toObject() : doc);
+
+// Every author and mentioned user id referenced by a list of posts/comments,
+// including nested replies
+export const collectAuthorIds = (items, ids = new Set()) => {
+  for (const item of items) {
+    if (item.user) ids.add(String(item.user._id || item.user));
+    if (item.mentions) item.mentions.forEach(user => ids.add(String(user._id || user)));
+    if (item.comments) collectAuthorIds(item.comments, ids);
+    if (item.replies) collectAuthorIds(item.replies, ids);
+  }
+  return ids;
+};
+
+// Map of user id -> compact profile, from Redis first, then user-service
+export const fetchProfiles = async (ids, redisClient) => {
+  const profiles = new Map();
+  let missing = [...ids];
+  if (missing.length === 0) return profiles;
+
+  if (redisClient?.isOpen) {
+    try {
+      const cached = await redisClient.mGet(missing.map(profileKey));
+      cached.forEach((value, i) => {
+        if (value) profiles.set(missing[i], JSON.parse(value));
+      });
+      missing = missing.filter(id => !profiles.has(id));
+    } catch (err) {
+      console.log('Profile cache read error:', err.message);
+    }
+  }
+
+  for (const batch of chunk(missing)) {
+    try {
+      const response = await axios.post(`${process.env.USER_SERVICE_URL}/batch`, { ids: batch }, { headers: internalHeaders() });
+      const users = response.data.users;
+      users.forEach(user => profiles.set(String(user._id), user));
+
+      if (redisClient?.isOpen && users.length > 0) {
+        const multi = redisClient.multi();
+        users.forEach(user => multi.setEx(profileKey(user._id), PROFILE_TTL, JSON.stringify(user)));
+        await multi.exec();
+      }
+    } catch (err) {
+      console.log('Profile batch lookup failed:', err.message);
+    }
+  }
+
+  return profiles;
+};
+
+// Map of lowercase username -> compact profile, from user-service. Not
+// cached, as a username can pass to someone else once it's given up.
+export const fetchProfilesByUsername = async (usernames) => {
+  const profiles = new Map();
+  if (usernames.length === 0) return profiles;
+
+  for (const batch of chunk(usernames)) {
+    try {
+      const response = await axios.post(`${process.env.USER_SERVICE_URL}/batch`, { usernames: batch }, { headers: internalHeaders() });
+      response.data.users.forEach(user => profiles.set(user.username.toLowerCase(), user));
+    } catch (err) {
+      console.log('Profile batch lookup failed:', err.message);
+    }
+  }
+  return profiles;
+};
+
+const profileOf = (user, profiles) => {
+  const userId = user?._id || user;
+  return profiles.get(String(userId)) || { _id: userId };
+};
+
+const attachAuthors = (item, profiles) => {
+  const hydrated = { ...item, user: profileOf(item.user, profiles) };
+  if (item.mentions) hydrated.mentions = item.mentions.map(user => profileOf(user, profiles));
+  if (item.comments) hydrated.comments = item.comments.map(c => attachAuthors(c, profiles));
+  if (item.replies) hydrated.replies = item.replies.map(r => attachAuthors(r, profiles));
+  return hydrated;
+};
+
+// Replace author and mention ids with profiles across posts, comments and
+// replies
+export const hydrate = async (items, redisClient) => {
+  const plain = items.map(toPlain);
+  const profiles = await fetchProfiles(collectAuthorIds(plain), redisClient);
+  return plain.map(item => attachAuthors(item, profiles));
+};
+
+export const hydrateOne = async (item, redisClient) => (await hydrate([item], redisClient))[0];
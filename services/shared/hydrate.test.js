@@ -0,0 +1,91 @@
+import express from 'express';
+import { collectAuthorIds, hydrate } from './hydrate.js';
+
+// Redis stand-in that has every requested profile cached, so no
+// request is made to user-service
+const cachedRedis = (profiles) => ({
+  isOpen: true,
+  mGet: async (keys) => keys.map(key => {
+    const profile = profiles[key.replace('profile:', '')];
+    return profile ? JSON.stringify(profile) : null;
+  })
+});
+
+const post = {
+  _id: 'p1',
+  user: 'u1',
+  text: 'Hello',
+  comments: [
+    { _id: 'c1', user: 'u2', text: 'Hi', replies: [{ _id: 'r1', user: 'u3', text: 'Hey' }] },
+    { _id: 'c2', user: 'u1', text: 'Thanks', replies: [] }
+  ]
+};
+
+describe('Hydration - collectAuthorIds', () => {
+  it('should collect unique authors of posts, comments and replies', () => {
+    expect([...collectAuthorIds([post])].sort()).toEqual(['u1', 'u2', 'u3']);
+  });
+});
+
+describe('Hydration - hydrate', () => {
+  it('should embed cached profiles at every level', async () => {
+    const redis = cachedRedis({
+      u1: { _id: 'u1', firstName: 'Ana' },
+      u2: { _id: 'u2', firstName: 'Bob' },
+      u3: { _id: 'u3', firstName: 'Cy' }
+    });
+
+    const [result] = await hydrate([post], redis);
+
+    expect(result.user.firstName).toBe('Ana');
+    expect(result.comments[0].user.firstName).toBe('Bob');
+    expect(result.comments[0].replies[0].user.firstName).toBe('Cy');
+    expect(result.comments[1].user.firstName).toBe('Ana');
+  });
+
+  it('should embed the profiles of mentioned users', async () => {
+    const redis = cachedRedis({ u1: { _id: 'u1', username: 'ana' }, u2: { _id: 'u2', username: 'bob' } });
+
+    const [result] = await hydrate([{ _id: 'p2', user: 'u1', text: 'Hi <@u2>', mentions: ['u2', 'gone'] }], redis);
+
+    expect(result.mentions).toEqual([{ _id: 'u2', username: 'bob' }, { _id: 'gone' }]);
+  });
+
+  it('should not mutate the input', async () => {
+    const redis = cachedRedis({ u1: { _id: 'u1' }, u2: { _id: 'u2' }, u3: { _id: 'u3' } });
+    await hydrate([post], redis);
+    expect(post.user).toBe('u1');
+  });
+});
+
+describe('Hydration - batch lookups', () => {
+  const batchSizes = [];
+  let server;
+
+  beforeAll(async () => {
+    // user-service stand-in that, like the real one, rejects over 500 ids
+    const app = express();
+    app.use(express.json());
+    app.post('/batch', (req, res) => {
+      batchSizes.push(req.body.ids.length);
+      if (req.body.ids.length > 500) return res.status(400).json({ message: 'At most 500 ids per request' });
+      res.json({ users: req.body.ids.map(id => ({ _id: id, username: `user${id}` })) });
+    });
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    process.env.USER_SERVICE_URL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(() => {
+    server.close();
+  });
+
+  it('should look up more than 500 users in chunks', async () => {
+    const posts = Array.from({ length: 1200 }, (_, i) => ({ _id: `p${i}`, user: `u${i}`, text: 'Hi' }));
+
+    const result = await hydrate(posts);
+
+    expect(batchSizes).toEqual([500, 500, 200]);
+    expect(result[1199].user.username).toBe('useru1199');
+  });
+});
@@ -0,0 +1,89 @@
+import crypto from "crypto";
+import axios from "axios";
+import jwt from "jsonwebtoken";
+
+// Access tokens are verified locally against auth-service's published keys
+// (/.well-known/jwks.json). Only revocation needs a call back to
+// auth-service, and its answer is cached for a short while. If auth-service
+// is unreachable we fail open: signature and expiry were still checked, and
+// access tokens only live 15 minutes.
+
+const ALGORITHM = "RS256";
+const JWKS_MAX_AGE_MS = 10 * 60 * 1000;
+const JWKS_MIN_REFETCH_MS = 30 * 1000;
+const SESSION_CACHE_TTL_MS = 30 * 1000;
+const SESSION_CACHE_MAX = 10000;
+const REQUEST_TIMEOUT_MS = 3000;
+
+let publicKeys = new Map();
+let jwksFetchedAt = 0;
+let jwksRequest = null;
+const sessionCache = new Map();
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AuthError";
+  }
+}
+
+const fetchJwks = async () => {
+  const response = await axios.get(`${process.env.AUTH_SERVICE_URL}/.well-known/jwks.json`, {
+    timeout: REQUEST_TIMEOUT_MS
+  });
+  publicKeys = new Map(response.data.keys.map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: "jwk" })]));
+  jwksFetchedAt = Date.now();
+};
+
+// Refetch when the cache is old, or when an unknown kid shows up after a rotation
+const getPublicKey = async (kid) => {
+  const age = Date.now() - jwksFetchedAt;
+  if (age > JWKS_MAX_AGE_MS || (!publicKeys.has(kid) && age > JWKS_MIN_REFETCH_MS)) {
+    jwksRequest ??= fetchJwks()
+      .catch(err => console.log('JWKS fetch failed:', err.message))
+      .finally(() => { jwksRequest = null; });
+    await jwksRequest;
+  }
+  return publicKeys.get(kid) || null;
+};
+
+const isSessionActive = async (sessionId) => {
+  const cached = sessionCache.get(sessionId);
+  if (cached && cached.expiresAt > Date.now()) return cached.active;
+
+  try {
+    const response = await axios.get(`${process.env.AUTH_SERVICE_URL}/sessions/${sessionId}/status`, {
+      timeout: REQUEST_TIMEOUT_MS
+    });
+    if (sessionCache.size >= SESSION_CACHE_MAX) {
+      sessionCache.delete(sessionCache.keys().next().value);
+    }
+    sessionCache.set(sessionId, { active: response.data.active, expiresAt: Date.now() + SESSION_CACHE_TTL_MS });
+    return response.data.active;
+  } catch (err) {
+    console.log('Session status check failed:', err.message);
+    return true;
+  }
+};
+
+// Verify an access token and return its payload ({ id, sid, ... })
+export const verifyToken = async (token) => {
+  const kid = jwt.decode(token, { complete: true })?.header?.kid;
+  const key = kid && await getPublicKey(kid);
+  if (!key) {
+    throw new AuthError("Invalid token");
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, key, { algorithms: [ALGORITHM] });
+  } catch {
+    throw new AuthError("Invalid token");
+  }
+
+  if (!payload.sid || !(await isSessionActive(payload.sid))) {
+    throw new AuthError("Session revoked");
+  }
+
+  return payload;
+};
@@ -0,0 +1,80 @@
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { jest } from '@jest/globals';
+import { verifyToken, AuthError } from './jwt.js';
+
+// Stand-in for auth-service: publishes `published` keys and answers
+// session status from `sessions` (sid -> active, or 'error')
+const makeKey = (kid) => ({ kid, ...crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }) });
+const toJwk = ({ kid, publicKey }) => ({ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' });
+
+const first = makeKey('key-1');
+const second = makeKey('key-2');
+let published = [first];
+const sessions = { s1: true, revoked: false, down: 'error' };
+let jwksRequests = 0;
+let server;
+
+const sign = (key, sid, options = {}) =>
+  jwt.sign({ id: 'u1', sid }, key.privateKey, { algorithm: 'RS256', keyid: key.kid, expiresIn: '15m', ...options });
+
+beforeAll(async () => {
+  const app = express();
+  app.get('/.well-known/jwks.json', (req, res) => {
+    jwksRequests++;
+    res.json({ keys: published.map(toJwk) });
+  });
+  app.get('/sessions/:sid/status', (req, res) => {
+    const state = sessions[req.params.sid];
+    if (state === 'error') return res.status(500).json({ message: 'Server error' });
+    res.json({ active: state === true });
+  });
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  process.env.AUTH_SERVICE_URL = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => {
+  jest.restoreAllMocks();
+  server.close();
+});
+
+describe('JWT - verifyToken', () => {
+  it('should verify a token against the published keys', async () => {
+    const payload = await verifyToken(sign(first, 's1'));
+    expect(payload).toMatchObject({ id: 'u1', sid: 's1' });
+  });
+
+  it('should cache the key set between requests', async () => {
+    const before = jwksRequests;
+    await verifyToken(sign(first, 's1'));
+    expect(jwksRequests).toBe(before);
+  });
+
+  it('should reject tokens signed with the shared secret', async () => {
+    const token = jwt.sign({ id: 'u1', sid: 's1' }, 'secret', { keyid: 'key-1' });
+    await expect(verifyToken(token)).rejects.toThrow(AuthError);
+  });
+
+  it('should reject expired tokens', async () => {
+    await expect(verifyToken(sign(first, 's1', { expiresIn: -10 }))).rejects.toThrow('Invalid token');
+  });
+
+  it('should reject revoked sessions', async () => {
+    await expect(verifyToken(sign(first, 'revoked'))).rejects.toThrow('Session revoked');
+  });
+
+  it('should fail open when the session check errors', async () => {
+    await expect(verifyToken(sign(first, 'down'))).resolves.toMatchObject({ sid: 'down' });
+  });
+
+  it('should refetch keys when a token uses a new kid', async () => {
+    published = [first, second];
+    const realNow = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(realNow + 60 * 1000);
+
+    await expect(verifyToken(sign(second, 's1'))).resolves.toMatchObject({ sid: 's1' });
+    await expect(verifyToken(sign(first, 's1'))).resolves.toMatchObject({ sid: 's1' });
+  });
+});
@@ -0,0 +1,60 @@
+import mongoose from "mongoose";
+
+// Cursors are opaque to clients: base64url-encoded JSON holding the
+// (createdAt, _id) sort key of the last item on the previous page.
+
+export const DEFAULT_LIMIT = 20;
+export const MAX_LIMIT = 100;
+
+export class InvalidCursorError extends Error {
+  constructor() {
+    super("Invalid cursor");
+    this.name = "InvalidCursorError";
+  }
+}
+
+export const encodeCursor = (post) =>
+  Buffer.from(JSON.stringify({
+    t: new Date(post.createdAt).getTime(),
+    id: post._id.toString()
+  })).toString("base64url");
+
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (!Number.isFinite(t) || !mongoose.isValidObjectId(id)) throw new Error();
+    return { createdAt: new Date(t), id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new InvalidCursorError();
+  }
+};
+
+export const parseLimit = (value, fallback = DEFAULT_LIMIT) =>
+  Math.min(Math.max(parseInt(value) || fallback, 1), MAX_LIMIT);
+
+// Mongo filter for items that sort after the cursor (newest first)
+export const olderThan = (cursor) => cursor
+  ? {
+    $or: [
+      { createdAt: { $lt: cursor.createdAt } },
+      { createdAt: cursor.createdAt, _id: { $lt: cursor.id } }
+    ]
+  }
+  : {};
+
+export const isOlderThan = (post, cursor) => !cursor
+  || post.createdAt < cursor.createdAt
+  || (post.createdAt.getTime() === cursor.createdAt.getTime() && post._id.toString() < cursor.id.toString());
+
+export const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+
+// Trim a list fetched with limit + 1 items into a page and its next cursor
+export const toPage = (items, limit) => {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+};
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import {
+  InvalidCursorError,
+  encodeCursor,
+  decodeCursor,
+  parseLimit,
+  olderThan,
+  isOlderThan,
+  toPage
+} from './pagination.js';
+
+const makePost = (ms) => ({
+  _id: new mongoose.Types.ObjectId(),
+  createdAt: new Date(ms)
+});
+
+describe('Pagination - cursors', () => {
+  it('should round-trip a cursor', () => {
+    const post = makePost(1700000000000);
+    const cursor = decodeCursor(encodeCursor(post));
+
+    expect(cursor.createdAt.getTime()).toBe(1700000000000);
+    expect(cursor.id.toString()).toBe(post._id.toString());
+  });
+
+  it('should return null when no cursor is given', () => {
+    expect(decodeCursor(undefined)).toBeNull();
+    expect(olderThan(null)).toEqual({});
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(() => decodeCursor('not-a-cursor')).toThrow(InvalidCursorError);
+    expect(() => decodeCursor(Buffer.from('{"t":1,"id":"x"}').toString('base64url'))).toThrow(InvalidCursorError);
+  });
+
+  it('should clamp the page size', () => {
+    expect(parseLimit(undefined)).toBe(20);
+    expect(parseLimit('0')).toBe(20);
+    expect(parseLimit('500')).toBe(100);
+    expect(parseLimit('5')).toBe(5);
+  });
+});
+
+describe('Pagination - pages', () => {
+  it('should set nextCursor only when there are more items', () => {
+    const posts = [makePost(3000), makePost(2000), makePost(1000)];
+
+    const first = toPage(posts, 2);
+    expect(first.items).toHaveLength(2);
+    expect(decodeCursor(first.nextCursor).id.toString()).toBe(posts[1]._id.toString());
+
+    const last = toPage(posts.slice(2), 2);
+    expect(last.items).toHaveLength(1);
+    expect(last.nextCursor).toBeNull();
+  });
+
+  it('should order posts that share a timestamp by id', () => {
+    const a = makePost(1000);
+    const b = makePost(1000);
+    const cursor = decodeCursor(encodeCursor(b));
+
+    expect(isOlderThan(a, cursor)).toBe(true);
+    expect(isOlderThan(b, cursor)).toBe(false);
+    expect(isOlderThan(makePost(2000), cursor)).toBe(false);
+  });
+});
@@ -0,0 +1,121 @@
+import os from "os";
+
+// Reads a Redis stream through a consumer group. Entries are acked once the
+// handler succeeds; failed entries stay pending and are reclaimed with
+// XAUTOCLAIM after `claimIdleMs`. After `maxDeliveries` attempts an entry
+// is moved to the dead-letter list `<stream>:dead` with its last error.
+
+const READ_COUNT = 50;
+const BLOCK_MS = 5000;
+const RETRY_INTERVAL_MS = 30 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const deadLetterKey = (stream) => `${stream}:dead`;
+const errorsKey = (stream, group) => `${stream}:errors:${group}`;
+
+export const createStreamConsumer = ({
+  redisClient,
+  stream,
+  group,
+  handler,
+  consumer = `${os.hostname()}-${process.pid}`,
+  maxDeliveries = 5,
+  claimIdleMs = 60 * 1000
+}) => {
+  const processEntry = async ({ id, message }) => {
+    try {
+      await handler(message);
+      await redisClient.xAck(stream, group, id);
+      await redisClient.hDel(errorsKey(stream, group), id);
+    } catch (err) {
+      console.error(`Failed to process ${stream} entry ${id}:`, err.message);
+      await redisClient.hSet(errorsKey(stream, group), id, err.message);
+    }
+  };
+
+  const deadLetter = async ({ id, message }, deliveries) => {
+    const error = await redisClient.hGet(errorsKey(stream, group), id);
+    await redisClient.lPush(deadLetterKey(stream), JSON.stringify({
+      id,
+      message,
+      error,
+      deliveries,
+      deadAt: new Date().toISOString()
+    }));
+    await redisClient.xAck(stream, group, id);
+    await redisClient.hDel(errorsKey(stream, group), id);
+    console.error(`☠️ Moved ${stream} entry ${id} to ${deadLetterKey(stream)} after ${deliveries} attempts`);
+  };
+
+  const ensureGroup = async () => {
+    try {
+      await redisClient.xGroupCreate(stream, group, "0", { MKSTREAM: true });
+    } catch (err) {
+      if (!err.message.includes("BUSYGROUP")) throw err;
+    }
+  };
+
+  // Take over entries that have been pending too long and retry them
+  const retryPending = async () => {
+    const { messages } = await redisClient.xAutoClaim(stream, group, consumer, claimIdleMs, "0-0", { COUNT: READ_COUNT });
+    const claimed = messages.filter(Boolean);
+    if (claimed.length === 0) return 0;
+
+    const pending = await redisClient.xPendingRange(
+      stream, group, claimed[0].id, claimed[claimed.length - 1].id, claimed.length, { consumer }
+    );
+    const deliveries = new Map(pending.map(entry => [entry.id, entry.deliveriesCounter]));
+
+    for (const entry of claimed) {
+      const count = deliveries.get(entry.id) || 0;
+      if (count > maxDeliveries) {
+        await deadLetter(entry, count - 1);
+      } else {
+        await processEntry(entry);
+      }
+    }
+    return claimed.length;
+  };
+
+  // Block on new entries until stop() is called
+  const start = async () => {
+    await ensureGroup();
+
+    const reader = redisClient.duplicate();
+    await reader.connect();
+
+    let stopped = false;
+    const retryTimer = setInterval(() => {
+      retryPending().catch(err => console.error(`${stream} retry error:`, err.message));
+    }, RETRY_INTERVAL_MS);
+
+    (async () => {
+      while (!stopped) {
+        try {
+          const response = await reader.xReadGroup(group, consumer, { key: stream, id: ">" }, {
+            COUNT: READ_COUNT,
+            BLOCK: BLOCK_MS
+          });
+          for (const { messages } of response || []) {
+            for (const entry of messages) {
+              await processEntry(entry);
+            }
+          }
+        } catch (err) {
+          if (stopped) break;
+          console.error(`${stream} read error:`, err.message);
+          await sleep(1000);
+        }
+      }
+    })();
+
+    return async () => {
+      stopped = true;
+      clearInterval(retryTimer);
+      await reader.disconnect();
+    };
+  };
+
+  return { start, processEntry, retryPending };
+};
@@ -0,0 +1,81 @@
+import { createStreamConsumer, deadLetterKey } from './stream-consumer.js';
+
+// In-memory stand-in for the handful of Redis commands the consumer uses
+const makeRedis = () => {
+  const redis = {
+    acked: [],
+    hashes: {},
+    lists: {},
+    claimable: [],
+    deliveries: {},
+    xAck: async (stream, group, id) => { redis.acked.push(id); },
+    hSet: async (key, field, value) => { (redis.hashes[key] ||= {})[field] = value; },
+    hGet: async (key, field) => redis.hashes[key]?.[field] ?? null,
+    hDel: async (key, field) => { delete redis.hashes[key]?.[field]; },
+    lPush: async (key, value) => { (redis.lists[key] ||= []).unshift(value); },
+    xAutoClaim: async () => ({ messages: redis.claimable }),
+    xPendingRange: async () => redis.claimable.map(({ id }) => ({ id, deliveriesCounter: redis.deliveries[id] }))
+  };
+  return redis;
+};
+
+const entry = (id, type = 'ok') => ({ id, message: { type } });
+
+const handler = async ({ type }) => {
+  if (type === 'fail') throw new Error('handler failed');
+};
+
+describe('Stream consumer', () => {
+  test('acks an entry once the handler succeeds', async () => {
+    const redis = makeRedis();
+    const consumer = createStreamConsumer({ redisClient: redis, stream: 'events', group: 'g', handler });
+
+    await consumer.processEntry(entry('1-0'));
+
+    expect(redis.acked).toEqual(['1-0']);
+  });
+
+  test('leaves a failed entry pending and records the error', async () => {
+    const redis = makeRedis();
+    const consumer = createStreamConsumer({ redisClient: redis, stream: 'events', group: 'g', handler });
+
+    await consumer.processEntry(entry('1-0', 'fail'));
+
+    expect(redis.acked).toEqual([]);
+    expect(redis.hashes['events:errors:g']['1-0']).toBe('handler failed');
+  });
+
+  test('clears the recorded error when a retry succeeds', async () => {
+    const redis = makeRedis();
+    const consumer = createStreamConsumer({ redisClient: redis, stream: 'events', group: 'g', handler });
+    redis.hashes['events:errors:g'] = { '1-0': 'handler failed' };
+    redis.claimable = [entry('1-0')];
+    redis.deliveries['1-0'] = 2;
+
+    expect(await consumer.retryPending()).toBe(1);
+    expect(redis.acked).toEqual(['1-0']);
+    expect(redis.hashes['events:errors:g']['1-0']).toBeUndefined();
+  });
+
+  test('dead-letters an entry after maxDeliveries attempts', async () => {
+    const redis = makeRedis();
+    const consumer = createStreamConsumer({ redisClient: redis, stream: 'events', group: 'g', handler, maxDeliveries: 3 });
+    redis.hashes['events:errors:g'] = { '1-0': 'handler failed' };
+    redis.claimable = [entry('1-0', 'fail')];
+    redis.deliveries['1-0'] = 4;
+
+    await consumer.retryPending();
+
+    const [dead] = redis.lists[deadLetterKey('events')].map(JSON.parse);
+    expect(dead).toMatchObject({ id: '1-0', error: 'handler failed', deliveries: 3, message: { type: 'fail' } });
+    expect(redis.acked).toEqual(['1-0']);
+  });
+
+  test('ignores entries deleted from the stream while pending', async () => {
+    const redis = makeRedis();
+    const consumer = createStreamConsumer({ redisClient: redis, stream: 'events', group: 'g', handler });
+    redis.claimable = [null];
+
+    expect(await consumer.retryPending()).toBe(0);
+  });
+});
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// Accounts are owned by auth-service and replicated here through the
+// `user-events` stream (see user-sync.js). Profile fields (bio, picture)
+// and the follow graph are owned by this service.
+
+// User Schema
+const userSchema = new mongoose.Schema({
+  firstName: { type: String, required: true },
+  lastName: { type: String, required: true },
+  email: { type: String, required: true, unique: true },
+  // Chosen in auth-service, which keeps it unique ignoring case;
+  // `usernameKey` is its lowercase form, used for lookups
+  username: { type: String },
+  usernameKey: { type: String, unique: true, sparse: true },
+  // Legacy: password hashes used to be copied here. Never selected;
+  // `npm run reconcile-users` removes any that remain.
+  password: { type: String, select: false },
+  bio: { type: String, default: "" },
+  profilePic: { type: String, default: "" },
+  followersCount: { type: Number, default: 0 },
+  followingCount: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now },
+  // Version of the last user event applied from auth-service
+  syncVersion: { type: Number, default: 0 }
+});
+
+export const User = mongoose.model("User", userSchema);
+
+// Usernames given up by renames, so links to the old handle still find
+// the user. The latest user to have given one up gets it; a user who holds
+// it now always comes first.
+const usernameRedirectSchema = new mongoose.Schema({
+  usernameKey: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "User" },
+  createdAt: { type: Date, default: Date.now }
+});
+
+export const UsernameRedirect = mongoose.model("UsernameRedirect", usernameRedirectSchema);
+
+// Follow Schema - one document per edge of the social graph
+const followSchema = new mongoose.Schema({
+  follower: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "User" },
+  following: { type: mongoose.Schema.Types.ObjectId, required: true, ref: "User" },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Unique edge; also serves "does X follow me?" lookups for search badges
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+// Paginated follower / following lists
+followSchema.index({ following: 1, createdAt: -1 });
+followSchema.index({ follower: 1, createdAt: -1 });
+
+export const Follow = mongoose.model("Follow", followSchema);
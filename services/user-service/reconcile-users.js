@@ -0,0 +1,92 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import axios from "axios";
+import { createClient } from "redis";
+import { Client } from "@elastic/elasticsearch";
+import { User } from "./models.js";
+import { createUserReplica, resetUserReplica, deleteUserReplica, hasDrifted } from "./user-sync.js";
+
+// Usage: npm run reconcile-users
+// Compares every replicated user with auth-service and repairs drift left
+// by missed events: creates missing users, resets changed emails and
+// usernames, removes users deleted in auth-service and drops legacy
+// password hashes.
+
+dotenv.config();
+
+const PAGE_SIZE = 500;
+
+const fetchAuthUsers = async function* () {
+  let after = null;
+  do {
+    const { data } = await axios.get(`${process.env.AUTH_SERVICE_URL}/internal/users`, {
+      params: { after: after || undefined, limit: PAGE_SIZE },
+      headers: { "x-internal-token": process.env.INTERNAL_API_TOKEN }
+    });
+    yield* data.users;
+    after = data.nextAfter;
+  } while (after);
+};
+
+const connectOptional = async (name, connect) => {
+  try {
+    return await connect();
+  } catch (error) {
+    console.log(`⚠️ ${name} unavailable, skipping:`, error.message);
+    return null;
+  }
+};
+
+const startedAt = new Date();
+const context = {};
+const counts = { created: 0, updated: 0, deleted: 0 };
+
+try {
+  await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/user-service');
+  context.redisClient = await connectOptional("Redis", async () => {
+    const client = createClient({ url: process.env.REDIS_URL });
+    await client.connect();
+    return client;
+  });
+  context.esClient = await connectOptional("Elasticsearch", async () => {
+    const client = new Client({ node: process.env.ELASTICSEARCH_URL || 'http://localhost:9200' });
+    try {
+      await client.ping();
+    } catch (error) {
+      await client.close();
+      throw error;
+    }
+    return client;
+  });
+
+  const authIds = new Set();
+  for await (const user of fetchAuthUsers()) {
+    authIds.add(user._id);
+    const local = await User.findById(user._id);
+    if (!local) {
+      if (await createUserReplica(user, user.version, context)) counts.created++;
+    } else if (hasDrifted(local, user)) {
+      if (await resetUserReplica(user, user.version, context)) counts.updated++;
+    }
+  }
+
+  // Users created after we started listing may not be in authIds yet
+  const locals = await User.find({ _id: { $lt: mongoose.Types.ObjectId.createFromTime(Math.floor(startedAt.getTime() / 1000)) } }).select("_id");
+  for (const { _id } of locals) {
+    if (!authIds.has(_id.toString())) {
+      await deleteUserReplica(_id, context);
+      counts.deleted++;
+    }
+  }
+
+  const { modifiedCount } = await User.updateMany({ password: { $exists: true } }, { $unset: { password: 1 } });
+
+  console.log(`🔁 Reconciled users: ${counts.created} created, ${counts.updated} updated, ${counts.deleted} deleted, ${modifiedCount} legacy passwords removed`);
+} catch (error) {
+  console.error("❌ User reconciliation failed:", error.message);
+  process.exitCode = 1;
+} finally {
+  await context.redisClient?.quit();
+  await context.esClient?.close();
+  await mongoose.disconnect();
+}
@@ -0,0 +1,224 @@
+// User search index. Searches and writes go through the `users` alias, which
+// points at one versioned index (users_v1, users_v2, ...). To change the
+// mapping, bump USERS_MAPPING_VERSION and run `npm run users-index -- reindex`:
+// a new index is built from MongoDB next to the live one and the alias is
+// moved to it in one step, so search never sees a half-built index.
+
+export const USERS_INDEX = "users";
+
+// Stored in the mapping's _meta; an index with an older one needs a reindex
+export const USERS_MAPPING_VERSION = 1;
+
+const textWithKeyword = { type: "text", fields: { keyword: { type: "keyword" } } };
+
+export const USERS_MAPPINGS = {
+  _meta: { version: USERS_MAPPING_VERSION },
+  properties: {
+    firstName: textWithKeyword,
+    lastName: textWithKeyword,
+    email: textWithKeyword,
+    username: textWithKeyword,
+    bio: { type: "text" },
+    fullName: textWithKeyword
+  }
+};
+
+const BATCH_SIZE = 500;
+
+// How many ids of each kind of problem a check report lists
+const MAX_EXAMPLES = 10;
+
+// The Elasticsearch document for a user
+export const userDocument = (user) => ({
+  firstName: user.firstName,
+  lastName: user.lastName,
+  username: user.username,
+  email: user.email,
+  bio: user.bio || "",
+  fullName: `${user.firstName} ${user.lastName}`
+});
+
+// True if an indexed document matches what `userDocument` gives now
+export const isCurrentDocument = (source, expected) =>
+  Object.keys(expected).every(key => (source[key] ?? null) === (expected[key] ?? null));
+
+// The versioned index name that comes after `existing` names
+export const nextIndexName = (existing) => {
+  const versions = existing
+    .map(name => name.match(new RegExp(`^${USERS_INDEX}_v(\\d+)$`))?.[1])
+    .filter(Boolean)
+    .map(Number);
+  return `${USERS_INDEX}_v${Math.max(0, ...versions) + 1}`;
+};
+
+// The index behind the alias, or null if there is no alias
+export const liveUsersIndex = async (esClient) => {
+  if (!(await esClient.indices.existsAlias({ name: USERS_INDEX }))) return null;
+  return Object.keys(await esClient.indices.getAlias({ name: USERS_INDEX }))[0];
+};
+
+const createVersionedIndex = async (esClient, aliases = {}) => {
+  const existing = Object.keys(await esClient.indices.get({ index: `${USERS_INDEX}_v*` }));
+  const index = nextIndexName(existing);
+  await esClient.indices.create({ index, mappings: USERS_MAPPINGS, aliases });
+  return index;
+};
+
+// Make sure there is an index to search and write to, creating an empty one
+// behind the alias the first time. Returns the index in use.
+export const ensureUsersIndex = async (esClient) => {
+  const live = await liveUsersIndex(esClient);
+  if (live) {
+    const mapping = await esClient.indices.getMapping({ index: live });
+    if ((mapping[live].mappings._meta?.version || 0) < USERS_MAPPING_VERSION) {
+      console.log(`⚠️ Elasticsearch index ${live} has an old mapping; run npm run users-index -- reindex`);
+    }
+    return live;
+  }
+
+  // An index from before aliases keeps working until it is reindexed
+  if (await esClient.indices.exists({ index: USERS_INDEX })) {
+    console.log(`⚠️ Elasticsearch index ${USERS_INDEX} isn't versioned; run npm run users-index -- reindex`);
+    return USERS_INDEX;
+  }
+
+  try {
+    const index = await createVersionedIndex(esClient, { [USERS_INDEX]: {} });
+    console.log(`✅ Created Elasticsearch index: ${index}; run npm run users-index -- backfill to add existing users`);
+    return index;
+  } catch (esError) {
+    // Another instance created it first
+    if (esError.meta?.body?.error?.type !== "resource_already_exists_exception") throw esError;
+    return liveUsersIndex(esClient);
+  }
+};
+
+export const indexUser = async (esClient, user) => {
+  if (!esClient) return;
+  try {
+    await esClient.index({ index: USERS_INDEX, id: user._id.toString(), document: userDocument(user) });
+  } catch (esError) {
+    console.error("Elasticsearch indexing error:", esError.message);
+  }
+};
+
+export const unindexUser = async (esClient, userId) => {
+  if (!esClient) return;
+  try {
+    await esClient.delete({ index: USERS_INDEX, id: userId.toString() });
+  } catch (esError) {
+    if (esError.meta?.statusCode !== 404) {
+      console.error("Elasticsearch delete error:", esError.message);
+    }
+  }
+};
+
+// Run a batch of bulk operations; returns how many succeeded and failed
+const runBulk = async (esClient, operations) => {
+  const counts = { succeeded: 0, failed: 0 };
+  const { items } = await esClient.bulk({ operations: operations.flat() });
+  for (const item of items) {
+    const { error } = Object.values(item)[0];
+    if (error) {
+      counts.failed++;
+      console.error("Elasticsearch bulk error:", error.reason);
+    } else {
+      counts.succeeded++;
+    }
+  }
+  return counts;
+};
+
+const indexOperation = (index, user) => [{ index: { _index: index, _id: user._id.toString() } }, userDocument(user)];
+
+// Index every user from `users` (an async iterable) into `index`
+export const bulkIndexUsers = async (esClient, index, users) => {
+  const counts = { indexed: 0, failed: 0 };
+  let operations = [];
+  const flush = async () => {
+    const { succeeded, failed } = await runBulk(esClient, operations);
+    counts.indexed += succeeded;
+    counts.failed += failed;
+    operations = [];
+  };
+
+  for await (const user of users) {
+    operations.push(indexOperation(index, user));
+    if (operations.length === BATCH_SIZE) await flush();
+  }
+  if (operations.length > 0) await flush();
+  return counts;
+};
+
+// Compare `index` with `users` (an async iterable over every user).
+// Reports users whose document is missing or stale, and documents of users
+// that no longer exist (`findExisting(ids)` gives the set of those ids that
+// do). With `fix`, also repairs them.
+export const checkUsersIndex = async (esClient, index, users, findExisting, { fix = false } = {}) => {
+  const report = { checked: 0, missing: 0, stale: 0, orphaned: 0, fixed: 0, examples: { missing: [], stale: [], orphaned: [] } };
+  const found = (kind, id) => {
+    report[kind]++;
+    if (report.examples[kind].length < MAX_EXAMPLES) report.examples[kind].push(id);
+  };
+  const repair = async (operations) => {
+    if (fix && operations.length > 0) report.fixed += (await runBulk(esClient, operations)).succeeded;
+  };
+
+  let batch = [];
+  const compareBatch = async () => {
+    const { docs } = await esClient.mget({ index, ids: batch.map(user => user._id.toString()) });
+    const repairs = [];
+    for (const [i, user] of batch.entries()) {
+      const kind = !docs[i].found ? "missing" : !isCurrentDocument(docs[i]._source, userDocument(user)) ? "stale" : null;
+      if (!kind) continue;
+      found(kind, docs[i]._id);
+      repairs.push(indexOperation(index, user));
+    }
+    report.checked += batch.length;
+    batch = [];
+    await repair(repairs);
+  };
+
+  for await (const user of users) {
+    batch.push(user);
+    if (batch.length === BATCH_SIZE) await compareBatch();
+  }
+  if (batch.length > 0) await compareBatch();
+
+  for await (const page of esClient.helpers.scrollSearch({ index, _source: false, size: BATCH_SIZE })) {
+    const ids = page.body.hits.hits.map(hit => hit._id);
+    const existing = await findExisting(ids);
+    const orphaned = ids.filter(id => !existing.has(id));
+    orphaned.forEach(id => found("orphaned", id));
+    await repair(orphaned.map(id => [{ delete: { _index: index, _id: id } }]));
+  }
+
+  return report;
+};
+
+// Build a new index from `loadUsers()` (an async iterable over every user),
+// move the alias to it and drop the index it replaces. Writes made while it
+// was being built went to the old index, so a fixing check of the new one
+// follows the swap.
+export const reindexUsers = async (esClient, loadUsers, findExisting) => {
+  const previous = await liveUsersIndex(esClient);
+  const legacy = !previous && await esClient.indices.exists({ index: USERS_INDEX });
+
+  const index = await createVersionedIndex(esClient);
+  const counts = await bulkIndexUsers(esClient, index, loadUsers());
+
+  // An unversioned `users` index has to go in the same step, as the alias
+  // takes its name
+  await esClient.indices.updateAliases({
+    actions: [
+      { add: { index, alias: USERS_INDEX } },
+      ...(previous ? [{ remove: { index: previous, alias: USERS_INDEX } }] : []),
+      ...(legacy ? [{ remove_index: { index: USERS_INDEX } }] : [])
+    ]
+  });
+
+  const caughtUp = await checkUsersIndex(esClient, index, loadUsers(), findExisting, { fix: true });
+  if (previous) await esClient.indices.delete({ index: previous });
+
+  return { index, previous: previous || (legacy ? USERS_INDEX : null), ...counts, caughtUp: caughtUp.fixed };
+};
@@ -0,0 +1,184 @@
+import { jest } from '@jest/globals';
+import {
+  USERS_INDEX,
+  USERS_MAPPING_VERSION,
+  userDocument,
+  isCurrentDocument,
+  nextIndexName,
+  liveUsersIndex,
+  ensureUsersIndex,
+  bulkIndexUsers,
+  checkUsersIndex,
+  reindexUsers
+} from './search-index.js';
+
+// In-memory stand-in for the Elasticsearch calls the index code makes
+const makeElasticsearch = () => {
+  const es = { indices: {}, aliases: {} };
+  const resolve = (name) => es.aliases[name] || name;
+  const docs = (name) => es.indices[resolve(name)].docs;
+  const write = (op) => {
+    const [[action, { _index, _id }], source] = [Object.entries(op[0])[0], op[1]];
+    if (action === 'delete') docs(_index).delete(_id);
+    else docs(_index).set(_id, source);
+    return { [action]: { _id, status: 200 } };
+  };
+
+  es.client = {
+    indices: {
+      existsAlias: async ({ name }) => name in es.aliases,
+      getAlias: async ({ name }) => ({ [es.aliases[name]]: { aliases: { [name]: {} } } }),
+      exists: async ({ index }) => index in es.indices,
+      get: async ({ index }) => {
+        const pattern = new RegExp(`^${index.replace('*', '.*')}$`);
+        return Object.fromEntries(Object.keys(es.indices).filter(name => pattern.test(name)).map(name => [name, {}]));
+      },
+      getMapping: async ({ index }) => ({ [index]: { mappings: es.indices[index].mappings } }),
+      create: async ({ index, mappings, aliases = {} }) => {
+        es.indices[index] = { mappings, docs: new Map() };
+        for (const alias of Object.keys(aliases)) es.aliases[alias] = index;
+      },
+      delete: async ({ index }) => { delete es.indices[index]; },
+      updateAliases: async ({ actions }) => {
+        for (const action of actions) {
+          if (action.remove_index) delete es.indices[action.remove_index.index];
+          if (action.remove && es.aliases[action.remove.alias] === action.remove.index) delete es.aliases[action.remove.alias];
+        }
+        for (const { add } of actions) if (add) es.aliases[add.alias] = add.index;
+      }
+    },
+    index: async ({ index, id, document }) => { docs(index).set(id, document); },
+    bulk: async ({ operations }) => {
+      const items = [];
+      for (let i = 0; i < operations.length; i++) {
+        const deleting = 'delete' in operations[i];
+        items.push(write(deleting ? [operations[i]] : [operations[i], operations[++i]]));
+      }
+      return { items };
+    },
+    mget: async ({ index, ids }) => ({
+      docs: ids.map(_id => (docs(index).has(_id) ? { _id, found: true, _source: docs(index).get(_id) } : { _id, found: false }))
+    }),
+    helpers: {
+      scrollSearch: async function* ({ index }) {
+        yield { body: { hits: { hits: [...docs(index).keys()].map(_id => ({ _id })) } } };
+      }
+    }
+  };
+  return es;
+};
+
+const user = (id, fields = {}) => ({ _id: id, firstName: 'Ana', lastName: 'Lopez', username: 'ana', email: `${id}@x.com`, ...fields });
+
+const iterate = async function* (items) {
+  yield* items;
+};
+
+const findExistingIn = (users) => async (ids) => new Set(ids.filter(id => users.some(u => u._id === id)));
+
+describe('Users index - documents', () => {
+  test('should build the search document from a user', () => {
+    expect(userDocument(user('u1', { bio: undefined }))).toEqual({
+      firstName: 'Ana', lastName: 'Lopez', username: 'ana', email: 'u1@x.com', bio: '', fullName: 'Ana Lopez'
+    });
+  });
+
+  test('should treat missing and empty fields alike when comparing', () => {
+    const expected = userDocument(user('u1', { username: undefined }));
+    expect(isCurrentDocument({ ...expected, username: null }, expected)).toBe(true);
+    expect(isCurrentDocument({ ...expected, firstName: 'Anna' }, expected)).toBe(false);
+  });
+
+  test('should name the next versioned index', () => {
+    expect(nextIndexName([])).toBe('users_v1');
+    expect(nextIndexName(['users_v2', 'users_v10', 'users_vx'])).toBe('users_v11');
+  });
+});
+
+describe('Users index - setup', () => {
+  test('should create a versioned index behind the alias the first time', async () => {
+    const es = makeElasticsearch();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await ensureUsersIndex(es.client)).toBe('users_v1');
+    expect(await ensureUsersIndex(es.client)).toBe('users_v1');
+    expect(es.aliases).toEqual({ [USERS_INDEX]: 'users_v1' });
+    expect(es.indices.users_v1.mappings._meta.version).toBe(USERS_MAPPING_VERSION);
+    console.log.mockRestore();
+  });
+
+  test('should keep using an index from before aliases until it is reindexed', async () => {
+    const es = makeElasticsearch();
+    await es.client.indices.create({ index: USERS_INDEX, mappings: {} });
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    expect(await ensureUsersIndex(es.client)).toBe(USERS_INDEX);
+    expect(log).toHaveBeenCalledWith(expect.stringMatching(/reindex/));
+    log.mockRestore();
+  });
+});
+
+describe('Users index - backfill and checks', () => {
+  test('should backfill and find nothing wrong afterwards', async () => {
+    const es = makeElasticsearch();
+    await es.client.indices.create({ index: 'users_v1', aliases: { [USERS_INDEX]: {} } });
+    const users = [user('u1'), user('u2')];
+
+    expect(await bulkIndexUsers(es.client, USERS_INDEX, iterate(users))).toEqual({ indexed: 2, failed: 0 });
+    const report = await checkUsersIndex(es.client, USERS_INDEX, iterate(users), findExistingIn(users));
+    expect(report).toMatchObject({ checked: 2, missing: 0, stale: 0, orphaned: 0 });
+  });
+
+  test('should report missing, stale and orphaned documents, and fix them on request', async () => {
+    const es = makeElasticsearch();
+    await es.client.indices.create({ index: 'users_v1', aliases: { [USERS_INDEX]: {} } });
+    const users = [user('u1'), user('u2', { firstName: 'Bea' })];
+    await bulkIndexUsers(es.client, USERS_INDEX, iterate([user('u2'), user('gone')]));
+
+    const report = await checkUsersIndex(es.client, USERS_INDEX, iterate(users), findExistingIn(users));
+    expect(report).toMatchObject({ missing: 1, stale: 1, orphaned: 1, fixed: 0 });
+    expect(report.examples).toEqual({ missing: ['u1'], stale: ['u2'], orphaned: ['gone'] });
+
+    const fixed = await checkUsersIndex(es.client, USERS_INDEX, iterate(users), findExistingIn(users), { fix: true });
+    expect(fixed.fixed).toBe(3);
+    expect(await checkUsersIndex(es.client, USERS_INDEX, iterate(users), findExistingIn(users)))
+      .toMatchObject({ missing: 0, stale: 0, orphaned: 0 });
+  });
+});
+
+describe('Users index - reindex', () => {
+  test('should build the next index, swap the alias and drop the old one', async () => {
+    const es = makeElasticsearch();
+    await es.client.indices.create({ index: 'users_v1', aliases: { [USERS_INDEX]: {} } });
+    await bulkIndexUsers(es.client, USERS_INDEX, iterate([user('u1')]));
+    let users = [user('u1'), user('u2')];
+
+    // A user renamed while the new index is being built: the write lands in
+    // the old index, and the catch-up after the swap applies it
+    const loadUsers = () => iterate(users);
+    const bulk = es.client.bulk;
+    es.client.bulk = async (request) => {
+      const result = await bulk(request);
+      users = [user('u1', { firstName: 'Anna' }), user('u2')];
+      es.client.bulk = bulk;
+      return result;
+    };
+
+    const result = await reindexUsers(es.client, loadUsers, async (ids) => new Set(ids));
+    expect(result).toEqual({ index: 'users_v2', previous: 'users_v1', indexed: 2, failed: 0, caughtUp: 1 });
+    expect(await liveUsersIndex(es.client)).toBe('users_v2');
+    expect(es.indices.users_v1).toBeUndefined();
+    expect(es.indices.users_v2.docs.get('u1').firstName).toBe('Anna');
+  });
+
+  test('should replace an index from before aliases in the same step', async () => {
+    const es = makeElasticsearch();
+    await es.client.indices.create({ index: USERS_INDEX, mappings: {} });
+    const users = [user('u1')];
+
+    const result = await reindexUsers(es.client, () => iterate(users), findExistingIn(users));
+    expect(result).toMatchObject({ index: 'users_v1', previous: USERS_INDEX, indexed: 1 });
+    expect(es.aliases).toEqual({ [USERS_INDEX]: 'users_v1' });
+    expect(Object.keys(es.indices)).toEqual(['users_v1']);
+  });
+});
@@ -6,13 +6,19 @@ import axios from "axios";
 import { createClient } from "redis";
 import rateLimit from "express-rate-limit";
 import { Client } from "@elastic/elasticsearch";
+import { verifyToken, AuthError } from "@social-media-mini/shared/jwt";
+import { User, Follow, UsernameRedirect } from "./models.js";
+import { createStreamConsumer } from "@social-media-mini/shared/stream-consumer";
+import { applyUserEvent, updateUserReplica } from "./user-sync.js";
+import { publishDomainEvent } from "@social-media-mini/shared/events";
+import { USERS_INDEX, ensureUsersIndex, indexUser } from "./search-index.js";
 
 dotenv.config();
 
 const app = express();
 app.set('trust proxy', 1);
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ limit: '10mb', extended: true }));
+app.use(express.json({ limit: '100kb' }));
+app.use(express.urlencoded({ limit: '100kb', extended: true }));
 app.use(cors());
 
 // Elasticsearch client
@@ -27,45 +33,8 @@ const connectElasticsearch = async () => {
     await esClient.ping();
     console.log("✅ User Service - Elasticsearch Connected");
     
-    // Create index if it doesn't exist
-    const indexExists = await esClient.indices.exists({ index: 'users' });
-    if (!indexExists) {
-      await esClient.indices.create({
-        index: 'users',
-        body: {
-          mappings: {
-            properties: {
-              firstName: { 
-                type: 'text',
-                fields: {
-                  keyword: { type: 'keyword' }
-                }
-              },
-              lastName: { 
-                type: 'text',
-                fields: {
-                  keyword: { type: 'keyword' }
-                }
-              },
-              email: { 
-                type: 'text',
-                fields: {
-                  keyword: { type: 'keyword' }
-                }
-              },
-              bio: { type: 'text' },
-              fullName: { 
-                type: 'text',
-                fields: {
-                  keyword: { type: 'keyword' }
-                }
-              }
-            }
-          }
-        }
-      });
-      console.log("✅ Created Elasticsearch index: users");
-    }
+    // Alias and versioned index (see search-index.js)
+    await ensureUsersIndex(esClient);
   } catch (error) {
     console.log("⚠️ User Service - Elasticsearch connection failed:", error.message);
   }
@@ -78,19 +47,6 @@ const searchLimiter = rateLimit({
   message: { message: 'Too many search requests, please slow down.' }
 });
 
-// User Schema
-const userSchema = new mongoose.Schema({
-  firstName: { type: String, required: true },
-  lastName: { type: String, required: true },
-  email: { type: String, required: true, unique: true },
-  password: { type: String, required: true },
-  bio: { type: String, default: "" },
-  profilePic: { type: String, default: "" },
-  createdAt: { type: Date, default: Date.now }
-});
-
-const User = mongoose.model("User", userSchema);
-
 // Redis client
 let redisClient = null;
 const connectRedis = async () => {
@@ -98,11 +54,24 @@ const connectRedis = async () => {
     redisClient = createClient({ url: process.env.REDIS_URL });
     await redisClient.connect();
     console.log("✅ User Service - Redis Connected");
+    await startUserEventsConsumer();
   } catch (error) {
     console.log("⚠️ User Service - Redis connection failed:", error.message);
   }
 };
 
+// Replicate account changes published by auth-service
+const startUserEventsConsumer = async () => {
+  const consumer = createStreamConsumer({
+    redisClient,
+    stream: "user-events",
+    group: "user-service",
+    handler: (entry) => applyUserEvent(entry, { esClient, redisClient })
+  });
+  await consumer.start();
+  console.log("✅ User Service - Consuming user-events");
+};
+
 // MongoDB connection
 const connectDB = async () => {
   try {
@@ -118,6 +87,15 @@ connectDB();
 connectRedis();
 connectElasticsearch();
 
+// Internal endpoints are only for other services
+const requireInternalToken = (req, res, next) => {
+  const expected = process.env.INTERNAL_API_TOKEN;
+  if (!expected || req.get("x-internal-token") !== expected) {
+    return res.status(403).json({ message: "Forbidden" });
+  }
+  next();
+};
+
 // Auth middleware
 const protect = async (req, res, next) => {
   try {
@@ -126,64 +104,83 @@ const protect = async (req, res, next) => {
       return res.status(401).json({ message: "No token provided" });
     }
 
-    // Verify token with auth service
-    const response = await axios.post(`${process.env.AUTH_SERVICE_URL}/verify`, { token });
-    req.user = response.data.user;
+    // Verify token locally against auth-service's signing keys
+    const payload = await verifyToken(token);
+    req.user = { _id: payload.id };
     next();
   } catch (error) {
-    res.status(401).json({ message: "Unauthorized" });
+    if (error instanceof AuthError) {
+      return res.status(401).json({ message: "Unauthorized" });
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
   }
 };
 
-// Health check
-app.get("/health", (req, res) => {
-  res.json({ status: "healthy", service: "user-service" });
-});
-
-// Sync user from auth-service
-app.post("/sync-user", async (req, res) => {
-  try {
-    const { _id, firstName, lastName, email, password, createdAt } = req.body;
-    
-    // Check if user already exists
-    const existingUser = await User.findById(_id);
-    if (existingUser) {
-      return res.json({ message: "User already exists" });
-    }
-
-    // Create user with the same ID from auth-service
-    const user = await User.create({
-      _id,
-      firstName,
-      lastName,
-      email,
-      password,
-      createdAt
-    });
+// Clear cached profiles (our own and post-service's hydration cache)
+// for the given user ids
+const clearUserCache = async (...userIds) => {
+  if (redisClient?.isOpen) {
+    try {
+      await redisClient.del(userIds.flatMap(id => [`user:${id}`, `profile:${id}`]));
+    } catch (cacheError) {
+      console.error("Cache clear error:", cacheError.message);
+    }
+  }
+};
 
-    // Index user in Elasticsearch
-    if (esClient) {
-      try {
-        await esClient.index({
-          index: 'users',
-          id: _id.toString(),
-          document: {
-            firstName,
-            lastName,
-            email,
-            fullName: `${firstName} ${lastName}`
-          }
-        });
-      } catch (esError) {
-        console.error("Elasticsearch indexing error:", esError.message);
-      }
+// Drop a user's materialized home timeline so post-service rebuilds it
+// from the current follow graph on the next read
+const clearTimeline = async (userId) => {
+  if (redisClient?.isOpen) {
+    try {
+      await redisClient.del(`timeline:${userId}`);
+    } catch (cacheError) {
+      console.error("Timeline clear error:", cacheError.message);
     }
+  }
+};
 
-    res.status(201).json({ message: "User synced successfully" });
-  } catch (error) {
-    console.error("User sync error:", error);
-    res.status(500).json({ message: "Sync failed", error: error.message });
+// Annotate users with the viewer's relationship to each of them
+const withRelationships = async (users, viewerId) => {
+  const ids = users.map(u => u._id);
+  const [followers, following] = await Promise.all([
+    Follow.find({ follower: { $in: ids }, following: viewerId }).select("follower"),
+    Follow.find({ follower: viewerId, following: { $in: ids } }).select("following")
+  ]);
+  const followsYou = new Set(followers.map(f => f.follower.toString()));
+  const isFollowing = new Set(following.map(f => f.following.toString()));
+
+  return users.map(u => ({
+    ...u.toObject(),
+    followsYou: followsYou.has(u._id.toString()),
+    isFollowing: isFollowing.has(u._id.toString())
+  }));
+};
+
+// Search cursors are opaque base64url-encoded result offsets, with whether
+// the results came from MongoDB, so later pages keep reading from there
+const encodeSearchCursor = (offset, fromMongo) =>
+  Buffer.from(JSON.stringify({ o: offset, ...(fromMongo ? { m: 1 } : {}) })).toString("base64url");
+const decodeSearchCursor = (cursor) => {
+  if (!cursor) return { offset: 0, fromMongo: false };
+  try {
+    const { o, m } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    return Number.isInteger(o) && o >= 0 ? { offset: o, fromMongo: m === 1 } : null;
+  } catch {
+    return null;
   }
+};
+
+// Parse page/limit query params for follower lists
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 100);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Health check
+app.get("/health", (req, res) => {
+  res.json({ status: "healthy", service: "user-service" });
 });
 
 // Get current user profile
@@ -195,7 +192,7 @@ app.get("/me", protect, async (req, res) => {
       if (cached) return res.json(JSON.parse(cached));
     }
 
-    const user = await User.findById(req.user._id).select("-password");
+    const user = await User.findById(req.user._id);
     
     // Cache result
     if (redisClient?.isOpen) {
@@ -212,19 +209,32 @@ app.get("/me", protect, async (req, res) => {
 app.get("/search", protect, searchLimiter, async (req, res) => {
   try {
     const { q } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    const position = decodeSearchCursor(req.query.cursor);
     
     console.log(`🔍 Search request received: query="${q}"`);
     
-    if (!q || q.trim() === "") {
-      return res.json([]);
+    if (position === null) {
+      return res.status(400).json({ message: "Invalid cursor" });
+    }
+    const { offset, fromMongo } = position;
+
+    if (typeof q !== "string" || q.trim() === "") {
+      return res.json({ users: [], nextCursor: null });
     }
 
-    // Try Elasticsearch first
-    if (esClient) {
+    // Page of results fetched with one extra item to detect more
+    const toPage = async (users, mongo) => ({
+      users: await withRelationships(users.slice(0, limit), req.user._id),
+      nextCursor: users.length > limit ? encodeSearchCursor(offset + limit, mongo) : null
+    });
+
+    // Try Elasticsearch first, unless earlier pages came from MongoDB
+    if (esClient && !fromMongo) {
       try {
         console.log("🔍 Using Elasticsearch for search");
         const result = await esClient.search({
-          index: 'users',
+          index: USERS_INDEX,
           body: {
             query: {
               bool: {
@@ -233,7 +243,7 @@ app.get("/search", protect, searchLimiter, async (req, res) => {
                   {
                     multi_match: {
                       query: q,
-                      fields: ['firstName^5', 'lastName^5', 'fullName^6'],
+                      fields: ['firstName^5', 'lastName^5', 'fullName^6', 'username^6'],
                       type: 'phrase_prefix'
                     }
                   },
@@ -241,7 +251,7 @@ app.get("/search", protect, searchLimiter, async (req, res) => {
                   {
                     multi_match: {
                       query: q,
-                      fields: ['firstName^3', 'lastName^3', 'fullName^4', 'email^2'],
+                      fields: ['firstName^3', 'lastName^3', 'fullName^4', 'username^4', 'email^2'],
                       fuzziness: 'AUTO'
                     }
                   },
@@ -258,47 +268,51 @@ app.get("/search", protect, searchLimiter, async (req, res) => {
                 minimum_should_match: 1
               }
             },
-            size: 10
+            from: offset,
+            size: limit + 1
           }
         });
 
         console.log(`✅ Elasticsearch returned ${result.hits.hits.length} results`);
         const userIds = result.hits.hits.map(hit => hit._id);
         
-        if (userIds.length === 0) {
+        if (userIds.length === 0 && offset === 0) {
           console.log("⚠️ No results from Elasticsearch, falling back to MongoDB");
           // Fall through to MongoDB search
         } else {
-          const users = await User.find({ _id: { $in: userIds } }).select("-password");
+          const users = await User.find({ _id: { $in: userIds } });
           
           // Sort by Elasticsearch relevance score
           const sortedUsers = userIds.map(id => users.find(u => u._id.toString() === id)).filter(Boolean);
           
           console.log(`✅ Returning ${sortedUsers.length} users from Elasticsearch search`);
-          return res.json(sortedUsers);
+          return res.json(await toPage(sortedUsers, false));
         }
       } catch (esError) {
         console.error("❌ Elasticsearch search error:", esError.message);
         console.log("⚠️ Falling back to MongoDB search");
         // Fall through to MongoDB search
       }
-    } else {
+    } else if (!esClient) {
       console.log("⚠️ Elasticsearch client not available, using MongoDB");
     }
 
-    // Fallback to MongoDB search
+    // Fallback to MongoDB search, matching the query literally
+    const pattern = q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
     const users = await User.find({
       $or: [
-        { firstName: { $regex: q, $options: "i" } },
-        { lastName: { $regex: q, $options: "i" } },
-        { email: { $regex: q, $options: "i" } }
+        { firstName: { $regex: pattern, $options: "i" } },
+        { lastName: { $regex: pattern, $options: "i" } },
+        { username: { $regex: pattern, $options: "i" } },
+        { email: { $regex: pattern, $options: "i" } }
       ]
     })
-    .select("-password")
-    .limit(10);
+    .sort({ _id: 1 })
+    .skip(offset)
+    .limit(limit + 1);
 
     console.log(`✅ MongoDB search returned ${users.length} results`);
-    res.json(users);
+    res.json(await toPage(users, true));
   } catch (error) {
     console.error("❌ Search error:", error);
     res.status(500).json({ message: "Server error", error: error.message });
@@ -308,13 +322,37 @@ app.get("/search", protect, searchLimiter, async (req, res) => {
 // Update user profile
 app.put("/me", protect, async (req, res) => {
   try {
-    const { firstName, lastName, bio, profilePic } = req.body;
+    const { firstName, lastName, username, bio, profilePic } = req.body;
 
-    const user = await User.findById(req.user._id);
+    // Pictures are uploaded to media-service; profiles only store the URL
+    if (typeof profilePic === "string" && profilePic.trim().toLowerCase().startsWith("data:")) {
+      return res.status(400).json({ message: "Upload images through /api/media/upload and send the returned URL" });
+    }
+
+    let user = await User.findById(req.user._id);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
+    // auth-service owns usernames, so it makes the change (checking it's free
+    // and not too soon) and we apply it now rather than wait for its event
+    if (username !== undefined && username !== user.username) {
+      try {
+        const { data } = await axios.put(
+          `${process.env.AUTH_SERVICE_URL}/internal/users/${req.user._id}/username`,
+          { username },
+          { headers: { "x-internal-token": process.env.INTERNAL_API_TOKEN } }
+        );
+        await updateUserReplica(req.user._id, { email: data.email, username: data.username }, data.version, { esClient, redisClient });
+        user = await User.findById(req.user._id);
+      } catch (error) {
+        if (error.response) {
+          return res.status(error.response.status).json(error.response.data);
+        }
+        throw error;
+      }
+    }
+
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
     if (bio !== undefined) user.bio = bio;
@@ -325,8 +363,8 @@ app.put("/me", protect, async (req, res) => {
     // Clear user cache
     if (redisClient?.isOpen) {
       try {
-        // Clear own user cache
-        await redisClient.del(`user:${req.user._id}`);
+        // Clear own user cache and the compact profile cached by post-service
+        await redisClient.del([`user:${req.user._id}`, `profile:${req.user._id}`]);
         
         // Clear all post feed caches (since user data appears in posts)
         const feedKeys = await redisClient.keys('posts:feed:*');
@@ -339,38 +377,77 @@ app.put("/me", protect, async (req, res) => {
       }
     }
 
-    // Update Elasticsearch index
-    if (esClient) {
-      try {
-        await esClient.update({
-          index: 'users',
-          id: user._id.toString(),
-          doc: {
-            firstName: user.firstName,
-            lastName: user.lastName,
-            fullName: `${user.firstName} ${user.lastName}`,
-            bio: user.bio || ''
-          }
-        });
-      } catch (esError) {
-        console.error("Elasticsearch update error:", esError.message);
-      }
-    }
+    await indexUser(esClient, user);
 
-    const updatedUser = await User.findById(user._id).select("-password");
+    const updatedUser = await User.findById(user._id);
     res.json(updatedUser);
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
 
+// Fields exposed when other services embed a user (e.g. post authors)
+const PUBLIC_PROFILE_FIELDS = "firstName lastName username profilePic followersCount";
+// Fields a profile page shows for a user found by username
+const PROFILE_PAGE_FIELDS = `${PUBLIC_PROFILE_FIELDS} bio followingCount`;
+const MAX_BATCH_SIZE = 500;
+
+// Batch lookup of compact public profiles, by `ids` or, for resolving
+// mentions, by `usernames` (ignoring case). Internal: users look up others
+// one at a time through the login-protected routes.
+app.post("/batch", requireInternalToken, async (req, res) => {
+  try {
+    const { ids, usernames } = req.body;
+    const [field, values] = usernames !== undefined ? ["usernames", usernames] : ["ids", ids];
+    if (!Array.isArray(values)) {
+      return res.status(400).json({ message: `${field} must be an array` });
+    }
+    if (values.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({ message: `At most ${MAX_BATCH_SIZE} ${field} per request` });
+    }
+
+    const query = field === "usernames"
+      ? { usernameKey: { $in: [...new Set(values.map(value => String(value).toLowerCase()))] } }
+      : { _id: { $in: [...new Set(values.map(String))].filter(id => mongoose.isValidObjectId(id)) } };
+    const users = await User.find(query).select(PUBLIC_PROFILE_FIELDS).lean();
+
+    res.json({ users });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
 // Get current user's posts (must come before /:userId route)
 app.get("/me/posts", protect, async (req, res) => {
   try {
     const response = await axios.get(`${process.env.POST_SERVICE_URL}/user/${req.user._id}`, {
-      headers: { authorization: req.headers.authorization }
+      headers: { authorization: req.headers.authorization },
+      params: { limit: req.query.limit, cursor: req.query.cursor }
     });
     res.json(response.data);
+  } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Get user by username, ignoring case. Usernames given up by a rename
+// still find the user; clients compare `username` in the response with the
+// one asked for and redirect to it.
+app.get("/by-username/:username", protect, async (req, res) => {
+  try {
+    const usernameKey = req.params.username.toLowerCase();
+    let user = await User.findOne({ usernameKey }).select(PROFILE_PAGE_FIELDS);
+    if (!user) {
+      const redirect = await UsernameRedirect.findOne({ usernameKey });
+      if (redirect) user = await User.findById(redirect.user).select(PROFILE_PAGE_FIELDS);
+    }
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    res.json(user);
   } catch (error) {
     res.status(500).json({ message: "Server error", error: error.message });
   }
@@ -379,7 +456,7 @@ app.get("/me/posts", protect, async (req, res) => {
 // Get user by ID (for post service)
 app.get("/:userId", async (req, res) => {
   try {
-    const user = await User.findById(req.params.userId).select("-password");
+    const user = await User.findById(req.params.userId);
     if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
@@ -389,14 +466,199 @@ app.get("/:userId", async (req, res) => {
   }
 });
 
+// Follow a user
+app.post("/:userId/follow", protect, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (userId === req.user._id.toString()) {
+      return res.status(400).json({ message: "You cannot follow yourself" });
+    }
+
+    const target = await User.findById(userId);
+    if (!target) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    try {
+      await Follow.create({ follower: req.user._id, following: userId });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.status(400).json({ message: "Already following this user" });
+      }
+      throw error;
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $inc: { followingCount: 1 } });
+    const updated = await User.findByIdAndUpdate(userId, { $inc: { followersCount: 1 } }, { new: true });
+    await clearUserCache(req.user._id, userId);
+    await clearTimeline(req.user._id);
+    await publishDomainEvent(redisClient, "user.followed", { userId, actor: req.user._id });
+
+    res.status(201).json({ message: "User followed", followersCount: updated.followersCount });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Unfollow a user
+app.delete("/:userId/follow", protect, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const result = await Follow.deleteOne({ follower: req.user._id, following: userId });
+    if (result.deletedCount === 0) {
+      return res.status(400).json({ message: "Not following this user" });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { $inc: { followingCount: -1 } });
+    const updated = await User.findByIdAndUpdate(userId, { $inc: { followersCount: -1 } }, { new: true });
+    await clearUserCache(req.user._id, userId);
+    await clearTimeline(req.user._id);
+    await publishDomainEvent(redisClient, "user.unfollowed", { userId, actor: req.user._id });
+
+    res.json({ message: "User unfollowed", followersCount: updated?.followersCount ?? 0 });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Relationship between the current user and another user
+app.get("/:userId/follow", protect, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const [following, followedBy] = await Promise.all([
+      Follow.exists({ follower: req.user._id, following: userId }),
+      Follow.exists({ follower: userId, following: req.user._id })
+    ]);
+
+    res.json({ following: !!following, followedBy: !!followedBy });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// List a user's followers (paginated)
+app.get("/:userId/followers", protect, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const [edges, total] = await Promise.all([
+      Follow.find({ following: userId }).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Follow.countDocuments({ following: userId })
+    ]);
+
+    const ids = edges.map(e => e.follower.toString());
+    const users = await User.find({ _id: { $in: ids } });
+    const ordered = ids.map(id => users.find(u => u._id.toString() === id)).filter(Boolean);
+
+    res.json({
+      users: await withRelationships(ordered, req.user._id),
+      page,
+      limit,
+      total,
+      hasMore: skip + edges.length < total
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// List users that a user follows (paginated)
+app.get("/:userId/following", protect, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const [edges, total] = await Promise.all([
+      Follow.find({ follower: userId }).sort({ createdAt: -1 }).skip(skip).limit(limit),
+      Follow.countDocuments({ follower: userId })
+    ]);
+
+    const ids = edges.map(e => e.following.toString());
+    const users = await User.find({ _id: { $in: ids } });
+    const ordered = ids.map(id => users.find(u => u._id.toString() === id)).filter(Boolean);
+
+    res.json({
+      users: await withRelationships(ordered, req.user._id),
+      page,
+      limit,
+      total,
+      hasMore: skip + edges.length < total
+    });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Follower ids of a user (for post-service timeline fan-out)
+app.get("/:userId/followers/ids", requireInternalToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const edges = await Follow.find({ following: req.params.userId }).select("follower").lean();
+    res.json({ ids: edges.map(e => e.follower.toString()) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
+// Ids of users that a user follows (for post-service timelines).
+// ?minFollowers=N only returns accounts with at least N followers.
+app.get("/:userId/following/ids", requireInternalToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const edges = await Follow.find({ follower: req.params.userId }).select("following").lean();
+    let ids = edges.map(e => e.following);
+
+    const minFollowers = parseInt(req.query.minFollowers);
+    if (minFollowers > 0 && ids.length > 0) {
+      const large = await User.find({ _id: { $in: ids }, followersCount: { $gte: minFollowers } }).select("_id").lean();
+      ids = large.map(u => u._id);
+    }
+
+    res.json({ ids: ids.map(id => id.toString()) });
+  } catch (error) {
+    res.status(500).json({ message: "Server error", error: error.message });
+  }
+});
+
 // Get user's posts by ID
 app.get("/:userId/posts", protect, async (req, res) => {
   try {
     const response = await axios.get(`${process.env.POST_SERVICE_URL}/user/${req.params.userId}`, {
-      headers: { authorization: req.headers.authorization }
+      headers: { authorization: req.headers.authorization },
+      params: { limit: req.query.limit, cursor: req.query.cursor }
     });
     res.json(response.data);
   } catch (error) {
+    if (error.response) {
+      return res.status(error.response.status).json(error.response.data);
+    }
     res.status(500).json({ message: "Server error", error: error.message });
   }
 });
@@ -0,0 +1,144 @@
+import { User, Follow, UsernameRedirect } from "./models.js";
+import { indexUser, unindexUser } from "./search-index.js";
+
+// Applies account replication events from auth-service (`user-events`
+// stream) and reconciliation fixes. Every apply is idempotent: events carry
+// a per-user version, and repeated or older versions are skipped. Throwing
+// leaves the event pending so the consumer retries it later.
+
+// Auth-service owns the email and username (PUT /me asks it to change the
+// username). Names are copied at signup and edited here afterwards
+// (PUT /me), so later events and reconciliation leave them alone.
+const AUTH_OWNED_FIELDS = ["email", "username"];
+
+const pickReplicated = (fields) => {
+  const picked = Object.fromEntries(Object.entries(fields).filter(([key, value]) => AUTH_OWNED_FIELDS.includes(key) && value !== undefined));
+  if (picked.username) picked.usernameKey = picked.username.toLowerCase();
+  return picked;
+};
+
+// Keep the username a user gave up pointing at them
+const rememberUsername = async (previous, updated) => {
+  if (!previous.usernameKey || previous.usernameKey === updated.usernameKey) return;
+  await UsernameRedirect.updateOne(
+    { usernameKey: previous.usernameKey },
+    { user: updated._id, createdAt: new Date() },
+    { upsert: true }
+  );
+};
+
+const clearCaches = async (redisClient, userIds) => {
+  if (!redisClient?.isOpen || userIds.length === 0) return;
+  try {
+    await redisClient.del(userIds.flatMap(id => [`user:${id}`, `profile:${id}`]));
+  } catch (cacheError) {
+    console.error("Cache clear error:", cacheError.message);
+  }
+};
+
+// Create the local copy of a new account
+export const createUserReplica = async (user, version, { esClient } = {}) => {
+  if (await User.exists({ _id: user._id })) return false;
+
+  // A clashing email or username means an older account with it is still
+  // waiting for its user.deleted or user.updated event; throw so this is
+  // retried after that
+  const created = await User.create({
+    _id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    ...pickReplicated(user),
+    createdAt: user.createdAt,
+    syncVersion: version
+  });
+
+  await indexUser(esClient, created);
+  return true;
+};
+
+// Apply auth-owned account fields if this version is newer than the copy
+export const updateUserReplica = async (userId, fields, version, { esClient, redisClient } = {}) => {
+  const previous = await User.findOneAndUpdate(
+    { _id: userId, $or: [{ syncVersion: { $lt: version } }, { syncVersion: { $exists: false } }] },
+    { ...pickReplicated(fields), syncVersion: version }
+  );
+
+  if (!previous) {
+    if (!(await User.exists({ _id: userId }))) {
+      throw new Error(`User ${userId} has not been replicated yet`);
+    }
+    return false;
+  }
+
+  const updated = await User.findById(userId);
+  await rememberUsername(previous, updated);
+  await indexUser(esClient, updated);
+  await clearCaches(redisClient, [userId]);
+  return true;
+};
+
+// Remove a deleted account, its follow edges and the counters they fed.
+// Edges are deleted one at a time and only the edge actually removed
+// decrements its counter, so a retry after a crash picks up the remaining
+// edges without decrementing any counter twice.
+export const deleteUserReplica = async (userId, { esClient, redisClient } = {}) => {
+  const followingIds = [];
+  const followerIds = [];
+
+  let edge;
+  while ((edge = await Follow.findOneAndDelete({ follower: userId }))) {
+    await User.updateOne({ _id: edge.following }, { $inc: { followersCount: -1 } });
+    followingIds.push(edge.following);
+  }
+  while ((edge = await Follow.findOneAndDelete({ following: userId }))) {
+    await User.updateOne({ _id: edge.follower }, { $inc: { followingCount: -1 } });
+    followerIds.push(edge.follower);
+  }
+
+  const deleted = await User.findByIdAndDelete(userId);
+  await UsernameRedirect.deleteMany({ user: userId });
+  await unindexUser(esClient, userId);
+  await clearCaches(redisClient, [userId, ...followingIds, ...followerIds].map(String));
+  if (redisClient?.isOpen) {
+    await redisClient.del(followerIds.map(id => `timeline:${id}`).concat(`timeline:${userId}`));
+  }
+  return Boolean(deleted);
+};
+
+// Apply one `user-events` stream entry
+export const applyUserEvent = async (entry, context) => {
+  const version = parseInt(entry.version);
+  const payload = JSON.parse(entry.payload);
+
+  switch (entry.type) {
+    case "user.created":
+      return createUserReplica(payload.user, version, context);
+    case "user.updated":
+      return updateUserReplica(entry.aggregateId, payload.user, version, context);
+    case "user.deleted":
+      return deleteUserReplica(entry.aggregateId, context);
+    default:
+      console.log(`Ignoring unknown user event type: ${entry.type}`);
+      return false;
+  }
+};
+
+// Overwrite the copy with auth-service's current state (used by reconcile)
+export const resetUserReplica = async (user, version, { esClient, redisClient } = {}) => {
+  const previous = await User.findOneAndUpdate(
+    { _id: user._id },
+    { ...pickReplicated(user), syncVersion: version }
+  );
+  if (!previous) return false;
+
+  const updated = await User.findById(user._id);
+  await rememberUsername(previous, updated);
+
+  await indexUser(esClient, updated);
+  await clearCaches(redisClient, [user._id.toString()]);
+  return true;
+};
+
+// True if any auth-owned field differs from auth-service's copy
+export const hasDrifted = (local, user) =>
+  AUTH_OWNED_FIELDS.some(field => local[field] !== user[field]);
@@ -20,12 +20,24 @@ const setupApp = async () => {
     firstName: { type: String, required: true },
     lastName: { type: String, required: true },
     email: { type: String, required: true, unique: true },
-    password: { type: String, required: true },
-    bio: String
+    // Legacy hashes from before replication; never returned
+    password: { type: String, select: false },
+    syncVersion: { type: Number, default: 0 },
+    bio: String,
+    followersCount: { type: Number, default: 0 },
+    followingCount: { type: Number, default: 0 }
   }, { timestamps: true });
 
   const User = mongoose.model('User', userSchema);
 
+  const followSchema = new mongoose.Schema({
+    follower: { type: mongoose.Schema.Types.ObjectId, required: true },
+    following: { type: mongoose.Schema.Types.ObjectId, required: true }
+  }, { timestamps: true });
+  followSchema.index({ follower: 1, following: 1 }, { unique: true });
+
+  const Follow = mongoose.model('Follow', followSchema);
+
   const protect = (req, res, next) => {
     const authHeader = req.headers.authorization;
     if (!authHeader) {
@@ -48,7 +60,7 @@ const setupApp = async () => {
   // Get current user
   testApp.get('/me', protect, async (req, res) => {
     try {
-      const user = await User.findById(req.user._id).select('-password');
+      const user = await User.findById(req.user._id);
       if (!user) {
         return res.status(404).json({ message: "User not found" });
       }
@@ -74,7 +86,7 @@ const setupApp = async () => {
 
       await user.save();
       
-      const userResponse = await User.findById(user._id).select('-password');
+      const userResponse = await User.findById(user._id);
       res.json(userResponse);
     } catch (error) {
       res.status(500).json({ message: "Server error" });
@@ -95,7 +107,7 @@ const setupApp = async () => {
           { lastName: { $regex: q, $options: 'i' } },
           { email: { $regex: q, $options: 'i' } }
         ]
-      }).select('-password').limit(20);
+      }).limit(20);
 
       res.json(users);
     } catch (error) {
@@ -106,7 +118,7 @@ const setupApp = async () => {
   // Get user by ID
   testApp.get('/:userId', protect, async (req, res) => {
     try {
-      const user = await User.findById(req.params.userId).select('-password');
+      const user = await User.findById(req.params.userId);
       if (!user) {
         return res.status(404).json({ message: "User not found" });
       }
@@ -116,6 +128,65 @@ const setupApp = async () => {
     }
   });
 
+  // Follow user
+  testApp.post('/:userId/follow', protect, async (req, res) => {
+    try {
+      const { userId } = req.params;
+      if (userId === req.user._id.toString()) {
+        return res.status(400).json({ message: "You cannot follow yourself" });
+      }
+      const target = await User.findById(userId);
+      if (!target) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      try {
+        await Follow.create({ follower: req.user._id, following: userId });
+      } catch (error) {
+        if (error.code === 11000) {
+          return res.status(400).json({ message: "Already following this user" });
+        }
+        throw error;
+      }
+      await User.updateOne({ _id: req.user._id }, { $inc: { followingCount: 1 } });
+      const updated = await User.findByIdAndUpdate(userId, { $inc: { followersCount: 1 } }, { new: true });
+      res.status(201).json({ message: "User followed", followersCount: updated.followersCount });
+    } catch (error) {
+      res.status(500).json({ message: "Server error" });
+    }
+  });
+
+  // Unfollow user
+  testApp.delete('/:userId/follow', protect, async (req, res) => {
+    try {
+      const result = await Follow.deleteOne({ follower: req.user._id, following: req.params.userId });
+      if (result.deletedCount === 0) {
+        return res.status(400).json({ message: "Not following this user" });
+      }
+      await User.updateOne({ _id: req.user._id }, { $inc: { followingCount: -1 } });
+      const updated = await User.findByIdAndUpdate(req.params.userId, { $inc: { followersCount: -1 } }, { new: true });
+      res.json({ message: "User unfollowed", followersCount: updated.followersCount });
+    } catch (error) {
+      res.status(500).json({ message: "Server error" });
+    }
+  });
+
+  // List followers
+  testApp.get('/:userId/followers', protect, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const edges = await Follow.find({ following: req.params.userId })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit);
+      const total = await Follow.countDocuments({ following: req.params.userId });
+      const users = await User.find({ _id: { $in: edges.map(e => e.follower) } });
+      res.json({ users, page, limit, total, hasMore: (page - 1) * limit + edges.length < total });
+    } catch (error) {
+      res.status(500).json({ message: "Server error" });
+    }
+  });
+
   return testApp;
 };
 
@@ -276,3 +347,81 @@ describe('User Service - GET /search', () => {
     expect(response.body.message).toBe('Search query required');
   });
 });
+
+describe('User Service - Follow graph', () => {
+  let otherId;
+
+  beforeEach(async () => {
+    const User = mongoose.model('User');
+    const other = await User.create({
+      firstName: 'Ana',
+      lastName: 'Lima',
+      email: 'ana@example.com',
+      password: 'hash'
+    });
+    otherId = other._id.toString();
+  });
+
+  it('should follow another user and update counts', async () => {
+    const response = await request(app)
+      .post(`/${otherId}/follow`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(201);
+
+    expect(response.body.followersCount).toBe(1);
+
+    const User = mongoose.model('User');
+    const me = await User.findById(userId);
+    expect(me.followingCount).toBe(1);
+  });
+
+  it('should not follow the same user twice', async () => {
+    await request(app)
+      .post(`/${otherId}/follow`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const response = await request(app)
+      .post(`/${otherId}/follow`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+
+    expect(response.body.message).toBe('Already following this user');
+  });
+
+  it('should not follow yourself', async () => {
+    const response = await request(app)
+      .post(`/${userId}/follow`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(400);
+
+    expect(response.body.message).toBe('You cannot follow yourself');
+  });
+
+  it('should unfollow a user', async () => {
+    await request(app)
+      .post(`/${otherId}/follow`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const response = await request(app)
+      .delete(`/${otherId}/follow`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.followersCount).toBe(0);
+  });
+
+  it('should list followers with pagination info', async () => {
+    await request(app)
+      .post(`/${otherId}/follow`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const response = await request(app)
+      .get(`/${otherId}/followers?limit=10`)
+      .set('Authorization', `Bearer ${token}`)
+      .expect(200);
+
+    expect(response.body.total).toBe(1);
+    expect(response.body.hasMore).toBe(false);
+    expect(response.body.users[0]._id).toBe(userId);
+  });
+});
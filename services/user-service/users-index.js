@@ -0,0 +1,79 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import { Client } from "@elastic/elasticsearch";
+import { User } from "./models.js";
+import {
+  USERS_INDEX,
+  ensureUsersIndex,
+  bulkIndexUsers,
+  checkUsersIndex,
+  reindexUsers
+} from "./search-index.js";
+
+// Usage: npm run users-index -- <command>
+//   backfill      Index every user, for users from before Elasticsearch was
+//                 up or whose indexing failed. Safe to re-run.
+//   reindex       Build a new versioned index with the current mapping and
+//                 move the `users` alias to it; search keeps working on the
+//                 old index meanwhile.
+//   check [--fix] Report users missing from the index, indexed with old
+//                 data, or indexed but deleted; --fix repairs them. Exits
+//                 with 1 if anything was left unrepaired.
+
+dotenv.config();
+
+const [command, ...flags] = process.argv.slice(2);
+
+const esClient = new Client({ node: process.env.ELASTICSEARCH_URL || 'http://localhost:9200' });
+
+const loadUsers = () => User.find().select("firstName lastName username email bio").lean().cursor();
+
+const findExisting = async (ids) => {
+  const users = await User.find({ _id: { $in: ids } }).select("_id").lean();
+  return new Set(users.map(user => user._id.toString()));
+};
+
+const commands = {
+  backfill: async () => {
+    const index = await ensureUsersIndex(esClient);
+    const { indexed, failed } = await bulkIndexUsers(esClient, USERS_INDEX, loadUsers());
+    console.log(`🔍 Indexed ${indexed} users into ${index}${failed ? `, ${failed} failed` : ""}`);
+    if (failed) process.exitCode = 1;
+  },
+
+  reindex: async () => {
+    const { index, previous, indexed, failed, caughtUp } = await reindexUsers(esClient, loadUsers, findExisting);
+    console.log(`🔁 Reindexed ${indexed} users into ${index}${failed ? `, ${failed} failed` : ""}, ${caughtUp} changed meanwhile`);
+    console.log(previous ? `🔀 Moved ${USERS_INDEX} from ${previous} to ${index}` : `🔀 Pointed ${USERS_INDEX} at ${index}`);
+    if (failed) process.exitCode = 1;
+  },
+
+  check: async () => {
+    const fix = flags.includes("--fix");
+    const report = await checkUsersIndex(esClient, USERS_INDEX, loadUsers(), findExisting, { fix });
+    console.log(`🩺 Checked ${report.checked} users: ${report.missing} missing, ${report.stale} stale, ${report.orphaned} orphaned`);
+    for (const [kind, ids] of Object.entries(report.examples)) {
+      if (ids.length > 0) console.log(`   ${kind}: ${ids.join(", ")}${report[kind] > ids.length ? ", ..." : ""}`);
+    }
+    const problems = report.missing + report.stale + report.orphaned;
+    if (fix) console.log(`🔧 Fixed ${report.fixed} of ${problems}`);
+    if (problems > (fix ? report.fixed : 0)) process.exitCode = 1;
+  }
+};
+
+try {
+  if (!commands[command]) {
+    console.error("Usage: npm run users-index -- backfill | reindex | check [--fix]");
+    process.exitCode = 1;
+  } else {
+    await mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/user-service');
+    await esClient.ping();
+    await commands[command]();
+  }
+} catch (error) {
+  console.error(`❌ Users index ${command} failed:`, error.message);
+  process.exitCode = 1;
+} finally {
+  await mongoose.disconnect();
+  await esClient.close();
+}
@@ -5,6 +5,14 @@ import Register from "./pages/Register";
 import Profile from "./pages/Profile";
 import Search from "./pages/Search";
 import UserProfile from "./pages/UserProfile";
+import HandleProfile from "./pages/HandleProfile";
+import PostPage from "./pages/PostPage";
+import TagPage from "./pages/TagPage";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
+import Inbox from "./pages/Inbox";
+import Conversation from "./pages/Conversation";
 import ProtectedRoute from "./components/ProtectedRoute";
 
 function App() {
@@ -13,6 +21,9 @@ function App() {
       <Routes>
         <Route path="/login" element={<Login />} />
         <Route path="/register" element={<Register />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/reset-password" element={<ResetPassword />} />
+        <Route path="/verify-email" element={<VerifyEmail />} />
         <Route 
           path="/feed" 
           element={
@@ -45,6 +56,55 @@ function App() {
             </ProtectedRoute>
           } 
         />
+        <Route 
+          path="/post/:postId" 
+          element={
+            <ProtectedRoute>
+              <PostPage />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/post/:postId/comment/:commentId" 
+          element={
+            <ProtectedRoute>
+              <PostPage />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/tag/:tag" 
+          element={
+            <ProtectedRoute>
+              <TagPage />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/inbox" 
+          element={
+            <ProtectedRoute>
+              <Inbox />
+            </ProtectedRoute>
+          } 
+        />
+        <Route 
+          path="/messages/:conversationId" 
+          element={
+            <ProtectedRoute>
+              <Conversation />
+            </ProtectedRoute>
+          } 
+        />
+        {/* /@username; matched only when no other route is */}
+        <Route 
+          path="/:handle" 
+          element={
+            <ProtectedRoute>
+              <HandleProfile />
+            </ProtectedRoute>
+          } 
+        />
         <Route path="/" element={<Login />} />
       </Routes>
     </Router>
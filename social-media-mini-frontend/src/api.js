@@ -0,0 +1,96 @@
+// Authenticated fetch. Access tokens expire after 15 minutes; on a 401 the
+// refresh token is exchanged for a new pair and the request retried once.
+
+let refreshPromise = null;
+
+export const clearSession = () => {
+  localStorage.removeItem("token");
+  localStorage.removeItem("refreshToken");
+  localStorage.removeItem("user");
+};
+
+// Concurrent 401s share one refresh, since refresh tokens are single-use
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = (async () => {
+      const refreshToken = localStorage.getItem("refreshToken");
+      if (!refreshToken) return null;
+
+      const res = await fetch("/api/auth/refresh", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+      if (!res.ok) return null;
+
+      const data = await res.json();
+      localStorage.setItem("token", data.token);
+      localStorage.setItem("refreshToken", data.refreshToken);
+      return data.token;
+    })()
+      .catch(() => null)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const withAuth = (options, token) => ({
+  ...options,
+  headers: {
+    ...options.headers,
+    Authorization: `Bearer ${token}`,
+  },
+});
+
+export async function apiFetch(url, options = {}) {
+  const res = await fetch(url, withAuth(options, localStorage.getItem("token")));
+  if (res.status !== 401) return res;
+
+  const token = await refreshAccessToken();
+  if (!token) {
+    clearSession();
+    window.location.assign("/login");
+    return res;
+  }
+
+  return fetch(url, withAuth(options, token));
+}
+
+export async function logout() {
+  const refreshToken = localStorage.getItem("refreshToken");
+  try {
+    if (refreshToken) {
+      await fetch("/api/auth/logout", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      });
+    }
+  } finally {
+    clearSession();
+  }
+}
+
+export async function logoutAllSessions() {
+  try {
+    await apiFetch("/api/auth/logout-all", { method: "POST" });
+  } finally {
+    clearSession();
+  }
+}
+
+// Upload an image to media-service. Resolves to { url, thumbnailUrl, ... };
+// rejects with the server's message if the image is refused.
+export async function uploadImage(file) {
+  const body = new FormData();
+  body.append("file", file);
+
+  const res = await apiFetch("/api/media/upload", { method: "POST", body });
+  const data = await res.json();
+  if (!res.ok) {
+    throw new Error(data.message || "Upload failed");
+  }
+  return data;
+}
@@ -0,0 +1,53 @@
+import { io } from "socket.io-client";
+import { apiFetch } from "./api";
+
+// Sockets to services that authenticate with the access token. The token
+// is read on every (re)connect, so refreshed tokens are used. Sockets go
+// through the API gateway on the page's own origin, which routes each
+// service's Socket.io path (e.g. /socket.io/posts) to one of its instances.
+
+const currentUserId = () => {
+  const user = JSON.parse(localStorage.getItem("user") || "{}");
+  return user.id || user._id || null;
+};
+
+// Open a socket on `path`. `refreshPath` is any authenticated GET on the
+// same service, used to refresh an expired token; `isCurrent` says whether
+// the socket is still wanted by the time the refresh is done.
+export function openAuthenticatedSocket(path, refreshPath, isCurrent = () => true) {
+  const socket = io({
+    path,
+    auth: (cb) => cb({ token: localStorage.getItem("token") }),
+  });
+
+  // socket.io doesn't retry connections the server refused. An expired
+  // token is the usual cause: let apiFetch refresh it, then reconnect.
+  socket.on("connect_error", async (err) => {
+    if (err.message !== "Unauthorized" || socket.active) return;
+    const res = await apiFetch(refreshPath);
+    if (res.ok && isCurrent()) socket.connect();
+  });
+
+  return socket;
+}
+
+// Returns a getter for one shared socket on `path`, reopened when a
+// different user logs in
+export function authenticatedSocket(path, refreshPath) {
+  let socket = null;
+  let connectedAs = null;
+
+  return () => {
+    if (socket && connectedAs !== currentUserId()) {
+      socket.disconnect();
+      socket = null;
+    }
+
+    if (!socket) {
+      connectedAs = currentUserId();
+      const next = openAuthenticatedSocket(path, refreshPath, () => socket === next);
+      socket = next;
+    }
+    return socket;
+  };
+}
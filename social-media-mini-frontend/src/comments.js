@@ -0,0 +1,7 @@
+// Posts only carry a count of their comments; the comments themselves are
+// fetched page by page when the comment section is opened.
+export const COMMENT_PAGE_SIZE = 10;
+
+// Set a post's comment count from a comment or reply event
+export const withCommentCount = (posts, postId, commentCount) =>
+  posts.map((post) => (post._id === postId ? { ...post, commentCount } : post));
@@ -0,0 +1,150 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { apiFetch, clearSession } from "../api";
+
+const buttonStyle = (backgroundColor) => ({
+  padding: "8px 16px",
+  backgroundColor,
+  color: "white",
+  border: "none",
+  borderRadius: "4px",
+  cursor: "pointer",
+  whiteSpace: "nowrap"
+});
+
+const inputStyle = { padding: "8px", fontSize: "14px", marginRight: "10px" };
+
+export default function AccountSettings({ onEmailChanged }) {
+  const navigate = useNavigate();
+  const [mode, setMode] = useState(null);
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [code, setCode] = useState("");
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  const reset = (nextMode = null) => {
+    setMode(nextMode);
+    setEmail("");
+    setPassword("");
+    setCode("");
+    setError("");
+  };
+
+  // Send an account request; returns the response body or null on error
+  const send = async (method, url, body) => {
+    setError("");
+    setMessage("");
+    try {
+      const res = await apiFetch(url, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.message || "Request failed");
+        return null;
+      }
+      return data;
+    } catch (err) {
+      setError("Error connecting to server");
+      console.error("Account error:", err);
+      return null;
+    }
+  };
+
+  const handleChangeEmail = async (e) => {
+    e.preventDefault();
+    const data = await send("PUT", "/api/auth/account/email", { email, password });
+    if (data) {
+      const stored = JSON.parse(localStorage.getItem("user") || "{}");
+      localStorage.setItem("user", JSON.stringify({ ...stored, email: data.email, emailVerified: false }));
+      reset();
+      setMessage(data.message);
+      onEmailChanged?.(data.email);
+    }
+  };
+
+  const handleDeleteAccount = async (e) => {
+    e.preventDefault();
+    if (!window.confirm("Delete your account? Your profile and follows are removed and this can't be undone.")) return;
+
+    const data = await send("DELETE", "/api/auth/account", { password, code: code || undefined });
+    if (data) {
+      clearSession();
+      navigate("/login", { state: { message: "Your account has been deleted." } });
+    }
+  };
+
+  return (
+    <div style={{ marginTop: "20px", paddingTop: "20px", borderTop: "1px solid #ddd" }}>
+      <h4 style={{ margin: "0 0 5px 0" }}>Account</h4>
+      {error && <p style={{ color: "red", margin: "5px 0" }}>{error}</p>}
+      {message && <p style={{ color: "green", margin: "5px 0" }}>{message}</p>}
+
+      {!mode && (
+        <>
+          <button onClick={() => reset("email")} style={buttonStyle("#4267B2")}>Change email</button>
+          <button onClick={() => reset("delete")} style={{ ...buttonStyle("#dc3545"), marginLeft: "10px" }}>
+            Delete account
+          </button>
+        </>
+      )}
+
+      {mode === "email" && (
+        <form onSubmit={handleChangeEmail}>
+          <p style={{ margin: "0 0 10px 0", color: "#666" }}>We'll send a link to confirm the new address.</p>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="New email"
+            required
+            style={inputStyle}
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Current password"
+            required
+            style={inputStyle}
+          />
+          <button type="submit" style={buttonStyle("#28a745")}>Save</button>
+          <button type="button" onClick={() => reset()} style={{ ...buttonStyle("#6c757d"), marginLeft: "10px" }}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {mode === "delete" && (
+        <form onSubmit={handleDeleteAccount}>
+          <p style={{ margin: "0 0 10px 0", color: "#666" }}>
+            Enter your password to confirm. If two-factor is on, also enter a code or recovery code.
+          </p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            required
+            style={inputStyle}
+          />
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Code (if two-factor is on)"
+            autoComplete="one-time-code"
+            style={inputStyle}
+          />
+          <button type="submit" style={buttonStyle("#dc3545")}>Delete account</button>
+          <button type="button" onClick={() => reset()} style={{ ...buttonStyle("#6c757d"), marginLeft: "10px" }}>
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
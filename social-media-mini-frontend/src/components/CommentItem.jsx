@@ -0,0 +1,360 @@
+import { useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { apiFetch } from "../api";
+import { COMMENT_PAGE_SIZE } from "../comments";
+import { applyReactionChange } from "../reactions";
+import usePostEvent from "../hooks/usePostEvent";
+import ReactionBar from "./ReactionBar";
+import EditedLabel from "./EditedLabel";
+import MentionInput from "./MentionInput";
+import { editableText } from "../mentions";
+import PostText from "./PostText";
+
+const editButtonStyle = {
+  padding: "4px 8px",
+  fontSize: "11px",
+  backgroundColor: "#007bff",
+  color: "white",
+  border: "none",
+  borderRadius: "3px",
+  cursor: "pointer"
+};
+
+const deleteButtonStyle = {
+  padding: "4px 8px",
+  fontSize: "11px",
+  backgroundColor: "#dc3545",
+  color: "white",
+  border: "none",
+  borderRadius: "3px",
+  cursor: "pointer"
+};
+
+const linkButtonStyle = {
+  padding: "4px 8px",
+  fontSize: "12px",
+  backgroundColor: "transparent",
+  border: "none",
+  color: "#4267B2",
+  cursor: "pointer"
+};
+
+const isOwn = (item, currentUserId) => {
+  const userId = item.user?._id || item.user?.id;
+  return userId && currentUserId && userId.toString() === currentUserId.toString();
+};
+
+// A comment and the thread of replies below it. Replies are only fetched
+// once asked for, a level at a time, newest first from the API and shown
+// oldest first. `thread` is the chain of replies leading down to
+// `highlightId` on permalink pages, shown before the rest is loaded.
+export default function CommentItem({ postId, comment: initialComment, currentUserId, onDelete, onReplyAdded, thread = [], highlightId }) {
+  const [comment, setComment] = useState(initialComment);
+  const [replies, setReplies] = useState(thread.length > 0 ? [thread[0]] : []);
+  const [repliesLoaded, setRepliesLoaded] = useState(false);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [replying, setReplying] = useState(false);
+  const [replyText, setReplyText] = useState("");
+  const [editing, setEditing] = useState(false);
+  const [editText, setEditText] = useState("");
+  const ref = useRef(null);
+  const path = `/api/posts/${postId}/comments/${comment._id}`;
+  const highlighted = comment._id === highlightId;
+
+  useEffect(() => {
+    if (highlighted) ref.current?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [highlighted]);
+
+  const addReply = (reply) => {
+    setReplies((prev) => (prev.some((r) => r._id === reply._id) ? prev : [...prev, reply]));
+  };
+
+  // My own reply, from the response or its reply:added event, whichever
+  // comes first
+  const addOwnReply = (reply) => {
+    if (replies.some((r) => r._id === reply._id)) return;
+    addReply(reply);
+    setComment((prev) => ({ ...prev, replyCount: (prev.replyCount || 0) + 1 }));
+  };
+
+  usePostEvent("reply:added", ({ commentId, reply, replyCount }) => {
+    if (commentId !== comment._id) return;
+    setComment((prev) => ({ ...prev, replyCount }));
+    if (repliesLoaded || isOwn(reply, currentUserId)) addReply(reply);
+  });
+
+  usePostEvent("reply:deleted", ({ commentId, replyId, replyCount }) => {
+    if (commentId !== comment._id) return;
+    setComment((prev) => ({ ...prev, replyCount }));
+    setReplies((prev) => prev.filter((reply) => reply._id !== replyId));
+  });
+
+  usePostEvent("comment:updated", ({ commentId, text, mentions, editedAt }) => {
+    if (commentId === comment._id) setComment((prev) => ({ ...prev, text, mentions, editedAt }));
+  });
+
+  usePostEvent("reaction:changed", (change) => {
+    setComment((prev) => applyReactionChange(prev, change, currentUserId));
+  });
+
+  const fetchReplies = async (cursor) => {
+    const params = new URLSearchParams({ limit: COMMENT_PAGE_SIZE });
+    if (cursor) params.set("cursor", cursor);
+    try {
+      const res = await apiFetch(`${path}/replies?${params}`);
+      if (!res.ok) return;
+      const data = await res.json();
+      const page = [...data.replies].reverse();
+      // Replies shown already stay, without showing any twice
+      setReplies((prev) => (cursor
+        ? [...page.filter((reply) => !prev.some((r) => r._id === reply._id)), ...prev]
+        : [...page, ...prev.filter((r) => !page.some((reply) => reply._id === r._id))]));
+      setNextCursor(data.nextCursor);
+      setRepliesLoaded(true);
+    } catch (err) {
+      console.error("Error fetching replies:", err);
+    }
+  };
+
+  const handleReply = async (e) => {
+    e.preventDefault();
+    if (!replyText.trim()) return;
+
+    try {
+      const res = await apiFetch(`${path}/replies`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ text: replyText }),
+      });
+
+      const data = await res.json();
+      if (res.ok) {
+        // Replies past the deepest level go next to this comment instead
+        if (data.parent === comment._id) addOwnReply(data);
+        else onReplyAdded?.(data);
+        setReplyText("");
+        setReplying(false);
+      } else {
+        alert(data.message || "Failed to add reply");
+      }
+    } catch (err) {
+      console.error("Error adding reply:", err);
+    }
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    if (!editText.trim()) {
+      alert("Comment text cannot be empty");
+      return;
+    }
+
+    try {
+      const res = await apiFetch(path, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ text: editText }),
+      });
+
+      const data = await res.json();
+      if (res.ok) {
+        setComment((prev) => ({ ...prev, text: data.text, mentions: data.mentions, editedAt: data.editedAt }));
+        setEditing(false);
+      } else {
+        alert(data.message || "Failed to update comment");
+      }
+    } catch (err) {
+      console.error("Error updating comment:", err);
+      alert("Error updating comment");
+    }
+  };
+
+  const handleDeleteReply = async (replyId) => {
+    if (!window.confirm("Are you sure you want to delete this reply?")) {
+      return;
+    }
+
+    try {
+      const res = await apiFetch(`/api/posts/${postId}/comments/${replyId}`, {
+        method: "DELETE",
+      });
+
+      if (res.ok) {
+        // Unless its reply:deleted event got here first
+        if (replies.some((reply) => reply._id === replyId)) {
+          setReplies((prev) => prev.filter((reply) => reply._id !== replyId));
+          setComment((prev) => ({ ...prev, replyCount: Math.max((prev.replyCount || 0) - 1, 0) }));
+        }
+      } else {
+        const data = await res.json();
+        alert(data.message || "Failed to delete reply");
+      }
+    } catch (err) {
+      console.error("Error deleting reply:", err);
+      alert("Error deleting reply");
+    }
+  };
+
+  const hiddenReplies = (comment.replyCount || 0) - replies.length;
+
+  return (
+    <div ref={ref} style={{
+      padding: "8px",
+      backgroundColor: highlighted ? "#fff3cd" : comment.depth % 2 ? "#e8e8e8" : "#f5f5f5",
+      marginBottom: "5px",
+      borderRadius: "4px",
+      fontSize: comment.depth > 0 ? "14px" : undefined
+    }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "start" }}>
+        <div style={{ flex: 1, display: "flex", gap: "8px" }}>
+          {comment.user?.profilePic ? (
+            <img
+              src={comment.user.profilePic}
+              alt={`${comment.user.firstName} ${comment.user.lastName}`}
+              style={{
+                width: "32px",
+                height: "32px",
+                borderRadius: "50%",
+                objectFit: "cover",
+                marginTop: "2px"
+              }}
+            />
+          ) : (
+            <div style={{
+              width: "32px",
+              height: "32px",
+              borderRadius: "50%",
+              backgroundColor: "#4267B2",
+              display: "flex",
+              alignItems: "center",
+              justifyContent: "center",
+              color: "white",
+              fontSize: "14px",
+              fontWeight: "bold",
+              marginTop: "2px",
+              flexShrink: 0
+            }}>
+              {comment.user?.firstName?.charAt(0)}{comment.user?.lastName?.charAt(0)}
+            </div>
+          )}
+          <div style={{ flex: 1 }}>
+            <strong>{comment.user?.firstName} {comment.user?.lastName}</strong>
+            <Link
+              to={`/post/${postId}/comment/${comment._id}`}
+              style={{ color: "#888", fontSize: "12px", marginLeft: "10px", textDecoration: "none" }}
+            >
+              {new Date(comment.createdAt).toLocaleDateString()}
+            </Link>
+            <EditedLabel path={path} editedAt={comment.editedAt} />
+            {editing ? (
+              <form onSubmit={handleSaveEdit} style={{ marginTop: "5px" }}>
+                <MentionInput
+                  value={editText}
+                  onChange={setEditText}
+                  containerStyle={{ display: "inline-block", width: "60%", marginRight: "10px" }}
+                  style={{ width: "100%", boxSizing: "border-box", padding: "6px", fontSize: "14px" }}
+                />
+                <button type="submit" style={{ padding: "6px 12px", fontSize: "14px" }}>Save</button>
+                <button
+                  type="button"
+                  onClick={() => setEditing(false)}
+                  style={{ padding: "6px 12px", fontSize: "14px", marginLeft: "5px" }}
+                >
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <PostText text={comment.text} mentions={comment.mentions} tags={false} style={{ margin: "5px 0 0 0" }} />
+            )}
+          </div>
+        </div>
+        {isOwn(comment, currentUserId) && !editing && (
+          <div style={{ display: "flex", gap: "4px" }}>
+            <button
+              onClick={() => {
+                setEditText(editableText(comment.text, comment.mentions));
+                setEditing(true);
+              }}
+              style={editButtonStyle}
+            >
+              ✏️
+            </button>
+            <button onClick={() => onDelete(comment._id)} style={deleteButtonStyle}>
+              🗑️
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Reactions and reply button */}
+      <div style={{ display: "flex", alignItems: "center", gap: "6px", marginTop: "5px" }}>
+        <ReactionBar
+          small
+          path={path}
+          counts={comment.reactionCounts}
+          myReaction={comment.myReaction}
+          onChange={(change) => setComment((prev) => ({ ...prev, ...change }))}
+        />
+        <button onClick={() => setReplying(!replying)} style={linkButtonStyle}>
+          💬 Reply
+        </button>
+      </div>
+
+      {/* Replies */}
+      {(replies.length > 0 || hiddenReplies > 0) && (
+        <div style={{ marginLeft: "20px", marginTop: "10px" }}>
+          {!repliesLoaded && hiddenReplies > 0 && (
+            <button onClick={() => fetchReplies(null)} style={linkButtonStyle}>
+              View {hiddenReplies} {hiddenReplies === 1 ? "reply" : "replies"}
+            </button>
+          )}
+          {repliesLoaded && nextCursor && (
+            <button onClick={() => fetchReplies(nextCursor)} style={linkButtonStyle}>
+              View older replies
+            </button>
+          )}
+          {replies.map((reply) => (
+            <CommentItem
+              key={reply._id}
+              postId={postId}
+              comment={reply}
+              currentUserId={currentUserId}
+              onDelete={handleDeleteReply}
+              onReplyAdded={addOwnReply}
+              thread={reply._id === thread[0]?._id ? thread.slice(1) : []}
+              highlightId={highlightId}
+            />
+          ))}
+        </div>
+      )}
+
+      {/* Reply form */}
+      {replying && (
+        <form onSubmit={handleReply} style={{ marginTop: "10px", marginLeft: "20px" }}>
+          <MentionInput
+            value={replyText}
+            onChange={setReplyText}
+            placeholder="Write a reply..."
+            containerStyle={{ display: "inline-block", width: "60%", marginRight: "10px" }}
+            style={{ width: "100%", boxSizing: "border-box", padding: "6px", fontSize: "14px" }}
+          />
+          <button type="submit" style={{ padding: "6px 12px", fontSize: "14px" }}>Reply</button>
+          <button
+            type="button"
+            onClick={() => {
+              setReplying(false);
+              setReplyText("");
+            }}
+            style={{ padding: "6px 12px", fontSize: "14px", marginLeft: "5px" }}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
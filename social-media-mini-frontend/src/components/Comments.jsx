@@ -0,0 +1,151 @@
+import { useCallback, useEffect, useState } from "react";
+import { apiFetch } from "../api";
+import { COMMENT_PAGE_SIZE } from "../comments";
+import usePostEvent from "../hooks/usePostEvent";
+import CommentItem from "./CommentItem";
+import MentionInput from "./MentionInput";
+
+// A post's comment section. Comments are fetched newest first, a page at a
+// time, and shown oldest first with older pages above. On permalink pages
+// `focus` ({ comment, ancestors }) is the thread to show instead, until all
+// comments are asked for.
+export default function Comments({ postId, currentUserId, focus }) {
+  const root = focus && (focus.ancestors[0] || focus.comment);
+  const [comments, setComments] = useState(root ? [root] : []);
+  const [focused, setFocused] = useState(!!focus);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(!focus);
+  const [commentText, setCommentText] = useState("");
+
+  const addComment = (comment) => {
+    setComments((prev) => (prev.some((c) => c._id === comment._id) ? prev : [...prev, comment]));
+  };
+
+  const fetchComments = useCallback(async (cursor) => {
+    const params = new URLSearchParams({ limit: COMMENT_PAGE_SIZE });
+    if (cursor) params.set("cursor", cursor);
+    try {
+      const res = await apiFetch(`/api/posts/${postId}/comments?${params}`);
+      if (!res.ok) return;
+      const data = await res.json();
+      const page = [...data.comments].reverse();
+      setComments((prev) => (cursor
+        ? [...page.filter((comment) => !prev.some((c) => c._id === comment._id)), ...prev]
+        : page));
+      setFocused(false);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error("Error fetching comments:", err);
+    } finally {
+      setLoading(false);
+    }
+  }, [postId]);
+
+  useEffect(() => {
+    if (!focus) fetchComments(null);
+  }, [fetchComments, focus]);
+
+  usePostEvent("comment:added", ({ postId: id, comment }) => {
+    if (id === postId && !focused) addComment(comment);
+  });
+
+  usePostEvent("comment:deleted", ({ postId: id, commentId }) => {
+    if (id === postId) setComments((prev) => prev.filter((comment) => comment._id !== commentId));
+  });
+
+  usePostEvent("resync:required", () => {
+    if (!focused) fetchComments(null);
+  });
+
+  const handleComment = async (e) => {
+    e.preventDefault();
+    if (!commentText.trim()) return;
+
+    try {
+      const res = await apiFetch(`/api/posts/${postId}/comments`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ text: commentText }),
+      });
+
+      const data = await res.json();
+      if (res.ok) {
+        addComment(data);
+        setCommentText("");
+      }
+    } catch (err) {
+      console.error("Error adding comment:", err);
+    }
+  };
+
+  const handleDeleteComment = async (commentId) => {
+    if (!window.confirm("Are you sure you want to delete this comment?")) {
+      return;
+    }
+
+    try {
+      const res = await apiFetch(`/api/posts/${postId}/comments/${commentId}`, {
+        method: "DELETE",
+      });
+
+      if (res.ok) {
+        // Remove the comment and its thread from the local state
+        setComments((prev) => prev.filter((comment) => comment._id !== commentId));
+      } else {
+        const data = await res.json();
+        alert(data.message || "Failed to delete comment");
+      }
+    } catch (err) {
+      console.error("Error deleting comment:", err);
+      alert("Error deleting comment");
+    }
+  };
+
+  return (
+    <div style={{ marginTop: "15px" }}>
+      <form onSubmit={handleComment} style={{ marginBottom: "10px" }}>
+        <MentionInput
+          value={commentText}
+          onChange={setCommentText}
+          placeholder="Write a comment..."
+          containerStyle={{ display: "inline-block", width: "70%", marginRight: "10px" }}
+          style={{ width: "100%", boxSizing: "border-box", padding: "8px" }}
+        />
+        <button type="submit" style={{ padding: "8px 15px" }}>Post</button>
+      </form>
+
+      {focused && (
+        <button
+          onClick={() => fetchComments(null)}
+          style={{ marginBottom: "8px", background: "none", border: "none", color: "#4267B2", cursor: "pointer" }}
+        >
+          View all comments
+        </button>
+      )}
+      {nextCursor && (
+        <button
+          onClick={() => fetchComments(nextCursor)}
+          style={{ marginBottom: "8px", background: "none", border: "none", color: "#4267B2", cursor: "pointer" }}
+        >
+          View older comments
+        </button>
+      )}
+      {loading && <p style={{ color: "#888", fontSize: "14px" }}>Loading comments...</p>}
+      <div>
+        {comments.map((comment) => (
+          <CommentItem
+            key={comment._id}
+            postId={postId}
+            comment={comment}
+            currentUserId={currentUserId}
+            onDelete={handleDeleteComment}
+            thread={focus?.ancestors.length && comment._id === root._id ? [...focus.ancestors.slice(1), focus.comment] : []}
+            highlightId={focus?.comment._id}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { apiFetch } from "../api";
+import { editableText } from "../mentions";
+
+function Version({ version, label, mentions }) {
+  return (
+    <div style={{ padding: "6px 0", borderBottom: "1px solid #eee", fontSize: "14px" }}>
+      <div style={{ color: "#65676b", fontSize: "12px", marginBottom: "2px" }}>
+        {label} · {new Date(version.writtenAt).toLocaleString()}
+      </div>
+      <p style={{ margin: 0, whiteSpace: "pre-wrap" }}>{editableText(version.text, mentions)}</p>
+      {version.image && <img src={version.image} alt="" style={{ maxWidth: "100%", maxHeight: "120px", marginTop: "4px", borderRadius: "4px" }} />}
+      {version.youtubeUrl && (
+        <a
+          href={version.youtubeUrl.replace("/embed/", "/watch?v=")}
+          target="_blank"
+          rel="noopener noreferrer"
+          style={{ display: "block", marginTop: "4px", color: "#065fd4", fontSize: "12px" }}
+        >
+          🔗 YouTube video
+        </a>
+      )}
+    </div>
+  );
+}
+
+// Earlier versions of an edited post or comment
+function EditHistory({ path, onClose }) {
+  const [current, setCurrent] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [mentions, setMentions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const ref = useRef(null);
+
+  const fetchHistory = useCallback(async (cursor) => {
+    const params = new URLSearchParams();
+    if (cursor) params.set("cursor", cursor);
+    try {
+      const res = await apiFetch(`${path}/history?${params}`);
+      if (!res.ok) return;
+      const data = await res.json();
+      setCurrent(data.current);
+      setRevisions((prev) => (cursor ? [...prev, ...data.revisions] : data.revisions));
+      setMentions((prev) => (cursor ? [...prev, ...data.mentions] : data.mentions));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error("Error fetching edit history:", err);
+    }
+  }, [path]);
+
+  useEffect(() => {
+    fetchHistory(null);
+  }, [fetchHistory]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    const onClick = (e) => {
+      if (!ref.current?.contains(e.target)) onClose();
+    };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, [onClose]);
+
+  return (
+    <div ref={ref} style={{
+      position: "absolute",
+      top: "calc(100% + 6px)",
+      left: 0,
+      zIndex: 10,
+      width: "320px",
+      maxHeight: "360px",
+      overflowY: "auto",
+      backgroundColor: "white",
+      color: "#050505",
+      borderRadius: "8px",
+      boxShadow: "0 4px 12px rgba(0,0,0,0.2)",
+      padding: "8px 12px",
+      textAlign: "left",
+      fontWeight: "normal",
+    }}>
+      <strong style={{ fontSize: "14px" }}>Edit history</strong>
+      {current && <Version version={current} label="Current" mentions={mentions} />}
+      {revisions.map((revision) => (
+        <Version key={revision._id} version={revision} label="Earlier" mentions={mentions} />
+      ))}
+      {nextCursor && (
+        <button onClick={() => fetchHistory(nextCursor)} style={{ width: "100%", padding: "4px", cursor: "pointer", marginTop: "4px" }}>
+          Load more
+        </button>
+      )}
+    </div>
+  );
+}
+
+// "edited" marker of a post or comment, opening its edit history. `path` is
+// the API path of the post or comment.
+export default function EditedLabel({ path, editedAt }) {
+  const [open, setOpen] = useState(false);
+  if (!editedAt) return null;
+
+  return (
+    <span style={{ position: "relative", marginLeft: "6px" }}>
+      <button
+        onClick={() => setOpen(true)}
+        title={`Edited ${new Date(editedAt).toLocaleString()}`}
+        style={{ background: "none", border: "none", padding: 0, color: "#888", fontSize: "12px", cursor: "pointer" }}
+      >
+        · edited
+      </button>
+      {open && <EditHistory path={path} onClose={() => setOpen(false)} />}
+    </span>
+  );
+}
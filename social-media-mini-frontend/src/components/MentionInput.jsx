@@ -0,0 +1,172 @@
+import { useEffect, useRef, useState } from "react";
+import { apiFetch } from "../api";
+
+const SUGGESTION_LIMIT = 5;
+// Characters typed after @ before users are suggested
+const MIN_QUERY_LENGTH = 2;
+// An @ at the start of a word, up to the caret
+const QUERY_PATTERN = /(?:^|\s)@([\p{L}\p{N}_.'-]{1,30})$/u;
+
+// Text input or textarea (`multiline`) that suggests users to mention as
+// an @name is typed, and writes the one picked as their @username. `style` is
+// for the input, `containerStyle` for the box around it and its suggestions.
+export default function MentionInput({ value, onChange, multiline = false, style, containerStyle, ...props }) {
+  const [query, setQuery] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [active, setActive] = useState(0);
+  const inputRef = useRef(null);
+  const caretRef = useRef(null);
+  const queryText = query?.text;
+  const open = queryText?.length >= MIN_QUERY_LENGTH && suggestions.length > 0;
+
+  // Suggest users once the user stops typing for a moment
+  useEffect(() => {
+    if (!queryText || queryText.length < MIN_QUERY_LENGTH) return;
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await apiFetch(`/api/users/search?q=${encodeURIComponent(queryText)}&limit=${SUGGESTION_LIMIT}`);
+        if (!res.ok) return;
+        const data = await res.json();
+        if (!cancelled) {
+          setSuggestions((data.users || []).filter((user) => user.username));
+          setActive(0);
+        }
+      } catch (err) {
+        console.error("Error searching users:", err);
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [queryText]);
+
+  // Put the caret back after the mention just picked
+  useEffect(() => {
+    if (caretRef.current === null) return;
+    inputRef.current?.focus();
+    inputRef.current?.setSelectionRange(caretRef.current, caretRef.current);
+    caretRef.current = null;
+  });
+
+  const closeSuggestions = () => {
+    setQuery(null);
+    setSuggestions([]);
+  };
+
+  const handleChange = (e) => {
+    const text = e.target.value;
+    onChange(text);
+
+    const caret = e.target.selectionStart;
+    const match = text.slice(0, caret).match(QUERY_PATTERN);
+    if (match) {
+      setQuery({ text: match[1], start: caret - match[1].length - 1 });
+    } else {
+      closeSuggestions();
+    }
+  };
+
+  const select = (user) => {
+    const before = value.slice(0, query.start);
+    const after = value.slice(query.start + query.text.length + 1);
+    caretRef.current = before.length + user.username.length + 2;
+    onChange(`${before}@${user.username} ${after.replace(/^ /, "")}`);
+    closeSuggestions();
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open) return;
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setActive((active + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive((active - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === "Enter" || e.key === "Tab") {
+      e.preventDefault();
+      select(suggestions[active]);
+    } else if (e.key === "Escape") {
+      closeSuggestions();
+    }
+  };
+
+  const Field = multiline ? "textarea" : "input";
+
+  return (
+    <div style={{ position: "relative", ...containerStyle }}>
+      <Field
+        {...props}
+        {...(multiline ? {} : { type: "text" })}
+        ref={inputRef}
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={closeSuggestions}
+        style={style}
+      />
+      {open && (
+        <ul style={{
+          position: "absolute",
+          top: "100%",
+          left: 0,
+          zIndex: 10,
+          minWidth: "220px",
+          margin: 0,
+          padding: "4px 0",
+          listStyle: "none",
+          backgroundColor: "white",
+          border: "1px solid #ddd",
+          borderRadius: "4px",
+          boxShadow: "0 2px 8px rgba(0,0,0,0.15)"
+        }}>
+          {suggestions.map((user, i) => (
+            <li
+              key={user._id}
+              // Picked before the input loses focus and closes the list
+              onMouseDown={(e) => {
+                e.preventDefault();
+                select(user);
+              }}
+              style={{
+                display: "flex",
+                alignItems: "center",
+                gap: "8px",
+                padding: "6px 10px",
+                cursor: "pointer",
+                backgroundColor: i === active ? "#e7f0ff" : "white"
+              }}
+            >
+              {user.profilePic ? (
+                <img
+                  src={user.profilePic}
+                  alt=""
+                  style={{ width: "24px", height: "24px", borderRadius: "50%", objectFit: "cover" }}
+                />
+              ) : (
+                <div style={{
+                  width: "24px",
+                  height: "24px",
+                  borderRadius: "50%",
+                  backgroundColor: "#4267B2",
+                  color: "white",
+                  fontSize: "11px",
+                  fontWeight: "bold",
+                  display: "flex",
+                  alignItems: "center",
+                  justifyContent: "center"
+                }}>
+                  {user.firstName?.charAt(0)}{user.lastName?.charAt(0)}
+                </div>
+              )}
+              <span>{user.firstName} {user.lastName}</span>
+              {user.username && <span style={{ color: "#888", fontSize: "13px" }}>@{user.username}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
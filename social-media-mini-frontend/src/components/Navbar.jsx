@@ -1,12 +1,29 @@
+import { useEffect, useState } from "react";
 import { useNavigate, useLocation } from "react-router-dom";
+import { apiFetch, logout } from "../api";
+import { getMessagingSocket } from "../messaging";
+import NotificationBell from "./NotificationBell";
 
 export default function Navbar({ onEditProfile }) {
   const navigate = useNavigate();
   const location = useLocation();
+  const [unreadMessages, setUnreadMessages] = useState(0);
 
-  const handleLogout = () => {
-    localStorage.removeItem("token");
-    localStorage.removeItem("user");
+  // Unread message count, kept current by messaging-service
+  useEffect(() => {
+    apiFetch("/api/messages/unread")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => data && setUnreadMessages(data.total))
+      .catch((err) => console.error("Unread count error:", err));
+
+    const socket = getMessagingSocket();
+    const onUnread = ({ total }) => setUnreadMessages(total);
+    socket.on("unread:updated", onUnread);
+    return () => socket.off("unread:updated", onUnread);
+  }, []);
+
+  const handleLogout = async () => {
+    await logout();
     navigate("/login");
   };
 
@@ -63,6 +80,43 @@ export default function Navbar({ onEditProfile }) {
         >
           🔍 Search
         </button>
+        <NotificationBell
+          buttonStyle={{ 
+            padding: "8px 16px", 
+            cursor: "pointer",
+            backgroundColor: "white",
+            color: "#4267B2",
+            border: "none",
+            borderRadius: "4px",
+            fontWeight: "bold"
+          }}
+        />
+        <button 
+          onClick={() => navigate("/inbox")}
+          style={{ 
+            padding: "8px 16px", 
+            cursor: "pointer",
+            backgroundColor: "white",
+            color: "#4267B2",
+            border: "none",
+            borderRadius: "4px",
+            fontWeight: "bold"
+          }}
+        >
+          💬 Messages
+          {unreadMessages > 0 && (
+            <span style={{
+              marginLeft: "6px",
+              padding: "1px 7px",
+              backgroundColor: "#dc3545",
+              color: "white",
+              borderRadius: "10px",
+              fontSize: "12px"
+            }}>
+              {unreadMessages > 99 ? "99+" : unreadMessages}
+            </span>
+          )}
+        </button>
         <button 
           onClick={() => navigate("/profile")}
           style={{ 
@@ -1,4 +1,6 @@
 import { useState } from "react";
+import { apiFetch, uploadImage } from "../api";
+import MentionInput from "./MentionInput";
 
 export default function NewPost() {
   const [text, setText] = useState("");
@@ -6,8 +8,9 @@ export default function NewPost() {
   const [message, setMessage] = useState("");
   const [uploadMethod, setUploadMethod] = useState("url");
   const [imagePreview, setImagePreview] = useState("");
+  const [uploading, setUploading] = useState(false);
 
-  const handleFileChange = (e) => {
+  const handleFileChange = async (e) => {
     const file = e.target.files[0];
     if (file) {
       // Validate file type
@@ -22,22 +25,26 @@ export default function NewPost() {
         return;
       }
       
-      // Create preview
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setImagePreview(reader.result);
-        setMediaUrl(reader.result);
-      };
-      reader.readAsDataURL(file);
+      // Upload now so the post only carries the image URL
+      setUploading(true);
+      setMessage("");
+      try {
+        const media = await uploadImage(file);
+        setImagePreview(media.thumbnailUrl);
+        setMediaUrl(media.url);
+      } catch (err) {
+        setMessage(err.message);
+      } finally {
+        setUploading(false);
+      }
     }
   };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    if (!text.trim()) return;
+    if (!text.trim() || uploading) return;
 
     try {
-      const token = localStorage.getItem("token");
       
       // Determine if URL is YouTube or image
       const isYouTube = mediaUrl && (
@@ -51,11 +58,10 @@ export default function NewPost() {
         youtubeUrl: isYouTube ? mediaUrl : ""
       };
       
-      const res = await fetch("/api/posts", {
+      const res = await apiFetch("/api/posts", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
         },
         body: JSON.stringify(payload),
       });
@@ -81,13 +87,16 @@ export default function NewPost() {
   return (
     <div style={{ marginBottom: "20px", backgroundColor: "#f9f9f9", padding: "15px", borderRadius: "8px" }}>
       <form onSubmit={handleSubmit} style={{ display: "flex", flexDirection: "column" }}>
-        <textarea
-          placeholder="What's on your mind?"
+        <MentionInput
+          multiline
+          placeholder="What's on your mind? Type @ to mention someone"
           value={text}
-          onChange={(e) => setText(e.target.value)}
+          onChange={setText}
+          containerStyle={{ marginBottom: "10px" }}
           style={{ 
+            width: "100%",
+            boxSizing: "border-box",
             padding: "10px", 
-            marginBottom: "10px", 
             borderRadius: "4px", 
             border: "1px solid #ccc",
             minHeight: "80px",
@@ -192,7 +201,7 @@ export default function NewPost() {
                 </div>
               )}
               <small style={{ color: "#666", fontSize: "12px", display: "block", marginTop: "5px" }}>
-                Max file size: 5MB
+                {uploading ? "Uploading..." : "JPEG, PNG, GIF or WebP, max 5MB"}
               </small>
             </div>
           ) : (
@@ -214,13 +223,14 @@ export default function NewPost() {
         
         <button
           type="submit"
+          disabled={uploading}
           style={{ 
             padding: "12px", 
             backgroundColor: "#4CAF50", 
             color: "white", 
             border: "none", 
             borderRadius: "4px", 
-            cursor: "pointer",
+            cursor: uploading ? "not-allowed" : "pointer",
             fontSize: "16px",
             fontWeight: "bold"
           }}
@@ -0,0 +1,204 @@
+import { useEffect, useRef, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { apiFetch } from "../api";
+import { getNotificationSocket, notificationLink } from "../notifications";
+
+const ICONS = { like: "❤️", reaction: "😊", comment: "💬", reply: "↩️", follow: "👤", mention: "@" };
+
+// Put an updated notification first, replacing any older copy
+const bump = (notifications, notification) => [
+  notification,
+  ...notifications.filter((n) => n._id !== notification._id)
+];
+
+const timeAgo = (date) => {
+  const seconds = Math.floor((Date.now() - new Date(date)) / 1000);
+  if (seconds < 60) return "just now";
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+};
+
+export default function NotificationBell({ buttonStyle }) {
+  const [open, setOpen] = useState(false);
+  const [unread, setUnread] = useState(0);
+  const [notifications, setNotifications] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loaded, setLoaded] = useState(false);
+  const containerRef = useRef(null);
+  const navigate = useNavigate();
+
+  const currentUser = JSON.parse(localStorage.getItem("user") || "{}");
+  const currentUserId = currentUser.id || currentUser._id;
+
+  // Unread count and new notifications, pushed by notification-service
+  useEffect(() => {
+    apiFetch("/api/notifications/unread")
+      .then((res) => (res.ok ? res.json() : null))
+      .then((data) => data && setUnread(data.count))
+      .catch((err) => console.error("Unread notifications error:", err));
+
+    const socket = getNotificationSocket();
+    const onUnread = ({ count }) => setUnread(count);
+    const onUpdated = (notification) => setNotifications((prev) => bump(prev, notification));
+    const onRemoved = ({ _id }) => setNotifications((prev) => prev.filter((n) => n._id !== _id));
+
+    socket.on("notifications:unread", onUnread);
+    socket.on("notification:updated", onUpdated);
+    socket.on("notification:removed", onRemoved);
+    return () => {
+      socket.off("notifications:unread", onUnread);
+      socket.off("notification:updated", onUpdated);
+      socket.off("notification:removed", onRemoved);
+    };
+  }, []);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return;
+    const onClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, [open]);
+
+  const fetchNotifications = async (cursor) => {
+    try {
+      const res = await apiFetch(`/api/notifications${cursor ? `?cursor=${encodeURIComponent(cursor)}` : ""}`);
+      const data = await res.json();
+      if (!res.ok) return;
+      setNotifications((prev) => {
+        if (!cursor) return data.notifications;
+        const seen = new Set(prev.map((n) => n._id));
+        return [...prev, ...data.notifications.filter((n) => !seen.has(n._id))];
+      });
+      setNextCursor(data.nextCursor);
+      setLoaded(true);
+    } catch (err) {
+      console.error("Error fetching notifications:", err);
+    }
+  };
+
+  const toggleOpen = () => {
+    if (!open) fetchNotifications();
+    setOpen(!open);
+  };
+
+  const handleClick = async (notification) => {
+    setOpen(false);
+    if (!notification.read) {
+      setNotifications((prev) => prev.map((n) => (n._id === notification._id ? { ...n, read: true } : n)));
+      apiFetch(`/api/notifications/${notification._id}/read`, { method: "POST" })
+        .catch((err) => console.error("Mark notification read error:", err));
+    }
+    navigate(notificationLink(notification, currentUserId));
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      const res = await apiFetch("/api/notifications/read-all", { method: "POST" });
+      if (res.ok) {
+        setNotifications((prev) => prev.map((n) => ({ ...n, read: true })));
+        setUnread(0);
+      }
+    } catch (err) {
+      console.error("Mark all read error:", err);
+    }
+  };
+
+  return (
+    <div ref={containerRef} style={{ position: "relative" }}>
+      <button onClick={toggleOpen} style={buttonStyle} aria-label="Notifications">
+        🔔
+        {unread > 0 && (
+          <span style={{
+            marginLeft: "6px",
+            padding: "1px 7px",
+            backgroundColor: "#dc3545",
+            color: "white",
+            borderRadius: "10px",
+            fontSize: "12px"
+          }}>
+            {unread > 99 ? "99+" : unread}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div style={{
+          position: "absolute",
+          right: 0,
+          top: "calc(100% + 8px)",
+          width: "360px",
+          maxHeight: "420px",
+          overflowY: "auto",
+          backgroundColor: "white",
+          color: "#050505",
+          borderRadius: "8px",
+          boxShadow: "0 4px 12px rgba(0,0,0,0.2)"
+        }}>
+          <div style={{
+            display: "flex",
+            justifyContent: "space-between",
+            alignItems: "center",
+            padding: "10px 15px",
+            borderBottom: "1px solid #eee"
+          }}>
+            <strong>Notifications</strong>
+            {unread > 0 && (
+              <button
+                onClick={handleMarkAllRead}
+                style={{ background: "none", border: "none", color: "#4267B2", cursor: "pointer", fontSize: "13px" }}
+              >
+                Mark all read
+              </button>
+            )}
+          </div>
+
+          {loaded && notifications.length === 0 && (
+            <p style={{ textAlign: "center", color: "#888", padding: "15px" }}>No notifications yet.</p>
+          )}
+          {notifications.map((notification) => (
+            <div
+              key={notification._id}
+              onClick={() => handleClick(notification)}
+              style={{
+                display: "flex",
+                gap: "10px",
+                padding: "10px 15px",
+                cursor: "pointer",
+                borderBottom: "1px solid #f0f0f0",
+                backgroundColor: notification.read ? "white" : "#eef3ff"
+              }}
+            >
+              <span style={{ fontSize: "18px" }}>{ICONS[notification.type]}</span>
+              <div style={{ minWidth: 0 }}>
+                <div style={{ fontSize: "14px" }}>{notification.summary}</div>
+                {notification.text && (
+                  <div style={{
+                    fontSize: "13px",
+                    color: "#666",
+                    whiteSpace: "nowrap",
+                    overflow: "hidden",
+                    textOverflow: "ellipsis"
+                  }}>
+                    "{notification.text}"
+                  </div>
+                )}
+                <small style={{ color: "#888" }}>{timeAgo(notification.updatedAt)}</small>
+              </div>
+            </div>
+          ))}
+          {nextCursor && (
+            <div style={{ textAlign: "center", padding: "10px" }}>
+              <button onClick={() => fetchNotifications(nextCursor)} style={{ padding: "4px 10px", cursor: "pointer" }}>
+                Load more
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
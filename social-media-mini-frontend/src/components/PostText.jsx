@@ -0,0 +1,30 @@
+import { Link } from "react-router-dom";
+import { splitTags } from "../tags";
+import { splitMentions } from "../mentions";
+
+const linkStyle = { color: "#4267B2", textDecoration: "none" };
+
+// Post or comment text with mentions linking to profiles and, unless `tags`
+// is false, hashtags linking to their tag pages. `mentions` are the profiles
+// of the users it mentions.
+export default function PostText({ text, mentions, tags = true, style }) {
+  return (
+    <p style={style}>
+      {splitMentions(text, mentions).map((mention, i) => (mention.userId ? (
+        <Link key={i} to={`/user/${mention.userId}`} style={{ ...linkStyle, fontWeight: "bold" }}>
+          {mention.text}
+        </Link>
+      ) : tags ? (
+        splitTags(mention.text).map((part, j) => (part.tag ? (
+          <Link key={`${i}-${j}`} to={`/tag/${encodeURIComponent(part.tag)}`} style={linkStyle}>
+            {part.text}
+          </Link>
+        ) : (
+          part.text
+        )))
+      ) : (
+        mention.text
+      )))}
+    </p>
+  );
+}
@@ -0,0 +1,178 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Link } from "react-router-dom";
+import { apiFetch } from "../api";
+import { REACTIONS, reactionFor, topReactions, totalReactions } from "../reactions";
+import { profilePath } from "../users";
+
+// Who reacted to a post or comment, filterable by reaction
+function ReactionList({ path, counts, onClose }) {
+  const [type, setType] = useState(null);
+  const [reactions, setReactions] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const ref = useRef(null);
+
+  const fetchReactions = useCallback(async (cursor) => {
+    const params = new URLSearchParams();
+    if (type) params.set("type", type);
+    if (cursor) params.set("cursor", cursor);
+    try {
+      const res = await apiFetch(`${path}/reactions?${params}`);
+      if (!res.ok) return;
+      const data = await res.json();
+      setReactions((prev) => (cursor ? [...prev, ...data.reactions] : data.reactions));
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error("Error fetching reactions:", err);
+    }
+  }, [path, type]);
+
+  useEffect(() => {
+    fetchReactions(null);
+  }, [fetchReactions]);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    const onClick = (e) => {
+      if (!ref.current?.contains(e.target)) onClose();
+    };
+    document.addEventListener("mousedown", onClick);
+    return () => document.removeEventListener("mousedown", onClick);
+  }, [onClose]);
+
+  const tabStyle = (active) => ({
+    padding: "4px 8px",
+    border: "none",
+    borderBottom: active ? "2px solid #4267B2" : "2px solid transparent",
+    background: "none",
+    cursor: "pointer",
+    fontSize: "13px",
+  });
+
+  return (
+    <div ref={ref} style={{
+      position: "absolute",
+      bottom: "calc(100% + 6px)",
+      left: 0,
+      zIndex: 10,
+      width: "260px",
+      maxHeight: "300px",
+      overflowY: "auto",
+      backgroundColor: "white",
+      color: "#050505",
+      borderRadius: "8px",
+      boxShadow: "0 4px 12px rgba(0,0,0,0.2)",
+      padding: "8px",
+    }}>
+      <div style={{ display: "flex", flexWrap: "wrap", borderBottom: "1px solid #eee", marginBottom: "6px" }}>
+        <button onClick={() => setType(null)} style={tabStyle(!type)}>All {totalReactions(counts)}</button>
+        {topReactions(counts, REACTIONS.length).map((r) => (
+          <button key={r.type} onClick={() => setType(r.type)} style={tabStyle(type === r.type)}>
+            {r.emoji} {counts[r.type]}
+          </button>
+        ))}
+      </div>
+      {reactions.map((reaction) => (
+        <div key={reaction._id} style={{ display: "flex", justifyContent: "space-between", padding: "4px 0", fontSize: "14px" }}>
+          <Link to={profilePath(reaction.user)} style={{ color: "#050505", textDecoration: "none" }}>
+            {reaction.user.firstName ? `${reaction.user.firstName} ${reaction.user.lastName}` : "Unknown user"}
+          </Link>
+          <span>{reactionFor(reaction.type)?.emoji}</span>
+        </div>
+      ))}
+      {nextCursor && (
+        <button onClick={() => fetchReactions(nextCursor)} style={{ width: "100%", padding: "4px", cursor: "pointer", marginTop: "4px" }}>
+          Load more
+        </button>
+      )}
+    </div>
+  );
+}
+
+// Reaction picker and counts for a post or comment. `path` is the API path
+// of the post or comment; `onChange` gets { reactionCounts, myReaction }.
+export default function ReactionBar({ path, counts, myReaction, onChange, small = false }) {
+  const [pickerOpen, setPickerOpen] = useState(false);
+  const [listOpen, setListOpen] = useState(false);
+  const total = totalReactions(counts);
+  const current = reactionFor(myReaction);
+
+  const react = async (type) => {
+    setPickerOpen(false);
+    try {
+      const res = type
+        ? await apiFetch(`${path}/reactions`, {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ type }),
+        })
+        : await apiFetch(`${path}/reactions`, { method: "DELETE" });
+      const data = await res.json();
+      if (res.ok) onChange({ reactionCounts: data.reactionCounts, myReaction: data.myReaction });
+    } catch (err) {
+      console.error("Error reacting:", err);
+    }
+  };
+
+  const buttonStyle = {
+    padding: small ? "4px 8px" : "5px 15px",
+    fontSize: small ? "12px" : undefined,
+    cursor: "pointer",
+  };
+
+  return (
+    <div style={{ position: "relative", display: "inline-flex", alignItems: "center", gap: "6px" }}>
+      {/* Clicking toggles my reaction: a like, or off again */}
+      <button
+        onClick={() => react(current ? null : "like")}
+        style={{ ...buttonStyle, color: current ? "#4267B2" : undefined, fontWeight: current ? "bold" : undefined }}
+      >
+        {current ? `${current.emoji} ${current.label}` : "👍 Like"}
+      </button>
+      <button onClick={() => setPickerOpen(!pickerOpen)} style={buttonStyle} aria-label="Choose a reaction">
+        ▾
+      </button>
+
+      {pickerOpen && (
+        <div style={{
+          position: "absolute",
+          bottom: "calc(100% + 6px)",
+          left: 0,
+          zIndex: 10,
+          display: "flex",
+          gap: "4px",
+          padding: "6px 8px",
+          backgroundColor: "white",
+          borderRadius: "20px",
+          boxShadow: "0 4px 12px rgba(0,0,0,0.2)",
+        }}>
+          {REACTIONS.map((r) => (
+            <button
+              key={r.type}
+              onClick={() => react(r.type === myReaction ? null : r.type)}
+              title={r.label}
+              style={{
+                fontSize: "22px",
+                background: r.type === myReaction ? "#e7f0ff" : "none",
+                border: "none",
+                borderRadius: "50%",
+                cursor: "pointer",
+              }}
+            >
+              {r.emoji}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {total > 0 && (
+        <button
+          onClick={() => setListOpen(true)}
+          style={{ background: "none", border: "none", cursor: "pointer", fontSize: small ? "12px" : "14px", color: "#65676b" }}
+        >
+          {topReactions(counts).map((r) => r.emoji).join("")} {total}
+        </button>
+      )}
+      {listOpen && <ReactionList path={path} counts={counts} onClose={() => setListOpen(false)} />}
+    </div>
+  );
+}
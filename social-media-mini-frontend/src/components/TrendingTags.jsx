@@ -0,0 +1,68 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { apiFetch } from "../api";
+
+const WINDOWS = [
+  { window: "1h", label: "Hour" },
+  { window: "24h", label: "Day" },
+  { window: "7d", label: "Week" },
+];
+
+// Most used hashtags over the last hour, day or week
+export default function TrendingTags() {
+  const [period, setPeriod] = useState("24h");
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    let current = true;
+    const fetchTrending = async () => {
+      try {
+        const res = await apiFetch(`/api/posts/tags/trending?window=${period}&limit=10`);
+        if (!res.ok) return;
+        const data = await res.json();
+        if (current) setTags(data.tags);
+      } catch (err) {
+        console.error("Error fetching trending tags:", err);
+      }
+    };
+    fetchTrending();
+    return () => {
+      current = false;
+    };
+  }, [period]);
+
+  const tabStyle = (active) => ({
+    padding: "2px 8px",
+    border: "none",
+    borderBottom: active ? "2px solid #4267B2" : "2px solid transparent",
+    background: "none",
+    cursor: "pointer",
+    fontSize: "12px",
+  });
+
+  return (
+    <div style={{ border: "1px solid #ddd", borderRadius: "8px", padding: "10px 15px", marginBottom: "20px" }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: "6px" }}>
+        <strong>🔥 Trending</strong>
+        <div>
+          {WINDOWS.map((w) => (
+            <button key={w.window} onClick={() => setPeriod(w.window)} style={tabStyle(period === w.window)}>
+              {w.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      {tags.length === 0 ? (
+        <p style={{ margin: 0, color: "#888", fontSize: "14px" }}>Nothing trending yet</p>
+      ) : (
+        <div style={{ display: "flex", flexWrap: "wrap", gap: "8px 14px" }}>
+          {tags.map(({ tag, count }) => (
+            <Link key={tag} to={`/tag/${encodeURIComponent(tag)}`} style={{ color: "#4267B2", textDecoration: "none", fontSize: "14px" }}>
+              #{tag} <span style={{ color: "#888", fontSize: "12px" }}>{count}</span>
+            </Link>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
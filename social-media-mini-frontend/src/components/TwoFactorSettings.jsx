@@ -0,0 +1,207 @@
+import { useEffect, useState } from "react";
+import { apiFetch } from "../api";
+
+const buttonStyle = (backgroundColor) => ({
+  padding: "8px 16px",
+  backgroundColor,
+  color: "white",
+  border: "none",
+  borderRadius: "4px",
+  cursor: "pointer",
+  whiteSpace: "nowrap"
+});
+
+const inputStyle = { padding: "8px", fontSize: "14px", marginRight: "10px" };
+
+export default function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [disabling, setDisabling] = useState(false);
+  const [code, setCode] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+
+  const loadStatus = async () => {
+    const res = await apiFetch("/api/auth/2fa/status");
+    if (res.ok) {
+      setStatus(await res.json());
+    }
+  };
+
+  useEffect(() => {
+    loadStatus().catch((err) => console.error("2FA status error:", err));
+  }, []);
+
+  const reset = () => {
+    setCode("");
+    setPassword("");
+    setError("");
+  };
+
+  // POST to a 2FA endpoint; returns the response body or null on error
+  const post = async (url, body) => {
+    setError("");
+    try {
+      const res = await apiFetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.message || "Request failed");
+        return null;
+      }
+      return data;
+    } catch (err) {
+      setError("Error connecting to server");
+      console.error("2FA error:", err);
+      return null;
+    }
+  };
+
+  const handleSetup = async () => {
+    const data = await post("/api/auth/2fa/setup", {});
+    if (data) {
+      reset();
+      setSetup(data);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    const data = await post("/api/auth/2fa/enable", { code });
+    if (data) {
+      reset();
+      setSetup(null);
+      setRecoveryCodes(data.recoveryCodes);
+      await loadStatus();
+    }
+  };
+
+  const handleDisable = async (e) => {
+    e.preventDefault();
+    const data = await post("/api/auth/2fa/disable", { password, code });
+    if (data) {
+      reset();
+      setDisabling(false);
+      setRecoveryCodes(null);
+      await loadStatus();
+    }
+  };
+
+  const handleRegenerate = async (e) => {
+    e.preventDefault();
+    const data = await post("/api/auth/2fa/recovery-codes", { code });
+    if (data) {
+      reset();
+      setRecoveryCodes(data.recoveryCodes);
+      await loadStatus();
+    }
+  };
+
+  if (!status) return null;
+
+  return (
+    <div style={{ marginTop: "20px", paddingTop: "20px", borderTop: "1px solid #ddd" }}>
+      <h4 style={{ margin: "0 0 5px 0" }}>
+        Two-factor authentication: {status.enabled ? "✅ On" : "Off"}
+      </h4>
+      {error && <p style={{ color: "red", margin: "5px 0" }}>{error}</p>}
+
+      {recoveryCodes && (
+        <div style={{ backgroundColor: "#fff3cd", padding: "15px", borderRadius: "4px", margin: "10px 0" }}>
+          <p style={{ margin: "0 0 10px 0" }}>
+            Save these recovery codes somewhere safe. Each one works once if you lose your authenticator. They won't be shown again.
+          </p>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: "5px", fontFamily: "monospace", fontSize: "16px" }}>
+            {recoveryCodes.map((recoveryCode) => <span key={recoveryCode}>{recoveryCode}</span>)}
+          </div>
+          <button onClick={() => setRecoveryCodes(null)} style={{ ...buttonStyle("#4267B2"), marginTop: "10px" }}>
+            I've saved them
+          </button>
+        </div>
+      )}
+
+      {!status.enabled && !setup && (
+        <>
+          <p style={{ margin: "0 0 10px 0", color: "#666" }}>Require a code from an authenticator app when you log in.</p>
+          <button onClick={handleSetup} style={buttonStyle("#28a745")}>Set up two-factor</button>
+        </>
+      )}
+
+      {!status.enabled && setup && (
+        <form onSubmit={handleEnable}>
+          <p style={{ margin: "0 0 10px 0", color: "#666" }}>
+            Add this account to your authenticator app, then enter the code it shows.
+            On a phone you can <a href={setup.otpauthUri}>open it in your app</a>; otherwise enter the key manually:
+          </p>
+          <p style={{ fontFamily: "monospace", fontSize: "16px", wordBreak: "break-all" }}>{setup.secret}</p>
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="123456"
+            autoComplete="one-time-code"
+            required
+            style={inputStyle}
+          />
+          <button type="submit" style={buttonStyle("#28a745")}>Turn on</button>
+          <button type="button" onClick={() => { reset(); setSetup(null); }} style={{ ...buttonStyle("#6c757d"), marginLeft: "10px" }}>
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {status.enabled && !disabling && (
+        <>
+          <p style={{ margin: "0 0 10px 0", color: "#666" }}>
+            {status.recoveryCodesRemaining} of 10 recovery codes left.
+          </p>
+          <form onSubmit={handleRegenerate} style={{ marginBottom: "10px" }}>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Current code"
+              autoComplete="one-time-code"
+              required
+              style={inputStyle}
+            />
+            <button type="submit" style={buttonStyle("#4267B2")}>New recovery codes</button>
+          </form>
+          <button onClick={() => { reset(); setDisabling(true); }} style={buttonStyle("#dc3545")}>
+            Turn off two-factor
+          </button>
+        </>
+      )}
+
+      {status.enabled && disabling && (
+        <form onSubmit={handleDisable}>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            required
+            style={inputStyle}
+          />
+          <input
+            type="text"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Code or recovery code"
+            autoComplete="one-time-code"
+            required
+            style={inputStyle}
+          />
+          <button type="submit" style={buttonStyle("#dc3545")}>Turn off</button>
+          <button type="button" onClick={() => { reset(); setDisabling(false); }} style={{ ...buttonStyle("#6c757d"), marginLeft: "10px" }}>
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import { useEffect, useRef } from "react";
+
+// Calls onLoadMore when the returned sentinel element scrolls into view
+export default function useInfiniteScroll(onLoadMore, enabled) {
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    const node = sentinelRef.current;
+    if (!node || !enabled) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        onLoadMore();
+      }
+    }, { rootMargin: "200px" });
+
+    observer.observe(node);
+    return () => observer.disconnect();
+  }, [onLoadMore, enabled]);
+
+  return sentinelRef;
+}
@@ -0,0 +1,25 @@
+import { useEffect, useRef } from "react";
+
+// Post socket events, passed on to components below the page that owns the
+// socket (comment sections keep their own comments, for instance)
+const events = new EventTarget();
+
+export const publishPostEvent = (event, payload) => {
+  events.dispatchEvent(new CustomEvent(event, { detail: payload }));
+};
+
+// Call `handler` with the payload of every `event` while mounted; the latest
+// handler is always used.
+export default function usePostEvent(event, handler) {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    const listener = (e) => handlerRef.current(e.detail);
+    events.addEventListener(event, listener);
+    return () => events.removeEventListener(event, listener);
+  }, [event]);
+}
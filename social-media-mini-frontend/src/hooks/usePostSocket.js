@@ -0,0 +1,103 @@
+import { useEffect, useRef } from "react";
+import { openPostSocket } from "../postSocket";
+import { publishPostEvent } from "./usePostEvent";
+
+// post-service only sends a socket the events it subscribed to, and rooms
+// are lost on reconnect, so every (re)connect subscribes again. Events carry
+// a sequence id ({ seq } after the payload); after a reconnect the socket
+// resumes from the last one seen and gets what it missed replayed, or
+// `resync:required` if that's too much, in which case the page refetches.
+const MAX_WATCHED_POSTS = 200;
+// Sequence ids remembered to drop events delivered both live and replayed
+const MAX_SEEN_EVENTS = 1000;
+
+const compareSeq = (a, b) => {
+  const [aMs, aN] = a.split("-").map(Number);
+  const [bMs, bN] = b.split("-").map(Number);
+  return aMs - bMs || aN - bN;
+};
+
+// Keep a post-service socket open while `target` is set ({ feed }, or
+// { author }), watching the posts on screen. `handlers` maps event names
+// to listeners; the latest handlers are always used. Every event is also
+// published to usePostEvent listeners.
+export default function usePostSocket(target, posts, handlers) {
+  const socketRef = useRef(null);
+  const handlersRef = useRef(handlers);
+  const watchedRef = useRef(new Set());
+  const targetKey = target ? JSON.stringify(target) : null;
+  const postIds = posts.map((post) => post._id).join(",");
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    if (!targetKey) return;
+
+    const socket = openPostSocket(() => socketRef.current === socket);
+    socketRef.current = socket;
+    watchedRef.current = new Set();
+    let lastSeq = null;
+    let connectedBefore = false;
+    const seen = new Set();
+
+    const advanceTo = (seq) => {
+      if (seq && (!lastSeq || compareSeq(seq, lastSeq) > 0)) lastSeq = seq;
+    };
+
+    socket.on("connect", async () => {
+      const since = lastSeq;
+      const reconnecting = connectedBefore;
+      connectedBefore = true;
+
+      try {
+        const subscriptions = [socket.emitWithAck("subscribe", JSON.parse(targetKey))];
+        if (watchedRef.current.size > 0) {
+          subscriptions.push(socket.emitWithAck("subscribe", { posts: [...watchedRef.current].slice(-MAX_WATCHED_POSTS) }));
+        }
+        const [ack] = await Promise.all(subscriptions);
+
+        // Only ask for a replay once the rooms it is filtered by are joined
+        if (!reconnecting) advanceTo(ack?.seq);
+        else if (since) socket.emit("resume", { since });
+        else {
+          handlersRef.current["resync:required"]?.();
+          publishPostEvent("resync:required", {});
+        }
+      } catch (err) {
+        // Disconnected again before subscribing; the next connect retries
+        console.error("Post socket subscribe error:", err.message);
+      }
+    });
+
+    socket.onAny((event, payload, meta) => {
+      if (event === "resync:required") {
+        lastSeq = payload?.seq || null;
+      } else if (meta?.seq) {
+        if (seen.has(meta.seq)) return;
+        seen.add(meta.seq);
+        if (seen.size > MAX_SEEN_EVENTS) seen.delete(seen.values().next().value);
+        advanceTo(meta.seq);
+      }
+      handlersRef.current[event]?.(payload, meta);
+      publishPostEvent(event, payload);
+    });
+
+    return () => {
+      socketRef.current = null;
+      socket.disconnect();
+    };
+  }, [targetKey]);
+
+  // Watch posts as they appear
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (!socket || !postIds) return;
+
+    const added = postIds.split(",").filter((id) => !watchedRef.current.has(id));
+    if (added.length === 0) return;
+    added.forEach((id) => watchedRef.current.add(id));
+    if (socket.connected) socket.emit("subscribe", { posts: added });
+  }, [postIds, targetKey]);
+}
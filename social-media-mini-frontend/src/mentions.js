@@ -0,0 +1,30 @@
+// @mentions. Inputs hold plain `@username`s, which post-service turns into
+// `<@userId>` when it saves the text (see its mentions.js); older text has
+// `@[Display Name](userId)` instead. Posts and comments come with the
+// profiles of the users they mention in `mentions`, so a mention shows its
+// user's current username.
+const MENTION_PATTERN = /<@([0-9a-fA-F]{24})>|@\[([^\]\n]{1,100})\]\(([0-9a-fA-F]{24})\)/g;
+
+const mentionHandle = (match, users) => {
+  const userId = (match[1] || match[3]).toLowerCase();
+  const user = users.find((u) => String(u._id).toLowerCase() === userId);
+  return { userId, text: `@${user?.username || match[2] || "unknown"}` };
+};
+
+// Stored text split into plain text and { text, userId } mention parts;
+// `users` are the profiles of the users it mentions
+export function splitMentions(text, users = []) {
+  const parts = [];
+  let last = 0;
+  for (const match of (text || "").matchAll(MENTION_PATTERN)) {
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    parts.push(mentionHandle(match, users));
+    last = match.index + match[0].length;
+  }
+  if (last < (text || "").length) parts.push({ text: text.slice(last) });
+  return parts;
+}
+
+// Stored text as an input shows it, for editing
+export const editableText = (text, users = []) =>
+  splitMentions(text, users).map((part) => part.text).join("");
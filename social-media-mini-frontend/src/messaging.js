@@ -0,0 +1,11 @@
+import { authenticatedSocket } from "./authSocket";
+
+// One shared connection to messaging-service for the logged-in user
+export const getMessagingSocket = authenticatedSocket("/socket.io/messages", "/api/messages/unread");
+
+// Display name of a conversation for the current user
+export function conversationTitle(conversation, userId) {
+  if (conversation.type === "group") return conversation.name;
+  const other = conversation.members.find((m) => m.user._id !== userId)?.user;
+  return other?.firstName ? `${other.firstName} ${other.lastName}` : "Unknown user";
+}
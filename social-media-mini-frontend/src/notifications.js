@@ -0,0 +1,17 @@
+import { authenticatedSocket } from "./authSocket";
+import { profilePath } from "./users";
+
+// One shared connection to notification-service for the logged-in user
+export const getNotificationSocket = authenticatedSocket("/socket.io/notifications", "/api/notifications/unread");
+
+// Where clicking a notification goes: the follower's profile, or the post
+// or comment it is about
+export function notificationLink(notification, userId) {
+  if (notification.type === "follow") {
+    return profilePath(notification.actors[0]);
+  }
+  if (notification.post && notification.comment) return `/post/${notification.post}/comment/${notification.comment}`;
+  if (notification.post) return `/post/${notification.post}`;
+  if (!notification.postAuthor || notification.postAuthor === userId) return "/profile";
+  return `/user/${notification.postAuthor}`;
+}
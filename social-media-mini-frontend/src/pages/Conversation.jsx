@@ -0,0 +1,302 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { useParams, useNavigate } from "react-router-dom";
+import Navbar from "../components/Navbar";
+import { apiFetch } from "../api";
+import { getMessagingSocket, conversationTitle } from "../messaging";
+
+// Stop showing someone as typing if we miss their "stopped" event
+const TYPING_TIMEOUT_MS = 5000;
+// How often to repeat our own "typing" signal while typing continues
+const TYPING_SIGNAL_MS = 3000;
+
+export default function Conversation() {
+  const { conversationId } = useParams();
+  const [conversation, setConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [text, setText] = useState("");
+  const [error, setError] = useState("");
+  const [typingUsers, setTypingUsers] = useState({});
+  const bottomRef = useRef(null);
+  const lastTypingSignal = useRef(0);
+  const navigate = useNavigate();
+
+  const currentUser = JSON.parse(localStorage.getItem("user") || "{}");
+  const currentUserId = currentUser.id || currentUser._id;
+
+  const markRead = useCallback(() => {
+    apiFetch(`/api/messages/conversations/${conversationId}/read`, { method: "POST" })
+      .catch((err) => console.error("Mark read error:", err));
+  }, [conversationId]);
+
+  useEffect(() => {
+    const fetchConversation = async () => {
+      setLoading(true);
+      try {
+        const convRes = await apiFetch(`/api/messages/conversations/${conversationId}`);
+        if (!convRes.ok) {
+          setConversation(null);
+          return;
+        }
+        setConversation(await convRes.json());
+
+        const msgRes = await apiFetch(`/api/messages/conversations/${conversationId}/messages`);
+        const data = await msgRes.json();
+        // Pages come newest first; show oldest at the top
+        setMessages((data.messages || []).reverse());
+        setNextCursor(data.nextCursor || null);
+        markRead();
+      } catch (err) {
+        console.error("Error fetching conversation:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchConversation();
+  }, [conversationId, markRead]);
+
+  const loadOlder = async () => {
+    if (!nextCursor || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const res = await apiFetch(`/api/messages/conversations/${conversationId}/messages?cursor=${encodeURIComponent(nextCursor)}`);
+      const data = await res.json();
+      setMessages((prev) => [...(data.messages || []).reverse(), ...prev]);
+      setNextCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error("Error loading older messages:", err);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Realtime messages, read receipts and typing indicators
+  useEffect(() => {
+    const socket = getMessagingSocket();
+    const typingTimers = {};
+
+    const stopTyping = (userId) => {
+      clearTimeout(typingTimers[userId]);
+      setTypingUsers((prev) => {
+        const next = { ...prev };
+        delete next[userId];
+        return next;
+      });
+    };
+
+    const onMessage = (message) => {
+      if (message.conversation !== conversationId) return;
+      setMessages((prev) => (prev.some((m) => m._id === message._id) ? prev : [...prev, message]));
+      stopTyping(message.user._id);
+      if (message.user._id !== currentUserId) markRead();
+    };
+
+    const onRead = ({ conversationId: id, userId, lastReadAt }) => {
+      if (id !== conversationId) return;
+      setConversation((prev) => prev && {
+        ...prev,
+        members: prev.members.map((m) => (m.user._id === userId ? { ...m, lastReadAt } : m))
+      });
+    };
+
+    const onTyping = ({ conversationId: id, userId, typing }) => {
+      if (id !== conversationId) return;
+      if (!typing) return stopTyping(userId);
+      clearTimeout(typingTimers[userId]);
+      typingTimers[userId] = setTimeout(() => stopTyping(userId), TYPING_TIMEOUT_MS);
+      setTypingUsers((prev) => ({ ...prev, [userId]: true }));
+    };
+
+    socket.on("message:created", onMessage);
+    socket.on("message:read", onRead);
+    socket.on("typing", onTyping);
+    return () => {
+      socket.off("message:created", onMessage);
+      socket.off("message:read", onRead);
+      socket.off("typing", onTyping);
+      Object.values(typingTimers).forEach(clearTimeout);
+    };
+  }, [conversationId, currentUserId, markRead]);
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages.length]);
+
+  const signalTyping = (typing) => {
+    const now = Date.now();
+    if (typing && now - lastTypingSignal.current < TYPING_SIGNAL_MS) return;
+    lastTypingSignal.current = typing ? now : 0;
+    getMessagingSocket().emit("typing", { conversationId, typing });
+  };
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    signalTyping(e.target.value.length > 0);
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+    setError("");
+    try {
+      const res = await apiFetch(`/api/messages/conversations/${conversationId}/messages`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ text }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.message || "Message not sent");
+        return;
+      }
+      // Don't wait for the socket echo to show our own message
+      setMessages((prev) => (prev.some((m) => m._id === data._id) ? prev : [...prev, data]));
+      setText("");
+      signalTyping(false);
+    } catch (err) {
+      setError("Error connecting to server");
+      console.error("Send message error:", err);
+    }
+  };
+
+  const handleLeave = async () => {
+    if (!window.confirm("Leave this group?")) return;
+    const res = await apiFetch(`/api/messages/conversations/${conversationId}/leave`, { method: "POST" });
+    if (res.ok) navigate("/inbox");
+  };
+
+  if (loading) {
+    return <div style={{ padding: "20px", textAlign: "center" }}>Loading...</div>;
+  }
+
+  if (!conversation) {
+    return (
+      <div>
+        <Navbar />
+        <div style={{ padding: "80px 20px", textAlign: "center" }}>Conversation not found.</div>
+      </div>
+    );
+  }
+
+  const memberName = (userId) => {
+    const user = conversation.members.find((m) => m.user._id === userId)?.user;
+    return user?.firstName || "Someone";
+  };
+
+  // Receipt under my latest message: who has read up to it
+  const myLastMessage = [...messages].reverse().find((m) => m.user._id === currentUserId);
+  const seenBy = myLastMessage
+    ? conversation.members.filter((m) =>
+      m.user._id !== currentUserId && m.lastReadAt && new Date(m.lastReadAt) >= new Date(myLastMessage.createdAt))
+    : [];
+
+  const typingNames = Object.keys(typingUsers).map(memberName);
+
+  return (
+    <div>
+      <Navbar />
+      <div style={{ maxWidth: "700px", margin: "0 auto", padding: "80px 20px 20px 20px" }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "10px" }}>
+          <div>
+            <button onClick={() => navigate("/inbox")} style={{ padding: "4px 10px", cursor: "pointer", marginBottom: "5px" }}>
+              ← Inbox
+            </button>
+            <h2 style={{ margin: "5px 0" }}>{conversationTitle(conversation, currentUserId)}</h2>
+            {conversation.type === "group" && (
+              <small style={{ color: "#666" }}>
+                {conversation.members.map((m) => m.user.firstName || "Unknown").join(", ")}
+              </small>
+            )}
+          </div>
+          {conversation.type === "group" && (
+            <button
+              onClick={handleLeave}
+              style={{ padding: "8px 16px", backgroundColor: "#dc3545", color: "white", border: "none", borderRadius: "4px", cursor: "pointer" }}
+            >
+              Leave group
+            </button>
+          )}
+        </div>
+
+        <div style={{
+          border: "1px solid #ddd",
+          borderRadius: "8px",
+          padding: "15px",
+          margin: "15px 0",
+          height: "55vh",
+          overflowY: "auto",
+          backgroundColor: "#fafafa"
+        }}>
+          {nextCursor && (
+            <div style={{ textAlign: "center", marginBottom: "10px" }}>
+              <button onClick={loadOlder} disabled={loadingOlder} style={{ padding: "4px 10px", cursor: "pointer" }}>
+                {loadingOlder ? "Loading..." : "Load older messages"}
+              </button>
+            </div>
+          )}
+          {messages.length === 0 && (
+            <p style={{ textAlign: "center", color: "#888" }}>No messages yet. Say hello!</p>
+          )}
+          {messages.map((message) => {
+            const mine = message.user._id === currentUserId;
+            return (
+              <div key={message._id} style={{ display: "flex", justifyContent: mine ? "flex-end" : "flex-start", marginBottom: "8px" }}>
+                <div style={{
+                  maxWidth: "70%",
+                  padding: "8px 12px",
+                  borderRadius: "12px",
+                  backgroundColor: mine ? "#4267B2" : "#e4e6eb",
+                  color: mine ? "white" : "#050505",
+                  whiteSpace: "pre-wrap",
+                  wordBreak: "break-word"
+                }}>
+                  {!mine && conversation.type === "group" && (
+                    <div style={{ fontSize: "12px", fontWeight: "bold", marginBottom: "2px" }}>
+                      {message.user.firstName}
+                    </div>
+                  )}
+                  {message.text}
+                  <div style={{ fontSize: "11px", opacity: 0.7, marginTop: "2px", textAlign: "right" }}>
+                    {new Date(message.createdAt).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+          {seenBy.length > 0 && (
+            <div style={{ textAlign: "right", fontSize: "12px", color: "#888" }}>
+              {conversation.type === "group" ? `Seen by ${seenBy.map((m) => m.user.firstName).join(", ")}` : "Seen"}
+            </div>
+          )}
+          <div ref={bottomRef} />
+        </div>
+
+        <div style={{ minHeight: "20px", fontSize: "13px", color: "#888", fontStyle: "italic" }}>
+          {typingNames.length > 0 && `${typingNames.join(", ")} ${typingNames.length === 1 ? "is" : "are"} typing...`}
+        </div>
+
+        {error && <p style={{ color: "red", margin: "5px 0" }}>{error}</p>}
+        <form onSubmit={handleSend} style={{ display: "flex", gap: "10px" }}>
+          <input
+            type="text"
+            value={text}
+            onChange={handleChange}
+            onBlur={() => signalTyping(false)}
+            placeholder="Write a message..."
+            maxLength={2000}
+            style={{ flex: 1, padding: "12px", fontSize: "16px", borderRadius: "4px", border: "1px solid #ccc" }}
+          />
+          <button
+            type="submit"
+            style={{ padding: "12px 24px", backgroundColor: "#4267B2", color: "white", border: "none", borderRadius: "4px", cursor: "pointer", fontSize: "16px" }}
+          >
+            Send
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
@@ -1,26 +1,72 @@
-import { useState, useEffect } from "react";
-import { io } from "socket.io-client";
+import { useState, useEffect, useCallback } from "react";
 import Feed from "../components/Feed";
 import NewPost from "../components/NewPost";
 import Navbar from "../components/Navbar";
+import TrendingTags from "../components/TrendingTags";
+import useInfiniteScroll from "../hooks/useInfiniteScroll";
+import usePostSocket from "../hooks/usePostSocket";
+import { apiFetch } from "../api";
+import { applyReactionChange, keepMyReactions } from "../reactions";
+import { withCommentCount } from "../comments";
+
+const PAGE_SIZE = 20;
+
+const tabStyle = (active) => ({
+  padding: "10px 20px",
+  backgroundColor: active ? "#4267B2" : "#e0e0e0",
+  color: active ? "white" : "#333",
+  border: "none",
+  borderRadius: "4px",
+  cursor: "pointer",
+  fontWeight: "bold"
+});
 
 export default function FeedPage() {
   const [posts, setPosts] = useState([]);
+  const [feed, setFeed] = useState("home");
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  // Fetch one page of the selected feed
+  const fetchPage = useCallback(async (cursor) => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    if (cursor) params.set("cursor", cursor);
+
+    const res = await apiFetch(`${feed === "home" ? "/api/posts" : "/api/posts/global"}?${params}`, {
+      headers: {
+        'Cache-Control': 'no-cache',
+        'Pragma': 'no-cache'
+      },
+    });
+    if (!res.ok) throw new Error(`Failed to fetch posts: ${res.status}`);
+    return res.json();
+  }, [feed]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const data = await fetchPage(nextCursor);
+      setPosts((prevPosts) => {
+        const seen = new Set(prevPosts.map(p => p._id));
+        return [...prevPosts, ...data.posts.filter(p => !seen.has(p._id))];
+      });
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error("Error fetching more posts:", err);
+    }
+    setLoadingMore(false);
+  }, [fetchPage, nextCursor, loadingMore]);
 
-  // Fetch posts from backend on component mount
+  const sentinelRef = useInfiniteScroll(loadMore, !!nextCursor && !loadingMore);
+
+  // Fetch posts from backend on mount and whenever the feed tab changes
   useEffect(() => {
     const fetchPosts = async () => {
       try {
-        const token = localStorage.getItem("token");
-        const res = await fetch("/api/posts", {
-          headers: {
-            Authorization: `Bearer ${token}`,
-            'Cache-Control': 'no-cache',
-            'Pragma': 'no-cache'
-          },
-        });
-        const data = await res.json();
-        setPosts(data);
+        const data = await fetchPage(null);
+        setPosts(data.posts);
+        setNextCursor(data.nextCursor);
       } catch (err) {
         console.error("Error fetching posts:", err);
       }
@@ -37,23 +83,27 @@ export default function FeedPage() {
     document.addEventListener('visibilitychange', handleVisibilityChange);
 
     // Cleanup visibility listener
-    const cleanupVisibility = () => {
+    return () => {
       document.removeEventListener('visibilitychange', handleVisibilityChange);
     };
+  }, [feed, fetchPage]);
+
+  // Socket.io for real-time updates. post-service only sends new posts
+  // that belong in the selected feed.
+  usePostSocket({ feed }, posts, {
+    // Missed too much while disconnected to catch up event by event
+    "resync:required": async () => {
+      console.log("🔄 Realtime gap, refreshing posts...");
+      try {
+        const data = await fetchPage(null);
+        setPosts(data.posts);
+        setNextCursor(data.nextCursor);
+      } catch (err) {
+        console.error("Error fetching posts:", err);
+      }
+    },
 
-    // Connect to Socket.io
-    const socket = io("http://localhost:3003");
-
-    socket.on("connect", () => {
-      console.log("✅ Connected to Socket.io server");
-    });
-
-    socket.on("disconnect", () => {
-      console.log("❌ Disconnected from Socket.io server");
-    });
-
-    // Listen for new posts
-    socket.on("post:created", (newPost) => {
+    "post:created": (newPost) => {
       console.log("🆕 New post received:", newPost);
       setPosts((prevPosts) => {
         // Check if post already exists to avoid duplicates
@@ -61,119 +111,50 @@ export default function FeedPage() {
         if (exists) return prevPosts;
         return [newPost, ...prevPosts];
       });
-    });
+    },
 
-    // Listen for post likes
-    socket.on("post:liked", ({ postId, likes }) => {
-      console.log("👍 Post liked:", postId, likes);
+    "reaction:changed": (change) => {
+      console.log("👍 Reaction changed:", change.postId, change.type);
+      const currentUser = JSON.parse(localStorage.getItem("user") || "{}");
       setPosts((prevPosts) =>
-        prevPosts.map((post) =>
-          post._id === postId ? { ...post, likes } : post
-        )
+        prevPosts.map((post) => applyReactionChange(post, change, currentUser.id || currentUser._id))
       );
-    });
+    },
 
-    // Listen for post unlikes
-    socket.on("post:unliked", ({ postId, likes }) => {
-      console.log("👎 Post unliked:", postId, likes);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) =>
-          post._id === postId ? { ...post, likes } : post
-        )
-      );
-    });
+    "comment:added": ({ postId, commentCount }) => {
+      console.log("💬 Comment added:", postId);
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    // Listen for new comments
-    socket.on("comment:added", ({ postId, comment }) => {
-      console.log("💬 Comment added:", postId, comment);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) =>
-          post._id === postId
-            ? { ...post, comments: [...post.comments, comment] }
-            : post
-        )
-      );
-    });
+    "reply:added": ({ postId, commentCount }) => {
+      console.log("↩️ Reply added:", postId);
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    // Listen for new replies
-    socket.on("reply:added", ({ postId, commentId, reply }) => {
-      console.log("↩️ Reply added:", postId, commentId, reply);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            const updatedComments = post.comments.map((comment) => {
-              if (comment._id === commentId) {
-                return {
-                  ...comment,
-                  replies: [...(comment.replies || []), reply]
-                };
-              }
-              return comment;
-            });
-            return { ...post, comments: updatedComments };
-          }
-          return post;
-        })
-      );
-    });
+    "comment:deleted": ({ postId, commentCount }) => {
+      console.log("🗑️ Comment deleted:", postId);
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    socket.on("comment:deleted", ({ postId, commentId }) => {
-      console.log("🗑️ Comment deleted:", postId, commentId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            return {
-              ...post,
-              comments: post.comments.filter((comment) => comment._id !== commentId)
-            };
-          }
-          return post;
-        })
-      );
-    });
-
-    socket.on("reply:deleted", ({ postId, commentId, replyId }) => {
-      console.log("🗑️ Reply deleted:", postId, commentId, replyId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            const updatedComments = post.comments.map((comment) => {
-              if (comment._id === commentId) {
-                return {
-                  ...comment,
-                  replies: comment.replies.filter((reply) => reply._id !== replyId)
-                };
-              }
-              return comment;
-            });
-            return { ...post, comments: updatedComments };
-          }
-          return post;
-        })
-      );
-    });
+    "reply:deleted": ({ postId, commentCount }) => {
+      console.log("🗑️ Reply deleted:", postId);
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    socket.on("post:deleted", ({ postId }) => {
+    "post:deleted": ({ postId }) => {
       console.log("🗑️ Post deleted:", postId);
       setPosts((prevPosts) => prevPosts.filter(post => post._id !== postId));
-    });
+    },
 
-    socket.on("post:updated", (updatedPost) => {
+    "post:updated": (updatedPost) => {
       console.log("✏️ Post updated:", updatedPost._id);
       setPosts((prevPosts) =>
         prevPosts.map((post) =>
-          post._id === updatedPost._id ? updatedPost : post
+          post._id === updatedPost._id ? keepMyReactions(post, updatedPost) : post
         )
       );
-    });
-
-    // Cleanup on unmount
-    return () => {
-      console.log("🔌 Disconnecting Socket.io");
-      socket.disconnect();
-      cleanupVisibility();
-    };
-  }, []);
+    }
+  });
 
   return (
     <div>
@@ -181,7 +162,18 @@ export default function FeedPage() {
       <div style={{ maxWidth: "800px", margin: "0 auto", padding: "80px 20px 20px 20px" }}>
         {/* Pass setPosts to allow NewPost to update feed immediately */}
         <NewPost setPosts={setPosts} />
+        <TrendingTags />
+        <div style={{ display: "flex", gap: "10px", marginBottom: "20px" }}>
+          <button onClick={() => setFeed("home")} style={tabStyle(feed === "home")}>
+            🏠 Home
+          </button>
+          <button onClick={() => setFeed("global")} style={tabStyle(feed === "global")}>
+            🌍 Global
+          </button>
+        </div>
         <Feed posts={posts} setPosts={setPosts} />
+        <div ref={sentinelRef} />
+        {loadingMore && <p style={{ textAlign: "center", color: "#888" }}>Loading more posts...</p>}
       </div>
     </div>
   );
@@ -0,0 +1,59 @@
+import { useState } from "react";
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState("");
+  const [message, setMessage] = useState("");
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+    setMessage("");
+
+    try {
+      const res = await fetch("/api/auth/forgot-password", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ email }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setMessage(data.message);
+      } else {
+        setError(data.message || "Request failed");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+      console.error("Forgot password error:", err);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: "400px", margin: "50px auto", padding: "20px" }}>
+      <h2>Forgot Password</h2>
+      <p style={{ color: "#666" }}>Enter your email and we'll send you a link to reset your password.</p>
+      {error && <p style={{ color: "red" }}>{error}</p>}
+      {message && <p style={{ color: "green" }}>{message}</p>}
+      <form onSubmit={handleSubmit}>
+        <div style={{ marginBottom: "15px" }}>
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="Email"
+            required
+            style={{ width: "100%", padding: "10px", fontSize: "16px" }}
+          />
+        </div>
+        <button type="submit" style={{ width: "100%", padding: "10px", fontSize: "16px" }}>
+          Send Reset Link
+        </button>
+      </form>
+      <p style={{ marginTop: "15px", textAlign: "center" }}>
+        <a href="/login">Back to login</a>
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { useEffect, useState } from "react";
+import { Navigate, useNavigate, useParams } from "react-router-dom";
+import Navbar from "../components/Navbar";
+import UserProfile from "./UserProfile";
+import { apiFetch } from "../api";
+
+// /@username profiles. A username its owner has since changed, or typed in
+// a different case, is replaced in the address bar by the current one.
+export default function HandleProfile() {
+  const { handle } = useParams();
+  const navigate = useNavigate();
+  const username = handle.startsWith("@") ? handle.slice(1) : null;
+  const [found, setFound] = useState(null);
+
+  useEffect(() => {
+    if (!username) return;
+    const fetchUser = async () => {
+      try {
+        const res = await apiFetch(`/api/users/by-username/${encodeURIComponent(username)}`);
+        if (!res.ok) {
+          setFound({ username, user: null });
+          return;
+        }
+        const user = await res.json();
+        if (user.username !== username) {
+          navigate(`/@${user.username}`, { replace: true });
+        }
+        setFound({ username: user.username, user });
+      } catch (err) {
+        console.error("Error fetching user:", err);
+      }
+    };
+    fetchUser();
+  }, [username, navigate]);
+
+  // Not a /@username path: nothing else lives at the top level
+  if (!username) return <Navigate to="/" replace />;
+
+  if (found && !found.user && found.username === username) {
+    return (
+      <div>
+        <Navbar />
+        <div style={{ maxWidth: "800px", margin: "0 auto", padding: "80px 20px 20px 20px" }}>
+          <p style={{ textAlign: "center", color: "#888" }}>No one is called @{username}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!found?.user) return null;
+  return <UserProfile userId={found.user._id} />;
+}
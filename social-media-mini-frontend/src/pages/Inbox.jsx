@@ -0,0 +1,303 @@
+import { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import Navbar from "../components/Navbar";
+import useInfiniteScroll from "../hooks/useInfiniteScroll";
+import { apiFetch } from "../api";
+import { getMessagingSocket, conversationTitle } from "../messaging";
+
+const buttonStyle = (backgroundColor) => ({
+  padding: "8px 16px",
+  backgroundColor,
+  color: "white",
+  border: "none",
+  borderRadius: "4px",
+  cursor: "pointer"
+});
+
+const inputStyle = { padding: "8px", fontSize: "14px", borderRadius: "4px", border: "1px solid #ccc" };
+
+// Move a conversation to the top of the list, replacing any older copy
+const bump = (conversations, conversation) => [
+  conversation,
+  ...conversations.filter((c) => c._id !== conversation._id)
+];
+
+export default function Inbox() {
+  const [conversations, setConversations] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [creatingGroup, setCreatingGroup] = useState(false);
+  const [groupName, setGroupName] = useState("");
+  const [memberQuery, setMemberQuery] = useState("");
+  const [memberResults, setMemberResults] = useState([]);
+  const [groupMembers, setGroupMembers] = useState([]);
+  const [error, setError] = useState("");
+  const navigate = useNavigate();
+
+  const currentUser = JSON.parse(localStorage.getItem("user") || "{}");
+  const currentUserId = currentUser.id || currentUser._id;
+
+  useEffect(() => {
+    const fetchConversations = async () => {
+      try {
+        const res = await apiFetch("/api/messages/conversations");
+        const data = await res.json();
+        setConversations(data.conversations || []);
+        setNextCursor(data.nextCursor || null);
+      } catch (err) {
+        console.error("Error fetching conversations:", err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchConversations();
+  }, []);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const res = await apiFetch(`/api/messages/conversations?cursor=${encodeURIComponent(nextCursor)}`);
+      const data = await res.json();
+      setConversations((prev) => {
+        const seen = new Set(prev.map((c) => c._id));
+        return [...prev, ...(data.conversations || []).filter((c) => !seen.has(c._id))];
+      });
+      setNextCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error("Error loading more conversations:", err);
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [nextCursor, loadingMore]);
+
+  const sentinelRef = useInfiniteScroll(loadMore, Boolean(nextCursor));
+
+  // Keep the list current as messages arrive
+  useEffect(() => {
+    const socket = getMessagingSocket();
+
+    const onMessage = (message) => {
+      setConversations((prev) => {
+        const conversation = prev.find((c) => c._id === message.conversation);
+        if (!conversation) return prev;
+        return bump(prev, {
+          ...conversation,
+          lastMessage: { ...message, user: message.user._id },
+          lastMessageAt: message.createdAt,
+          unreadCount: message.user._id === currentUserId ? 0 : conversation.unreadCount + 1
+        });
+      });
+    };
+
+    const onCreated = (conversation) => {
+      setConversations((prev) => bump(prev, conversation));
+    };
+
+    const onRead = ({ conversationId, userId }) => {
+      if (userId !== currentUserId) return;
+      setConversations((prev) => prev.map((c) => (c._id === conversationId ? { ...c, unreadCount: 0 } : c)));
+    };
+
+    const onLeft = ({ conversationId, userId }) => {
+      if (userId !== currentUserId) return;
+      setConversations((prev) => prev.filter((c) => c._id !== conversationId));
+    };
+
+    socket.on("message:created", onMessage);
+    socket.on("conversation:created", onCreated);
+    socket.on("message:read", onRead);
+    socket.on("conversation:left", onLeft);
+    return () => {
+      socket.off("message:created", onMessage);
+      socket.off("conversation:created", onCreated);
+      socket.off("message:read", onRead);
+      socket.off("conversation:left", onLeft);
+    };
+  }, [currentUserId]);
+
+  const handleMemberSearch = async (e) => {
+    e.preventDefault();
+    if (!memberQuery.trim()) return;
+    try {
+      const res = await apiFetch(`/api/users/search?q=${encodeURIComponent(memberQuery)}&limit=10`);
+      const data = await res.json();
+      setMemberResults((data.users || []).filter((u) => u._id !== currentUserId));
+    } catch (err) {
+      console.error("Error searching users:", err);
+    }
+  };
+
+  const handleCreateGroup = async () => {
+    setError("");
+    try {
+      const res = await apiFetch("/api/messages/conversations", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ name: groupName, participantIds: groupMembers.map((u) => u._id) }),
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.message || "Could not create group");
+        return;
+      }
+      navigate(`/messages/${data._id}`);
+    } catch (err) {
+      setError("Error connecting to server");
+      console.error("Create group error:", err);
+    }
+  };
+
+  const formatTime = (date) => {
+    const d = new Date(date);
+    return d.toDateString() === new Date().toDateString()
+      ? d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+      : d.toLocaleDateString();
+  };
+
+  return (
+    <div>
+      <Navbar />
+      <div style={{ maxWidth: "600px", margin: "0 auto", padding: "80px 20px 20px 20px" }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+          <h2>Messages</h2>
+          {!creatingGroup && (
+            <button onClick={() => setCreatingGroup(true)} style={buttonStyle("#4267B2")}>
+              👥 New group
+            </button>
+          )}
+        </div>
+
+        {creatingGroup && (
+          <div style={{ backgroundColor: "#f5f5f5", padding: "15px", borderRadius: "8px", marginBottom: "20px" }}>
+            {error && <p style={{ color: "red", margin: "0 0 10px 0" }}>{error}</p>}
+            <input
+              type="text"
+              value={groupName}
+              onChange={(e) => setGroupName(e.target.value)}
+              placeholder="Group name"
+              maxLength={100}
+              style={{ ...inputStyle, width: "100%", boxSizing: "border-box", marginBottom: "10px" }}
+            />
+            <form onSubmit={handleMemberSearch} style={{ display: "flex", gap: "10px", marginBottom: "10px" }}>
+              <input
+                type="text"
+                value={memberQuery}
+                onChange={(e) => setMemberQuery(e.target.value)}
+                placeholder="Find people to add..."
+                style={{ ...inputStyle, flex: 1 }}
+              />
+              <button type="submit" style={buttonStyle("#4267B2")}>🔍</button>
+            </form>
+            {memberResults.map((u) => (
+              <div key={u._id} style={{ display: "flex", justifyContent: "space-between", alignItems: "center", padding: "5px 0" }}>
+                <span>{u.firstName} {u.lastName}</span>
+                <button
+                  type="button"
+                  disabled={groupMembers.some((m) => m._id === u._id)}
+                  onClick={() => setGroupMembers((prev) => [...prev, u])}
+                  style={{ ...buttonStyle("#28a745"), padding: "4px 10px" }}
+                >
+                  Add
+                </button>
+              </div>
+            ))}
+            {groupMembers.length > 0 && (
+              <div style={{ display: "flex", flexWrap: "wrap", gap: "5px", margin: "10px 0" }}>
+                {groupMembers.map((u) => (
+                  <span
+                    key={u._id}
+                    onClick={() => setGroupMembers((prev) => prev.filter((m) => m._id !== u._id))}
+                    style={{ padding: "3px 8px", backgroundColor: "#e4e6eb", borderRadius: "12px", cursor: "pointer", fontSize: "13px" }}
+                  >
+                    {u.firstName} {u.lastName} ✕
+                  </span>
+                ))}
+              </div>
+            )}
+            <div style={{ display: "flex", gap: "10px", marginTop: "10px" }}>
+              <button
+                onClick={handleCreateGroup}
+                disabled={!groupName.trim() || groupMembers.length === 0}
+                style={buttonStyle("#28a745")}
+              >
+                Create group
+              </button>
+              <button
+                onClick={() => {
+                  setCreatingGroup(false);
+                  setGroupName("");
+                  setMemberQuery("");
+                  setMemberResults([]);
+                  setGroupMembers([]);
+                  setError("");
+                }}
+                style={buttonStyle("#6c757d")}
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        )}
+
+        {loading ? (
+          <p style={{ textAlign: "center" }}>Loading...</p>
+        ) : conversations.length === 0 ? (
+          <p style={{ textAlign: "center", color: "#888" }}>
+            No conversations yet. Open someone's profile and click "Message" to start one.
+          </p>
+        ) : (
+          conversations.map((conversation) => (
+            <div
+              key={conversation._id}
+              onClick={() => navigate(`/messages/${conversation._id}`)}
+              style={{
+                border: "1px solid #ddd",
+                padding: "15px",
+                marginBottom: "10px",
+                borderRadius: "8px",
+                backgroundColor: conversation.unreadCount > 0 ? "#eef3ff" : "#fff",
+                cursor: "pointer",
+                display: "flex",
+                justifyContent: "space-between",
+                alignItems: "center",
+                gap: "10px"
+              }}
+            >
+              <div style={{ minWidth: 0 }}>
+                <h4 style={{ margin: "0 0 5px 0" }}>
+                  {conversation.type === "group" ? "👥 " : ""}{conversationTitle(conversation, currentUserId)}
+                </h4>
+                <p style={{ margin: 0, color: "#666", whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                  {conversation.lastMessage
+                    ? `${conversation.lastMessage.user === currentUserId ? "You: " : ""}${conversation.lastMessage.text}`
+                    : "No messages yet"}
+                </p>
+              </div>
+              <div style={{ textAlign: "right", flexShrink: 0 }}>
+                <small style={{ color: "#888" }}>{formatTime(conversation.lastMessageAt)}</small>
+                {conversation.unreadCount > 0 && (
+                  <div style={{
+                    marginTop: "5px",
+                    padding: "1px 7px",
+                    backgroundColor: "#4267B2",
+                    color: "white",
+                    borderRadius: "10px",
+                    fontSize: "12px",
+                    display: "inline-block"
+                  }}>
+                    {conversation.unreadCount}
+                  </div>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+        <div ref={sentinelRef} />
+        {loadingMore && <p style={{ textAlign: "center", color: "#888" }}>Loading more...</p>}
+      </div>
+    </div>
+  );
+}
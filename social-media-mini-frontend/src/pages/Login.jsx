@@ -1,11 +1,21 @@
 import { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useLocation } from "react-router-dom";
 
 export default function Login() {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [error, setError] = useState("");
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState("");
   const navigate = useNavigate();
+  const location = useLocation();
+
+  const completeLogin = (data) => {
+    localStorage.setItem("token", data.token);
+    localStorage.setItem("refreshToken", data.refreshToken);
+    localStorage.setItem("user", JSON.stringify(data.user));
+    navigate("/feed");
+  };
 
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -21,10 +31,10 @@ export default function Login() {
       const data = await res.json();
       console.log("Login response:", data);
 
-      if (res.ok) {
-        localStorage.setItem("token", data.token);
-        localStorage.setItem("user", JSON.stringify(data.user));
-        navigate("/feed");
+      if (res.ok && data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+      } else if (res.ok) {
+        completeLogin(data);
       } else {
         setError(data.message || "Login failed");
       }
@@ -34,9 +44,70 @@ export default function Login() {
     }
   };
 
+  const handleVerifyCode = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    try {
+      const res = await fetch("/api/auth/2fa/verify", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ challengeToken, code }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        completeLogin(data);
+      } else if (data.challengeExpired) {
+        setChallengeToken(null);
+        setCode("");
+        setError(data.message);
+      } else {
+        setError(data.message || "Verification failed");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+      console.error("2FA verify error:", err);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div style={{ maxWidth: "400px", margin: "50px auto", padding: "20px" }}>
+        <h2>Two-Factor Authentication</h2>
+        <p style={{ color: "#666" }}>Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+        {error && <p style={{ color: "red" }}>{error}</p>}
+        <form onSubmit={handleVerifyCode}>
+          <div style={{ marginBottom: "15px" }}>
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="123456"
+              autoComplete="one-time-code"
+              autoFocus
+              required
+              style={{ width: "100%", padding: "10px", fontSize: "16px" }}
+            />
+          </div>
+          <button type="submit" style={{ width: "100%", padding: "10px", fontSize: "16px" }}>
+            Verify
+          </button>
+        </form>
+        <p style={{ marginTop: "15px", textAlign: "center" }}>
+          <a href="/login" onClick={(e) => { e.preventDefault(); setChallengeToken(null); setCode(""); setError(""); }}>
+            Back to login
+          </a>
+        </p>
+      </div>
+    );
+  }
+
   return (
     <div style={{ maxWidth: "400px", margin: "50px auto", padding: "20px" }}>
       <h2>Login</h2>
+      {location.state?.message && !error && <p style={{ color: "green" }}>{location.state.message}</p>}
       {error && <p style={{ color: "red" }}>{error}</p>}
       <form onSubmit={handleLogin}>
         <div style={{ marginBottom: "15px" }}>
@@ -63,6 +134,9 @@ export default function Login() {
           Login
         </button>
       </form>
+      <p style={{ marginTop: "15px", textAlign: "center" }}>
+        <a href="/forgot-password">Forgot password?</a>
+      </p>
       <p style={{ marginTop: "15px", textAlign: "center" }}>
         Don't have an account? <a href="/register">Register</a>
       </p>
@@ -0,0 +1,115 @@
+import { useState, useEffect, useCallback } from "react";
+import { useParams, Link } from "react-router-dom";
+import PostItem from "../components/PostItem";
+import Navbar from "../components/Navbar";
+import usePostSocket from "../hooks/usePostSocket";
+import { apiFetch } from "../api";
+import { applyReactionChange, keepMyReactions } from "../reactions";
+import { withCommentCount } from "../comments";
+
+// A single post with its comments. On a comment's permalink the comments
+// open at the thread leading to it, which is scrolled to and highlighted.
+export default function PostPage() {
+  const { postId, commentId } = useParams();
+  const [posts, setPosts] = useState([]);
+  const [focus, setFocus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const currentUser = JSON.parse(localStorage.getItem("user") || "{}");
+  const currentUserId = currentUser.id || currentUser._id;
+
+  const fetchPost = useCallback(async () => {
+    try {
+      const res = await apiFetch(commentId ? `/api/posts/${postId}/comments/${commentId}` : `/api/posts/${postId}`);
+      const data = await res.json();
+      if (!res.ok) {
+        setError(data.message || "Post not found");
+        return;
+      }
+      if (commentId) {
+        setPosts([data.post]);
+        setFocus({ comment: data.comment, ancestors: data.ancestors });
+      } else {
+        setPosts([data]);
+        setFocus(null);
+      }
+      setError("");
+    } catch (err) {
+      console.error("Error fetching post:", err);
+      setError("Error loading post");
+    } finally {
+      setLoading(false);
+    }
+  }, [postId, commentId]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchPost();
+  }, [fetchPost]);
+
+  // Socket.io for real-time updates of the post; its comment section keeps
+  // its own comments up to date
+  usePostSocket({ posts: [postId] }, posts, {
+    "resync:required": fetchPost,
+
+    "reaction:changed": (change) => {
+      setPosts((prevPosts) => prevPosts.map((post) => applyReactionChange(post, change, currentUserId)));
+    },
+
+    "comment:added": ({ postId, commentCount }) => {
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
+
+    "reply:added": ({ postId, commentCount }) => {
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
+
+    "comment:deleted": ({ postId, commentCount }) => {
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
+
+    "reply:deleted": ({ postId, commentCount }) => {
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
+
+    "post:deleted": () => {
+      setPosts([]);
+      setError("This post has been deleted");
+    },
+
+    "post:updated": (updatedPost) => {
+      setPosts((prevPosts) => prevPosts.map((post) => (post._id === updatedPost._id ? keepMyReactions(post, updatedPost) : post)));
+    }
+  });
+
+  return (
+    <div>
+      <Navbar />
+      <div style={{ maxWidth: "800px", margin: "0 auto", padding: "80px 20px 20px 20px" }}>
+        {loading ? (
+          <p>Loading...</p>
+        ) : error ? (
+          <div>
+            <p>{error}</p>
+            <Link to="/feed">Back to feed</Link>
+          </div>
+        ) : (
+          posts.map((post) => (
+            <PostItem
+              key={commentId || postId}
+              post={post}
+              focusComment={focus}
+              commentsOpen
+              onDelete={() => {
+                setPosts([]);
+                setError("This post has been deleted");
+              }}
+              onUpdate={(updatedPost) => setPosts([updatedPost])}
+            />
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
@@ -1,24 +1,36 @@
-import { useState, useEffect } from "react";
+import { useState, useEffect, useCallback } from "react";
 import { useNavigate } from "react-router-dom";
-import { io } from "socket.io-client";
 import PostItem from "../components/PostItem";
 import Navbar from "../components/Navbar";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+import AccountSettings from "../components/AccountSettings";
+import useInfiniteScroll from "../hooks/useInfiniteScroll";
+import usePostSocket from "../hooks/usePostSocket";
+import { apiFetch, clearSession, logoutAllSessions, uploadImage } from "../api";
+import { applyReactionChange, keepMyReactions } from "../reactions";
+import { withCommentCount } from "../comments";
 
 export default function Profile() {
   const [user, setUser] = useState(null);
   const [posts, setPosts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(true);
   const [isEditing, setIsEditing] = useState(false);
   const [formData, setFormData] = useState({
     firstName: "",
     lastName: "",
+    username: "",
     bio: "",
     profilePic: ""
   });
   const [updateMessage, setUpdateMessage] = useState("");
   const [imagePreview, setImagePreview] = useState("");
   const [selectedFile, setSelectedFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
   const [uploadMethod, setUploadMethod] = useState("url");
+  const [verificationMessage, setVerificationMessage] = useState("");
+  const emailVerified = JSON.parse(localStorage.getItem("user") || "{}").emailVerified;
   const navigate = useNavigate();
 
   useEffect(() => {
@@ -31,9 +43,8 @@ export default function Profile() {
         }
 
         // Fetch user profile
-        const userRes = await fetch("/api/users/me", {
+        const userRes = await apiFetch("/api/users/me", {
           headers: {
-            Authorization: `Bearer ${token}`,
             'Cache-Control': 'no-cache',
             'Pragma': 'no-cache'
           },
@@ -41,8 +52,7 @@ export default function Profile() {
         
         if (!userRes.ok) {
           if (userRes.status === 401) {
-            localStorage.removeItem("token");
-            localStorage.removeItem("user");
+            clearSession();
             navigate("/login");
             return;
           }
@@ -54,15 +64,15 @@ export default function Profile() {
         setFormData({
           firstName: userData.firstName,
           lastName: userData.lastName,
+          username: userData.username || "",
           bio: userData.bio || "",
           profilePic: userData.profilePic || ""
         });
         setImagePreview(userData.profilePic || "");
 
         // Fetch user's posts
-        const postsRes = await fetch("/api/users/me/posts", {
+        const postsRes = await apiFetch("/api/users/me/posts", {
           headers: {
-            Authorization: `Bearer ${token}`,
             'Cache-Control': 'no-cache',
             'Pragma': 'no-cache'
           },
@@ -70,11 +80,12 @@ export default function Profile() {
         
         if (postsRes.ok) {
           const postsData = await postsRes.json();
-          // Ensure postsData is an array
-          setPosts(Array.isArray(postsData) ? postsData : []);
+          setPosts(postsData.posts || []);
+          setNextCursor(postsData.nextCursor);
         } else {
           console.error("Failed to fetch posts:", postsRes.status);
           setPosts([]);
+          setNextCursor(null);
         }
         
         setLoading(false);
@@ -101,16 +112,21 @@ export default function Profile() {
   }, [navigate, isEditing]);
 
   // Socket.io for real-time updates
-  useEffect(() => {
-    if (!user) return;
-
-    const socket = io("http://localhost:3003");
-
-    socket.on("connect", () => {
-      console.log("🔌 Profile: Socket.io connected");
-    });
+  usePostSocket(user ? { author: user._id } : null, posts, {
+    // Missed too much while disconnected to catch up event by event
+    "resync:required": async () => {
+      try {
+        const postsRes = await apiFetch("/api/users/me/posts");
+        if (!postsRes.ok) return;
+        const postsData = await postsRes.json();
+        setPosts(postsData.posts || []);
+        setNextCursor(postsData.nextCursor);
+      } catch (err) {
+        console.error("Error fetching posts:", err);
+      }
+    },
 
-    socket.on("post:created", (newPost) => {
+    "post:created": (newPost) => {
       console.log("🆕 Profile: New post received", newPost);
       // Only add if it's the current user's post
       if (newPost.user._id === user._id) {
@@ -120,117 +136,70 @@ export default function Profile() {
           return [newPost, ...prevPosts];
         });
       }
-    });
-
-    socket.on("post:liked", ({ postId, likes }) => {
-      console.log("👍 Profile: Post liked", postId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) =>
-          post._id === postId ? { ...post, likes } : post
-        )
-      );
-    });
+    },
 
-    socket.on("post:unliked", ({ postId, likes }) => {
-      console.log("👎 Profile: Post unliked", postId);
+    "reaction:changed": (change) => {
+      console.log("👍 Profile: Reaction changed", change.postId, change.type);
       setPosts((prevPosts) =>
-        prevPosts.map((post) =>
-          post._id === postId ? { ...post, likes } : post
-        )
+        prevPosts.map((post) => applyReactionChange(post, change, user._id))
       );
-    });
+    },
 
-    socket.on("comment:added", ({ postId, comment }) => {
+    "comment:added": ({ postId, commentCount }) => {
       console.log("💬 Profile: Comment added", postId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            return {
-              ...post,
-              comments: [...post.comments, comment]
-            };
-          }
-          return post;
-        })
-      );
-    });
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    socket.on("reply:added", ({ postId, commentId, reply }) => {
-      console.log("↩️ Profile: Reply added", postId, commentId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            const updatedComments = post.comments.map((comment) => {
-              if (comment._id === commentId) {
-                return {
-                  ...comment,
-                  replies: [...(comment.replies || []), reply]
-                };
-              }
-              return comment;
-            });
-            return { ...post, comments: updatedComments };
-          }
-          return post;
-        })
-      );
-    });
+    "reply:added": ({ postId, commentCount }) => {
+      console.log("↩️ Profile: Reply added", postId);
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    socket.on("comment:deleted", ({ postId, commentId }) => {
-      console.log("🗑️ Profile: Comment deleted", postId, commentId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            return {
-              ...post,
-              comments: post.comments.filter((comment) => comment._id !== commentId)
-            };
-          }
-          return post;
-        })
-      );
-    });
+    "comment:deleted": ({ postId, commentCount }) => {
+      console.log("🗑️ Profile: Comment deleted", postId);
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    socket.on("reply:deleted", ({ postId, commentId, replyId }) => {
-      console.log("🗑️ Profile: Reply deleted", postId, commentId, replyId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            const updatedComments = post.comments.map((comment) => {
-              if (comment._id === commentId) {
-                return {
-                  ...comment,
-                  replies: comment.replies.filter((reply) => reply._id !== replyId)
-                };
-              }
-              return comment;
-            });
-            return { ...post, comments: updatedComments };
-          }
-          return post;
-        })
-      );
-    });
+    "reply:deleted": ({ postId, commentCount }) => {
+      console.log("🗑️ Profile: Reply deleted", postId);
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    socket.on("post:deleted", ({ postId }) => {
+    "post:deleted": ({ postId }) => {
       console.log("🗑️ Profile: Post deleted", postId);
       setPosts((prevPosts) => prevPosts.filter(post => post._id !== postId));
-    });
+    },
 
-    socket.on("post:updated", (updatedPost) => {
+    "post:updated": (updatedPost) => {
       console.log("✏️ Profile: Post updated", updatedPost._id);
       setPosts((prevPosts) =>
         prevPosts.map((post) =>
-          post._id === updatedPost._id ? updatedPost : post
+          post._id === updatedPost._id ? keepMyReactions(post, updatedPost) : post
         )
       );
-    });
+    }
+  });
 
-    return () => {
-      console.log("🔌 Profile: Disconnecting Socket.io");
-      socket.disconnect();
-    };
-  }, [user]);
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const res = await apiFetch(`/api/users/me/posts?cursor=${encodeURIComponent(nextCursor)}`);
+      if (res.ok) {
+        const data = await res.json();
+        setPosts((prevPosts) => {
+          const seen = new Set(prevPosts.map(p => p._id));
+          return [...prevPosts, ...data.posts.filter(p => !seen.has(p._id))];
+        });
+        setNextCursor(data.nextCursor);
+      }
+    } catch (err) {
+      console.error("Error fetching more posts:", err);
+    }
+    setLoadingMore(false);
+  }, [nextCursor, loadingMore]);
+
+  const sentinelRef = useInfiniteScroll(loadMore, !!nextCursor && !loadingMore);
 
   const handleEditToggle = () => {
     setIsEditing(!isEditing);
@@ -250,7 +219,7 @@ export default function Profile() {
     }
   };
 
-  const handleFileChange = (e) => {
+  const handleFileChange = async (e) => {
     const file = e.target.files[0];
     if (file) {
       // Validate file type
@@ -267,20 +236,20 @@ export default function Profile() {
         return;
       }
       
-      setSelectedFile(file);
-      setUpdateMessage("✅ Image selected: " + file.name);
-      setTimeout(() => setUpdateMessage(""), 3000);
-      
-      // Create preview
-      const reader = new FileReader();
-      reader.onloadend = () => {
-        setImagePreview(reader.result);
-        setFormData({
-          ...formData,
-          profilePic: reader.result
-        });
-      };
-      reader.readAsDataURL(file);
+      // Upload now; the profile only stores the picture's URL
+      setUploading(true);
+      try {
+        const media = await uploadImage(file);
+        setSelectedFile(file);
+        setImagePreview(media.thumbnailUrl);
+        setFormData((prev) => ({ ...prev, profilePic: media.thumbnailUrl }));
+        setUpdateMessage("✅ Image uploaded: " + file.name);
+      } catch (err) {
+        setUpdateMessage("❌ " + err.message);
+      } finally {
+        setUploading(false);
+        setTimeout(() => setUpdateMessage(""), 3000);
+      }
     }
   };
 
@@ -289,31 +258,33 @@ export default function Profile() {
     setUpdateMessage("");
 
     try {
-      const token = localStorage.getItem("token");
-      
       console.log("Updating profile with data:", {
         firstName: formData.firstName,
         lastName: formData.lastName,
+        username: formData.username,
         bio: formData.bio,
-        profilePicLength: formData.profilePic?.length || 0
+        profilePic: formData.profilePic
       });
       
-      const res = await fetch("/api/users/me", {
+      const res = await apiFetch("/api/users/me", {
         method: "PUT",
         headers: {
           "Content-Type": "application/json",
-          Authorization: `Bearer ${token}`,
         },
-        body: JSON.stringify(formData),
+        // Accounts from before usernames keep none until they pick one
+        body: JSON.stringify({ ...formData, username: formData.username || undefined }),
       });
 
       const data = await res.json();
 
       if (res.ok) {
         setUser(data);
+        const stored = JSON.parse(localStorage.getItem("user") || "{}");
+        localStorage.setItem("user", JSON.stringify({ ...stored, username: data.username }));
         setFormData({
           firstName: data.firstName,
           lastName: data.lastName,
+          username: data.username || "",
           bio: data.bio || "",
           profilePic: data.profilePic || ""
         });
@@ -323,19 +294,22 @@ export default function Profile() {
         setTimeout(() => setUpdateMessage(""), 3000);
         
         // Refresh posts to show updated profile picture
-        const postsRes = await fetch("/api/users/me/posts", {
+        const postsRes = await apiFetch("/api/users/me/posts", {
           headers: {
-            Authorization: `Bearer ${token}`,
             'Cache-Control': 'no-cache',
             'Pragma': 'no-cache'
           },
         });
         if (postsRes.ok) {
           const postsData = await postsRes.json();
-          setPosts(Array.isArray(postsData) ? postsData : []);
+          setPosts(postsData.posts || []);
+          setNextCursor(postsData.nextCursor);
         }
       } else {
-        setUpdateMessage("❌ " + (data.message || "Update failed"));
+        const nextChange = data.nextChangeAt
+          ? ` You can change it again on ${new Date(data.nextChangeAt).toLocaleDateString()}.`
+          : "";
+        setUpdateMessage("❌ " + (data.message || "Update failed") + nextChange);
       }
     } catch (err) {
       setUpdateMessage("❌ Error updating profile");
@@ -343,6 +317,23 @@ export default function Profile() {
     }
   };
 
+  const handleResendVerification = async () => {
+    try {
+      const res = await apiFetch("/api/auth/resend-verification", { method: "POST" });
+      const data = await res.json();
+      setVerificationMessage(res.ok ? "Verification email sent. Check your inbox." : data.message);
+    } catch (err) {
+      setVerificationMessage("Error sending verification email");
+      console.error("Resend verification error:", err);
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    if (!window.confirm("Log out of all devices?")) return;
+    await logoutAllSessions();
+    navigate("/login");
+  };
+
   if (loading) {
     return <div style={{ padding: "20px", textAlign: "center" }}>Loading...</div>;
   }
@@ -406,10 +397,15 @@ export default function Profile() {
               <h1 style={{ margin: "0 0 10px 0" }}>
                 {user?.firstName} {user?.lastName}
               </h1>
+              {user?.username && <p style={{ margin: "0 0 5px 0", color: "#666", fontWeight: "bold" }}>@{user.username}</p>}
               <p style={{ margin: "0", color: "#666" }}>{user?.email}</p>
               {user?.bio && <p style={{ margin: "10px 0", color: "#555", fontStyle: "italic" }}>{user.bio}</p>}
               <p style={{ margin: "10px 0 0 0", color: "#888" }}>
-                {posts.length} {posts.length === 1 ? "post" : "posts"}
+                {posts.length}{nextCursor ? "+" : ""} {posts.length === 1 && !nextCursor ? "post" : "posts"}
+                {" · "}
+                <strong>{user?.followersCount || 0}</strong> {user?.followersCount === 1 ? "follower" : "followers"}
+                {" · "}
+                <strong>{user?.followingCount || 0}</strong> following
               </p>
             </div>
           </div>
@@ -597,6 +593,21 @@ export default function Profile() {
                   style={{ width: "100%", padding: "10px", fontSize: "16px" }}
                 />
               </div>
+              <div style={{ marginBottom: "15px" }}>
+                <label style={{ display: "block", marginBottom: "5px", fontWeight: "bold" }}>Username</label>
+                <input
+                  type="text"
+                  name="username"
+                  value={formData.username}
+                  onChange={handleChange}
+                  pattern="[a-zA-Z0-9_]{3,30}"
+                  title="3-30 letters, digits or underscores"
+                  style={{ width: "100%", padding: "10px", fontSize: "16px" }}
+                />
+                <small style={{ color: "#666", fontSize: "12px", display: "block", marginTop: "5px" }}>
+                  You can change it once a month. Links to your old username keep working until someone else takes it.
+                </small>
+              </div>
               <div style={{ marginBottom: "15px" }}>
                 <label style={{ display: "block", marginBottom: "5px", fontWeight: "bold" }}>Bio</label>
                 <textarea
@@ -609,8 +620,8 @@ export default function Profile() {
                 />
               </div>
               <div style={{ display: "flex", gap: "10px" }}>
-                <button type="submit" style={{ padding: "10px 20px", backgroundColor: "#28a745", color: "white", border: "none", borderRadius: "4px", cursor: "pointer" }}>
-                  Save Changes
+                <button type="submit" disabled={uploading} style={{ padding: "10px 20px", backgroundColor: "#28a745", color: "white", border: "none", borderRadius: "4px", cursor: uploading ? "not-allowed" : "pointer" }}>
+                  {uploading ? "Uploading..." : "Save Changes"}
                 </button>
                 <button type="button" onClick={handleEditToggle} style={{ padding: "10px 20px", cursor: "pointer" }}>
                   Cancel
@@ -621,6 +632,48 @@ export default function Profile() {
         )}
       </div>
 
+      {/* Security */}
+      {emailVerified === false && (
+        <div style={{ 
+          backgroundColor: "#fff3cd", 
+          padding: "15px 30px", 
+          borderRadius: "8px", 
+          marginBottom: "15px",
+          display: "flex",
+          justifyContent: "space-between",
+          alignItems: "center"
+        }}>
+          <span>{verificationMessage || "Your email address isn't confirmed yet."}</span>
+          <button
+            onClick={handleResendVerification}
+            style={{ padding: "8px 16px", backgroundColor: "#4267B2", color: "white", border: "none", borderRadius: "4px", cursor: "pointer", whiteSpace: "nowrap" }}
+          >
+            Resend email
+          </button>
+        </div>
+      )}
+      <div style={{ 
+        backgroundColor: "#f5f5f5", 
+        padding: "20px 30px", 
+        borderRadius: "8px", 
+        marginBottom: "30px"
+      }}>
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: "20px" }}>
+          <div>
+            <h3 style={{ margin: "0 0 5px 0" }}>Security</h3>
+            <p style={{ margin: 0, color: "#666" }}>Signed in somewhere you don't recognize? End every session, including this one.</p>
+          </div>
+          <button
+            onClick={handleLogoutAll}
+            style={{ padding: "10px 20px", backgroundColor: "#dc3545", color: "white", border: "none", borderRadius: "4px", cursor: "pointer", whiteSpace: "nowrap" }}
+          >
+            Log out of all devices
+          </button>
+        </div>
+        <TwoFactorSettings />
+        <AccountSettings onEmailChanged={(email) => setUser((prev) => ({ ...prev, email }))} />
+      </div>
+
       {/* User's Posts */}
       <div>
         <h2>My Posts</h2>
@@ -638,6 +691,8 @@ export default function Profile() {
             />
           ))
         )}
+        <div ref={sentinelRef} />
+        {loadingMore && <p style={{ textAlign: "center", color: "#888" }}>Loading more posts...</p>}
       </div>
       </div>
     </div>
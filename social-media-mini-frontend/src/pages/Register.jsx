@@ -5,6 +5,7 @@ export default function Register() {
   const [formData, setFormData] = useState({
     firstName: "",
     lastName: "",
+    username: "",
     email: "",
     password: "",
   });
@@ -35,7 +36,7 @@ export default function Register() {
 
       if (res.ok) {
         // Registration successful, redirect to login
-        navigate("/login");
+        navigate("/login", { state: { message: "Account created. Check your email to confirm your address, then log in." } });
       } else {
         setError(data.message || "Registration failed");
       }
@@ -72,6 +73,20 @@ export default function Register() {
             style={{ width: "100%", padding: "10px", fontSize: "16px" }}
           />
         </div>
+        <div style={{ marginBottom: "15px" }}>
+          <input
+            type="text"
+            name="username"
+            placeholder="Username"
+            value={formData.username}
+            onChange={handleChange}
+            required
+            pattern="[a-zA-Z0-9_]{3,30}"
+            title="3-30 letters, digits or underscores"
+            autoComplete="username"
+            style={{ width: "100%", padding: "10px", fontSize: "16px" }}
+          />
+        </div>
         <div style={{ marginBottom: "15px" }}>
           <input
             type="email"
@@ -0,0 +1,90 @@
+import { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { clearSession } from "../api";
+
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [error, setError] = useState("");
+  const navigate = useNavigate();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+
+    try {
+      const res = await fetch("/api/auth/reset-password", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ token, password }),
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        // Every session was revoked, including any in this browser
+        clearSession();
+        navigate("/login", { state: { message: "Password reset. Log in with your new password." } });
+      } else {
+        setError(data.message || "Password reset failed");
+      }
+    } catch (err) {
+      setError("Error connecting to server");
+      console.error("Reset password error:", err);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div style={{ maxWidth: "400px", margin: "50px auto", padding: "20px" }}>
+        <h2>Reset Password</h2>
+        <p style={{ color: "red" }}>This reset link is invalid.</p>
+        <p><a href="/forgot-password">Request a new link</a></p>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ maxWidth: "400px", margin: "50px auto", padding: "20px" }}>
+      <h2>Reset Password</h2>
+      {error && <p style={{ color: "red" }}>{error}</p>}
+      <form onSubmit={handleSubmit}>
+        <div style={{ marginBottom: "15px" }}>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="New password"
+            required
+            style={{ width: "100%", padding: "10px", fontSize: "16px" }}
+          />
+        </div>
+        <div style={{ marginBottom: "15px" }}>
+          <input
+            type="password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            placeholder="Confirm new password"
+            required
+            style={{ width: "100%", padding: "10px", fontSize: "16px" }}
+          />
+        </div>
+        <button type="submit" style={{ width: "100%", padding: "10px", fontSize: "16px" }}>
+          Reset Password
+        </button>
+      </form>
+      {error && (
+        <p style={{ marginTop: "15px", textAlign: "center" }}>
+          <a href="/forgot-password">Request a new link</a>
+        </p>
+      )}
+    </div>
+  );
+}
@@ -1,19 +1,93 @@
 import { useState, useEffect, useCallback } from "react";
-import { useNavigate } from "react-router-dom";
+import { Link, useNavigate } from "react-router-dom";
 import Navbar from "../components/Navbar";
+import useInfiniteScroll from "../hooks/useInfiniteScroll";
+import { apiFetch, clearSession } from "../api";
+import { profilePath } from "../users";
+
+// Per tab: where to search, which key of the response holds the results,
+// and how to name them
+const TABS = {
+  people: { label: "People", path: "/api/users/search", key: "users", noun: ["user", "users"] },
+  posts: { label: "Posts", path: "/api/posts/search", key: "posts", noun: ["post", "posts"] },
+};
+
+const inputStyle = {
+  padding: "8px",
+  fontSize: "14px",
+  borderRadius: "4px",
+  border: "1px solid #ccc"
+};
+
+// A post search result, with the words that matched marked
+function PostResult({ post }) {
+  return (
+    <div style={{ border: "1px solid #ddd", padding: "15px", marginBottom: "10px", borderRadius: "8px", backgroundColor: "#fff" }}>
+      <div style={{ marginBottom: "8px", fontSize: "14px" }}>
+        <Link to={profilePath(post.user)} style={{ color: "#333", fontWeight: "bold", textDecoration: "none" }}>
+          {post.user?.firstName} {post.user?.lastName}
+        </Link>
+        {post.user?.username && <span style={{ color: "#888" }}> @{post.user.username}</span>}
+        <Link
+          to={`/post/${post._id}`}
+          style={{ color: "#888", fontSize: "12px", marginLeft: "10px", textDecoration: "none" }}
+        >
+          {new Date(post.createdAt).toLocaleDateString()}
+        </Link>
+      </div>
+      <p style={{ margin: 0, whiteSpace: "pre-wrap" }}>
+        {post.highlight.map((run, i) => (run.match
+          ? <mark key={i} style={{ backgroundColor: "#fff3b0", padding: 0 }}>{run.text}</mark>
+          : <span key={i}>{run.text}</span>
+        ))}
+      </p>
+      <Link to={`/post/${post._id}`} style={{ display: "inline-block", marginTop: "8px", color: "#4267B2", fontSize: "14px", textDecoration: "none" }}>
+        View post →
+      </Link>
+    </div>
+  );
+}
 
 export default function Search() {
+  const [tab, setTab] = useState("people");
   const [query, setQuery] = useState("");
+  // Posts tab filters: an @username and a date range. Changing one searches
+  // again, like typing in the search box.
+  const [author, setAuthor] = useState("");
+  const [since, setSince] = useState("");
+  const [until, setUntil] = useState("");
+  // Query string of the current search, for loading more of it
+  const [searchParams, setSearchParams] = useState(null);
   const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(false);
   const [searched, setSearched] = useState(false);
   const [error, setError] = useState("");
   const navigate = useNavigate();
 
+  const { path, key, noun } = TABS[tab];
+
+  // Search parameters for the posts filters; the author's username is looked
+  // up to get their id. Null if there is no such user.
+  const postFilters = useCallback(async () => {
+    const params = {};
+    const username = author.trim().replace(/^@/, "");
+    if (username) {
+      const res = await apiFetch(`/api/users/by-username/${encodeURIComponent(username)}`);
+      if (!res.ok) return null;
+      params.author = (await res.json())._id;
+    }
+    if (since) params.since = since;
+    if (until) params.until = until;
+    return params;
+  }, [author, since, until]);
+
   // Debounced search function
   const performSearch = useCallback(async (searchQuery) => {
     if (!searchQuery.trim()) {
       setResults([]);
+      setNextCursor(null);
       setSearched(false);
       return;
     }
@@ -25,36 +99,77 @@ export default function Search() {
     try {
       const token = localStorage.getItem("token");
       if (!token) {
-        setError("Please login to search users");
+        setError(`Please login to search ${noun[1]}`);
         setLoading(false);
         return;
       }
 
-      const res = await fetch(`/api/users/search?q=${encodeURIComponent(searchQuery)}`, {
-        headers: {
-          Authorization: `Bearer ${token}`,
-        },
-      });
+      const filters = tab === "posts" ? await postFilters() : {};
+      if (!filters) {
+        setResults([]);
+        setNextCursor(null);
+        setError(`No one is called @${author.trim().replace(/^@/, "")}`);
+        setLoading(false);
+        return;
+      }
+
+      const params = new URLSearchParams({ q: searchQuery, ...filters });
+      const res = await apiFetch(`${path}?${params}`);
 
       if (!res.ok) {
         if (res.status === 401) {
-          localStorage.removeItem("token");
-          localStorage.removeItem("user");
+          clearSession();
           navigate("/login");
           return;
         }
-        throw new Error("Failed to search users");
+        throw new Error(`Failed to search ${noun[1]}`);
       }
 
       const data = await res.json();
-      setResults(Array.isArray(data) ? data : []);
+      setResults(data[key] || []);
+      setNextCursor(data.nextCursor || null);
+      setSearchParams(params);
       setLoading(false);
     } catch (err) {
-      console.error("Error searching users:", err);
-      setError("Error searching users. Please try again.");
+      console.error(`Error searching ${noun[1]}:`, err);
+      setError(`Error searching ${noun[1]}. Please try again.`);
       setLoading(false);
     }
-  }, [navigate]);
+  }, [navigate, tab, path, key, noun, author, postFilters]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore || !searchParams) return;
+    setLoadingMore(true);
+    try {
+      const params = new URLSearchParams(searchParams);
+      params.set("cursor", nextCursor);
+      const res = await apiFetch(`${path}?${params}`);
+      if (res.ok) {
+        const data = await res.json();
+        setResults((prevResults) => {
+          const seen = new Set(prevResults.map(r => r._id));
+          return [...prevResults, ...data[key].filter(r => !seen.has(r._id))];
+        });
+        setNextCursor(data.nextCursor);
+      }
+    } catch (err) {
+      console.error("Error fetching more results:", err);
+    }
+    setLoadingMore(false);
+  }, [path, key, searchParams, nextCursor, loadingMore]);
+
+  const sentinelRef = useInfiniteScroll(loadMore, !!nextCursor && !loadingMore);
+
+  // Results from the other tab don't carry over
+  const switchTab = (next) => {
+    if (next === tab) return;
+    setTab(next);
+    setResults([]);
+    setNextCursor(null);
+    setSearchParams(null);
+    setSearched(false);
+    setError("");
+  };
 
   // Debounce effect for live search
   useEffect(() => {
@@ -63,6 +178,7 @@ export default function Search() {
         performSearch(query);
       } else if (query.length === 0) {
         setResults([]);
+        setNextCursor(null);
         setSearched(false);
       }
     }, 500); // Wait 500ms after user stops typing
@@ -77,21 +193,41 @@ export default function Search() {
     }
   };
 
-  const viewUserProfile = (userId) => {
-    navigate(`/user/${userId}`);
+  const viewUserProfile = (user) => {
+    navigate(profilePath(user));
   };
 
   return (
     <div>
       <Navbar />
       <div style={{ maxWidth: "600px", margin: "0 auto", padding: "80px 20px 20px 20px" }}>
-        <h2>Search Users</h2>
-        <form onSubmit={handleSearch} style={{ display: "flex", gap: "10px", marginTop: "20px", marginBottom: "20px" }}>
+        <h2>Search</h2>
+        <div style={{ display: "flex", gap: "5px", borderBottom: "1px solid #ddd", marginTop: "10px" }}>
+          {Object.entries(TABS).map(([name, { label }]) => (
+            <button
+              key={name}
+              onClick={() => switchTab(name)}
+              style={{
+                padding: "8px 16px",
+                border: "none",
+                borderBottom: tab === name ? "3px solid #4267B2" : "3px solid transparent",
+                background: "none",
+                cursor: "pointer",
+                fontSize: "16px",
+                fontWeight: tab === name ? "bold" : "normal",
+                color: tab === name ? "#4267B2" : "#555"
+              }}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <form onSubmit={handleSearch} style={{ display: "flex", gap: "10px", marginTop: "20px", marginBottom: tab === "posts" ? "10px" : "20px" }}>
           <input
             type="text"
             value={query}
             onChange={(e) => setQuery(e.target.value)}
-            placeholder="Search by name or email..."
+            placeholder={tab === "posts" ? "Search posts by words or #hashtags..." : "Search by name or email..."}
             style={{ 
               flex: 1, 
               padding: "12px", 
@@ -116,6 +252,24 @@ export default function Search() {
           </button>
         </form>
 
+        {tab === "posts" && (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: "10px", alignItems: "center", marginBottom: "20px", fontSize: "14px", color: "#555" }}>
+            <input
+              type="text"
+              value={author}
+              onChange={(e) => setAuthor(e.target.value)}
+              placeholder="By @username"
+              style={{ ...inputStyle, width: "140px" }}
+            />
+            <label>
+              From <input type="date" value={since} max={until || undefined} onChange={(e) => setSince(e.target.value)} style={inputStyle} />
+            </label>
+            <label>
+              to <input type="date" value={until} min={since || undefined} onChange={(e) => setUntil(e.target.value)} style={inputStyle} />
+            </label>
+          </div>
+        )}
+
       {loading && <p style={{ textAlign: "center" }}>Searching...</p>}
 
       {error && <p style={{ textAlign: "center", color: "red" }}>{error}</p>}
@@ -123,11 +277,12 @@ export default function Search() {
       {!loading && searched && !error && (
         <div>
           {results.length === 0 ? (
-            <p style={{ textAlign: "center", color: "#888" }}>No users found</p>
+            <p style={{ textAlign: "center", color: "#888" }}>No {noun[1]} found</p>
           ) : (
             <div>
-              <h3>{results.length} {results.length === 1 ? "user" : "users"} found</h3>
-              {results.map((user) => (
+              <h3>{results.length}{nextCursor ? "+" : ""} {results.length === 1 && !nextCursor ? noun[0] : noun[1]} found</h3>
+              {tab === "posts" && results.map((post) => <PostResult key={post._id} post={post} />)}
+              {tab === "people" && results.map((user) => (
                 <div
                   key={user._id}
                   style={{
@@ -173,8 +328,24 @@ export default function Search() {
                     <div>
                       <h4 style={{ margin: "0 0 5px 0" }}>
                         {user.firstName} {user.lastName}
+                        {user.followsYou && (
+                          <span style={{
+                            marginLeft: "8px",
+                            padding: "2px 8px",
+                            fontSize: "12px",
+                            fontWeight: "normal",
+                            backgroundColor: "#e4e6eb",
+                            color: "#555",
+                            borderRadius: "4px"
+                          }}>
+                            Follows you
+                          </span>
+                        )}
                       </h4>
-                      <p style={{ margin: "0", color: "#666", fontSize: "14px" }}>{user.email}</p>
+                      <p style={{ margin: "0", color: "#666", fontSize: "14px" }}>
+                        {user.username && <strong>@{user.username} · </strong>}
+                        {user.email}
+                      </p>
                       {user.bio && (
                         <p style={{ margin: "5px 0 0 0", color: "#888", fontSize: "14px", fontStyle: "italic" }}>
                           {user.bio}
@@ -183,7 +354,7 @@ export default function Search() {
                     </div>
                   </div>
                   <button
-                    onClick={() => viewUserProfile(user._id)}
+                    onClick={() => viewUserProfile(user)}
                     style={{
                       padding: "8px 16px",
                       backgroundColor: "#4267B2",
@@ -197,6 +368,8 @@ export default function Search() {
                   </button>
                 </div>
               ))}
+              <div ref={sentinelRef} />
+              {loadingMore && <p style={{ textAlign: "center", color: "#888" }}>Loading more...</p>}
             </div>
           )}
         </div>
@@ -0,0 +1,138 @@
+import { useState, useEffect, useCallback } from "react";
+import { useParams } from "react-router-dom";
+import Feed from "../components/Feed";
+import Navbar from "../components/Navbar";
+import TrendingTags from "../components/TrendingTags";
+import useInfiniteScroll from "../hooks/useInfiniteScroll";
+import usePostSocket from "../hooks/usePostSocket";
+import { apiFetch } from "../api";
+import { applyReactionChange, keepMyReactions } from "../reactions";
+import { withCommentCount } from "../comments";
+import { normalizeTag } from "../tags";
+
+const PAGE_SIZE = 20;
+
+// Posts with a hashtag, newest first
+export default function TagPage() {
+  const tag = normalizeTag(useParams().tag);
+  const [posts, setPosts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+
+  const fetchPage = useCallback(async (cursor) => {
+    const params = new URLSearchParams({ limit: PAGE_SIZE });
+    if (cursor) params.set("cursor", cursor);
+
+    const res = await apiFetch(`/api/posts/tags/${encodeURIComponent(tag)}?${params}`);
+    if (!res.ok) throw new Error(`Failed to fetch posts: ${res.status}`);
+    return res.json();
+  }, [tag]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const data = await fetchPage(nextCursor);
+      setPosts((prevPosts) => {
+        const seen = new Set(prevPosts.map(p => p._id));
+        return [...prevPosts, ...data.posts.filter(p => !seen.has(p._id))];
+      });
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error("Error fetching more posts:", err);
+    }
+    setLoadingMore(false);
+  }, [fetchPage, nextCursor, loadingMore]);
+
+  const sentinelRef = useInfiniteScroll(loadMore, !!nextCursor && !loadingMore);
+
+  const fetchPosts = useCallback(async () => {
+    try {
+      const data = await fetchPage(null);
+      setPosts(data.posts);
+      setNextCursor(data.nextCursor);
+    } catch (err) {
+      console.error("Error fetching posts:", err);
+    }
+    setLoading(false);
+  }, [fetchPage]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchPosts();
+  }, [fetchPosts]);
+
+  // New posts come from the global feed; only the ones with this tag are kept
+  usePostSocket({ feed: "global" }, posts, {
+    "resync:required": () => {
+      console.log("🔄 Realtime gap, refreshing posts...");
+      fetchPosts();
+    },
+
+    "post:created": (newPost) => {
+      if (!newPost.tags?.includes(tag)) return;
+      console.log("🆕 New post received:", newPost);
+      setPosts((prevPosts) => {
+        const exists = prevPosts.some(p => p._id === newPost._id);
+        if (exists) return prevPosts;
+        return [newPost, ...prevPosts];
+      });
+    },
+
+    "reaction:changed": (change) => {
+      const currentUser = JSON.parse(localStorage.getItem("user") || "{}");
+      setPosts((prevPosts) =>
+        prevPosts.map((post) => applyReactionChange(post, change, currentUser.id || currentUser._id))
+      );
+    },
+
+    "comment:added": ({ postId, commentCount }) => {
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
+
+    "reply:added": ({ postId, commentCount }) => {
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
+
+    "comment:deleted": ({ postId, commentCount }) => {
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
+
+    "reply:deleted": ({ postId, commentCount }) => {
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
+
+    "post:deleted": ({ postId }) => {
+      setPosts((prevPosts) => prevPosts.filter(post => post._id !== postId));
+    },
+
+    // A post edited to drop the tag leaves the page
+    "post:updated": (updatedPost) => {
+      setPosts((prevPosts) =>
+        prevPosts
+          .filter((post) => post._id !== updatedPost._id || updatedPost.tags?.includes(tag))
+          .map((post) => (post._id === updatedPost._id ? keepMyReactions(post, updatedPost) : post))
+      );
+    }
+  });
+
+  return (
+    <div>
+      <Navbar />
+      <div style={{ maxWidth: "800px", margin: "0 auto", padding: "80px 20px 20px 20px" }}>
+        <h2 style={{ marginBottom: "20px" }}>#{tag}</h2>
+        <TrendingTags />
+        {loading ? (
+          <p style={{ textAlign: "center", color: "#888" }}>Loading posts...</p>
+        ) : posts.length === 0 ? (
+          <p style={{ textAlign: "center", color: "#888" }}>No posts with #{tag} yet</p>
+        ) : (
+          <Feed posts={posts} setPosts={setPosts} />
+        )}
+        <div ref={sentinelRef} />
+        {loadingMore && <p style={{ textAlign: "center", color: "#888" }}>Loading more posts...</p>}
+      </div>
+    </div>
+  );
+}
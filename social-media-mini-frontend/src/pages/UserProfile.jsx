@@ -1,37 +1,53 @@
-import { useState, useEffect } from "react";
-import { useParams } from "react-router-dom";
-import { io } from "socket.io-client";
+import { useState, useEffect, useCallback } from "react";
+import { useParams, useNavigate } from "react-router-dom";
 import PostItem from "../components/PostItem";
 import Navbar from "../components/Navbar";
+import useInfiniteScroll from "../hooks/useInfiniteScroll";
+import usePostSocket from "../hooks/usePostSocket";
+import { apiFetch } from "../api";
+import { applyReactionChange, keepMyReactions } from "../reactions";
+import { withCommentCount } from "../comments";
+import { profilePath } from "../users";
 
-export default function UserProfile() {
-  const { userId } = useParams();
+// A user's profile, by :userId or, on /@username pages, `userId`
+export default function UserProfile({ userId: userIdProp }) {
+  const params = useParams();
+  const userId = userIdProp || params.userId;
   const [user, setUser] = useState(null);
   const [posts, setPosts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [relationship, setRelationship] = useState({ following: false, followedBy: false });
+  const [followLoading, setFollowLoading] = useState(false);
+  const [listType, setListType] = useState(null);
+  const [listUsers, setListUsers] = useState([]);
+  const navigate = useNavigate();
+
+  // Get current user ID from localStorage
+  const currentUser = JSON.parse(localStorage.getItem("user") || "{}");
+  const currentUserId = currentUser.id || currentUser._id;
+  const isOwnProfile = currentUserId && currentUserId.toString() === userId;
 
   useEffect(() => {
     const fetchUserProfile = async () => {
       try {
-        const token = localStorage.getItem("token");
-        
         // Fetch user profile
-        const userRes = await fetch(`/api/users/${userId}`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
+        const userRes = await apiFetch(`/api/users/${userId}`);
         const userData = await userRes.json();
         setUser(userData);
 
+        // Fetch follow relationship with the viewed user
+        const relRes = await apiFetch(`/api/users/${userId}/follow`);
+        if (relRes.ok) {
+          setRelationship(await relRes.json());
+        }
+
         // Fetch user's posts
-        const postsRes = await fetch(`/api/users/${userId}/posts`, {
-          headers: {
-            Authorization: `Bearer ${token}`,
-          },
-        });
+        const postsRes = await apiFetch(`/api/users/${userId}/posts`);
         const postsData = await postsRes.json();
-        setPosts(postsData);
+        setPosts(postsData.posts || []);
+        setNextCursor(postsData.nextCursor || null);
         setLoading(false);
       } catch (err) {
         console.error("Error fetching user profile:", err);
@@ -43,14 +59,21 @@ export default function UserProfile() {
   }, [userId]);
 
   // Socket.io for real-time updates
-  useEffect(() => {
-    const socket = io("http://localhost:3003");
-
-    socket.on("connect", () => {
-      console.log("🔌 UserProfile: Socket.io connected");
-    });
+  usePostSocket({ author: userId }, posts, {
+    // Missed too much while disconnected to catch up event by event
+    "resync:required": async () => {
+      try {
+        const postsRes = await apiFetch(`/api/users/${userId}/posts`);
+        if (!postsRes.ok) return;
+        const postsData = await postsRes.json();
+        setPosts(postsData.posts || []);
+        setNextCursor(postsData.nextCursor || null);
+      } catch (err) {
+        console.error("Error fetching user posts:", err);
+      }
+    },
 
-    socket.on("post:created", (newPost) => {
+    "post:created": (newPost) => {
       console.log("🆕 UserProfile: New post received", newPost);
       // Only add if it's the viewed user's post
       if (newPost.user._id === userId) {
@@ -60,117 +83,126 @@ export default function UserProfile() {
           return [newPost, ...prevPosts];
         });
       }
-    });
-
-    socket.on("post:liked", ({ postId, likes }) => {
-      console.log("👍 UserProfile: Post liked", postId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) =>
-          post._id === postId ? { ...post, likes } : post
-        )
-      );
-    });
+    },
 
-    socket.on("post:unliked", ({ postId, likes }) => {
-      console.log("👎 UserProfile: Post unliked", postId);
+    "reaction:changed": (change) => {
+      console.log("👍 UserProfile: Reaction changed", change.postId, change.type);
       setPosts((prevPosts) =>
-        prevPosts.map((post) =>
-          post._id === postId ? { ...post, likes } : post
-        )
+        prevPosts.map((post) => applyReactionChange(post, change, currentUserId))
       );
-    });
+    },
 
-    socket.on("comment:added", ({ postId, comment }) => {
+    "comment:added": ({ postId, commentCount }) => {
       console.log("💬 UserProfile: Comment added", postId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            return {
-              ...post,
-              comments: [...post.comments, comment]
-            };
-          }
-          return post;
-        })
-      );
-    });
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    socket.on("reply:added", ({ postId, commentId, reply }) => {
-      console.log("↩️ UserProfile: Reply added", postId, commentId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            const updatedComments = post.comments.map((comment) => {
-              if (comment._id === commentId) {
-                return {
-                  ...comment,
-                  replies: [...(comment.replies || []), reply]
-                };
-              }
-              return comment;
-            });
-            return { ...post, comments: updatedComments };
-          }
-          return post;
-        })
-      );
-    });
+    "reply:added": ({ postId, commentCount }) => {
+      console.log("↩️ UserProfile: Reply added", postId);
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    socket.on("comment:deleted", ({ postId, commentId }) => {
-      console.log("🗑️ UserProfile: Comment deleted", postId, commentId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            return {
-              ...post,
-              comments: post.comments.filter((comment) => comment._id !== commentId)
-            };
-          }
-          return post;
-        })
-      );
-    });
+    "comment:deleted": ({ postId, commentCount }) => {
+      console.log("🗑️ UserProfile: Comment deleted", postId);
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    socket.on("reply:deleted", ({ postId, commentId, replyId }) => {
-      console.log("🗑️ UserProfile: Reply deleted", postId, commentId, replyId);
-      setPosts((prevPosts) =>
-        prevPosts.map((post) => {
-          if (post._id === postId) {
-            const updatedComments = post.comments.map((comment) => {
-              if (comment._id === commentId) {
-                return {
-                  ...comment,
-                  replies: comment.replies.filter((reply) => reply._id !== replyId)
-                };
-              }
-              return comment;
-            });
-            return { ...post, comments: updatedComments };
-          }
-          return post;
-        })
-      );
-    });
+    "reply:deleted": ({ postId, commentCount }) => {
+      console.log("🗑️ UserProfile: Reply deleted", postId);
+      setPosts((prevPosts) => withCommentCount(prevPosts, postId, commentCount));
+    },
 
-    socket.on("post:deleted", ({ postId }) => {
+    "post:deleted": ({ postId }) => {
       console.log("🗑️ UserProfile: Post deleted", postId);
       setPosts((prevPosts) => prevPosts.filter(post => post._id !== postId));
-    });
+    },
 
-    socket.on("post:updated", (updatedPost) => {
+    "post:updated": (updatedPost) => {
       console.log("✏️ UserProfile: Post updated", updatedPost._id);
       setPosts((prevPosts) =>
         prevPosts.map((post) =>
-          post._id === updatedPost._id ? updatedPost : post
+          post._id === updatedPost._id ? keepMyReactions(post, updatedPost) : post
         )
       );
-    });
+    }
+  });
 
-    return () => {
-      console.log("🔌 UserProfile: Disconnecting Socket.io");
-      socket.disconnect();
-    };
-  }, [userId]);
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || loadingMore) return;
+    setLoadingMore(true);
+    try {
+      const res = await apiFetch(`/api/users/${userId}/posts?cursor=${encodeURIComponent(nextCursor)}`);
+      if (res.ok) {
+        const data = await res.json();
+        setPosts((prevPosts) => {
+          const seen = new Set(prevPosts.map(p => p._id));
+          return [...prevPosts, ...data.posts.filter(p => !seen.has(p._id))];
+        });
+        setNextCursor(data.nextCursor);
+      }
+    } catch (err) {
+      console.error("Error fetching more posts:", err);
+    }
+    setLoadingMore(false);
+  }, [userId, nextCursor, loadingMore]);
+
+  const sentinelRef = useInfiniteScroll(loadMore, !!nextCursor && !loadingMore);
+
+  const handleFollowToggle = async () => {
+    setFollowLoading(true);
+    try {
+      const res = await apiFetch(`/api/users/${userId}/follow`, {
+        method: relationship.following ? "DELETE" : "POST",
+      });
+
+      const data = await res.json();
+      if (res.ok) {
+        setRelationship((prev) => ({ ...prev, following: !prev.following }));
+        setUser((prev) => ({ ...prev, followersCount: data.followersCount }));
+      } else {
+        alert(data.message || "Failed to update follow status");
+      }
+    } catch (err) {
+      console.error("Error updating follow status:", err);
+    }
+    setFollowLoading(false);
+  };
+
+  // Open (or start) the direct conversation with this user
+  const handleMessage = async () => {
+    try {
+      const res = await apiFetch("/api/messages/conversations", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ participantIds: [userId] }),
+      });
+
+      const data = await res.json();
+      if (res.ok) {
+        navigate(`/messages/${data._id}`);
+      } else {
+        alert(data.message || "Failed to open conversation");
+      }
+    } catch (err) {
+      console.error("Error opening conversation:", err);
+    }
+  };
+
+  const toggleList = async (type) => {
+    if (listType === type) {
+      setListType(null);
+      return;
+    }
+
+    try {
+      const res = await apiFetch(`/api/users/${userId}/${type}?limit=50`);
+      const data = await res.json();
+      setListUsers(res.ok ? data.users : []);
+      setListType(type);
+    } catch (err) {
+      console.error(`Error fetching ${type}:`, err);
+    }
+  };
 
   if (loading) {
     return <div style={{ padding: "20px", textAlign: "center" }}>Loading...</div>;
@@ -224,13 +256,89 @@ export default function UserProfile() {
             <h1 style={{ margin: "0 0 10px 0" }}>
               {user.firstName} {user.lastName}
             </h1>
+            {user.username && <p style={{ margin: "0 0 5px 0", color: "#666", fontWeight: "bold" }}>@{user.username}</p>}
             <p style={{ margin: "0", color: "#666" }}>{user.email}</p>
             {user.bio && <p style={{ margin: "10px 0", color: "#555", fontStyle: "italic" }}>{user.bio}</p>}
             <p style={{ margin: "10px 0 0 0", color: "#888" }}>
-              {posts.length} {posts.length === 1 ? "post" : "posts"}
+              {posts.length}{nextCursor ? "+" : ""} {posts.length === 1 && !nextCursor ? "post" : "posts"}
+              {" · "}
+              <span onClick={() => toggleList("followers")} style={{ cursor: "pointer" }}>
+                <strong>{user.followersCount || 0}</strong> {user.followersCount === 1 ? "follower" : "followers"}
+              </span>
+              {" · "}
+              <span onClick={() => toggleList("following")} style={{ cursor: "pointer" }}>
+                <strong>{user.followingCount || 0}</strong> following
+              </span>
             </p>
+            {relationship.followedBy && (
+              <span style={{
+                display: "inline-block",
+                marginTop: "8px",
+                padding: "2px 8px",
+                fontSize: "12px",
+                backgroundColor: "#e4e6eb",
+                color: "#555",
+                borderRadius: "4px"
+              }}>
+                Follows you
+              </span>
+            )}
           </div>
+          {!isOwnProfile && (
+            <div style={{ display: "flex", flexDirection: "column", gap: "10px" }}>
+              <button
+                onClick={handleFollowToggle}
+                disabled={followLoading}
+                style={{
+                  padding: "10px 20px",
+                  backgroundColor: relationship.following ? "#e0e0e0" : "#4267B2",
+                  color: relationship.following ? "#333" : "white",
+                  border: "none",
+                  borderRadius: "4px",
+                  cursor: "pointer",
+                  fontWeight: "bold"
+                }}
+              >
+                {relationship.following ? "Unfollow" : "Follow"}
+              </button>
+              <button
+                onClick={handleMessage}
+                style={{
+                  padding: "10px 20px",
+                  backgroundColor: "#28a745",
+                  color: "white",
+                  border: "none",
+                  borderRadius: "4px",
+                  cursor: "pointer",
+                  fontWeight: "bold"
+                }}
+              >
+                💬 Message
+              </button>
+            </div>
+          )}
         </div>
+
+        {/* Followers / following list */}
+        {listType && (
+          <div style={{ borderTop: "1px solid #ddd", paddingTop: "15px" }}>
+            <h3 style={{ margin: "0 0 10px 0", textTransform: "capitalize" }}>{listType}</h3>
+            {listUsers.length === 0 ? (
+              <p style={{ color: "#888" }}>No users yet</p>
+            ) : (
+              listUsers.map((u) => (
+                <div
+                  key={u._id}
+                  onClick={() => navigate(profilePath(u))}
+                  style={{ padding: "8px 0", cursor: "pointer", display: "flex", gap: "10px", alignItems: "center" }}
+                >
+                  <strong>{u.firstName} {u.lastName}</strong>
+                  {u.followsYou && <span style={{ fontSize: "12px", color: "#888" }}>Follows you</span>}
+                </div>
+              ))
+            )}
+          </div>
+        )}
       </div>
 
       {/* User's Posts */}
@@ -246,6 +354,8 @@ export default function UserProfile() {
             />
           ))
         )}
+        <div ref={sentinelRef} />
+        {loadingMore && <p style={{ textAlign: "center", color: "#888" }}>Loading more posts...</p>}
       </div>
       </div>
     </div>
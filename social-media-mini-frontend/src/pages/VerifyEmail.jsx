@@ -0,0 +1,64 @@
+import { useEffect, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const [status, setStatus] = useState(token ? "verifying" : "error");
+  const [message, setMessage] = useState(token ? "" : "This verification link is invalid.");
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so only send the request once
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    const verify = async () => {
+      try {
+        const res = await fetch("/api/auth/verify-email", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ token }),
+        });
+
+        const data = await res.json();
+
+        if (res.ok) {
+          const storedUser = localStorage.getItem("user");
+          if (storedUser) {
+            localStorage.setItem("user", JSON.stringify({ ...JSON.parse(storedUser), emailVerified: true }));
+          }
+          setStatus("verified");
+        } else {
+          setStatus("error");
+          setMessage(data.message || "Verification failed");
+        }
+      } catch (err) {
+        setStatus("error");
+        setMessage("Error connecting to server");
+        console.error("Verify email error:", err);
+      }
+    };
+
+    verify();
+  }, [token]);
+
+  return (
+    <div style={{ maxWidth: "400px", margin: "50px auto", padding: "20px" }}>
+      <h2>Verify Email</h2>
+      {status === "verifying" && <p>Verifying your email address...</p>}
+      {status === "verified" && (
+        <p style={{ color: "green" }}>✅ Your email address is confirmed.</p>
+      )}
+      {status === "error" && (
+        <>
+          <p style={{ color: "red" }}>{message}</p>
+          <p style={{ color: "#666" }}>You can request a new link from your profile.</p>
+        </>
+      )}
+      <p style={{ marginTop: "15px", textAlign: "center" }}>
+        <a href={localStorage.getItem("token") ? "/feed" : "/login"}>Continue</a>
+      </p>
+    </div>
+  );
+}
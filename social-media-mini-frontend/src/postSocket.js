@@ -0,0 +1,5 @@
+import { openAuthenticatedSocket } from "./authSocket";
+
+// Each page showing posts opens its own post-service socket
+export const openPostSocket = (isCurrent) =>
+  openAuthenticatedSocket("/socket.io/posts", "/api/posts/global?limit=1", isCurrent);
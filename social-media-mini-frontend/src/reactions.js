@@ -0,0 +1,36 @@
+export const REACTIONS = [
+  { type: "like", emoji: "👍", label: "Like" },
+  { type: "love", emoji: "❤️", label: "Love" },
+  { type: "laugh", emoji: "😂", label: "Haha" },
+  { type: "wow", emoji: "😮", label: "Wow" },
+  { type: "sad", emoji: "😢", label: "Sad" },
+  { type: "angry", emoji: "😡", label: "Angry" },
+];
+
+export const reactionFor = (type) => REACTIONS.find((r) => r.type === type);
+
+export const totalReactions = (counts) =>
+  REACTIONS.reduce((total, { type }) => total + (counts?.[type] || 0), 0);
+
+// The most used reactions, most used first
+export const topReactions = (counts, n = 3) =>
+  REACTIONS.filter(({ type }) => counts?.[type] > 0)
+    .sort((a, b) => counts[b.type] - counts[a.type])
+    .slice(0, n);
+
+// Apply a `reaction:changed` event to the post or comment it is about. My
+// own reaction only changes if the event is about me.
+export function applyReactionChange(item, change, currentUserId) {
+  if (item._id !== (change.commentId || change.postId)) return item;
+  return {
+    ...item,
+    reactionCounts: change.reactionCounts,
+    myReaction: change.userId === currentUserId ? change.type : item.myReaction,
+  };
+}
+
+// post:updated events are the same for everyone, so they don't carry my
+// reaction; keep the one already shown
+export function keepMyReactions(previous, updated) {
+  return { ...updated, myReaction: previous.myReaction };
+}
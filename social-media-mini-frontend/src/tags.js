@@ -0,0 +1,18 @@
+// Hashtags, found the same way post-service finds them (see its tags.js)
+const TAG_PATTERN = /(?<![\p{L}\p{N}_&/#])#([\p{L}\p{M}\p{N}_]+)/gu;
+
+export const normalizeTag = (tag) => tag.normalize("NFKC").toLowerCase();
+
+// Post text split into plain text and { tag } parts; "we're #1" has no tag
+export function splitTags(text) {
+  const parts = [];
+  let last = 0;
+  for (const match of (text || "").matchAll(TAG_PATTERN)) {
+    if (/^\p{N}+$/u.test(match[1])) continue;
+    if (match.index > last) parts.push({ text: text.slice(last, match.index) });
+    parts.push({ text: match[0], tag: normalizeTag(match[1]) });
+    last = match.index + match[0].length;
+  }
+  if (last < (text || "").length) parts.push({ text: text.slice(last) });
+  return parts;
+}
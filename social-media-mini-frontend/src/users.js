@@ -0,0 +1,4 @@
+// A user's profile page: /@username, or /user/:id for accounts that don't
+// have a username yet
+export const profilePath = (user) =>
+  (user?.username ? `/@${user.username}` : `/user/${user?._id || user?.id}`);